@@ -0,0 +1,68 @@
+/**
+ * Express-приложение API расчета доставки CDEK
+ * Запуск HTTP-сервера - в server.js, тесты подключают приложение напрямую
+ */
+
+import express from 'express';
+import cors from 'cors';
+import { fileURLToPath } from 'url';
+import deliveryRoutes from './routes/delivery.js';
+import { errorHandler } from './errors.js';
+import { buildOpenApiSpec, listEndpoints } from './openapi/index.js';
+
+const API_VERSION = '1.0.0';
+
+// Спецификация строится при запуске: роут без описания в OPERATIONS - ошибка запуска
+const openApiSpec = buildOpenApiSpec(deliveryRoutes, { basePath: '/api/delivery', version: API_VERSION });
+const docsPage = fileURLToPath(new URL('./openapi/docs.html', import.meta.url));
+
+// Сайты, которым браузер разрешит обращаться к API (CORS_ORIGINS через запятую; не задан или * - все)
+const corsOrigins = (process.env.CORS_ORIGINS || '*').split(',').map(origin => origin.trim()).filter(Boolean);
+const corsOptions = {
+  origin: corsOrigins.includes('*') ? '*' : corsOrigins,
+  exposedHeaders: ['X-Cache', 'X-RateLimit-Limit', 'X-RateLimit-Remaining', 'Retry-After', 'Content-Disposition'],
+};
+
+const app = express();
+
+// Middleware
+app.use(cors(corsOptions));
+
+// Пакетный расчет принимает большие JSON и CSV (BATCH_BODY_LIMIT, по умолчанию 5 МБ)
+const batchBodyLimit = process.env.BATCH_BODY_LIMIT || '5mb';
+app.use('/api/delivery/calculate/batch', express.json({ limit: batchBodyLimit }), express.text({ type: 'text/csv', limit: batchBodyLimit }));
+app.use(express.json());
+
+// Логирование запросов
+app.use((req, res, next) => {
+  console.log(`${new Date().toISOString()} - ${req.method} ${req.path}`);
+  next();
+});
+
+// Роуты
+app.get('/', (req, res) => {
+  res.json({
+    message: 'CDEK Delivery API',
+    version: API_VERSION,
+    endpoints: listEndpoints(openApiSpec),
+    openapi: '/api/openapi.json',
+    docs: '/api/docs',
+    cdekDocs: 'https://github.com/cdek-it/api-docs',
+  });
+});
+
+// Документация API: спецификация OpenAPI и страница для просмотра и проверки запросов
+app.get('/api/openapi.json', (req, res) => {
+  res.json(openApiSpec);
+});
+
+app.get('/api/docs', (req, res) => {
+  res.sendFile(docsPage);
+});
+
+app.use('/api/delivery', deliveryRoutes);
+
+// Обработка ошибок: единый формат {code, message, details, cdekErrors}
+app.use(errorHandler);
+
+export default app;
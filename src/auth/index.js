@@ -0,0 +1,69 @@
+/**
+ * Права API-ключей (scopes)
+ * Ключ виджета на сайте получает только расчет стоимости (quote), ключ бэкенда магазина -
+ * еще и работу с заказами (orders). Права каждого роута задаются middleware requireScope.
+ */
+
+import { ApiError } from '../errors.js';
+
+// Права API-ключей
+export const SCOPES = {
+  QUOTE: 'quote', // города, офисы, тарифы, расчет стоимости и упаковка
+  ORDERS: 'orders', // заказы, печатные формы, вызов курьера и подписки на вебхуки
+  ADMIN: 'admin', // управление кэшем и выключателем
+};
+
+export const ALL_SCOPES = Object.values(SCOPES);
+
+/**
+ * Проверка списка прав
+ * @param {Array<string>} scopes - Права из настроек
+ * @param {string} owner - Владелец прав для сообщения об ошибке
+ * @returns {Array<string>} Права без повторов
+ * @throws {Error} Если право неизвестно
+ */
+export const normalizeScopes = (scopes, owner) => {
+  const unknown = scopes.filter(scope => !ALL_SCOPES.includes(scope));
+  if (unknown.length > 0) {
+    throw new Error(`${owner}: неизвестные права ${unknown.join(', ')} (допустимы ${ALL_SCOPES.join(', ')})`);
+  }
+  return [...new Set(scopes)];
+};
+
+/**
+ * Разбор API-ключей из переменной окружения
+ * Формат: "ключ:право+право,ключ:право"; без прав ключ получает все права
+ * @param {string} value - Значение переменной (API_KEYS)
+ * @returns {Array<object>} [{key, scopes}]
+ */
+export const parseApiKeys = (value) => (value || '')
+  .split(',')
+  .map(entry => entry.trim())
+  .filter(Boolean)
+  .map((entry) => {
+    const separator = entry.lastIndexOf(':');
+    if (separator === -1) {
+      return { key: entry };
+    }
+    return { key: entry.slice(0, separator), scopes: entry.slice(separator + 1).split('+').filter(Boolean) };
+  });
+
+/**
+ * Middleware: проверка права у ключа запроса (req.scopes выставляет определение арендатора)
+ * Без ключа - 401 (нужен ключ), с ключом без права - 403
+ * @param {string} scope - Требуемое право
+ * @returns {Function} Middleware; право доступно в свойстве scope (для спецификации OpenAPI)
+ */
+export const requireScope = (scope) => {
+  const middleware = (req, res, next) => {
+    if ((req.scopes || []).includes(scope)) {
+      return next();
+    }
+    if (!req.apiKey) {
+      return next(new ApiError(401, 'UNAUTHORIZED', `Требуется API-ключ (X-Api-Key) с правом ${scope}`));
+    }
+    next(new ApiError(403, 'FORBIDDEN', `У API-ключа ${req.apiKey.name} нет права ${scope}`));
+  };
+  middleware.scope = scope;
+  return middleware;
+};
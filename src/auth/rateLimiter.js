@@ -0,0 +1,76 @@
+/**
+ * Ограничение частоты запросов по алгоритму token bucket
+ * У каждого клиента (API-ключа или IP-адреса) своя «корзина» на burst запросов,
+ * которая пополняется со скоростью perMinute запросов в минуту
+ */
+
+class RateLimiter {
+  /**
+   * @param {object} options - Параметры
+   * @param {number} options.maxClients - Сколько корзин хранить (по умолчанию 10000)
+   */
+  constructor(options = {}) {
+    const { maxClients = 10000 } = options;
+
+    this.maxClients = maxClients;
+    this.buckets = new Map();
+  }
+
+  /**
+   * Списание одного запроса из корзины клиента
+   * @param {string} id - Идентификатор клиента
+   * @param {object} limit - Лимит {perMinute, burst}; perMinute = 0 - без ограничений
+   * @returns {object} {allowed, limit, remaining, retryAfter} (retryAfter - через сколько секунд появится запрос)
+   */
+  take(id, limit) {
+    const { perMinute, burst = perMinute } = limit;
+    if (!perMinute) {
+      return { allowed: true };
+    }
+
+    const now = Date.now();
+    const perMs = perMinute / 60000;
+    const bucket = this.buckets.get(id) || { tokens: burst, updatedAt: now };
+
+    bucket.tokens = Math.min(burst, bucket.tokens + (now - bucket.updatedAt) * perMs);
+    bucket.updatedAt = now;
+
+    const allowed = bucket.tokens >= 1;
+    if (allowed) {
+      bucket.tokens -= 1;
+    }
+
+    this.buckets.delete(id);
+    this.buckets.set(id, bucket);
+    this.prune();
+
+    return {
+      allowed,
+      limit: burst,
+      remaining: Math.floor(bucket.tokens),
+      retryAfter: allowed ? 0 : Math.ceil((1 - bucket.tokens) / perMs / 1000),
+    };
+  }
+
+  /**
+   * Удаление корзин клиентов, которые дольше всех не обращались, сверх maxClients
+   * (корзины лежат в порядке последнего обращения)
+   */
+  prune() {
+    for (const id of this.buckets.keys()) {
+      if (this.buckets.size <= this.maxClients) {
+        break;
+      }
+      this.buckets.delete(id);
+    }
+  }
+
+  /**
+   * Сброс всех корзин
+   */
+  reset() {
+    this.buckets.clear();
+  }
+}
+
+export default RateLimiter;
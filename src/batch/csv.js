@@ -0,0 +1,103 @@
+/**
+ * Чтение и запись CSV для пакетного расчета
+ * Первая строка - заголовки (имена полей), разделитель - запятая или точка с запятой
+ * (определяется по заголовку: так сохраняет CSV русская версия Excel).
+ * Значения в кавычках могут содержать разделители, переводы строк и "" (кавычку).
+ */
+
+/**
+ * Разбор CSV в строки таблицы
+ * @param {string} text - Текст CSV
+ * @param {string} delimiter - Разделитель
+ * @returns {Array<Array<string>>} Строки со значениями
+ */
+const parseLines = (text, delimiter) => {
+  const lines = [];
+  let line = [];
+  let value = '';
+  let quoted = false;
+
+  for (let index = 0; index < text.length; index++) {
+    const char = text[index];
+
+    if (quoted) {
+      if (char === '"' && text[index + 1] === '"') {
+        value += '"';
+        index++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        value += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      line.push(value);
+      value = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[index + 1] === '\n') {
+        index++;
+      }
+      line.push(value);
+      lines.push(line);
+      line = [];
+      value = '';
+    } else {
+      value += char;
+    }
+  }
+
+  if (value !== '' || line.length > 0) {
+    line.push(value);
+    lines.push(line);
+  }
+  return lines.filter(cells => cells.some(cell => cell.trim() !== ''));
+};
+
+/**
+ * Разбор CSV в объекты по заголовкам
+ * Пустые значения пропускаются, чтобы для них сработали значения по умолчанию схемы
+ * @param {string} text - Текст CSV
+ * @returns {Array<object>} Строки {поле: значение}
+ */
+export const parseCsv = (text) => {
+  const source = text.replace(/^\uFEFF/, '');
+  const header = source.slice(0, source.search(/\r?\n|$/));
+  const delimiter = header.includes(';') && !header.includes(',') ? ';' : ',';
+
+  const [columns = [], ...lines] = parseLines(source, delimiter);
+  const names = columns.map(column => column.trim());
+
+  return lines.map(cells => Object.fromEntries(names
+    .map((name, index) => [name, cells[index]?.trim()])
+    .filter(([name, value]) => name && value !== undefined && value !== '')));
+};
+
+/**
+ * Значение ячейки CSV: в кавычках, если содержит разделитель, кавычку или перевод строки
+ * Строки, которые Excel принял бы за формулу (=, +, -, @, табуляция, CR в начале),
+ * начинаются с апострофа: id и тексты ошибок приходят из запроса
+ * @param {*} value - Значение
+ * @param {string} delimiter - Разделитель
+ * @returns {string}
+ */
+const formatCell = (value, delimiter) => {
+  let text = value === undefined || value === null ? '' : String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return text.includes(delimiter) || /["\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Запись строк в CSV
+ * Начинается с BOM, чтобы Excel открыл кириллицу в UTF-8
+ * @param {Array<string>} columns - Заголовки (ключи объектов)
+ * @param {Array<object>} rows - Строки
+ * @param {string} delimiter - Разделитель (по умолчанию запятая)
+ * @returns {string} Текст CSV
+ */
+export const formatCsv = (columns, rows, delimiter = ',') => '\uFEFF' + [
+  columns.join(delimiter),
+  ...rows.map(row => columns.map(column => formatCell(row[column], delimiter)).join(delimiter)),
+].join('\r\n') + '\r\n';
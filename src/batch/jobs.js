@@ -0,0 +1,136 @@
+/**
+ * Фоновые задания пакетного расчета
+ * Большой пакет считается после ответа клиенту: клиент получает id задания
+ * и опрашивает его статус. Задания хранятся в памяти процесса ограниченное время.
+ */
+
+import { randomUUID } from 'crypto';
+import { ApiError } from '../errors.js';
+
+// Состояния задания
+export const JOB_STATUSES = {
+  RUNNING: 'running',
+  DONE: 'done',
+  FAILED: 'failed',
+};
+
+/**
+ * Обработка элементов с ограничением числа одновременных вызовов
+ * @param {Array} items - Элементы
+ * @param {number} concurrency - Сколько элементов обрабатывать одновременно
+ * @param {Function} handler - async (item, index) => результат
+ * @returns {Promise<Array>} Результаты в порядке элементов
+ */
+export const mapWithConcurrency = async (items, concurrency, handler) => {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await handler(items[index], index);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, worker));
+  return results;
+};
+
+class BatchJobStore {
+  /**
+   * @param {object} options - Параметры
+   * @param {number} options.ttl - Сколько мс хранить завершенное задание (по умолчанию 1 час)
+   * @param {number} options.maxJobs - Максимум заданий в памяти (по умолчанию 100)
+   */
+  constructor(options = {}) {
+    const { ttl = 3600000, maxJobs = 100 } = options;
+
+    this.ttl = ttl;
+    this.maxJobs = maxJobs;
+    this.jobs = new Map();
+  }
+
+  /**
+   * Запуск задания
+   * @param {string} owner - Владелец задания (арендатор): чужие задания не видны
+   * @param {number} total - Число строк
+   * @param {Function} run - async (job) => результаты; обновляет job.done и job.failed по ходу
+   * @returns {object} Задание
+   * @throws {ApiError} 503, если уже выполняется maxJobs заданий
+   */
+  start(owner, total, run) {
+    this.prune();
+
+    // Выполняющиеся задания не вытесняются, поэтому новые не принимаются, пока какое-то не завершится
+    const running = [...this.jobs.values()].filter(job => job.status === JOB_STATUSES.RUNNING).length;
+    if (running >= this.maxJobs) {
+      throw new ApiError(503, 'BATCH_JOBS_BUSY', 'Слишком много выполняющихся пакетных расчетов, повторите позже', [
+        `Выполняется заданий: ${running} из ${this.maxJobs}`,
+      ]);
+    }
+
+    const job = {
+      id: randomUUID(),
+      owner,
+      status: JOB_STATUSES.RUNNING,
+      total,
+      done: 0,
+      failed: 0,
+      createdAt: new Date().toISOString(),
+      finishedAt: null,
+      results: null,
+      error: null,
+    };
+    this.jobs.set(job.id, job);
+
+    run(job)
+      .then((results) => {
+        job.results = results;
+        job.status = JOB_STATUSES.DONE;
+      })
+      .catch((error) => {
+        job.error = error.message;
+        job.status = JOB_STATUSES.FAILED;
+      })
+      .finally(() => {
+        job.finishedAt = new Date().toISOString();
+      });
+
+    return job;
+  }
+
+  /**
+   * Задание владельца
+   * @param {string} owner - Владелец
+   * @param {string} id - Идентификатор задания
+   * @returns {object|undefined}
+   */
+  get(owner, id) {
+    this.prune();
+    const job = this.jobs.get(id);
+    return job?.owner === owner ? job : undefined;
+  }
+
+  /**
+   * Удаление просроченных заданий и самых старых завершенных сверх maxJobs
+   */
+  prune() {
+    const now = Date.now();
+    for (const [id, job] of this.jobs) {
+      if (job.finishedAt && now - Date.parse(job.finishedAt) > this.ttl) {
+        this.jobs.delete(id);
+      }
+    }
+
+    for (const [id, job] of this.jobs) {
+      if (this.jobs.size < this.maxJobs) {
+        break;
+      }
+      if (job.finishedAt) {
+        this.jobs.delete(id);
+      }
+    }
+  }
+}
+
+export default BatchJobStore;
@@ -0,0 +1,58 @@
+/**
+ * Результаты пакетного расчета: сводка и таблица для CSV
+ * Результат строки: {row, id, fromCityCode, toCityCode, status, tariffs} или {..., status: 'error', error}
+ */
+
+import { formatCsv } from './csv.js';
+
+// Колонки CSV с результатами: одна строка на тариф (или на ошибку строки)
+export const BATCH_CSV_COLUMNS = [
+  'row',
+  'id',
+  'fromCityCode',
+  'toCityCode',
+  'tariffCode',
+  'tariffName',
+  'carrierCost',
+  'customerPrice',
+  'periodMin',
+  'periodMax',
+  'error',
+];
+
+/**
+ * Сводка по результатам
+ * @param {Array} results - Результаты строк
+ * @returns {object} {total, succeeded, failed}
+ */
+export const summarizeBatch = (results) => {
+  const failed = results.filter(result => result.status === 'error').length;
+  return { total: results.length, succeeded: results.length - failed, failed };
+};
+
+/**
+ * Результаты в CSV
+ * @param {Array} results - Результаты строк
+ * @param {string} delimiter - Разделитель
+ * @returns {string} Текст CSV
+ */
+export const batchResultsToCsv = (results, delimiter) => formatCsv(BATCH_CSV_COLUMNS, results.flatMap((result) => {
+  const base = { row: result.row, id: result.id, fromCityCode: result.fromCityCode, toCityCode: result.toCityCode };
+
+  if (result.status === 'error') {
+    const details = result.error.details?.length > 0 ? `: ${result.error.details.join('; ')}` : '';
+    return [{ ...base, error: `${result.error.message}${details}` }];
+  }
+  if (result.tariffs.length === 0) {
+    return [{ ...base, error: 'Нет доступных тарифов' }];
+  }
+  return result.tariffs.map(tariff => ({
+    ...base,
+    tariffCode: tariff.code,
+    tariffName: tariff.name,
+    carrierCost: tariff.carrierCost,
+    customerPrice: tariff.customerPrice,
+    periodMin: tariff.periodMin,
+    periodMax: tariff.periodMax,
+  }));
+}), delimiter);
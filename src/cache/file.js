@@ -0,0 +1,139 @@
+/**
+ * Кэш на диске: каждая запись хранится в отдельном JSON-файле
+ * Переживает перезапуск сервера. Когда записей становится больше maxEntries,
+ * удаляются давно записанные файлы (как в MemoryCache, но по времени записи)
+ */
+
+import { createHash } from 'crypto';
+import { mkdir, readFile, writeFile, readdir, unlink, stat } from 'fs/promises';
+import { join } from 'path';
+
+class FileCache {
+  constructor(dir = '.cache', maxEntries = 1000) {
+    this.dir = dir;
+    this.maxEntries = maxEntries;
+    // Оценка числа файлов сверху (перезапись записи тоже считается): точное число считает prune
+    this.count = undefined;
+    this.pruning = null;
+  }
+
+  /**
+   * Путь к файлу записи (имя - хэш ключа)
+   * @param {string} key - Ключ
+   * @returns {string} Путь к файлу
+   */
+  pathFor(key) {
+    return join(this.dir, `${createHash('sha1').update(key).digest('hex')}.json`);
+  }
+
+  /**
+   * Получение значения
+   * @param {string} key - Ключ
+   * @returns {Promise<*>} Значение или undefined, если записи нет или она устарела
+   */
+  async get(key) {
+    let entry;
+    try {
+      entry = JSON.parse(await readFile(this.pathFor(key), 'utf-8'));
+    } catch {
+      return undefined;
+    }
+
+    if (entry.key !== key || entry.expiresAt <= Date.now()) {
+      await unlink(this.pathFor(key)).catch(() => {});
+      return undefined;
+    }
+
+    return entry.value;
+  }
+
+  /**
+   * Сохранение значения
+   * @param {string} key - Ключ
+   * @param {*} value - Значение (должно сериализоваться в JSON)
+   * @param {number} ttl - Время жизни в мс
+   */
+  async set(key, value, ttl) {
+    await mkdir(this.dir, { recursive: true });
+    await writeFile(this.pathFor(key), JSON.stringify({
+      key,
+      expiresAt: Date.now() + ttl,
+      value,
+    }));
+
+    this.count = this.count === undefined ? (await this.files()).length : this.count + 1;
+    if (this.count > this.maxEntries) {
+      await this.prune();
+    }
+  }
+
+  /**
+   * Удаление давно записанных файлов сверх maxEntries
+   * Одновременные вызовы ждут одну очистку
+   * @returns {Promise<void>}
+   */
+  async prune() {
+    if (!this.pruning) {
+      this.pruning = (async () => {
+        const files = await Promise.all((await this.files()).map(async (file) => {
+          const path = join(this.dir, file);
+          const { mtimeMs } = await stat(path).catch(() => ({ mtimeMs: 0 }));
+          return { path, mtimeMs };
+        }));
+
+        const excess = files.sort((a, b) => a.mtimeMs - b.mtimeMs).slice(0, Math.max(files.length - this.maxEntries, 0));
+        await Promise.all(excess.map(({ path }) => unlink(path).catch(() => {})));
+        this.count = files.length - excess.length;
+      })().finally(() => {
+        this.pruning = null;
+      });
+    }
+    await this.pruning;
+  }
+
+  /**
+   * Удаление записей
+   * @param {string} prefix - Префикс ключей (если не указан - удаляются все записи)
+   * @returns {Promise<number>} Число удаленных записей
+   */
+  async clear(prefix = '') {
+    let removed = 0;
+    for (const file of await this.files()) {
+      const path = join(this.dir, file);
+      try {
+        const { key } = JSON.parse(await readFile(path, 'utf-8'));
+        if (!key.startsWith(prefix)) {
+          continue;
+        }
+      } catch {
+        // Поврежденный файл удаляем вместе с остальными
+      }
+      await unlink(path).catch(() => {});
+      removed++;
+    }
+    this.count = undefined;
+    return removed;
+  }
+
+  /**
+   * Число записей в кэше
+   * @returns {Promise<number>}
+   */
+  async size() {
+    return (await this.files()).length;
+  }
+
+  /**
+   * Список файлов записей
+   * @returns {Promise<Array<string>>}
+   */
+  async files() {
+    try {
+      return (await readdir(this.dir)).filter(file => file.endsWith('.json'));
+    } catch {
+      return [];
+    }
+  }
+}
+
+export default FileCache;
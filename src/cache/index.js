@@ -0,0 +1,153 @@
+/**
+ * Кэширование ответов CDEK API по типам ресурсов
+ * Хранилище подключаемое: в памяти (LRU) или на диске
+ */
+
+import { AsyncLocalStorage } from 'async_hooks';
+import MemoryCache from './memory.js';
+import FileCache from './file.js';
+
+// Время жизни записей по типам ресурсов (в секундах)
+export const DEFAULT_TTLS = {
+  cities: 24 * 60 * 60,
+  offices: 60 * 60,
+  tariffs: 24 * 60 * 60,
+  calculate: 60,
+};
+
+// Контекст запроса: сюда записывается, были ли ответы взяты из кэша
+export const cacheContext = new AsyncLocalStorage();
+
+/**
+ * Стабильная сериализация параметров (ключи объектов по алфавиту)
+ * @param {*} value - Параметры запроса
+ * @returns {string} Строка для ключа кэша
+ */
+const stableStringify = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value);
+};
+
+class ResourceCache {
+  /**
+   * @param {object} store - Хранилище (MemoryCache или FileCache)
+   * @param {object} ttls - Время жизни по типам ресурсов в секундах
+   */
+  constructor(store, ttls = {}) {
+    this.store = store;
+    this.ttls = { ...DEFAULT_TTLS, ...ttls };
+    this.stats = { hits: 0, misses: 0 };
+  }
+
+  /**
+   * Получение значения из кэша или загрузка и сохранение
+   * Ресурсы без TTL (или с TTL 0) не кэшируются
+   * @param {string} resource - Тип ресурса (cities, offices, tariffs, calculate)
+   * @param {*} params - Параметры запроса (из них строится ключ)
+   * @param {Function} loader - Загрузка значения при промахе
+   * @returns {Promise<*>} Значение
+   */
+  async wrap(resource, params, loader) {
+    const ttl = this.ttls[resource];
+    if (!ttl) {
+      return await loader();
+    }
+
+    const key = `${resource}:${stableStringify(params)}`;
+    const cached = await this.store.get(key);
+
+    if (cached !== undefined) {
+      this.record(resource, 'HIT');
+      return cached;
+    }
+
+    this.record(resource, 'MISS');
+    const value = await loader();
+    await this.store.set(key, value, ttl * 1000);
+
+    return value;
+  }
+
+  /**
+   * Учет попадания или промаха (в статистике и в контексте текущего запроса)
+   * @param {string} resource - Тип ресурса
+   * @param {string} status - HIT или MISS
+   */
+  record(resource, status) {
+    if (status === 'HIT') {
+      this.stats.hits++;
+    } else {
+      this.stats.misses++;
+    }
+    cacheContext.getStore()?.push({ resource, status });
+  }
+
+  /**
+   * Очистка кэша
+   * @param {string} resource - Тип ресурса (если не указан - очищается весь кэш)
+   * @returns {Promise<number>} Число удаленных записей
+   */
+  async purge(resource) {
+    return await this.store.clear(resource ? `${resource}:` : '');
+  }
+
+  /**
+   * Статистика кэша
+   * @returns {Promise<object>} {store, size, hits, misses, ttls}
+   */
+  async getStats() {
+    return {
+      store: this.store.constructor.name,
+      size: await this.store.size(),
+      ...this.stats,
+      ttls: this.ttls,
+    };
+  }
+}
+
+/**
+ * Создание кэша по переменным окружения
+ * CACHE_STORE - memory (по умолчанию), file или none
+ * CACHE_DIR - каталог для file (по умолчанию .cache)
+ * CACHE_MAX_ENTRIES - наибольшее число записей для memory и file (по умолчанию 1000)
+ * CACHE_TTL_CITIES, CACHE_TTL_OFFICES, CACHE_TTL_TARIFFS, CACHE_TTL_CALCULATE - TTL в секундах
+ * @param {object} env - Переменные окружения
+ * @returns {ResourceCache|null} Кэш или null, если кэширование отключено
+ */
+export const createCache = (env = process.env) => {
+  const storeType = env.CACHE_STORE || 'memory';
+
+  if (storeType === 'none') {
+    return null;
+  }
+
+  let store;
+  if (storeType === 'file') {
+    store = new FileCache(env.CACHE_DIR || '.cache', parseInt(env.CACHE_MAX_ENTRIES) || 1000);
+  } else if (storeType === 'memory') {
+    store = new MemoryCache(parseInt(env.CACHE_MAX_ENTRIES) || 1000);
+  } else {
+    throw new Error(`Неизвестный CACHE_STORE: ${storeType}. Допустимые значения: memory, file, none`);
+  }
+
+  const ttls = {};
+  for (const resource of Object.keys(DEFAULT_TTLS)) {
+    const value = env[`CACHE_TTL_${resource.toUpperCase()}`];
+    if (value !== undefined && value !== '') {
+      ttls[resource] = parseInt(value);
+    }
+  }
+
+  return new ResourceCache(store, ttls);
+};
+
+export default ResourceCache;
@@ -0,0 +1,77 @@
+/**
+ * Кэш в памяти процесса с вытеснением давно неиспользуемых записей (LRU)
+ */
+
+class MemoryCache {
+  constructor(maxEntries = 1000) {
+    this.maxEntries = maxEntries;
+    // Map сохраняет порядок вставки: первая запись - самая давно использованная
+    this.entries = new Map();
+  }
+
+  /**
+   * Получение значения
+   * @param {string} key - Ключ
+   * @returns {Promise<*>} Значение или undefined, если записи нет или она устарела
+   */
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      return undefined;
+    }
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return undefined;
+    }
+
+    // Переносим запись в конец как недавно использованную
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+
+    return structuredClone(entry.value);
+  }
+
+  /**
+   * Сохранение значения
+   * @param {string} key - Ключ
+   * @param {*} value - Значение (должно поддерживать structuredClone)
+   * @param {number} ttl - Время жизни в мс
+   */
+  async set(key, value, ttl) {
+    this.entries.delete(key);
+    this.entries.set(key, {
+      value: structuredClone(value),
+      expiresAt: Date.now() + ttl,
+    });
+
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  /**
+   * Удаление записей
+   * @param {string} prefix - Префикс ключей (если не указан - удаляются все записи)
+   * @returns {Promise<number>} Число удаленных записей
+   */
+  async clear(prefix = '') {
+    let removed = 0;
+    for (const key of [...this.entries.keys()]) {
+      if (key.startsWith(prefix)) {
+        this.entries.delete(key);
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  /**
+   * Число записей в кэше
+   * @returns {Promise<number>}
+   */
+  async size() {
+    return this.entries.size;
+  }
+}
+
+export default MemoryCache;
@@ -2,12 +2,210 @@
  * Клиент для работы с CDEK API
  */
 
+import { Readable } from 'stream';
 import CDEKAuth from './auth.js';
+import CDEKApiError from './errors.js';
+
+// Виды печатных форм: квитанция к заказу и ШК-места
+export const PRINT_FORM_KINDS = ['orders', 'barcodes'];
+
+// Допустимые форматы печати ШК-мест
+export const BARCODE_FORMATS = ['A4', 'A5', 'A6', 'A7'];
+
+// Повторы запросов по умолчанию: число повторов и задержки в мс
+export const DEFAULT_RETRY = {
+  retries: 2,
+  baseDelay: 300,
+  maxDelay: 5000,
+};
+
+// Время ожидания ответа CDEK по видам операций (мс)
+export const DEFAULT_TIMEOUTS = {
+  auth: 5000, // получение токена
+  read: 10000, // GET-запросы: города, офисы, заказы, печатные формы
+  calculate: 15000, // расчет стоимости
+  write: 30000, // создание и изменение заказов, заявок, подписок
+};
+
+// Режимы запроса расчета по всем тарифам (/calculator/tarifflist):
+// full - все параметры расчета, minimal - только коды городов и места
+// (урезанный запрос, который советует поддержка CDEK при ошибках калькулятора)
+export const CALCULATE_MODES = ['full', 'minimal'];
+
+// Сбои, которые говорят о недоступности CDEK и учитываются выключателем
+const BREAKER_FAILURE_CODES = ['CDEK_UNAVAILABLE', 'CDEK_TIMEOUT', 'CDEK_ERROR', 'CDEK_RATE_LIMITED'];
+
+// Методы, которые можно повторять без риска задвоить операцию
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'];
+
+// Временные ошибки: превышен лимит запросов или сбой на стороне CDEK
+const isRetryableStatus = (status) => status === 429 || status >= 500;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Разбор заголовка Retry-After (секунды или HTTP-дата)
+ * @param {string|null} value - Значение заголовка
+ * @returns {number|null} Задержка в мс или null, если заголовка нет
+ */
+const parseRetryAfter = (value) => {
+  if (!value) {
+    return null;
+  }
+  const seconds = Number(value);
+  if (!isNaN(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+  const date = Date.parse(value);
+  return isNaN(date) ? null : Math.max(0, date - Date.now());
+};
+
+/**
+ * Дата расчета в формате калькулятора CDEK: 2025-03-20T10:00:00+0300
+ * Без даты подставляется текущий момент в часовом поясе сервера,
+ * дата без времени (2025-03-20) считается началом дня по Москве
+ * @param {string} date - Дата (ISO 8601, опционально)
+ * @returns {string} Дата без миллисекунд, смещение - без двоеточия
+ */
+const formatCalculatorDate = (date) => {
+  if (/^\d{4}-\d{2}-\d{2}$/.test(date || '')) {
+    return `${date}T00:00:00+0300`;
+  }
+  if (date) {
+    return date
+      .replace(/\.\d+/, '')
+      .replace(/Z$/, '+0000')
+      .replace(/([+-]\d{2}):(\d{2})$/, '$1$2');
+  }
+
+  const now = new Date();
+  const timezoneOffset = -now.getTimezoneOffset();
+  const hours = Math.floor(Math.abs(timezoneOffset) / 60).toString().padStart(2, '0');
+  const minutes = (Math.abs(timezoneOffset) % 60).toString().padStart(2, '0');
+  const sign = timezoneOffset >= 0 ? '+' : '-';
+  const year = now.getFullYear();
+  const month = String(now.getMonth() + 1).padStart(2, '0');
+  const day = String(now.getDate()).padStart(2, '0');
+  const hour = String(now.getHours()).padStart(2, '0');
+  const minute = String(now.getMinutes()).padStart(2, '0');
+  const second = String(now.getSeconds()).padStart(2, '0');
+  return `${year}-${month}-${day}T${hour}:${minute}:${second}${sign}${hours}${minutes}`;
+};
+
+/**
+ * Формирование локации для калькулятора CDEK
+ * @param {object} location - Локация {code, address}
+ * @returns {object} Локация {code, address}; пустой адрес не передается
+ */
+const formatCalculatorLocation = (location) => {
+  // ВАЖНО: Согласно ответу поддержки CDEK, code должен быть СТРОКОЙ, а не числом!
+  const result = {
+    code: String(location.code),
+  };
+  if (location.address && typeof location.address === 'string' && location.address.trim()) {
+    result.address = location.address.trim();
+  }
+  return result;
+};
+
+/**
+ * Формирование дополнительных услуг для калькулятора CDEK
+ * @param {Array} services - Услуги [{code, parameter}]
+ * @returns {Array|undefined} Услуги или undefined, если их нет
+ */
+const formatCalculatorServices = (services) => (services && services.length > 0
+  ? services.map(svc => ({
+    code: svc.code,
+    parameter: svc.parameter,
+  }))
+  : undefined);
+
+/**
+ * Формирование получателя заказа в формате CDEK
+ * @param {object} recipient - Получатель {name, phones}
+ * @returns {object} Получатель {name, phones: [{number}]}
+ */
+const formatOrderRecipient = (recipient) => ({
+  name: String(recipient.name),
+  phones: Array.isArray(recipient.phones) 
+    ? recipient.phones.map(phone => ({
+        number: String(phone.number || phone),
+      }))
+    : [{ number: String(recipient.phones) }],
+});
+
+/**
+ * Формирование посылок заказа в формате CDEK
+ * @param {Array} packages - Массив посылок [{number, weight, length, width, height, items}]
+ * @returns {Array} Массив посылок
+ */
+const formatOrderPackages = (packages) => packages.map((pkg, index) => ({
+  number: pkg.number || `PACK-${index + 1}`,
+  weight: Number(pkg.weight),
+  length: Number(pkg.length),
+  width: Number(pkg.width),
+  height: Number(pkg.height),
+  items: pkg.items || [],
+}));
+
+/**
+ * Формирование адреса доставки заказа в формате CDEK
+ * @param {object} location - Локация {code, address}
+ * @returns {object} Локация {code, address}
+ */
+const formatOrderLocation = (location) => {
+  const result = {
+    code: String(location.code),
+  };
+  if (location.address) {
+    result.address = String(location.address);
+  }
+  return result;
+};
 
 class CDEKApiClient {
-  constructor(apiUrl, account, securePassword) {
+  /**
+   * @param {string} apiUrl - URL API CDEK
+   * @param {string} account - Account для авторизации
+   * @param {string} securePassword - Secure password для авторизации
+   * @param {object} options - Дополнительные параметры
+   * @param {ResourceCache} options.cache - Кэш для городов, офисов, тарифов и расчетов (опционально)
+   * @param {string} options.cacheScope - Раздел кэша (для клиентов разных договоров с общим кэшем)
+   * @param {object} options.retry - Повторы запросов {retries, baseDelay, maxDelay} (задержки в мс)
+   * @param {object} options.timeouts - Время ожидания ответа {auth, read, calculate, write} в мс
+   * @param {CircuitBreaker} options.breaker - Выключатель для запросов к CDEK (опционально)
+   * @param {string} options.calculateMode - Режим расчета по всем тарифам: full (по умолчанию) или minimal
+   */
+  constructor(apiUrl, account, securePassword, options = {}) {
+    // Незаданные (undefined) параметры берутся по умолчанию
+    const defined = (values = {}) => Object.fromEntries(
+      Object.entries(values).filter(([, value]) => value !== undefined)
+    );
+
     this.apiUrl = apiUrl;
-    this.auth = new CDEKAuth(apiUrl, account, securePassword);
+    this.cache = options.cache || null;
+    this.cacheScope = options.cacheScope || null;
+    this.breaker = options.breaker || null;
+    this.retry = { ...DEFAULT_RETRY, ...defined(options.retry) };
+    this.timeouts = { ...DEFAULT_TIMEOUTS, ...defined(options.timeouts) };
+    this.calculateMode = options.calculateMode || 'full';
+    this.auth = new CDEKAuth(apiUrl, account, securePassword, { timeout: this.timeouts.auth });
+  }
+
+  /**
+   * Получение значения через кэш (если он подключен)
+   * @param {string} resource - Тип ресурса (cities, offices, tariffs, calculate)
+   * @param {*} params - Параметры запроса для ключа кэша
+   * @param {Function} loader - Загрузка значения из CDEK
+   * @returns {Promise<*>} Значение
+   */
+  async cached(resource, params, loader) {
+    if (!this.cache) {
+      return await loader();
+    }
+    // Цены и ПВЗ зависят от договора и окружения CDEK, поэтому у каждого договора свой раздел
+    const key = this.cacheScope ? { scope: this.cacheScope, params } : params;
+    return await this.cache.wrap(resource, key, loader);
   }
 
   /**
@@ -17,10 +215,138 @@ class CDEKApiClient {
    * @returns {Promise<object>} Ответ от API
    */
   async request(endpoint, options = {}) {
-    const token = await this.auth.getToken();
+    const response = await this.send(endpoint, options);
+    return await response.json();
+  }
+
+  /**
+   * Отправка запроса к CDEK API с автоматической авторизацией
+   * В отличие от request не разбирает тело ответа (нужно для загрузки файлов).
+   * Если выключатель разомкнут, сразу выбрасывает CDEKApiError (503) с retryAfter
+   * @param {string} endpoint - Эндпоинт API
+   * @param {object} options - Опции запроса (method, body, headers)
+   * @param {boolean} options.idempotent - Запрос безопасно повторять (по умолчанию - по HTTP-методу)
+   * @param {number} options.timeout - Время ожидания ответа в мс (по умолчанию - read для GET, write для остальных)
+   * @returns {Promise<Response>} Успешный ответ fetch
+   */
+  async send(endpoint, options = {}) {
+    if (this.breaker && !this.breaker.allowRequest()) {
+      throw CDEKApiError.circuitOpen(this.breaker.getRetryAfter(), endpoint);
+    }
 
+    try {
+      const response = await this.sendWithRetries(endpoint, options);
+      this.breaker?.recordSuccess();
+      return response;
+    } catch (error) {
+      // Ошибки во входных данных означают, что CDEK отвечает - выключатель их не учитывает
+      if (error instanceof CDEKApiError && BREAKER_FAILURE_CODES.includes(error.code)) {
+        this.breaker?.recordFailure(error);
+      } else {
+        this.breaker?.recordSuccess();
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Отправка запроса с повторами
+   * При 401 сбрасывает токен и повторяет запрос один раз.
+   * При 429, 5xx, сетевых ошибках и истечении времени ожидания повторяет запрос
+   * с экспоненциальной задержкой, но только для идемпотентных методов и POST,
+   * помеченных idempotent: true
+   * @param {string} endpoint - Эндпоинт API
+   * @param {object} options - Опции запроса (см. send)
+   * @returns {Promise<Response>} Успешный ответ fetch
+   */
+  async sendWithRetries(endpoint, options) {
+    const { idempotent, timeout, ...fetchOptions } = options;
+    const method = (fetchOptions.method || 'GET').toUpperCase();
+    const canRetry = idempotent ?? IDEMPOTENT_METHODS.includes(method);
     const url = endpoint.startsWith('http') ? endpoint : `${this.apiUrl}${endpoint}`;
-    
+    const timeoutMs = timeout ?? (['GET', 'HEAD'].includes(method) ? this.timeouts.read : this.timeouts.write);
+
+    let tokenRefreshed = false;
+    let attempt = 0;
+
+    while (true) {
+      let response;
+      try {
+        response = await this.fetchWithToken(url, {
+          ...fetchOptions,
+          signal: AbortSignal.timeout(timeoutMs),
+        });
+      } catch (error) {
+        // Ошибка авторизации уже разобрана - повторять запрос бессмысленно
+        if (error instanceof CDEKApiError) {
+          throw error;
+        }
+        const isTimeout = error.name === 'TimeoutError';
+        // Сетевая ошибка или истекло время ожидания: повторяем только безопасные запросы
+        if (canRetry && attempt < this.retry.retries) {
+          const delay = this.getRetryDelay(attempt++);
+          console.warn(`CDEK API ${isTimeout ? `не ответил за ${timeoutMs} мс` : `недоступен (${error.message})`}, повтор через ${delay} мс`);
+          await sleep(delay);
+          continue;
+        }
+        throw isTimeout
+          ? CDEKApiError.timeout(timeoutMs, endpoint, error)
+          : CDEKApiError.unavailable(error, endpoint);
+      }
+
+      // Токен мог быть отозван CDEK раньше срока - получаем новый и повторяем один раз
+      if (response.status === 401 && !tokenRefreshed) {
+        tokenRefreshed = true;
+        await response.body?.cancel();
+        this.auth.resetToken();
+        console.warn('CDEK API вернул 401, токен сброшен, повторяем запрос');
+        continue;
+      }
+
+      if (isRetryableStatus(response.status) && canRetry && attempt < this.retry.retries) {
+        const retryAfter = parseRetryAfter(response.headers.get('Retry-After'));
+        // Retry-After дольше максимальной задержки - не ждем, сразу возвращаем ошибку
+        if (retryAfter === null || retryAfter <= this.retry.maxDelay) {
+          const delay = retryAfter ?? this.getRetryDelay(attempt);
+          attempt++;
+          await response.body?.cancel();
+          console.warn(`CDEK API вернул ${response.status}, повтор через ${delay} мс`);
+          await sleep(delay);
+          continue;
+        }
+      }
+
+      if (response.ok) {
+        return response;
+      }
+
+      const errorText = await response.text();
+      let errorData;
+      try {
+        errorData = JSON.parse(errorText);
+      } catch {
+        errorData = { message: errorText };
+      }
+      // Детальное логирование ошибки для отладки
+      console.error('CDEK API Error Details:', JSON.stringify({
+        status: response.status,
+        statusText: response.statusText,
+        url: url,
+        error: errorData,
+      }, null, 2));
+      throw CDEKApiError.fromResponse(response, errorData, endpoint);
+    }
+  }
+
+  /**
+   * Один запрос к CDEK API с текущим токеном
+   * @param {string} url - Полный URL
+   * @param {object} options - Опции запроса (method, body, headers)
+   * @returns {Promise<Response>} Ответ fetch (в том числе неуспешный)
+   */
+  async fetchWithToken(url, options) {
+    const token = await this.auth.getToken();
+
     // Извлекаем body из options, чтобы правильно его обработать
     const { body, ...restOptions } = options;
     
@@ -38,7 +364,7 @@ class CDEKApiClient {
       defaultOptions.body = JSON.stringify(body);
     }
 
-    const response = await fetch(url, {
+    return await fetch(url, {
       ...defaultOptions,
       ...restOptions,
       headers: {
@@ -46,26 +372,16 @@ class CDEKApiClient {
         ...restOptions.headers,
       },
     });
+  }
 
-    if (!response.ok) {
-      const errorText = await response.text();
-      let errorData;
-      try {
-        errorData = JSON.parse(errorText);
-      } catch {
-        errorData = { message: errorText };
-      }
-      // Детальное логирование ошибки для отладки
-      console.error('CDEK API Error Details:', JSON.stringify({
-        status: response.status,
-        statusText: response.statusText,
-        url: url,
-        error: errorData,
-      }, null, 2));
-      throw new Error(`CDEK API Error (${response.status}): ${JSON.stringify(errorData)}`);
-    }
-
-    return await response.json();
+  /**
+   * Задержка перед повтором: экспоненциальная со случайным разбросом (full jitter)
+   * @param {number} attempt - Номер повтора, начиная с 0
+   * @returns {number} Задержка в мс
+   */
+  getRetryDelay(attempt) {
+    const ceiling = Math.min(this.retry.maxDelay, this.retry.baseDelay * 2 ** attempt);
+    return Math.round(Math.random() * ceiling);
   }
 
   /**
@@ -83,34 +399,116 @@ class CDEKApiClient {
       lang: 'rus',
     });
 
+    return await this.cached('cities', Object.fromEntries(params), () =>
+      this.request(`/location/cities?${params.toString()}`)
+    );
+  }
+
+  /**
+   * Города по почтовому индексу
+   * @param {string} postalCode - Почтовый индекс
+   * @param {string} countryCode - Код страны (по умолчанию 'RU')
+   * @returns {Promise<Array>} Города, к которым относится индекс (обычно один)
+   */
+  async getCitiesByPostalCode(postalCode, countryCode = 'RU') {
+    const params = new URLSearchParams({
+      postal_code: postalCode,
+      country_code: countryCode,
+      lang: 'rus',
+    });
+
+    return await this.cached('cities', Object.fromEntries(params), () =>
+      this.request(`/location/cities?${params.toString()}`)
+    );
+  }
+
+  /**
+   * Подсказки городов по части названия
+   * @param {string} name - Название или его часть
+   * @param {string} countryCode - Код страны (по умолчанию 'RU')
+   * @returns {Promise<Array>} [{city_uuid, code, full_name}]; full_name - «Город, Регион, Страна»
+   */
+  async suggestCities(name, countryCode = 'RU') {
+    const params = new URLSearchParams({
+      name,
+      country_code: countryCode,
+    });
+
+    return await this.cached('cities', { endpoint: 'suggest', ...Object.fromEntries(params) }, () =>
+      this.request(`/location/suggest/cities?${params.toString()}`)
+    );
+  }
+
+  /**
+   * Страница списка городов страны (для локального справочника, без кэша)
+   * @param {object} params - Параметры
+   * @param {string} params.countryCode - Код страны (по умолчанию 'RU')
+   * @param {number} params.page - Номер страницы (с 0)
+   * @param {number} params.size - Размер страницы
+   * @returns {Promise<Array>} Города страницы
+   */
+  async listCities({ countryCode = 'RU', page = 0, size = 1000 } = {}) {
+    const params = new URLSearchParams({
+      country_code: countryCode,
+      page: page.toString(),
+      size: size.toString(),
+      lang: 'rus',
+    });
+
     return await this.request(`/location/cities?${params.toString()}`);
   }
 
   /**
-   * Получение списка офисов (ПВЗ) в городе
+   * Город по коду СДЭК
    * @param {number} cityCode - Код города СДЭК
+   * @returns {Promise<object|null>} Город (с регионом region_code) или null, если не найден
+   */
+  async getCity(cityCode) {
+    const params = new URLSearchParams({
+      code: cityCode.toString(),
+      lang: 'rus',
+    });
+
+    const cities = await this.cached('cities', Object.fromEntries(params), () =>
+      this.request(`/location/cities?${params.toString()}`)
+    );
+    return cities[0] || null;
+  }
+
+  /**
+   * Получение списка офисов (ПВЗ) в городе
+   * @param {number} cityCode - Код города СДЭК (без него - офисы по фильтрам, например country_code)
    * @param {object} filters - Дополнительные фильтры
    * @returns {Promise<Array>} Массив офисов
    */
   async getOffices(cityCode, filters = {}) {
     const params = new URLSearchParams({
-      city_code: cityCode.toString(),
+      ...(cityCode ? { city_code: cityCode.toString() } : {}),
       lang: 'rus',
       ...Object.fromEntries(
         Object.entries(filters).map(([key, value]) => [key, value.toString()])
       ),
     });
 
-    return await this.request(`/deliverypoints?${params.toString()}`);
+    return await this.cached('offices', Object.fromEntries(params), () =>
+      this.request(`/deliverypoints?${params.toString()}`)
+    );
   }
 
   /**
    * Расчет стоимости доставки по всем доступным тарифам
+   * В режиме minimal (calculateMode) передаются только коды городов и места,
+   * остальные параметры не отправляются, а в warnings ответа добавляется предупреждение
    * @param {object} params - Параметры расчета
    * @param {object} params.fromLocation - Локация отправления {code, address}
    * @param {object} params.toLocation - Локация получения {code, address}
    * @param {Array} params.packages - Массив посылок [{weight, length, width, height}]
-   * @param {string} params.date - Дата отправки (ISO 8601)
+   * @param {string} params.date - Дата передачи заказа в CDEK (ISO 8601, по умолчанию - сегодня)
+   * @param {number} params.type - Тип заказа (1 - интернет-магазин, 2 - доставка)
+   * @param {number} params.currency - Код валюты расчета CDEK (по умолчанию - валюта договора)
+   * @param {string} params.lang - Язык названий тарифов ('rus', 'eng', 'zho')
+   * @param {Array} params.additional_order_types - Дополнительные типы заказа CDEK
+   * @param {Array} params.services - Дополнительные услуги [{code, parameter}]
    * @returns {Promise<object>} Результат расчета
    */
   async calculateDelivery(params) {
@@ -123,34 +521,9 @@ class CDEKApiClient {
       currency,
       lang,
       additional_order_types,
+      services,
     } = params;
 
-    // ВАЖНО: Согласно ответу поддержки CDEK, code должен быть СТРОКОЙ, а не числом!
-    // Минимальный запрос содержит только обязательные поля:
-    // - from_location.code (строка)
-    // - to_location.code (строка)
-    // - packages (массив с weight, length, width, height)
-
-    // Формируем локации: code обязателен и должен быть СТРОКОЙ
-    // Согласно примеру поддержки, address НЕ используется в минимальном запросе
-    const from_location = {
-      code: String(fromLocation.code), // ВАЖНО: строка, не число!
-    };
-    // ВАЖНО: В минимальном запросе address НЕ передаем (как в примере поддержки)
-    // Раскомментируйте, если нужно передавать address:
-    // if (fromLocation.address && typeof fromLocation.address === 'string' && fromLocation.address.trim()) {
-    //   from_location.address = fromLocation.address.trim();
-    // }
-
-    const to_location = {
-      code: String(toLocation.code), // ВАЖНО: строка, не число!
-    };
-    // ВАЖНО: В минимальном запросе address НЕ передаем (как в примере поддержки)
-    // Раскомментируйте, если нужно передавать address:
-    // if (toLocation.address && typeof toLocation.address === 'string' && toLocation.address.trim()) {
-    //   to_location.address = toLocation.address.trim();
-    // }
-
     // Формируем посылки с проверкой типов
     const packagesArray = packages.map(pkg => {
       const weight = Number(pkg.weight);
@@ -174,19 +547,34 @@ class CDEKApiClient {
       throw new Error('packages должен быть непустым массивом');
     }
 
-    // Создаем минимальный body ТОЧНО как в примере поддержки CDEK
-    // Только обязательные поля: from_location, to_location, packages
-    const body = {
-      from_location,
-      to_location,
-      packages: packagesArray,
+    // Необязательные поля передаются, только если они указаны
+    const options = {
+      date: date ? formatCalculatorDate(date) : undefined,
+      type: type === undefined ? undefined : Number(type),
+      currency: currency === undefined ? undefined : Number(currency),
+      lang,
+      additional_order_types: additional_order_types?.length > 0 ? additional_order_types.map(Number) : undefined,
+      services: formatCalculatorServices(services),
     };
+    const from_location = formatCalculatorLocation(fromLocation);
+    const to_location = formatCalculatorLocation(toLocation);
 
-    // ВАЖНО: Согласно примеру поддержки, минимальный запрос содержит ТОЛЬКО эти три поля
-    // Опциональные поля добавляем только если они явно указаны и нужны
-    // Но для начала используем минимальный запрос без них
-    
-    // Очищаем body от undefined значений (на всякий случай)
+    // Минимальный запрос по образцу поддержки CDEK: code СТРОКОЙ и места, без адресов
+    const minimal = this.calculateMode === 'minimal';
+    const body = minimal
+      ? {
+        from_location: { code: from_location.code },
+        to_location: { code: to_location.code },
+        packages: packagesArray,
+      }
+      : {
+        ...options,
+        from_location,
+        to_location,
+        packages: packagesArray,
+      };
+
+    // Очищаем body от undefined значений
     const cleanBody = JSON.parse(JSON.stringify(body));
 
     // Логирование для отладки (можно отключить в production)
@@ -194,10 +582,33 @@ class CDEKApiClient {
       console.log('CDEK API Request:', JSON.stringify(cleanBody, null, 2));
     }
 
-    return await this.request('/calculator/tarifflist', {
-      method: 'POST',
-      body: cleanBody,
-    });
+    const result = await this.cached('calculate', { endpoint: 'tarifflist', ...cleanBody }, () =>
+      this.request('/calculator/tarifflist', {
+        method: 'POST',
+        body: cleanBody,
+        idempotent: true,
+        timeout: this.timeouts.calculate,
+      })
+    );
+
+    // Параметры, которые не попали в минимальный запрос, не должны пропадать незаметно
+    const skipped = [
+      ...Object.keys(JSON.parse(JSON.stringify(options))),
+      ...(from_location.address || to_location.address ? ['address'] : []),
+    ];
+    if (!minimal || skipped.length === 0) {
+      return result;
+    }
+    return {
+      ...result,
+      warnings: [
+        ...(result.warnings || []),
+        {
+          code: 'minimal_request',
+          message: `Расчет в режиме minimal: в CDEK не переданы ${skipped.join(', ')}`,
+        },
+      ],
+    };
   }
 
   /**
@@ -208,6 +619,11 @@ class CDEKApiClient {
    * @param {object} params.toLocation - Локация получения
    * @param {Array} params.packages - Массив посылок
    * @param {Array} params.services - Дополнительные услуги
+   * @param {string} params.date - Дата передачи заказа в CDEK (ISO 8601, по умолчанию - сейчас)
+   * @param {number} params.type - Тип заказа (1 - интернет-магазин, 2 - доставка)
+   * @param {number} params.currency - Код валюты расчета CDEK (по умолчанию 1 - рубли)
+   * @param {string} params.lang - Язык ответа (по умолчанию 'rus')
+   * @param {Array} params.additional_order_types - Дополнительные типы заказа CDEK
    * @returns {Promise<object>} Результат расчета
    */
   async calculateDeliveryByTariff(params) {
@@ -218,52 +634,23 @@ class CDEKApiClient {
       packages,
       services = [],
       date,
+      type,
       currency = 1,
+      lang = 'rus',
+      additional_order_types,
       shipmentPoint, // Код ПВЗ отправления (для тарифа 751)
       deliveryPoint, // Код ПВЗ доставки (для тарифа 751)
     } = params;
 
-    // Форматируем дату так же, как в calculateDelivery
-    let formattedDate = date;
-    if (!formattedDate) {
-      const now = new Date();
-      const timezoneOffset = -now.getTimezoneOffset();
-      const hours = Math.floor(Math.abs(timezoneOffset) / 60).toString().padStart(2, '0');
-      const minutes = (Math.abs(timezoneOffset) % 60).toString().padStart(2, '0');
-      const sign = timezoneOffset >= 0 ? '+' : '-';
-      const year = now.getFullYear();
-      const month = String(now.getMonth() + 1).padStart(2, '0');
-      const day = String(now.getDate()).padStart(2, '0');
-      const hour = String(now.getHours()).padStart(2, '0');
-      const minute = String(now.getMinutes()).padStart(2, '0');
-      const second = String(now.getSeconds()).padStart(2, '0');
-      formattedDate = `${year}-${month}-${day}T${hour}:${minute}:${second}${sign}${hours}${minutes}`;
-    } else {
-      formattedDate = formattedDate.replace(/\.\d{3}/, '');
-    }
-
-    // ВАЖНО: Согласно ответу поддержки CDEK, code должен быть СТРОКОЙ, а не числом!
-    const from_location = {
-      code: String(fromLocation.code), // ВАЖНО: строка, не число!
-    };
-    if (fromLocation.address && typeof fromLocation.address === 'string' && fromLocation.address.trim()) {
-      from_location.address = fromLocation.address.trim();
-    }
-
-    const to_location = {
-      code: String(toLocation.code), // ВАЖНО: строка, не число!
-    };
-    if (toLocation.address && typeof toLocation.address === 'string' && toLocation.address.trim()) {
-      to_location.address = toLocation.address.trim();
-    }
-
     const body = {
       tariff_code: Number(tariffCode),
-      date: formattedDate,
+      date: formatCalculatorDate(date),
+      type: type === undefined ? undefined : Number(type),
       currency: Number(currency),
-      lang: 'rus',
-      from_location,
-      to_location,
+      lang,
+      additional_order_types: additional_order_types?.length > 0 ? additional_order_types.map(Number) : undefined,
+      from_location: formatCalculatorLocation(fromLocation),
+      to_location: formatCalculatorLocation(toLocation),
       packages: packages.map(pkg => {
         const weight = Number(pkg.weight);
         const length = Number(pkg.length);
@@ -281,16 +668,9 @@ class CDEKApiClient {
           height: height,
         };
       }),
+      services: formatCalculatorServices(services),
     };
 
-    // Добавляем services только если они есть
-    if (services && services.length > 0) {
-      body.services = services.map(svc => ({
-        code: svc.code,
-        parameter: svc.parameter,
-      }));
-    }
-
     // Для тарифа 751 (склад-склад) добавляем shipment_point и delivery_point
     if (shipmentPoint) {
       body.shipment_point = String(shipmentPoint);
@@ -304,10 +684,16 @@ class CDEKApiClient {
 
     console.log('CDEK API Request (by tariff):', JSON.stringify(cleanBody, null, 2));
 
-    return await this.request('/calculator/tariff', {
-      method: 'POST',
-      body: cleanBody,
-    });
+    // Автоматически подставленная дата меняется каждую секунду - в ключ кэша ее не включаем
+    const { date: requestDate, ...cacheKey } = cleanBody;
+    return await this.cached('calculate', { endpoint: 'tariff', ...cacheKey, date: date ? requestDate : undefined }, () =>
+      this.request('/calculator/tariff', {
+        method: 'POST',
+        body: cleanBody,
+        idempotent: true,
+        timeout: this.timeouts.calculate,
+      })
+    );
   }
 
   /**
@@ -321,6 +707,16 @@ class CDEKApiClient {
    * @returns {Promise<Array>} Массив доступных тарифов с описаниями
    */
   async getTariffs(lang = 'rus', options = {}) {
+    return await this.cached('tariffs', { lang, ...options }, () => this.loadTariffs(lang, options));
+  }
+
+  /**
+   * Загрузка списка тарифов из CDEK (без кэша)
+   * @param {string} lang - Язык ответа
+   * @param {object} options - Параметры расчета для альтернативного способа
+   * @returns {Promise<Array>} Массив тарифов
+   */
+  async loadTariffs(lang, options) {
     // Пробуем сначала прямой эндпоинт (может быть доступен в продакшн API)
     try {
       return await this.request('/calculator/tariffs', {
@@ -331,8 +727,7 @@ class CDEKApiClient {
       });
     } catch (error) {
       // Если эндпоинт недоступен (404), используем альтернативный подход
-      // Проверяем, что это именно 404 ошибка
-      if (error.message && error.message.includes('404')) {
+      if (error.status === 404) {
         console.log('Эндпоинт /calculator/tariffs недоступен, используем альтернативный метод');
         
         // Получаем список тарифов через расчет стоимости с минимальными параметрами
@@ -374,6 +769,7 @@ class CDEKApiClient {
    * @param {string} params.number - Номер заказа
    * @param {number} params.tariffCode - Код тарифа
    * @param {string} params.shipmentPoint - Код ПВЗ отправления (опционально)
+   * @param {object} params.fromLocation - Адрес отправления {code, address} для тарифов от двери (опционально, альтернатива shipmentPoint)
    * @param {string} params.deliveryPoint - Код ПВЗ доставки (опционально, если указан toLocation - не используется)
    * @param {object} params.toLocation - Локация доставки {code, address} (опционально, альтернатива deliveryPoint)
    * @param {object} params.recipient - Получатель {name, phones}
@@ -386,6 +782,7 @@ class CDEKApiClient {
       number,
       tariffCode,
       shipmentPoint,
+      fromLocation,
       deliveryPoint,
       toLocation,
       recipient,
@@ -409,27 +806,15 @@ class CDEKApiClient {
       type: Number(type),
       number: String(number),
       tariff_code: Number(tariffCode),
-      recipient: {
-        name: String(recipient.name),
-        phones: Array.isArray(recipient.phones) 
-          ? recipient.phones.map(phone => ({
-              number: String(phone.number || phone),
-            }))
-          : [{ number: String(recipient.phones) }],
-      },
-      packages: packages.map((pkg, index) => ({
-        number: pkg.number || `PACK-${index + 1}`,
-        weight: Number(pkg.weight),
-        length: Number(pkg.length),
-        width: Number(pkg.width),
-        height: Number(pkg.height),
-        items: pkg.items || [],
-      })),
+      recipient: formatOrderRecipient(recipient),
+      packages: formatOrderPackages(packages),
     };
 
-    // shipment_point - код ПВЗ отправления (опционально)
+    // shipment_point - код ПВЗ отправления или from_location - адрес, откуда забрать посылки
     if (shipmentPoint) {
       body.shipment_point = String(shipmentPoint);
+    } else if (fromLocation) {
+      body.from_location = formatOrderLocation(fromLocation);
     }
 
     // delivery_point или to_location - для доставки
@@ -438,24 +823,452 @@ class CDEKApiClient {
       body.delivery_point = String(deliveryPoint);
     } else if (toLocation) {
       // Доставка до адреса (до двери)
-      body.to_location = {
-        code: String(toLocation.code),
-      };
-      if (toLocation.address) {
-        body.to_location.address = String(toLocation.address);
-      }
+      body.to_location = formatOrderLocation(toLocation);
     } else {
       throw new Error('Необходимо указать либо deliveryPoint, либо toLocation');
     }
 
-    console.log('CDEK API Create Order Request:', JSON.stringify(body, null, 2));
+    // В теле - данные получателя (имя, телефоны, адрес): в production не логируем
+    if (process.env.NODE_ENV !== 'production') {
+      console.log('CDEK API Create Order Request:', JSON.stringify(body, null, 2));
+    }
+
+    return await this.request('/orders', {
+      method: 'POST',
+      body: body,
+    });
+  }
+
+  /**
+   * Изменение заказа
+   * Передаются только изменяемые поля: получатель, ПВЗ, адрес доставки или посылки
+   * @param {string} uuid - Идентификатор заказа в ИС СДЭК
+   * @param {object} params - Изменяемые поля заказа
+   * @param {number} params.tariffCode - Код тарифа
+   * @param {string} params.shipmentPoint - Код ПВЗ отправления
+   * @param {string} params.deliveryPoint - Код ПВЗ доставки
+   * @param {object} params.toLocation - Локация доставки {code, address}
+   * @param {object} params.recipient - Получатель {name, phones}
+   * @param {Array} params.packages - Массив посылок
+   * @returns {Promise<object>} Состояние запроса {entity, requests}
+   */
+  async updateOrder(uuid, params) {
+    const {
+      tariffCode,
+      shipmentPoint,
+      deliveryPoint,
+      toLocation,
+      recipient,
+      packages,
+    } = params;
+
+    if (!uuid) {
+      throw new Error('UUID заказа обязателен');
+    }
+    if (recipient && !recipient.name) {
+      throw new Error('Получатель обязателен');
+    }
+    if (packages && packages.length === 0) {
+      throw new Error('Посылки обязательны');
+    }
+    if (deliveryPoint && toLocation) {
+      throw new Error('Необходимо указать либо deliveryPoint, либо toLocation');
+    }
+
+    const body = {
+      uuid: String(uuid),
+    };
+
+    if (tariffCode) {
+      body.tariff_code = Number(tariffCode);
+    }
+    if (shipmentPoint) {
+      body.shipment_point = String(shipmentPoint);
+    }
+    if (deliveryPoint) {
+      body.delivery_point = String(deliveryPoint);
+    }
+    if (toLocation) {
+      body.to_location = formatOrderLocation(toLocation);
+    }
+    if (recipient) {
+      body.recipient = formatOrderRecipient(recipient);
+    }
+    if (packages) {
+      body.packages = formatOrderPackages(packages);
+    }
+
+    if (Object.keys(body).length === 1) {
+      throw new Error('Не указаны поля для изменения заказа');
+    }
+
+    // В теле - данные получателя (имя, телефоны, адрес): в production не логируем
+    if (process.env.NODE_ENV !== 'production') {
+      console.log('CDEK API Update Order Request:', JSON.stringify(body, null, 2));
+    }
 
     return await this.request('/orders', {
+      method: 'PATCH',
+      body: body,
+    });
+  }
+
+  /**
+   * Удаление (отмена) заказа
+   * CDEK позволяет удалить заказ, пока он не передан на доставку
+   * @param {string} uuid - Идентификатор заказа в ИС СДЭК
+   * @returns {Promise<object>} Состояние запроса {entity, requests}
+   */
+  async deleteOrder(uuid) {
+    if (!uuid) {
+      throw new Error('UUID заказа обязателен');
+    }
+
+    return await this.request(`/orders/${encodeURIComponent(uuid)}`, {
+      method: 'DELETE',
+    });
+  }
+
+  /**
+   * Получение информации о заказе по UUID
+   * @param {string} uuid - Идентификатор заказа в ИС СДЭК
+   * @returns {Promise<object>} Заказ {entity, requests, related_entities}
+   */
+  async getOrder(uuid) {
+    if (!uuid) {
+      throw new Error('UUID заказа обязателен');
+    }
+
+    return await this.request(`/orders/${encodeURIComponent(uuid)}`);
+  }
+
+  /**
+   * Получение информации о заказе по номеру
+   * @param {object} params - Параметры поиска (нужен хотя бы один)
+   * @param {string} params.imNumber - Номер заказа в ИС клиента
+   * @param {string} params.cdekNumber - Номер заказа СДЭК
+   * @returns {Promise<object>} Заказ {entity, requests, related_entities}
+   */
+  async getOrderByNumber(params) {
+    const { imNumber, cdekNumber } = params;
+
+    if (!imNumber && !cdekNumber) {
+      throw new Error('Необходимо указать imNumber или cdekNumber');
+    }
+
+    const query = new URLSearchParams();
+    if (cdekNumber) {
+      query.set('cdek_number', String(cdekNumber));
+    }
+    if (imNumber) {
+      query.set('im_number', String(imNumber));
+    }
+
+    return await this.request(`/orders?${query.toString()}`);
+  }
+
+  /**
+   * Запрос печатной формы (квитанции или ШК-места) для одного или нескольких заказов
+   * @param {string} kind - Вид формы: 'orders' (квитанция) или 'barcodes' (ШК-места)
+   * @param {Array<string>} orderUuids - UUID заказов
+   * @param {object} options - Параметры формы
+   * @param {number} options.copies - Число копий (по умолчанию 1 для ШК, 2 для квитанции)
+   * @param {string} options.format - Формат ШК-места: A4, A5, A6, A7 (только для 'barcodes')
+   * @returns {Promise<object>} Результат регистрации {entity: {uuid}, requests}
+   */
+  async createPrintForm(kind, orderUuids, options = {}) {
+    const { copies, format } = options;
+
+    if (!PRINT_FORM_KINDS.includes(kind)) {
+      throw new Error(`Неизвестный вид печатной формы: ${kind}`);
+    }
+    if (!Array.isArray(orderUuids) || orderUuids.length === 0) {
+      throw new Error('Необходимо указать хотя бы один UUID заказа');
+    }
+
+    const body = {
+      orders: orderUuids.map(uuid => ({ order_uuid: String(uuid) })),
+    };
+    if (copies) {
+      body.copy_count = Number(copies);
+    }
+    if (kind === 'barcodes' && format) {
+      body.format = String(format);
+      body.lang = 'RUS';
+    }
+
+    return await this.request(`/print/${kind}`, {
+      method: 'POST',
+      body: body,
+    });
+  }
+
+  /**
+   * Получение состояния печатной формы
+   * @param {string} kind - Вид формы: 'orders' или 'barcodes'
+   * @param {string} uuid - Идентификатор печатной формы
+   * @returns {Promise<object>} Печатная форма {entity: {uuid, url, statuses}}
+   */
+  async getPrintForm(kind, uuid) {
+    return await this.request(`/print/${kind}/${encodeURIComponent(uuid)}`);
+  }
+
+  /**
+   * Ожидание готовности печатной формы
+   * Опрашивает CDEK, пока последний статус формы не станет READY
+   * @param {string} kind - Вид формы: 'orders' или 'barcodes'
+   * @param {string} uuid - Идентификатор печатной формы
+   * @param {object} options - Параметры опроса
+   * @param {number} options.timeout - Максимальное время ожидания в мс (по умолчанию 30000)
+   * @param {number} options.interval - Интервал между запросами в мс (по умолчанию 1000)
+   * @returns {Promise<object>} Готовая печатная форма (entity)
+   */
+  async waitForPrintForm(kind, uuid, options = {}) {
+    const { timeout = 30000, interval = 1000 } = options;
+    const deadline = Date.now() + timeout;
+
+    while (true) {
+      const { entity = {} } = await this.getPrintForm(kind, uuid);
+      const statuses = entity.statuses || [];
+      const status = statuses[statuses.length - 1]?.code;
+
+      if (status === 'READY') {
+        return entity;
+      }
+      if (status === 'INVALID' || status === 'REMOVED') {
+        throw new CDEKApiError(`CDEK не смог сформировать печатную форму ${uuid} (статус ${status})`, {
+          status: 422,
+          endpoint: `/print/${kind}/${uuid}`,
+          data: entity,
+        });
+      }
+      if (Date.now() + interval > deadline) {
+        throw new CDEKApiError(`Печатная форма ${uuid} не готова за ${timeout} мс (статус ${status || 'неизвестен'})`, {
+          status: 504,
+          endpoint: `/print/${kind}/${uuid}`,
+        });
+      }
+
+      await new Promise(resolve => setTimeout(resolve, interval));
+    }
+  }
+
+  /**
+   * Формирование печатной формы и получение PDF
+   * @param {string} kind - Вид формы: 'orders' (квитанция) или 'barcodes' (ШК-места)
+   * @param {Array<string>} orderUuids - UUID заказов
+   * @param {object} options - Параметры формы и опроса (copies, format, timeout, interval)
+   * @returns {Promise<Readable>} Поток с PDF-файлом
+   */
+  async getPrintFormPdf(kind, orderUuids, options = {}) {
+    const result = await this.createPrintForm(kind, orderUuids, options);
+    const uuid = result.entity?.uuid;
+
+    if (!uuid) {
+      throw new Error('CDEK не вернул UUID печатной формы');
+    }
+
+    await this.waitForPrintForm(kind, uuid, options);
+
+    const response = await this.send(`/print/${kind}/${encodeURIComponent(uuid)}.pdf`, {
+      headers: {
+        'Accept': 'application/pdf',
+      },
+    });
+
+    return Readable.fromWeb(response.body);
+  }
+
+  /**
+   * Создание заявки на вызов курьера (забор груза)
+   * @param {object} params - Параметры заявки
+   * @param {string} params.date - Дата ожидания курьера (YYYY-MM-DD)
+   * @param {string} params.timeFrom - Время начала ожидания (HH:MM)
+   * @param {string} params.timeTo - Время окончания ожидания (HH:MM)
+   * @param {object} params.fromLocation - Адрес забора {code, address}
+   * @param {object} params.sender - Отправитель {company, name, phones}
+   * @param {number} params.weight - Общий вес груза в граммах
+   * @param {string} params.orderUuid - UUID заказа, к которому привязывается заявка (опционально)
+   * @param {string} params.name - Описание груза (опционально)
+   * @param {string} params.comment - Комментарий для курьера (опционально)
+   * @param {boolean} params.needCall - Нужен ли звонок отправителю (опционально)
+   * @returns {Promise<object>} Результат создания заявки {entity: {uuid}, requests}
+   */
+  async createIntake(params) {
+    const {
+      date,
+      timeFrom,
+      timeTo,
+      fromLocation,
+      sender,
+      weight,
+      orderUuid,
+      name = 'Товары интернет-магазина',
+      comment,
+      needCall,
+    } = params;
+
+    if (!date || !timeFrom || !timeTo) {
+      throw new Error('Дата и время ожидания курьера обязательны');
+    }
+    // Без привязки к заказу CDEK требует адрес, отправителя и вес груза
+    if (!orderUuid) {
+      if (!fromLocation || !fromLocation.code || !fromLocation.address) {
+        throw new Error('Адрес забора груза обязателен');
+      }
+      if (!sender || !sender.name || !sender.phones) {
+        throw new Error('Отправитель обязателен');
+      }
+      if (!weight) {
+        throw new Error('Вес груза обязателен');
+      }
+    }
+
+    const body = {
+      intake_date: String(date),
+      intake_time_from: String(timeFrom),
+      intake_time_to: String(timeTo),
+      name: String(name),
+    };
+
+    if (orderUuid) {
+      body.order_uuid = String(orderUuid);
+    }
+    if (weight) {
+      body.weight = Number(weight);
+    }
+    if (fromLocation) {
+      body.from_location = formatOrderLocation(fromLocation);
+    }
+    if (sender) {
+      body.sender = formatOrderRecipient(sender);
+      if (sender.company) {
+        body.sender.company = String(sender.company);
+      }
+    }
+    if (comment) {
+      body.comment = String(comment);
+    }
+    if (needCall !== undefined) {
+      body.need_call = Boolean(needCall);
+    }
+
+    // В теле - контакты отправителя: в production не логируем
+    if (process.env.NODE_ENV !== 'production') {
+      console.log('CDEK API Create Intake Request:', JSON.stringify(body, null, 2));
+    }
+
+    return await this.request('/intakes', {
       method: 'POST',
       body: body,
     });
   }
+
+  /**
+   * Получение заявки на вызов курьера
+   * @param {string} uuid - Идентификатор заявки
+   * @returns {Promise<object>} Заявка {entity, requests}
+   */
+  async getIntake(uuid) {
+    if (!uuid) {
+      throw new Error('UUID заявки обязателен');
+    }
+
+    return await this.request(`/intakes/${encodeURIComponent(uuid)}`);
+  }
+
+  /**
+   * Отмена (удаление) заявки на вызов курьера
+   * @param {string} uuid - Идентификатор заявки
+   * @returns {Promise<object>} Состояние запроса {entity, requests}
+   */
+  async deleteIntake(uuid) {
+    if (!uuid) {
+      throw new Error('UUID заявки обязателен');
+    }
+
+    return await this.request(`/intakes/${encodeURIComponent(uuid)}`, {
+      method: 'DELETE',
+    });
+  }
+
+  /**
+   * Получение дней, доступных для вызова курьера
+   * @param {object} params - Параметры
+   * @param {object} params.fromLocation - Адрес забора {code, address}
+   * @param {string} params.date - Дата, начиная с которой искать (YYYY-MM-DD, опционально)
+   * @returns {Promise<object>} Доступные дни {date: [...], all_days, errors}
+   */
+  async getIntakeAvailableDays(params) {
+    const { fromLocation, date } = params;
+
+    if (!fromLocation || !fromLocation.code) {
+      throw new Error('Код города забора груза обязателен');
+    }
+
+    const body = {
+      from_location: formatOrderLocation(fromLocation),
+    };
+    if (date) {
+      body.date = String(date);
+    }
+
+    return await this.request('/intakes/availableDays', {
+      method: 'POST',
+      body: body,
+      idempotent: true,
+      timeout: this.timeouts.read,
+    });
+  }
+
+  /**
+   * Подписка на вебхуки CDEK
+   * @param {object} params - Параметры подписки
+   * @param {string} params.url - URL, на который CDEK будет отправлять события
+   * @param {string} params.type - Тип события (ORDER_STATUS, PRINT_FORM, DOWNLOAD_PHOTO)
+   * @returns {Promise<object>} Результат регистрации {entity: {uuid}, requests}
+   */
+  async createWebhook(params) {
+    const { url, type } = params;
+
+    if (!url) {
+      throw new Error('URL вебхука обязателен');
+    }
+    if (!type) {
+      throw new Error('Тип события вебхука обязателен');
+    }
+
+    return await this.request('/webhooks', {
+      method: 'POST',
+      body: {
+        url: String(url),
+        type: String(type),
+      },
+    });
+  }
+
+  /**
+   * Получение списка подписок на вебхуки
+   * @returns {Promise<Array>} Массив подписок [{uuid, url, type}]
+   */
+  async getWebhooks() {
+    return await this.request('/webhooks');
+  }
+
+  /**
+   * Удаление подписки на вебхук
+   * @param {string} uuid - Идентификатор подписки
+   * @returns {Promise<object>} Результат удаления {entity, requests}
+   */
+  async deleteWebhook(uuid) {
+    if (!uuid) {
+      throw new Error('UUID подписки обязателен');
+    }
+
+    return await this.request(`/webhooks/${encodeURIComponent(uuid)}`, {
+      method: 'DELETE',
+    });
+  }
 }
 
 export default CDEKApiClient;
-
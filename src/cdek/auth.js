@@ -3,8 +3,17 @@
  * Управляет получением и кэшированием токена доступа
  */
 
+import CDEKApiError from './errors.js';
+
 class CDEKAuth {
-  constructor(apiUrl, account, securePassword) {
+  /**
+   * @param {string} apiUrl - URL API CDEK
+   * @param {string} account - Account для авторизации
+   * @param {string} securePassword - Secure password для авторизации
+   * @param {object} options - Дополнительные параметры
+   * @param {number} options.timeout - Время ожидания токена в мс (по умолчанию 5000)
+   */
+  constructor(apiUrl, account, securePassword, options = {}) {
     if (!apiUrl) {
       throw new Error('CDEK_API_URL не задан. Проверьте файл .env');
     }
@@ -18,6 +27,7 @@ class CDEKAuth {
     this.apiUrl = apiUrl;
     this.account = account;
     this.securePassword = securePassword;
+    this.timeout = options.timeout || 5000;
     this.token = null;
     this.tokenExpiresAt = null;
   }
@@ -44,11 +54,21 @@ class CDEKAuth {
           client_id: this.account,
           client_secret: this.securePassword,
         }),
+        signal: AbortSignal.timeout(this.timeout),
       });
 
       if (!response.ok) {
         const errorText = await response.text();
-        throw new Error(`Ошибка авторизации: ${response.status} ${errorText}`);
+        let errorData;
+        try {
+          errorData = JSON.parse(errorText);
+        } catch {
+          errorData = { message: errorText };
+        }
+        // 400/401/403 - отказ в учетных данных сервиса (а не ошибка запроса клиента);
+        // 429 и 5xx - сбой CDEK: код по статусу, чтобы его учел выключатель
+        const isUnavailable = response.status === 429 || response.status >= 500;
+        throw CDEKApiError.fromResponse(response, errorData, '/oauth/token', isUnavailable ? undefined : 'CDEK_AUTH_ERROR');
       }
 
       const data = await response.json();
@@ -62,6 +82,9 @@ class CDEKAuth {
       return this.token;
     } catch (error) {
       console.error('Ошибка при получении токена CDEK:', error);
+      if (error.name === 'TimeoutError') {
+        throw CDEKApiError.timeout(this.timeout, '/oauth/token', error);
+      }
       throw error;
     }
   }
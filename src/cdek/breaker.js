@@ -0,0 +1,129 @@
+/**
+ * Автоматический выключатель (circuit breaker) для запросов к CDEK API
+ * После нескольких сбоев подряд перестает обращаться к CDEK и сразу отвечает ошибкой,
+ * через resetTimeout пропускает один пробный запрос
+ */
+
+// Состояния выключателя
+export const BREAKER_STATES = {
+  CLOSED: 'CLOSED', // запросы проходят
+  OPEN: 'OPEN', // запросы отклоняются без обращения к CDEK
+  HALF_OPEN: 'HALF_OPEN', // пропускается один пробный запрос
+};
+
+class CircuitBreaker {
+  /**
+   * @param {object} options - Параметры
+   * @param {number} options.failureThreshold - Число сбоев подряд до размыкания (по умолчанию 5)
+   * @param {number} options.resetTimeout - Через сколько мс пропустить пробный запрос (по умолчанию 30000)
+   */
+  constructor(options = {}) {
+    const { failureThreshold = 5, resetTimeout = 30000 } = options;
+
+    this.failureThreshold = failureThreshold;
+    this.resetTimeout = resetTimeout;
+    this.reset();
+  }
+
+  /**
+   * Возврат в исходное (замкнутое) состояние
+   */
+  reset() {
+    this.state = BREAKER_STATES.CLOSED;
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+    this.lastFailure = null;
+    this.stats = { successes: 0, failures: 0, rejected: 0 };
+  }
+
+  /**
+   * Можно ли сейчас отправить запрос
+   * В полуоткрытом состоянии разрешает только один пробный запрос
+   * @returns {boolean}
+   */
+  allowRequest() {
+    if (this.state === BREAKER_STATES.OPEN && Date.now() - this.openedAt >= this.resetTimeout) {
+      this.state = BREAKER_STATES.HALF_OPEN;
+      this.trialInFlight = false;
+    }
+
+    if (this.state === BREAKER_STATES.CLOSED) {
+      return true;
+    }
+    if (this.state === BREAKER_STATES.HALF_OPEN && !this.trialInFlight) {
+      this.trialInFlight = true;
+      return true;
+    }
+
+    this.stats.rejected++;
+    return false;
+  }
+
+  /**
+   * Учет успешного запроса: выключатель замыкается
+   */
+  recordSuccess() {
+    this.stats.successes++;
+    this.state = BREAKER_STATES.CLOSED;
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  /**
+   * Учет сбоя: после failureThreshold сбоев подряд (или сбоя пробного запроса) выключатель размыкается
+   * @param {Error} error - Ошибка запроса
+   */
+  recordFailure(error) {
+    this.stats.failures++;
+    this.failures++;
+    this.lastFailure = {
+      message: error?.message,
+      code: error?.code,
+      at: new Date().toISOString(),
+    };
+
+    if (this.state === BREAKER_STATES.HALF_OPEN || this.failures >= this.failureThreshold) {
+      if (this.state !== BREAKER_STATES.OPEN) {
+        console.warn(`CDEK API: выключатель разомкнут после ${this.failures} сбоев подряд`);
+      }
+      this.state = BREAKER_STATES.OPEN;
+      this.openedAt = Date.now();
+      this.trialInFlight = false;
+    }
+  }
+
+  /**
+   * Через сколько секунд будет пропущен пробный запрос
+   * @returns {number} Секунды (0, если выключатель замкнут, 1 - если идет пробный запрос)
+   */
+  getRetryAfter() {
+    if (this.state === BREAKER_STATES.CLOSED) {
+      return 0;
+    }
+    if (this.state === BREAKER_STATES.HALF_OPEN) {
+      return 1;
+    }
+    return Math.max(1, Math.ceil((this.openedAt + this.resetTimeout - Date.now()) / 1000));
+  }
+
+  /**
+   * Состояние выключателя для мониторинга
+   * @returns {object} {state, failures, failureThreshold, resetTimeout, openedAt, retryAfter, lastFailure, stats}
+   */
+  getState() {
+    return {
+      state: this.state,
+      failures: this.failures,
+      failureThreshold: this.failureThreshold,
+      resetTimeout: this.resetTimeout,
+      openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+      retryAfter: this.getRetryAfter(),
+      lastFailure: this.lastFailure,
+      stats: { ...this.stats },
+    };
+  }
+}
+
+export default CircuitBreaker;
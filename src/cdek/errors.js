@@ -0,0 +1,169 @@
+/**
+ * Ошибки CDEK API
+ * Хранят статус ответа, ошибки CDEK и идентификатор запроса,
+ * а также определяют, каким HTTP-статусом ответить клиенту нашего API
+ */
+
+// Коды ошибок CDEK и HTTP-статусы, которыми на них отвечает наш API:
+// 400/404/422 - ошибка во входных данных, 502/503/504 - проблема на стороне CDEK
+export const CDEK_ERROR_CODES = {
+  CDEK_BAD_REQUEST: 400,
+  CDEK_NOT_FOUND: 404,
+  CDEK_REQUEST_REJECTED: 422,
+  CDEK_AUTH_ERROR: 502,
+  CDEK_ERROR: 502,
+  CDEK_RATE_LIMITED: 503,
+  CDEK_UNAVAILABLE: 503,
+  CDEK_TIMEOUT: 504,
+};
+
+/**
+ * Код ошибки по статусу ответа CDEK
+ * @param {number|null} status - HTTP-статус CDEK (null - ответа нет)
+ * @returns {string} Код из CDEK_ERROR_CODES
+ */
+const codeForStatus = (status) => {
+  switch (status) {
+    case 400:
+      return 'CDEK_BAD_REQUEST';
+    case 404:
+      return 'CDEK_NOT_FOUND';
+    case 422:
+      return 'CDEK_REQUEST_REJECTED';
+    case 401:
+    case 403:
+      // Проблема с нашими учетными данными, а не с запросом клиента
+      return 'CDEK_AUTH_ERROR';
+    case 429:
+      return 'CDEK_RATE_LIMITED';
+    case null:
+    case 502:
+    case 503:
+      return 'CDEK_UNAVAILABLE';
+    case 504:
+      return 'CDEK_TIMEOUT';
+    default:
+      return 'CDEK_ERROR';
+  }
+};
+
+/**
+ * Сбор ошибок CDEK из тела ответа
+ * CDEK возвращает их в errors[] или в requests[].errors[] (для заказов, заявок и печатных форм)
+ * @param {object} data - Тело ответа CDEK
+ * @returns {Array} [{code, message}]
+ */
+const collectErrors = (data) => {
+  if (!data || typeof data !== 'object') {
+    return [];
+  }
+
+  const errors = [
+    ...(Array.isArray(data.errors) ? data.errors : []),
+    ...(Array.isArray(data.requests) ? data.requests.flatMap(request => request.errors || []) : []),
+  ];
+
+  return errors.map(error => ({ code: error.code, message: error.message }));
+};
+
+class CDEKApiError extends Error {
+  /**
+   * @param {string} message - Сообщение об ошибке
+   * @param {object} options - Подробности
+   * @param {number|null} options.status - HTTP-статус ответа CDEK (null - CDEK не ответил)
+   * @param {Array} options.cdekErrors - Ошибки CDEK [{code, message}]
+   * @param {string} options.requestId - Идентификатор запроса в CDEK
+   * @param {string} options.endpoint - Эндпоинт CDEK API
+   * @param {*} options.data - Тело ответа CDEK
+   * @param {Error} options.cause - Исходная ошибка (например, сетевая)
+   * @param {string} options.code - Код ошибки (по умолчанию определяется по статусу)
+   * @param {number} options.retryAfter - Через сколько секунд имеет смысл повторить запрос
+   */
+  constructor(message, options = {}) {
+    super(message, options.cause ? { cause: options.cause } : undefined);
+    this.name = 'CDEKApiError';
+    this.status = options.status ?? null;
+    this.cdekErrors = options.cdekErrors || [];
+    this.requestId = options.requestId || null;
+    this.endpoint = options.endpoint || null;
+    this.data = options.data;
+    this.retryAfter = options.retryAfter ?? null;
+
+    this.code = options.code || codeForStatus(this.status);
+    // HTTP-статус ответа нашего API
+    this.httpStatus = CDEK_ERROR_CODES[this.code];
+  }
+
+  /**
+   * Ошибка по неуспешному ответу CDEK
+   * @param {Response} response - Ответ fetch
+   * @param {*} data - Разобранное тело ответа
+   * @param {string} endpoint - Эндпоинт CDEK API
+   * @param {string} code - Код ошибки (по умолчанию определяется по статусу)
+   * @returns {CDEKApiError}
+   */
+  static fromResponse(response, data, endpoint, code) {
+    const cdekErrors = collectErrors(data);
+    // Запрос по заказу или заявке принят к разбору, но отклонен CDEK (state = INVALID)
+    const isRejected = data?.requests?.some?.(request => request.state === 'INVALID');
+    const description = cdekErrors.length > 0
+      ? cdekErrors.map(error => error.message || error.code).join('; ')
+      : (data?.message || response.statusText);
+
+    return new CDEKApiError(`CDEK API Error (${response.status}): ${description}`, {
+      status: response.status,
+      cdekErrors,
+      requestId: response.headers.get('X-Request-Id') || data?.requests?.[0]?.request_uuid,
+      endpoint,
+      data,
+      code: code || (isRejected ? 'CDEK_REQUEST_REJECTED' : undefined),
+    });
+  }
+
+  /**
+   * Ошибка, когда CDEK не ответил (сетевой сбой)
+   * @param {Error} cause - Ошибка fetch
+   * @param {string} endpoint - Эндпоинт CDEK API
+   * @returns {CDEKApiError}
+   */
+  static unavailable(cause, endpoint) {
+    return new CDEKApiError(`CDEK API недоступен: ${cause.message}`, {
+      status: null,
+      endpoint,
+      cause,
+    });
+  }
+
+  /**
+   * Ошибка, когда CDEK не ответил за отведенное время
+   * @param {number} timeout - Время ожидания в мс
+   * @param {string} endpoint - Эндпоинт CDEK API
+   * @param {Error} cause - Ошибка прерывания запроса
+   * @returns {CDEKApiError}
+   */
+  static timeout(timeout, endpoint, cause) {
+    return new CDEKApiError(`CDEK API не ответил за ${timeout} мс`, {
+      status: null,
+      code: 'CDEK_TIMEOUT',
+      endpoint,
+      cause,
+    });
+  }
+
+  /**
+   * Ошибка, когда запрос не отправлен, потому что выключатель разомкнут
+   * @param {number} retryAfter - Через сколько секунд будет пропущен пробный запрос
+   * @param {string} endpoint - Эндпоинт CDEK API
+   * @returns {CDEKApiError}
+   */
+  static circuitOpen(retryAfter, endpoint) {
+    return new CDEKApiError('CDEK API временно недоступен: запросы приостановлены после серии сбоев', {
+      status: null,
+      code: 'CDEK_UNAVAILABLE',
+      endpoint,
+      retryAfter,
+    });
+  }
+}
+
+export default CDEKApiError;
@@ -0,0 +1,122 @@
+/**
+ * Хранилище входящих событий вебхуков CDEK
+ * Разбирает события ORDER_STATUS, PRINT_FORM и DOWNLOAD_PHOTO
+ * и хранит последние из них в памяти. Каждое событие помечается арендатором,
+ * для которого оно пришло, и выдается только ему
+ */
+
+import { randomUUID } from 'crypto';
+
+// Типы событий, которые умеет разбирать приемник
+export const WEBHOOK_TYPES = ['ORDER_STATUS', 'PRINT_FORM', 'DOWNLOAD_PHOTO'];
+
+class CDEKWebhookStore {
+  constructor(limit = 1000) {
+    this.limit = limit;
+    this.events = [];
+  }
+
+  /**
+   * Разбор тела вебхука в единый формат
+   * @param {object} payload - Тело запроса от CDEK {type, date_time, uuid, attributes}
+   * @returns {object} Нормализованное событие
+   */
+  parse(payload) {
+    if (!payload || typeof payload !== 'object') {
+      throw new Error('Тело вебхука должно быть JSON-объектом');
+    }
+
+    const { type, date_time, uuid, attributes = {} } = payload;
+
+    if (!WEBHOOK_TYPES.includes(type)) {
+      throw new Error(`Неподдерживаемый тип события: ${type}. Допустимые значения: ${WEBHOOK_TYPES.join(', ')}`);
+    }
+    if (!uuid) {
+      throw new Error('В событии отсутствует uuid');
+    }
+
+    const event = {
+      id: randomUUID(),
+      type,
+      uuid,
+      dateTime: date_time,
+      receivedAt: new Date().toISOString(),
+    };
+
+    switch (type) {
+      case 'ORDER_STATUS':
+        // uuid - идентификатор заказа
+        event.orderUuid = uuid;
+        event.number = attributes.number;
+        event.cdekNumber = attributes.cdek_number;
+        event.isReturn = attributes.is_return;
+        event.status = {
+          code: attributes.code,
+          statusCode: attributes.status_code,
+          reasonCode: attributes.status_reason_code,
+          dateTime: attributes.status_date_time,
+          cityName: attributes.city_name,
+          cityCode: attributes.city_code,
+        };
+        break;
+      case 'PRINT_FORM':
+        // uuid - идентификатор печатной формы
+        event.formType = attributes.type;
+        event.url = attributes.url;
+        break;
+      case 'DOWNLOAD_PHOTO':
+        event.cdekNumber = attributes.cdek_number;
+        event.url = attributes.link;
+        break;
+    }
+
+    event.attributes = attributes;
+
+    return event;
+  }
+
+  /**
+   * Разбор и сохранение события
+   * Самые старые события вытесняются при превышении лимита
+   * @param {object} payload - Тело запроса от CDEK
+   * @param {string} tenantId - Арендатор, для которого пришло событие
+   * @returns {object} Сохраненное событие
+   */
+  add(payload, tenantId) {
+    const event = { ...this.parse(payload), tenant: tenantId };
+
+    this.events.push(event);
+    if (this.events.length > this.limit) {
+      this.events.splice(0, this.events.length - this.limit);
+    }
+
+    return event;
+  }
+
+  /**
+   * Получение сохраненных событий (от новых к старым)
+   * @param {object} filters - Фильтры
+   * @param {string} filters.tenant - Арендатор (обязателен: чужие события не выдаются)
+   * @param {string} filters.type - Тип события
+   * @param {string} filters.uuid - UUID заказа или печатной формы
+   * @returns {Array} Массив событий
+   */
+  list(filters = {}) {
+    const { tenant, type, uuid } = filters;
+
+    return this.events
+      .filter(event => event.tenant === tenant)
+      .filter(event => !type || event.type === type)
+      .filter(event => !uuid || event.uuid === uuid)
+      .reverse();
+  }
+
+  /**
+   * Очистка хранилища
+   */
+  clear() {
+    this.events = [];
+  }
+}
+
+export default CDEKWebhookStore;
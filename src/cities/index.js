@@ -0,0 +1,431 @@
+/**
+ * Справочник городов CDEK для подсказок при вводе города
+ * Города страны загружаются из /location/cities постранично и хранятся на диске,
+ * поиск идет по локальному индексу: по началу названия, по началу слова, по подстроке
+ * и с опечатками. Названия сравниваются в латинице, поэтому «Новосибирск», «Novosibirsk»
+ * и «novosibirsk» совпадают, а «Королев» находит «Королёв».
+ * Численности населения у CDEK нет - крупные города поднимаются выше по числу офисов CDEK.
+ * Одноименные города различаются регионом: в подписи (label) и в запросе «Город, Регион».
+ */
+
+import { createHash } from 'crypto';
+import { mkdir, readFile, writeFile, rm } from 'fs/promises';
+import { join } from 'path';
+
+// Как часто справочник обновляется из CDEK (в секундах)
+export const DEFAULT_SYNC_INTERVAL = 24 * 60 * 60;
+
+// Через сколько секунд после неудачной загрузки пробовать снова
+export const DEFAULT_RETRY_INTERVAL = 5 * 60;
+
+// Размер страницы /location/cities при загрузке справочника
+const SYNC_PAGE_SIZE = 1000;
+
+// Поля города CDEK, которые хранятся в справочнике (почтовые индексы и лимиты не нужны)
+const CITY_FIELDS = [
+  'code', 'city_uuid', 'city', 'fias_guid', 'country_code', 'country',
+  'region', 'region_code', 'sub_region', 'longitude', 'latitude', 'time_zone',
+];
+
+// Виды совпадения по убыванию точности
+export const MATCH_TYPES = ['exact', 'prefix', 'word', 'substring', 'fuzzy'];
+
+const TRANSLIT = {
+  а: 'a', б: 'b', в: 'v', г: 'g', д: 'd', е: 'e', ё: 'e', ж: 'zh', з: 'z', и: 'i', й: 'i',
+  к: 'k', л: 'l', м: 'm', н: 'n', о: 'o', п: 'p', р: 'r', с: 's', т: 't', у: 'u', ф: 'f',
+  х: 'kh', ц: 'ts', ч: 'ch', ш: 'sh', щ: 'shch', ъ: '', ы: 'y', ь: '', э: 'e', ю: 'yu', я: 'ya',
+};
+
+// Разные способы записи одного звука латиницей приводятся к одному (Kharkov/Harkov, Yakutsk/Jakutsk)
+const LATIN_VARIANTS = [
+  [/shch|sch/g, 'sh'], [/kh/g, 'h'], [/tz|ts/g, 'c'], [/[yj]/g, 'i'], [/i+/g, 'i'],
+  [/w/g, 'v'], [/x/g, 'ks'], [/q/g, 'k'],
+];
+
+/**
+ * Ключ названия для сравнения
+ * Кириллица переводится в латиницу, регистр, дефисы и знаки препинания не учитываются
+ * @param {string} text - Название
+ * @returns {string} Ключ ('Санкт-Петербург' → 'sankt peterburg')
+ */
+export const normalizeName = (text) => LATIN_VARIANTS.reduce(
+  (key, [pattern, replacement]) => key.replace(pattern, replacement),
+  [...String(text ?? '').toLowerCase()].map(char => TRANSLIT[char] ?? char).join('')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim()
+);
+
+/**
+ * Расстояние Дамерау-Левенштейна (вставка, удаление, замена, перестановка соседних букв)
+ * @param {string} a - Первая строка
+ * @param {string} b - Вторая строка
+ * @param {number} limit - Порог: если расстояние больше, возвращается limit + 1
+ * @returns {number}
+ */
+export const editDistance = (a, b, limit = Infinity) => {
+  if (Math.abs(a.length - b.length) > limit) {
+    return limit + 1;
+  }
+
+  let previous2 = [];
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        current[j] = Math.min(current[j], previous2[j - 2] + 1);
+      }
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > limit) {
+      return limit + 1;
+    }
+    previous2 = previous;
+    previous = current;
+  }
+  return Math.min(previous[b.length], limit + 1);
+};
+
+// Допустимое число опечаток: в коротких запросах опечатки не ищутся
+const allowedTypos = (query) => (query.length < 4 ? 0 : query.length < 8 ? 1 : 2);
+
+/**
+ * Вид совпадения названия с запросом
+ * @param {string} key - Ключ названия города
+ * @param {string} query - Ключ запроса
+ * @returns {number} Индекс в MATCH_TYPES без опечаток или -1
+ */
+const exactMatchType = (key, query) => {
+  if (key === query) return 0;
+  if (key.startsWith(query)) return 1;
+  if (key.includes(` ${query}`)) return 2;
+  if (key.includes(query)) return 3;
+  return -1;
+};
+
+/**
+ * Индекс городов одной страны
+ */
+export class CityIndex {
+  /**
+   * @param {Array} cities - Города CDEK
+   * @param {object} options - Параметры
+   * @param {object} options.officeCounts - Число офисов по кодам городов {code: count}
+   * @param {number} options.syncedAt - Время загрузки из CDEK (мс)
+   */
+  constructor(cities = [], { officeCounts = {}, syncedAt = Date.now() } = {}) {
+    this.syncedAt = syncedAt;
+    this.officeCounts = officeCounts;
+
+    const namesakes = new Map();
+    this.entries = cities.map((city) => {
+      const key = normalizeName(city.city);
+      namesakes.set(key, [...(namesakes.get(key) || []), city]);
+      return {
+        city,
+        key,
+        region: normalizeName(city.region),
+        offices: officeCounts[city.code] || 0,
+      };
+    });
+
+    // Одноименные города подписываются регионом, а в одном регионе - еще и районом
+    for (const entry of this.entries) {
+      const sameName = namesakes.get(entry.key);
+      const sameRegion = sameName.filter(city => city.region === entry.city.region);
+      const parts = [entry.city.city];
+      if (sameRegion.length > 1 && entry.city.sub_region && entry.city.sub_region !== entry.city.city) {
+        parts.push(entry.city.sub_region);
+      }
+      if (sameName.length > 1 && entry.city.region) {
+        parts.push(entry.city.region);
+      }
+      entry.label = parts.join(', ');
+    }
+  }
+
+  /**
+   * Число городов в индексе
+   * @returns {number}
+   */
+  get size() {
+    return this.entries.length;
+  }
+
+  /**
+   * Поиск городов
+   * Запрос «Березовский, Кемеровская» поднимает выше города региона, начинающегося с «Кемеровская».
+   * Порядок: вид совпадения, предпочтительный регион, число офисов CDEK, длина названия
+   * @param {string} query - Название (можно с регионом через запятую)
+   * @param {object} options - Параметры
+   * @param {number} options.size - Ограничение выборки (по умолчанию 10)
+   * @param {number} options.regionCode - Код предпочтительного региона CDEK (опционально)
+   * @returns {Array} Города CDEK с полями label, match и officeCount
+   */
+  search(query, { size = 10, regionCode } = {}) {
+    const [namePart, ...regionParts] = String(query).split(',');
+    const name = normalizeName(namePart);
+    const region = normalizeName(regionParts.join(' '));
+    if (!name) {
+      return [];
+    }
+
+    let matches = this.entries
+      .map(entry => ({ entry, type: exactMatchType(entry.key, name) }))
+      .filter(({ type }) => type >= 0);
+
+    // Опечатки ищутся, только если точных совпадений не хватает на выдачу
+    const typos = allowedTypos(name);
+    if (matches.length < size && typos > 0) {
+      const found = new Set(matches.map(({ entry }) => entry));
+      const fuzzy = this.entries
+        .filter(entry => !found.has(entry))
+        .filter(entry => Math.min(
+          editDistance(name, entry.key, typos),
+          editDistance(name, entry.key.slice(0, name.length), typos)
+        ) <= typos)
+        .map(entry => ({ entry, type: MATCH_TYPES.indexOf('fuzzy') }));
+      matches = [...matches, ...fuzzy];
+    }
+
+    const preferred = ({ city, region: cityRegion }) => (regionCode !== undefined && city.region_code === regionCode)
+      || (region !== '' && cityRegion.startsWith(region));
+
+    return matches
+      .sort((a, b) => a.type - b.type
+        || Number(preferred(b.entry)) - Number(preferred(a.entry))
+        || b.entry.offices - a.entry.offices
+        || a.entry.key.length - b.entry.key.length
+        || a.entry.city.city.localeCompare(b.entry.city.city))
+      .slice(0, size)
+      .map(({ entry, type }) => ({
+        ...entry.city,
+        label: entry.label,
+        match: MATCH_TYPES[type],
+        officeCount: entry.offices,
+      }));
+  }
+
+  /**
+   * Данные для сохранения на диск
+   * @returns {object} {syncedAt, officeCounts, cities}
+   */
+  toJSON() {
+    return {
+      syncedAt: this.syncedAt,
+      officeCounts: this.officeCounts,
+      cities: this.entries.map(entry => entry.city),
+    };
+  }
+}
+
+/**
+ * Справочники городов по адресам CDEK API и странам
+ * Справочник общий для арендаторов с одним адресом API: список городов от договора не зависит.
+ * При первом поиске справочник читается с диска, а если его там нет - загружается из CDEK в фоне;
+ * устаревший справочник продолжает отвечать, пока загружается новый. После неудачной загрузки
+ * следующая начинается не раньше, чем через retryInterval.
+ */
+class CityDirectory {
+  /**
+   * @param {object} options - Параметры
+   * @param {string} options.dir - Каталог для файлов справочника (по умолчанию .cache/city-index)
+   * @param {number} options.syncInterval - Как часто обновлять справочник, в секундах
+   * @param {number} options.retryInterval - Пауза после неудачной загрузки, в секундах
+   */
+  constructor(options = {}) {
+    this.dir = options.dir || join('.cache', 'city-index');
+    this.syncInterval = options.syncInterval || DEFAULT_SYNC_INTERVAL;
+    this.retryInterval = options.retryInterval || DEFAULT_RETRY_INTERVAL;
+    this.indexes = new Map();
+    this.syncs = new Map();
+    // Время последней неудачной загрузки по справочникам (мс)
+    this.failures = new Map();
+    // Загрузки, начатые до clear, не сохраняют результат
+    this.generation = 0;
+  }
+
+  /**
+   * Путь к файлу справочника
+   * @param {string} id - Адрес API и страна
+   * @returns {string}
+   */
+  pathFor(id) {
+    return join(this.dir, `${createHash('sha1').update(id).digest('hex')}.json`);
+  }
+
+  /**
+   * Поиск городов
+   * @param {CDEKApiClient} cdek - Клиент CDEK (для загрузки справочника)
+   * @param {string} query - Название города
+   * @param {object} options - Параметры
+   * @param {string} options.countryCode - Код страны (по умолчанию 'RU')
+   * @param {number} options.size - Ограничение выборки
+   * @param {number} options.regionCode - Код предпочтительного региона
+   * @returns {Promise<Array|null>} Города или null, если справочник еще не загружен
+   */
+  async search(cdek, query, { countryCode = 'RU', size, regionCode } = {}) {
+    const index = await this.getIndex(cdek, countryCode);
+    return index ? index.search(query, { size, regionCode }) : null;
+  }
+
+  /**
+   * Справочник страны: из памяти или с диска
+   * Если справочника нет или он устарел, в фоне начинается загрузка из CDEK
+   * @param {CDEKApiClient} cdek - Клиент CDEK
+   * @param {string} countryCode - Код страны
+   * @returns {Promise<CityIndex|null>} Справочник или null, пока он загружается
+   */
+  async getIndex(cdek, countryCode) {
+    const id = `${cdek.apiUrl}|${countryCode}`;
+
+    if (!this.indexes.has(id)) {
+      const stored = await this.load(id);
+      if (stored) {
+        this.indexes.set(id, stored);
+      }
+    }
+
+    const index = this.indexes.get(id);
+    if (!index || index.syncedAt + this.syncInterval * 1000 <= Date.now()) {
+      this.syncInBackground(cdek, countryCode);
+    }
+    return index || null;
+  }
+
+  /**
+   * Загрузка справочника в фоне
+   * Не начинается, если загрузка уже идет или предыдущая не удалась меньше retryInterval назад
+   * @param {CDEKApiClient} cdek - Клиент CDEK
+   * @param {string} countryCode - Код страны
+   */
+  syncInBackground(cdek, countryCode) {
+    const id = `${cdek.apiUrl}|${countryCode}`;
+    const failedAt = this.failures.get(id);
+    if (this.syncs.has(id) || (failedAt !== undefined && failedAt + this.retryInterval * 1000 > Date.now())) {
+      return;
+    }
+
+    this.sync(cdek, countryCode).catch((error) => {
+      console.warn(`Не удалось загрузить справочник городов ${countryCode}:`, error.message);
+    });
+  }
+
+  /**
+   * Чтение справочника с диска
+   * @param {string} id - Адрес API и страна
+   * @returns {Promise<CityIndex|null>} Справочник или null, если файла нет или он поврежден
+   */
+  async load(id) {
+    try {
+      const stored = JSON.parse(await readFile(this.pathFor(id), 'utf-8'));
+      return stored.id === id ? new CityIndex(stored.cities, stored) : null;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Загрузка справочника из CDEK и сохранение на диск
+   * Одновременные запросы ждут одну загрузку, время неудачной загрузки запоминается
+   * @param {CDEKApiClient} cdek - Клиент CDEK
+   * @param {string} countryCode - Код страны
+   * @returns {Promise<CityIndex>}
+   */
+  async sync(cdek, countryCode) {
+    const id = `${cdek.apiUrl}|${countryCode}`;
+    if (!this.syncs.has(id)) {
+      const generation = this.generation;
+      const pending = this.loadFromCdek(cdek, countryCode)
+        .then(async (index) => {
+          if (generation !== this.generation) {
+            return index;
+          }
+          await mkdir(this.dir, { recursive: true });
+          await writeFile(this.pathFor(id), JSON.stringify({ id, ...index.toJSON() }));
+          // clear во время записи не видит этот справочник - файл удаляется здесь
+          if (generation !== this.generation) {
+            await rm(this.pathFor(id), { force: true });
+            return index;
+          }
+          this.indexes.set(id, index);
+          this.failures.delete(id);
+          return index;
+        })
+        .catch((error) => {
+          this.failures.set(id, Date.now());
+          throw error;
+        })
+        .finally(() => this.syncs.delete(id));
+      this.syncs.set(id, pending);
+    }
+    return await this.syncs.get(id);
+  }
+
+  /**
+   * Города страны и число офисов в них
+   * Без офисов справочник все равно строится, только без учета размера города
+   * @param {CDEKApiClient} cdek - Клиент CDEK
+   * @param {string} countryCode - Код страны
+   * @returns {Promise<CityIndex>}
+   */
+  async loadFromCdek(cdek, countryCode) {
+    const cities = [];
+    for (let page = 0; ; page++) {
+      const batch = await cdek.listCities({ countryCode, page, size: SYNC_PAGE_SIZE });
+      cities.push(...batch.map(city => Object.fromEntries(CITY_FIELDS
+        .filter(field => city[field] !== undefined)
+        .map(field => [field, city[field]]))));
+      if (batch.length < SYNC_PAGE_SIZE) {
+        break;
+      }
+    }
+
+    const officeCounts = {};
+    try {
+      for (const office of await cdek.getOffices(null, { country_code: countryCode })) {
+        const code = office.location?.city_code;
+        if (code !== undefined) {
+          officeCounts[code] = (officeCounts[code] || 0) + 1;
+        }
+      }
+    } catch (error) {
+      console.warn(`Справочник городов ${countryCode} загружен без числа офисов:`, error.message);
+    }
+
+    return new CityIndex(cities, { officeCounts });
+  }
+
+  /**
+   * Удаление справочников из памяти и с диска (следующий поиск загрузит их заново)
+   * С диска удаляются только файлы известных справочников: каталог может быть общим
+   * @returns {Promise<number>} Число удаленных справочников
+   */
+  async clear() {
+    const ids = [...this.indexes.keys()];
+    this.generation++;
+    this.indexes.clear();
+    this.failures.clear();
+    await Promise.all(ids.map(id => rm(this.pathFor(id), { force: true })));
+    return ids.length;
+  }
+}
+
+/**
+ * Создание справочника городов по переменным окружения
+ * CITY_INDEX_DIR - каталог для файлов справочника (по умолчанию .cache/city-index)
+ * CITY_INDEX_SYNC_INTERVAL - как часто обновлять справочник, в секундах (по умолчанию сутки)
+ * CITY_INDEX_RETRY_INTERVAL - пауза после неудачной загрузки, в секундах (по умолчанию 5 минут)
+ * @param {object} env - Переменные окружения
+ * @returns {CityDirectory}
+ */
+export const createCityDirectory = (env = process.env) => new CityDirectory({
+  dir: env.CITY_INDEX_DIR,
+  syncInterval: parseInt(env.CITY_INDEX_SYNC_INTERVAL) || undefined,
+  retryInterval: parseInt(env.CITY_INDEX_RETRY_INTERVAL) || undefined,
+});
+
+export default CityDirectory;
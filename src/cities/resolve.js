@@ -0,0 +1,174 @@
+/**
+ * Определение города CDEK по почтовому индексу или адресу
+ * Индекс ищется в /location/cities (postal_code), адрес без индекса разбирается на части,
+ * и часть с названием населенного пункта ищется в подсказках CDEK (/location/suggest/cities).
+ * Вместе с городом возвращается уверенность (confidence): 1 - город определен однозначно,
+ * меньше - если подошло несколько городов или название совпало не полностью.
+ */
+
+import { normalizeName } from './index.js';
+
+// Уверенность определения города
+export const CONFIDENCE = {
+  NAME: 0.9, // название населенного пункта из адреса совпало с городом CDEK
+  NAMESAKE: 0.6, // совпало с несколькими одноименными городами, регион в адресе не помог
+  SUGGESTION: 0.4, // название совпало только частично (первая подсказка CDEK)
+};
+
+// Тип населенного пункта перед названием: «г. Новосибирск», «пос. Октябрьский»
+const LOCALITY_PREFIX = /^(г|гор|город|пгт|пос|п|рп|с|село|д|дер|деревня|ст-ца|станица)\.?\s+/i;
+
+// Части адреса, в которых нет населенного пункта
+const STREET_PART = /^(ул|улица|пр|пр-т|просп|проспект|пер|переулок|ш|шоссе|наб|набережная|б-р|бульвар|пл|площадь|мкр|микрорайон|д|дом|кв|корп|к|стр|строение|оф|офис)(\.|\s|$)/i;
+const REGION_PART = /(^|\s)(обл|область|край|респ|республика|ао|автономный округ)(\.|\s|$)/i;
+const COUNTRY_PART = /^(россия|рф|российская федерация)$/i;
+
+/**
+ * Почтовый индекс из адреса
+ * @param {string} address - Адрес ("630099, Новосибирск, ...")
+ * @returns {string|undefined} Шестизначный индекс
+ */
+export const extractPostalCode = (address) => String(address || '').match(/(?:^|\D)(\d{6})(?:\D|$)/)?.[1];
+
+/**
+ * Разбор адреса на возможные названия населенного пункта и подсказку региона
+ * @param {string} address - Адрес
+ * @returns {object} {names, region}; region - ключ названия региона без «область», «край» и т.п.
+ */
+export const parseAddress = (address) => {
+  const names = [];
+  let region = '';
+
+  for (const part of String(address || '').split(',').map(item => item.trim()).filter(Boolean)) {
+    if (REGION_PART.test(part)) {
+      region = normalizeName(part.replace(REGION_PART, ' '));
+      continue;
+    }
+    if (COUNTRY_PART.test(part) || (STREET_PART.test(part) && !/^д(ер)?\.?\s+\D/i.test(part))) {
+      continue;
+    }
+    const name = part.replace(LOCALITY_PREFIX, '').trim();
+    if (/\p{L}/u.test(name) && !/\d/.test(name)) {
+      names.push(name);
+    }
+  }
+
+  return { names, region };
+};
+
+// Город CDEK для ответа
+const describeCity = (city) => ({
+  code: city.code,
+  city: city.city,
+  region: city.region,
+  regionCode: city.region_code,
+  countryCode: city.country_code,
+});
+
+/**
+ * Город по почтовому индексу
+ * Если индекс относится к нескольким городам, выбирается первый, а уверенность делится между ними
+ * @param {CDEKApiClient} cdek - Клиент CDEK
+ * @param {string} postalCode - Почтовый индекс
+ * @param {object} options - Параметры
+ * @param {string} options.countryCode - Код страны (по умолчанию 'RU')
+ * @param {string} options.address - Адрес: название города в нем выбирает один из городов индекса
+ * @returns {Promise<object|null>} {code, city, region, regionCode, countryCode, postalCode, confidence, method, candidates}
+ */
+export const resolvePostalCode = async (cdek, postalCode, { countryCode = 'RU', address } = {}) => {
+  const cities = await cdek.getCitiesByPostalCode(postalCode, countryCode);
+  if (cities.length === 0) {
+    return null;
+  }
+
+  const names = parseAddress(address).names.map(normalizeName);
+  const named = cities.find(city => names.includes(normalizeName(city.city)));
+  const city = named || cities[0];
+
+  return {
+    ...describeCity(city),
+    postalCode,
+    confidence: named || cities.length === 1 ? 1 : Math.round(100 / cities.length) / 100,
+    method: 'postal_code',
+    candidates: cities.map(describeCity),
+  };
+};
+
+// Подсказка CDEK: full_name - «Город, Регион, Страна»
+const splitSuggestion = ({ code, full_name: fullName }) => {
+  const [city, region] = fullName.split(',').map(part => part.trim());
+  return { code, city, region };
+};
+
+/**
+ * Ответ по подсказке CDEK: регион и код региона берутся из /location/cities
+ * @param {CDEKApiClient} cdek - Клиент CDEK
+ * @param {object} suggestion - Подсказка {code, full_name}
+ * @param {object} result - {confidence, candidates}
+ * @returns {Promise<object>}
+ */
+const describeSuggestion = async (cdek, suggestion, { confidence, candidates }) => {
+  const city = await cdek.getCity(suggestion.code);
+
+  return {
+    ...(city ? describeCity(city) : splitSuggestion(suggestion)),
+    confidence,
+    method: 'address',
+    candidates: candidates.map(splitSuggestion),
+  };
+};
+
+/**
+ * Город по адресу
+ * Индекс в адресе важнее названия; без индекса название населенного пункта ищется
+ * в подсказках CDEK, одноименные города различаются по региону из адреса
+ * @param {CDEKApiClient} cdek - Клиент CDEK
+ * @param {string} address - Адрес
+ * @param {object} options - Параметры
+ * @param {string} options.countryCode - Код страны (по умолчанию 'RU')
+ * @returns {Promise<object|null>} Как в resolvePostalCode (без postalCode, если индекса в адресе нет)
+ */
+export const resolveAddress = async (cdek, address, { countryCode = 'RU' } = {}) => {
+  const postalCode = extractPostalCode(address);
+  if (postalCode) {
+    const resolved = await resolvePostalCode(cdek, postalCode, { countryCode, address });
+    if (resolved) {
+      return resolved;
+    }
+  }
+
+  const { names, region } = parseAddress(address);
+  let partial = null;
+
+  for (const name of names) {
+    const suggestions = await cdek.suggestCities(name, countryCode);
+    const key = normalizeName(name);
+    const exact = suggestions.filter(suggestion => normalizeName(suggestion.full_name.split(',')[0]) === key);
+
+    if (exact.length > 0) {
+      const inRegion = region ? exact.filter(suggestion => normalizeName(suggestion.full_name).includes(region)) : [];
+      const matches = inRegion.length > 0 ? inRegion : exact;
+      return await describeSuggestion(cdek, matches[0], {
+        confidence: matches.length === 1 ? CONFIDENCE.NAME : CONFIDENCE.NAMESAKE,
+        candidates: exact,
+      });
+    }
+    if (!partial && suggestions.length > 0) {
+      partial = suggestions;
+    }
+  }
+
+  return partial
+    ? await describeSuggestion(cdek, partial[0], { confidence: CONFIDENCE.SUGGESTION, candidates: partial })
+    : null;
+};
+
+/**
+ * Город по почтовому индексу или адресу
+ * @param {CDEKApiClient} cdek - Клиент CDEK
+ * @param {object} params - {postalCode, address, countryCode}; индекс важнее адреса
+ * @returns {Promise<object|null>}
+ */
+export const resolveCity = async (cdek, { postalCode, address, countryCode }) => (postalCode
+  ? await resolvePostalCode(cdek, postalCode, { countryCode, address })
+  : await resolveAddress(cdek, address, { countryCode }));
@@ -0,0 +1,120 @@
+/**
+ * Ошибки API и их преобразование в ответ
+ * Все ошибки отдаются в едином формате:
+ * {code, message, details, cdekErrors} (+ requestId, если ошибка пришла от CDEK,
+ * и fields - ошибки по полям, если не прошла валидация)
+ */
+
+import CDEKApiError from './cdek/errors.js';
+
+/**
+ * Ошибка нашего API с заданным HTTP-статусом
+ */
+export class ApiError extends Error {
+  /**
+   * @param {number} httpStatus - HTTP-статус ответа
+   * @param {string} code - Машиночитаемый код ошибки
+   * @param {string} message - Сообщение об ошибке
+   * @param {Array<string>} details - Подробности (например, список ошибок валидации)
+   */
+  constructor(httpStatus, code, message, details = []) {
+    super(message);
+    this.name = 'ApiError';
+    this.httpStatus = httpStatus;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+/**
+ * Ошибка валидации входных данных (400)
+ */
+export class ValidationError extends ApiError {
+  /**
+   * @param {Array<string>} details - Список ошибок валидации
+   * @param {Array<object>} fields - Ошибки по полям [{field, message}] (по умолчанию - без указания поля)
+   */
+  constructor(details, fields) {
+    super(400, 'VALIDATION_ERROR', 'Ошибка валидации', details);
+    this.name = 'ValidationError';
+    this.fields = fields || details.map(message => ({ field: null, message }));
+  }
+}
+
+/**
+ * Тело и статус ответа для ошибки
+ * @param {Error} error - Любая ошибка, дошедшая до обработчика
+ * @returns {object} {status, body}
+ */
+export const toErrorResponse = (error) => {
+  if (error instanceof CDEKApiError) {
+    return {
+      status: error.httpStatus,
+      body: {
+        code: error.code,
+        message: error.message,
+        details: error.cdekErrors.map(cdekError => cdekError.message || cdekError.code),
+        cdekErrors: error.cdekErrors,
+        requestId: error.requestId || undefined,
+      },
+    };
+  }
+
+  if (error instanceof ApiError) {
+    return {
+      status: error.httpStatus,
+      body: {
+        code: error.code,
+        message: error.message,
+        details: error.details,
+        cdekErrors: [],
+        fields: error.fields,
+      },
+    };
+  }
+
+  // Ошибки express.json(): некорректный JSON, слишком большое тело и т.п.
+  if (error.status >= 400 && error.status < 500) {
+    return {
+      status: error.status,
+      body: {
+        code: error.type === 'entity.parse.failed' ? 'INVALID_JSON' : 'BAD_REQUEST',
+        message: error.message,
+        details: [],
+        cdekErrors: [],
+      },
+    };
+  }
+
+  return {
+    status: 500,
+    body: {
+      code: 'INTERNAL_ERROR',
+      // В production внутренние сообщения не раскрываются
+      message: process.env.NODE_ENV === 'production' ? 'Внутренняя ошибка сервера' : error.message,
+      details: [],
+      cdekErrors: [],
+    },
+  };
+};
+
+/**
+ * Express-обработчик ошибок: отвечает в едином формате
+ */
+export const errorHandler = (err, req, res, next) => {
+  if (res.headersSent) {
+    return next(err);
+  }
+
+  const { status, body } = toErrorResponse(err);
+  // Подсказка клиенту, когда повторить запрос (например, пока разомкнут выключатель CDEK)
+  if (err.retryAfter) {
+    res.set('Retry-After', String(err.retryAfter));
+  }
+  // Ошибки CDEK и API логируются в роутах, здесь - только непредвиденные
+  if (body.code === 'INTERNAL_ERROR') {
+    console.error('Ошибка сервера:', err);
+  }
+
+  res.status(status).json(body);
+};
@@ -0,0 +1,53 @@
+/**
+ * Офисы CDEK в формате GeoJSON (RFC 7946) для отображения на карте
+ * В свойствах точки - только поля, нужные для подписи и фильтров на карте;
+ * полные данные офиса можно получить из /offices в обычном формате.
+ */
+
+// Поля офиса, которые попадают в свойства точки
+const PROPERTY_FIELDS = [
+  'code',
+  'name',
+  'type',
+  'work_time',
+  'weight_max',
+  'have_cashless',
+  'is_dressing_room',
+  'is_handout',
+  'is_reception',
+  'is_ltl',
+];
+
+/**
+ * Офис как GeoJSON Feature
+ * @param {object} office - Офис CDEK
+ * @returns {object} Feature с точкой [долгота, широта]
+ */
+export const officeToFeature = (office) => ({
+  type: 'Feature',
+  id: office.code,
+  geometry: {
+    type: 'Point',
+    coordinates: [office.location.longitude, office.location.latitude],
+  },
+  properties: {
+    ...Object.fromEntries(PROPERTY_FIELDS.map(field => [field, office[field]])),
+    city_code: office.location.city_code,
+    address: office.location.address,
+  },
+});
+
+/**
+ * Офисы как GeoJSON FeatureCollection
+ * Офисы без координат пропускаются
+ * @param {Array} offices - Офисы CDEK
+ * @param {object} members - Дополнительные поля коллекции (например, pagination)
+ * @returns {object} FeatureCollection
+ */
+export const officesToFeatureCollection = (offices, members = {}) => ({
+  type: 'FeatureCollection',
+  features: offices
+    .filter(office => office.location?.latitude !== undefined && office.location?.longitude !== undefined)
+    .map(officeToFeature),
+  ...members,
+});
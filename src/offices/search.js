@@ -0,0 +1,221 @@
+/**
+ * Поиск офисов CDEK (ПВЗ и постаматов) рядом с покупателем
+ * Офисы отбираются по ограничениям посылки (вес, габариты) и возможностям офиса
+ * (оплата картой, примерочная, сборный груз) и упорядочиваются по расстоянию.
+ * Часы работы разбираются из work_time_list, чтобы показать, открыт ли офис сейчас.
+ * Для карты офисы отбираются по видимой области (bbox) и флагам CDEK и делятся на страницы.
+ */
+
+const EARTH_RADIUS = 6371000; // м
+const MINUTES_IN_DAY = 24 * 60;
+
+// Часовой пояс офиса, если город неизвестен
+export const DEFAULT_TIME_ZONE = 'Europe/Moscow';
+
+// Дни недели CDEK: 1 - понедельник ... 7 - воскресенье
+export const DAY_NAMES = ['Пн', 'Вт', 'Ср', 'Чт', 'Пт', 'Сб', 'Вс'];
+
+/**
+ * Расстояние между точками по поверхности Земли (формула гаверсинусов)
+ * @param {object} from - {lat, lon}
+ * @param {object} to - {lat, lon}
+ * @returns {number} Расстояние в метрах
+ */
+export const distanceBetween = (from, to) => {
+  const radians = (degrees) => degrees * Math.PI / 180;
+  const deltaLat = radians(to.lat - from.lat);
+  const deltaLon = radians(to.lon - from.lon);
+  const a = Math.sin(deltaLat / 2) ** 2
+    + Math.cos(radians(from.lat)) * Math.cos(radians(to.lat)) * Math.sin(deltaLon / 2) ** 2;
+
+  return Math.round(2 * EARTH_RADIUS * Math.asin(Math.sqrt(a)));
+};
+
+// 'HH:MM' → минуты от начала суток
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+/**
+ * Разбор часов работы офиса
+ * work_time_list: [{day: 1, time: '09:00/21:00'}]; дни без записи - выходные
+ * @param {object} office - Офис CDEK
+ * @returns {Array} [{day, name, open, close}] по дням недели
+ */
+export const parseWorkTime = (office) => (office.work_time_list || [])
+  .flatMap(({ day, time }) => String(time || '').split(',').map(interval => {
+    const match = interval.trim().match(/^(\d{1,2}:\d{2})\s*[/-]\s*(\d{1,2}:\d{2})$/);
+    return match ? { day, name: DAY_NAMES[day - 1], open: match[1].padStart(5, '0'), close: match[2].padStart(5, '0') } : null;
+  }))
+  .filter(Boolean)
+  .sort((a, b) => a.day - b.day || a.open.localeCompare(b.open));
+
+/**
+ * День недели и время в часовом поясе офиса
+ * @param {Date} date - Момент времени
+ * @param {string} timeZone - Часовой пояс (IANA)
+ * @returns {object} {day: 1-7, minutes}
+ */
+const localTime = (date, timeZone) => {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-GB', {
+    timeZone,
+    weekday: 'short',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23',
+  }).formatToParts(date).map(part => [part.type, part.value]));
+
+  const day = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'].indexOf(parts.weekday) + 1;
+  return { day, minutes: Number(parts.hour) * 60 + Number(parts.minute) };
+};
+
+/**
+ * Открыт ли офис в указанный момент
+ * Интервал до 23:59 считается до конца суток; интервал, который заканчивается
+ * раньше, чем начинается (22:00/02:00), продолжается на следующий день
+ * @param {Array} schedule - Часы работы из parseWorkTime
+ * @param {Date} date - Момент времени
+ * @param {string} timeZone - Часовой пояс офиса
+ * @returns {boolean}
+ */
+export const isOpenAt = (schedule, date, timeZone = DEFAULT_TIME_ZONE) => {
+  const { day, minutes } = localTime(date, timeZone);
+  const previousDay = day === 1 ? 7 : day - 1;
+
+  return schedule.some(({ day: scheduleDay, open, close }) => {
+    const openMinutes = toMinutes(open);
+    const closeMinutes = close === '23:59' ? MINUTES_IN_DAY : toMinutes(close);
+
+    if (closeMinutes > openMinutes) {
+      return scheduleDay === day && minutes >= openMinutes && minutes < closeMinutes;
+    }
+    return (scheduleDay === day && minutes >= openMinutes) || (scheduleDay === previousDay && minutes < closeMinutes);
+  });
+};
+
+/**
+ * Часы работы офиса для ответа
+ * @param {object} office - Офис CDEK
+ * @param {Date} date - Момент, для которого считается openNow
+ * @param {string} timeZone - Часовой пояс офиса
+ * @returns {object} {text, timeZone, schedule, openNow}
+ */
+export const describeWorkHours = (office, date, timeZone = DEFAULT_TIME_ZONE) => {
+  const schedule = parseWorkTime(office);
+  return {
+    text: office.work_time,
+    timeZone,
+    schedule,
+    openNow: isOpenAt(schedule, date, timeZone),
+  };
+};
+
+/**
+ * Помещается ли посылка в офис
+ * Вес офиса указан в кг, габариты ячеек (dimensions) - в см; офис без dimensions
+ * габариты не ограничивает. Стороны сравниваются по возрастанию, посылку можно повернуть.
+ * @param {object} office - Офис CDEK
+ * @param {object} parcel - {weight (г), length, width, height (см)}
+ * @returns {boolean}
+ */
+export const fitsOffice = (office, { weight, length, width, height }) => {
+  if (weight && office.weight_max && weight > office.weight_max * 1000) {
+    return false;
+  }
+  if (weight && office.weight_min && weight < office.weight_min * 1000) {
+    return false;
+  }
+
+  const sides = [length, width, height].filter(Boolean).sort((a, b) => a - b);
+  if (sides.length === 0 || !office.dimensions?.length) {
+    return true;
+  }
+
+  return office.dimensions.some(cell => {
+    const cellSides = [cell.width, cell.height, cell.depth].sort((a, b) => a - b);
+    const parcelSides = [...Array(3 - sides.length).fill(0), ...sides];
+    return parcelSides.every((side, index) => side <= cellSides[index]);
+  });
+};
+
+/**
+ * Офисы в радиусе от точки, подходящие по посылке и возможностям офиса, по возрастанию расстояния
+ * Фильтр «открыт сейчас» применяется отдельно: для него нужны часовые пояса городов
+ * @param {Array} offices - Офисы CDEK
+ * @param {object} criteria - Условия
+ * @param {number} criteria.lat - Широта точки
+ * @param {number} criteria.lon - Долгота точки
+ * @param {number} criteria.radius - Радиус в метрах
+ * @param {object} criteria.parcel - Посылка {weight, length, width, height} (опционально)
+ * @param {boolean} criteria.cashless - Только с оплатой картой
+ * @param {boolean} criteria.dressingRoom - Только с примерочной
+ * @param {boolean} criteria.ltl - Только принимающие сборный груз
+ * @returns {Array} [{office, distance}]
+ */
+export const findOfficesNearby = (offices, { lat, lon, radius, parcel = {}, cashless, dressingRoom, ltl }) => offices
+  .filter(office => office.location?.latitude !== undefined && office.location?.longitude !== undefined)
+  .filter(office => (!cashless || office.have_cashless)
+    && (!dressingRoom || office.is_dressing_room)
+    && (!ltl || office.is_ltl)
+    && fitsOffice(office, parcel))
+  .map(office => ({
+    office,
+    distance: distanceBetween({ lat, lon }, { lat: office.location.latitude, lon: office.location.longitude }),
+  }))
+  .filter(({ distance }) => distance <= radius)
+  .sort((a, b) => a.distance - b.distance);
+
+// Флаги офиса CDEK, по которым можно отбирать офисы в /offices (значение true или false)
+export const OFFICE_FLAGS = ['have_cashless', 'is_dressing_room', 'is_handout', 'is_reception'];
+
+/**
+ * Разбор области карты
+ * @param {string} bbox - 'minLon,minLat,maxLon,maxLat'
+ * @returns {object} {minLon, minLat, maxLon, maxLat}
+ */
+export const parseBoundingBox = (bbox) => {
+  const [minLon, minLat, maxLon, maxLat] = bbox.split(',').map(Number);
+  return { minLon, minLat, maxLon, maxLat };
+};
+
+/**
+ * Офисы для списка и карты: в области карты, принимающие указанный вес и с нужными флагами
+ * @param {Array} offices - Офисы CDEK
+ * @param {object} filters - Условия
+ * @param {object} filters.bbox - Область {minLon, minLat, maxLon, maxLat} (опционально)
+ * @param {number} filters.weightMax - Вес в кг, который офис должен принять (опционально)
+ * @param {object} filters.flags - Флаги офиса {have_cashless: true, ...} (не заданные не проверяются)
+ * @returns {Array} Подходящие офисы в порядке CDEK
+ */
+export const filterOffices = (offices, { bbox, weightMax, flags = {} }) => offices.filter((office) => {
+  if (bbox) {
+    const { latitude, longitude } = office.location || {};
+    if (latitude === undefined || longitude === undefined
+      || longitude < bbox.minLon || longitude > bbox.maxLon || latitude < bbox.minLat || latitude > bbox.maxLat) {
+      return false;
+    }
+  }
+  if (weightMax !== undefined && office.weight_max !== undefined && office.weight_max < weightMax) {
+    return false;
+  }
+  return Object.entries(flags)
+    .every(([flag, value]) => value === undefined || Boolean(office[flag]) === value);
+});
+
+/**
+ * Страница списка
+ * @param {Array} items - Весь список
+ * @param {number} page - Номер страницы (с 1)
+ * @param {number} pageSize - Размер страницы
+ * @returns {object} {items, pagination: {page, pageSize, total, totalPages}}
+ */
+export const paginate = (items, page, pageSize) => ({
+  items: items.slice((page - 1) * pageSize, page * pageSize),
+  pagination: {
+    page,
+    pageSize,
+    total: items.length,
+    totalPages: Math.ceil(items.length / pageSize),
+  },
+});
@@ -0,0 +1,139 @@
+/**
+ * Подбор склада (ПВЗ) отправления или доставки для тарифов склад-склад (сборный груз 751)
+ * Склад должен принять каждое место по весу и габаритам и работать на прием (склад отправления)
+ * или на выдачу (склад доставки). Из подходящих сначала выбираются склады со сборным грузом
+ * (is_ltl), затем ближайший к адресу. Вместе с кодом возвращается причина выбора.
+ */
+
+import { distanceBetween, fitsOffice } from './search.js';
+
+// Тарифы, по которым отправитель сдает посылки на склад (склад-склад, склад-дверь, склад-постамат):
+// только для них подбирается склад отправления, остальные забирают посылки у двери отправителя
+export const WAREHOUSE_SENDER_TARIFFS = [
+  62, 63, // Магистральный (супер-)экспресс склад-склад
+  122, // Экспресс склад-дверь
+  136, 137, 368, // Посылка склад-склад, склад-дверь, склад-постамат
+  233, 234, 378, // Экономичная посылка склад-дверь, склад-склад, склад-постамат
+  482, 483, 486, // Экспресс склад-дверь, склад-склад, склад-постамат
+  750, 751, // Сборный груз склад-дверь, склад-склад
+];
+
+// Назначение склада
+export const WAREHOUSE_ROLES = {
+  SHIPMENT: 'shipment',
+  DELIVERY: 'delivery',
+};
+
+const ROLE_LABELS = {
+  [WAREHOUSE_ROLES.SHIPMENT]: 'отправления',
+  [WAREHOUSE_ROLES.DELIVERY]: 'доставки',
+};
+
+// Склад отправления должен принимать посылки, склад доставки - выдавать
+const servesRole = (office, role) => (role === WAREHOUSE_ROLES.SHIPMENT
+  ? office.is_reception !== false && office.take_only !== true
+  : office.is_handout !== false);
+
+const formatKilometers = (meters) => `${(meters / 1000).toFixed(1).replace('.', ',')} км`;
+
+/**
+ * Примерная точка адреса
+ * Геокодера у CDEK нет, поэтому адрес привязывается к ПВЗ города с тем же почтовым индексом
+ * @param {Array} offices - Офисы города
+ * @param {string} address - Адрес с почтовым индексом ("630099, Новосибирск, ...")
+ * @returns {object|null} {lat, lon} или null, если индекса в адресе нет или ПВЗ с ним не найдены
+ */
+export const locateAddress = (offices, address) => {
+  const postalCode = String(address || '').match(/(?:^|\D)(\d{6})(?:\D|$)/)?.[1];
+  const matches = postalCode
+    ? offices.filter(office => office.location?.postal_code === postalCode && office.location.latitude !== undefined)
+    : [];
+  if (matches.length === 0) {
+    return null;
+  }
+
+  return {
+    lat: matches.reduce((sum, office) => sum + office.location.latitude, 0) / matches.length,
+    lon: matches.reduce((sum, office) => sum + office.location.longitude, 0) / matches.length,
+  };
+};
+
+/**
+ * Выбор склада из офисов города
+ * @param {Array} offices - Офисы города
+ * @param {object} criteria - Условия
+ * @param {string} criteria.role - Назначение склада (WAREHOUSE_ROLES)
+ * @param {Array} criteria.packages - Места [{weight (г), length, width, height (см)}]
+ * @param {object} criteria.near - Точка {lat, lon}, к которой склад должен быть ближе (опционально)
+ * @param {boolean} criteria.preferLtl - Предпочитать склады сборного груза (по умолчанию true)
+ * @returns {object} {office, distance, reason}; office = null, если подходящего склада нет
+ */
+export const selectWarehouse = (offices, { role, packages = [], near, preferLtl = true }) => {
+  const label = ROLE_LABELS[role];
+  const serving = offices.filter(office => servesRole(office, role));
+  const suitable = serving.filter(office => packages.every(pkg => fitsOffice(office, pkg)));
+
+  if (suitable.length === 0) {
+    const reason = serving.length === 0
+      ? `В городе нет ПВЗ, которые работают как склад ${label}`
+      : `Ни один из ${serving.length} ПВЗ города не принимает места такого веса или размера`;
+    return { office: null, distance: null, reason };
+  }
+
+  const ranked = suitable
+    .map((office, index) => ({
+      office,
+      index,
+      distance: near && office.location?.latitude !== undefined
+        ? distanceBetween(near, { lat: office.location.latitude, lon: office.location.longitude })
+        : null,
+    }))
+    .sort((a, b) => (preferLtl ? Number(Boolean(b.office.is_ltl)) - Number(Boolean(a.office.is_ltl)) : 0)
+      || (a.distance ?? Infinity) - (b.distance ?? Infinity)
+      || a.index - b.index);
+  const { office, distance } = ranked[0];
+
+  const reasons = [];
+  if (office.is_ltl) {
+    reasons.push('Склад сборного груза');
+  } else {
+    reasons.push(preferLtl ? 'Складов сборного груза, подходящих по весу и габаритам, нет - выбран ПВЗ' : 'ПВЗ');
+  }
+  reasons.push(distance !== null ? `ближайший к адресу (${formatKilometers(distance)})` : 'первый в списке CDEK (адрес не привязан к координатам)');
+
+  const rejected = serving.length - suitable.length;
+  return {
+    office,
+    distance,
+    reason: `${reasons.join(', ')}; подходят ${suitable.length} из ${serving.length} ПВЗ города`
+      + (rejected > 0 ? `, ${rejected} не принимают места такого веса или размера` : ''),
+  };
+};
+
+/**
+ * Подбор склада в городе
+ * @param {CDEKApiClient} cdek - Клиент CDEK
+ * @param {object} params - Условия
+ * @param {number} params.cityCode - Код города
+ * @param {string} params.role - Назначение склада (WAREHOUSE_ROLES)
+ * @param {Array} params.packages - Места
+ * @param {string} params.address - Адрес, к которому склад должен быть ближе (опционально)
+ * @param {object} params.near - Точка {lat, lon} вместо адреса (опционально)
+ * @param {boolean} params.preferLtl - Предпочитать склады сборного груза
+ * @returns {Promise<object>} {code, name, address, isLtl, weightMax, distance, reason}; code = null, если склада нет
+ */
+export const findWarehouse = async (cdek, { cityCode, role, packages, address, near, preferLtl }) => {
+  const offices = await cdek.getOffices(cityCode, { type: 'PVZ' });
+  const point = near || locateAddress(offices, address);
+  const { office, distance, reason } = selectWarehouse(offices, { role, packages, near: point, preferLtl });
+
+  return {
+    code: office?.code ?? null,
+    name: office?.name,
+    address: office?.location?.address,
+    isLtl: office ? Boolean(office.is_ltl) : undefined,
+    weightMax: office?.weight_max,
+    distance,
+    reason,
+  };
+};
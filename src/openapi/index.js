@@ -0,0 +1,259 @@
+/**
+ * Спецификация OpenAPI 3.1 для API доставки
+ * Пути и методы берутся из роутера, параметры и тела запросов - из схем валидации
+ * (ROUTE_SCHEMAS), описания и ответы - из OPERATIONS. Роут без описания в OPERATIONS
+ * считается ошибкой, поэтому спецификация не расходится с кодом.
+ */
+
+import { ROUTE_SCHEMAS } from '../validation/schemas.js';
+import { OPERATIONS, COMPONENT_SCHEMAS, ERROR_RESPONSES, TAGS } from './operations.js';
+
+const JSON_TYPE = 'application/json';
+const CSV_TYPE = 'text/csv';
+
+// Арендатор определяется по X-Api-Key или X-Tenant-Id; без них - арендатор по умолчанию
+const TENANT_SECURITY = [{}, { ApiKey: [] }, { TenantId: [] }];
+
+/**
+ * Варианты авторизации роута: право ключа указывается в требовании ApiKey
+ * @param {string} scope - Право API-ключа
+ * @param {boolean} admin - Нужен ли X-Admin-Token
+ * @returns {Array} Security Requirement Objects
+ */
+const tenantSecurity = (scope, admin) => TENANT_SECURITY
+  .map(requirement => (requirement.ApiKey ? { ApiKey: [scope] } : requirement))
+  .map(requirement => (admin ? { ...requirement, AdminToken: [] } : requirement));
+
+/**
+ * Схема валидации без расширений, которых нет в JSON Schema
+ * (refine и значения по умолчанию, вычисляемые функцией)
+ * @param {object} schema - Схема из ROUTE_SCHEMAS
+ * @returns {object} Схема для OpenAPI
+ */
+export const toJsonSchema = (schema) => {
+  const { refine, default: defaultValue, properties, items, ...rest } = schema;
+  const result = { ...rest };
+
+  if (defaultValue !== undefined && typeof defaultValue !== 'function') {
+    result.default = defaultValue;
+  }
+  if (properties) {
+    result.properties = Object.fromEntries(
+      Object.entries(properties).map(([name, property]) => [name, toJsonSchema(property)])
+    );
+  }
+  if (items) {
+    result.items = toJsonSchema(items);
+  }
+
+  return result;
+};
+
+/**
+ * Параметры пути и query-строки
+ * Массивы и объекты в query передаются JSON-строкой (packages=[...])
+ * @param {object} schemas - Схемы роута {params, query}
+ * @returns {Array} Параметры операции
+ */
+const buildParameters = (schemas) => ['params', 'query'].flatMap(source => {
+  const schema = schemas[source];
+  if (!schema?.properties) {
+    return [];
+  }
+
+  return Object.entries(schema.properties).map(([name, property]) => {
+    const { description, ...propertySchema } = toJsonSchema(property);
+    const parameter = {
+      name,
+      in: source === 'params' ? 'path' : 'query',
+      required: source === 'params' || (schema.required || []).includes(name),
+      description,
+    };
+    const types = [].concat(propertySchema.type);
+
+    if (types.includes('array') || types.includes('object')) {
+      parameter.content = { [JSON_TYPE]: { schema: propertySchema } };
+    } else {
+      parameter.schema = propertySchema;
+    }
+    return parameter;
+  });
+});
+
+/**
+ * Ответы операции: описанные в OPERATIONS и типовые ошибки
+ * @param {object} operation - Описание операции
+ * @param {boolean} validated - Есть ли у роута схема валидации
+ * @returns {object} Ответы по HTTP-статусам
+ */
+const buildResponses = (operation, validated) => {
+  const responses = {};
+
+  for (const [status, response] of Object.entries(operation.responses)) {
+    const contentType = response.contentType || JSON_TYPE;
+    responses[status] = {
+      description: response.description,
+      content: {
+        [contentType]: contentType === JSON_TYPE
+          ? { schema: response.schema, example: response.example }
+          : { schema: { type: 'string', format: 'binary' } },
+      },
+    };
+    for (const [alternativeType, alternative] of Object.entries(response.alternatives || {})) {
+      responses[status].content[alternativeType] = alternative;
+    }
+  }
+
+  const errorStatuses = [
+    ...(validated || operation.validates ? [400] : []),
+    ...(operation.tenant === false ? [] : [401]),
+    ...(operation.tenant === false && !operation.secret ? [] : [403]),
+    ...(operation.errors || []),
+    ...(operation.tenant === false ? [] : [429]),
+    ...(operation.cdek === false ? [] : [502, 503, 504]),
+  ];
+  for (const status of errorStatuses) {
+    responses[status] = { $ref: `#/components/responses/${ERROR_RESPONSES[status].name}` };
+  }
+
+  return responses;
+};
+
+/**
+ * Описание одной операции
+ * @param {string} key - Роут в формате 'МЕТОД /путь'
+ * @param {string} scope - Право API-ключа из requireScope роута
+ * @returns {object} Operation Object
+ */
+const buildOperation = (key, scope) => {
+  const operation = OPERATIONS[key];
+  if (!operation) {
+    throw new Error(`Нет описания OpenAPI для роута ${key}`);
+  }
+  if (!scope && operation.tenant !== false) {
+    throw new Error(`Не указано право API-ключа (requireScope) для роута ${key}`);
+  }
+
+  const schemas = ROUTE_SCHEMAS[key] || {};
+  const result = {
+    tags: operation.tags,
+    summary: operation.summary,
+    description: operation.description,
+    operationId: operation.operationId,
+    parameters: [...buildParameters(schemas), ...(operation.parameters || [])],
+  };
+
+  if (schemas.body) {
+    result.requestBody = {
+      required: true,
+      content: {
+        [JSON_TYPE]: { schema: toJsonSchema(schemas.body), example: operation.requestExample },
+      },
+    };
+    if (operation.requestCsvExample) {
+      result.requestBody.content[CSV_TYPE] = { schema: { type: 'string' }, example: operation.requestCsvExample };
+    }
+  }
+  result.security = operation.tenant === false ? [] : tenantSecurity(scope, operation.admin);
+  result.responses = buildResponses(operation, Boolean(schemas.params || schemas.query || schemas.body));
+
+  if (result.parameters.length === 0) {
+    delete result.parameters;
+  }
+  return result;
+};
+
+/**
+ * Роуты Express-роутера с правами API-ключа
+ * @param {Function} router - express.Router()
+ * @returns {Array<object>} [{key: 'МЕТОД /путь', scope}] в порядке объявления
+ */
+const routeEntries = (router) => router.stack
+  .filter(layer => layer.route)
+  .flatMap(layer => Object.keys(layer.route.methods)
+    .filter(method => layer.route.methods[method])
+    .map(method => ({
+      key: `${method.toUpperCase()} ${layer.route.path}`,
+      scope: layer.route.stack.find(routeLayer => routeLayer.handle.scope)?.handle.scope,
+    })));
+
+/**
+ * Роуты Express-роутера в формате 'МЕТОД /путь'
+ * @param {Function} router - express.Router()
+ * @returns {Array<string>} Роуты в порядке объявления
+ */
+export const listRoutes = (router) => routeEntries(router).map(entry => entry.key);
+
+/**
+ * Построение спецификации OpenAPI
+ * @param {Function} router - Роутер API доставки
+ * @param {object} options - Параметры
+ * @param {string} options.basePath - Путь, по которому подключен роутер (по умолчанию /api/delivery)
+ * @param {string} options.version - Версия API
+ * @returns {object} Документ OpenAPI 3.1
+ */
+export const buildOpenApiSpec = (router, options = {}) => {
+  const { basePath = '/api/delivery', version = '1.0.0' } = options;
+  const paths = {};
+
+  for (const { key, scope } of routeEntries(router)) {
+    const [method, path] = key.split(' ');
+    const openApiPath = basePath + path.replace(/:(\w+)/g, '{$1}');
+
+    paths[openApiPath] ??= {};
+    paths[openApiPath][method.toLowerCase()] = buildOperation(key, scope);
+  }
+
+  return {
+    openapi: '3.1.0',
+    info: {
+      title: 'CDEK Delivery API',
+      version,
+      description: 'API расчета стоимости доставки, заказов и вызова курьера CDEK. '
+        + 'Вес указывается в граммах, размеры - в сантиметрах.',
+    },
+    tags: TAGS,
+    security: TENANT_SECURITY,
+    paths,
+    components: {
+      schemas: COMPONENT_SCHEMAS,
+      responses: Object.fromEntries(Object.values(ERROR_RESPONSES).map(response => [response.name, {
+        description: response.description,
+        content: {
+          [JSON_TYPE]: { schema: { $ref: '#/components/schemas/Error' }, example: response.example },
+        },
+      }])),
+      securitySchemes: {
+        ApiKey: {
+          type: 'apiKey',
+          in: 'header',
+          name: 'X-Api-Key',
+          description: 'API-ключ арендатора (магазина) из API_KEYS или TENANTS_FILE. '
+            + 'В требованиях операций указано нужное право ключа: quote, orders или admin',
+        },
+        TenantId: {
+          type: 'apiKey',
+          in: 'header',
+          name: 'X-Tenant-Id',
+          description: 'Идентификатор арендатора (заголовок меняется через TENANT_HEADER)',
+        },
+        AdminToken: {
+          type: 'apiKey',
+          in: 'header',
+          name: 'X-Admin-Token',
+          description: 'Токен оператора (CACHE_ADMIN_TOKEN); без него эндпоинты управления отключены',
+        },
+      },
+    },
+  };
+};
+
+/**
+ * Краткий список эндпоинтов для GET / ('МЕТОД /путь' → описание)
+ * @param {object} spec - Документ OpenAPI
+ * @returns {object} Эндпоинты
+ */
+export const listEndpoints = (spec) => Object.fromEntries(
+  Object.entries(spec.paths).flatMap(([path, operations]) => Object.entries(operations)
+    .map(([method, operation]) => [`${method.toUpperCase()} ${path}`, operation.summary]))
+);
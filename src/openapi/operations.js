@@ -0,0 +1,1413 @@
+/**
+ * Описания операций API доставки для спецификации OpenAPI
+ * Ключи - роуты в формате 'МЕТОД /путь' (как в ROUTE_SCHEMAS).
+ * Параметры и тела запросов здесь не описываются - они берутся из схем валидации.
+ *
+ * Поля операции:
+ * - tags, summary, description, operationId
+ * - responses - успешные ответы {статус: {description, schema, example, contentType, alternatives}}
+ *   (alternatives - другие форматы того же ответа {тип: {schema, example}}, например CSV)
+ * - requestExample - пример тела запроса; requestCsvExample - тело можно передать в CSV
+ * - admin - требуется X-Admin-Token; secret - проверяется секрет вебхука
+ * - tenant: false - роут вызывает CDEK, арендатор не определяется
+ *   (право API-ключа остальных роутов берется из их requireScope)
+ * - cdek: false - CDEK не вызывается (нет ответов 502/503/504)
+ * - errors - дополнительные статусы ошибок (404, 409, 422)
+ * - parameters - параметры, которых нет в схеме валидации
+ */
+
+import { CDEK_ERROR_CODES } from '../cdek/errors.js';
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+const list = (items) => ({ type: 'array', items });
+
+// Ответ {success: true, data, ...}
+const success = (data, extra = {}) => ({
+  type: 'object',
+  properties: { success: { type: 'boolean', const: true }, data, ...extra },
+  required: ['success'],
+});
+
+const ORDER_UUID = '72753031-5f1d-4e6c-9f2b-2b6e0d5a9f10';
+const REQUEST_UUID = '0e9a0f9c-2c64-4d3f-8a48-1c3f4b2a7e11';
+
+const exampleRequestState = {
+  uuid: ORDER_UUID,
+  requestUuid: REQUEST_UUID,
+  type: 'CREATE',
+  state: 'ACCEPTED',
+  dateTime: '2025-03-20T10:15:00+0300',
+  errors: [],
+  warnings: [],
+};
+
+// Запрос в составе заказа (без uuid заказа)
+const { uuid: _orderUuid, ...exampleOrderRequest } = exampleRequestState;
+
+const exampleCdekEntity = {
+  entity: { uuid: ORDER_UUID },
+  requests: [{ request_uuid: REQUEST_UUID, type: 'CREATE', state: 'ACCEPTED', date_time: '2025-03-20T10:15:00+0300' }],
+};
+
+const exampleRoute = {
+  fromCityCode: 44,
+  fromAddress: 'г. Москва, ул. Примерная, д. 1',
+  toCityCode: 270,
+  toAddress: 'г. Новосибирск',
+};
+
+const exampleParcel = { weight: 2000, length: 10, width: 20, height: 30 };
+
+const examplePackageSummary = {
+  number: 'PACK-1',
+  ...exampleParcel,
+  volumeWeight: 1200,
+  chargeableWeight: 2000,
+};
+
+export const TAGS = [
+  { name: 'Справочники', description: 'Города, офисы и тарифы CDEK' },
+  { name: 'Расчет', description: 'Стоимость и сроки доставки, подбор коробок' },
+  { name: 'Заказы', description: 'Создание, изменение и отмена заказов, печатные формы' },
+  { name: 'Вызов курьера', description: 'Заявки на забор груза' },
+  { name: 'Вебхуки', description: 'Подписки на события CDEK и их прием' },
+  { name: 'Служебные', description: 'Кэш и состояние подключения к CDEK' },
+];
+
+export const COMPONENT_SCHEMAS = {
+  Error: {
+    type: 'object',
+    description: 'Ошибка (единый формат для всех роутов)',
+    properties: {
+      code: {
+        type: 'string',
+        description: 'Машиночитаемый код ошибки',
+        examples: ['VALIDATION_ERROR', 'INVALID_JSON', 'FORBIDDEN', 'INTERNAL_ERROR', ...Object.keys(CDEK_ERROR_CODES)],
+      },
+      message: { type: 'string', description: 'Описание ошибки' },
+      details: list({ type: 'string' }),
+      cdekErrors: list({
+        type: 'object',
+        properties: { code: { type: 'string' }, message: { type: 'string' } },
+      }),
+      requestId: { type: 'string', description: 'Идентификатор запроса в CDEK (для ошибок CDEK)' },
+      fields: {
+        description: 'Ошибки по полям (для VALIDATION_ERROR)',
+        ...list({
+          type: 'object',
+          properties: { field: { type: ['string', 'null'] }, message: { type: 'string' } },
+        }),
+      },
+    },
+    required: ['code', 'message', 'details', 'cdekErrors'],
+  },
+  City: {
+    type: 'object',
+    description: 'Город CDEK',
+    properties: {
+      code: { type: 'integer', description: 'Код города' },
+      city: { type: 'string' },
+      country_code: { type: 'string' },
+      region: { type: 'string' },
+      region_code: { type: 'integer' },
+      longitude: { type: 'number' },
+      latitude: { type: 'number' },
+      time_zone: { type: 'string' },
+    },
+  },
+  CitySuggestion: {
+    allOf: [ref('City'), {
+      type: 'object',
+      properties: {
+        sub_region: { type: 'string' },
+        label: { type: 'string', description: 'Название для списка; у одноименных городов - с регионом' },
+        match: { type: 'string', enum: ['exact', 'prefix', 'word', 'substring', 'fuzzy'], description: 'Вид совпадения с запросом' },
+        officeCount: { type: 'integer', description: 'Число офисов CDEK в городе (крупные города выше)' },
+      },
+    }],
+  },
+  ResolvedCity: {
+    type: 'object',
+    description: 'Город CDEK, определенный по почтовому индексу или адресу',
+    properties: {
+      code: { type: 'integer', description: 'Код города' },
+      city: { type: 'string' },
+      region: { type: 'string' },
+      regionCode: { type: 'integer' },
+      countryCode: { type: 'string' },
+      postalCode: { type: 'string', description: 'Почтовый индекс, по которому определен город' },
+      confidence: { type: 'number', minimum: 0, maximum: 1, description: 'Уверенность: 1 - однозначно' },
+      method: { type: 'string', enum: ['postal_code', 'address'], description: 'По индексу или по названию из адреса' },
+      candidates: list({
+        type: 'object',
+        properties: {
+          code: { type: 'integer' },
+          city: { type: 'string' },
+          region: { type: 'string' },
+        },
+      }),
+    },
+  },
+  Office: {
+    type: 'object',
+    description: 'Офис (ПВЗ или постамат) CDEK',
+    properties: {
+      code: { type: 'string', description: 'Код ПВЗ' },
+      name: { type: 'string' },
+      type: { type: 'string', enum: ['PVZ', 'POSTAMAT'] },
+      location: {
+        type: 'object',
+        properties: {
+          city_code: { type: 'integer' },
+          city: { type: 'string' },
+          postal_code: { type: 'string' },
+          longitude: { type: 'number' },
+          latitude: { type: 'number' },
+          address: { type: 'string' },
+          address_full: { type: 'string' },
+        },
+      },
+      work_time: { type: 'string' },
+      is_handout: { type: 'boolean' },
+      is_reception: { type: 'boolean' },
+      is_dressing_room: { type: 'boolean' },
+      is_ltl: { type: 'boolean', description: 'Работает со сборным грузом' },
+      have_cashless: { type: 'boolean' },
+      weight_min: { type: 'number', description: 'Минимальный вес в кг' },
+      weight_max: { type: 'number', description: 'Максимальный вес в кг' },
+    },
+  },
+  Pagination: {
+    type: 'object',
+    description: 'Страница списка',
+    properties: {
+      page: { type: 'integer' },
+      pageSize: { type: 'integer' },
+      total: { type: 'integer', description: 'Всего элементов' },
+      totalPages: { type: 'integer' },
+    },
+  },
+  WorkHours: {
+    type: 'object',
+    description: 'Часы работы офиса',
+    properties: {
+      text: { type: 'string', description: 'Часы работы текстом (work_time)' },
+      timeZone: { type: 'string', description: 'Часовой пояс города офиса' },
+      schedule: list({
+        type: 'object',
+        properties: {
+          day: { type: 'integer', minimum: 1, maximum: 7, description: 'День недели (1 - понедельник)' },
+          name: { type: 'string' },
+          open: { type: 'string', description: 'HH:MM' },
+          close: { type: 'string', description: 'HH:MM' },
+        },
+      }),
+      openNow: { type: 'boolean', description: 'Открыт ли офис сейчас (или в момент at)' },
+    },
+  },
+  Warehouse: {
+    type: 'object',
+    description: 'Автоматически подобранный склад (ПВЗ) и причина выбора',
+    properties: {
+      code: { type: ['string', 'null'], description: 'Код ПВЗ (null, если ПВЗ города получить не удалось)' },
+      name: { type: 'string' },
+      address: { type: 'string' },
+      isLtl: { type: 'boolean', description: 'Работает со сборным грузом' },
+      weightMax: { type: 'number', description: 'Максимальный вес места в кг' },
+      distance: { type: ['integer', 'null'], description: 'Расстояние до адреса в метрах (null - адрес не привязан к координатам)' },
+      reason: { type: 'string', description: 'Почему выбран этот склад' },
+    },
+  },
+  Warehouses: {
+    type: 'object',
+    description: 'Склады, подобранные автоматически (только не указанные в запросе)',
+    properties: {
+      shipmentPoint: ref('Warehouse'),
+      deliveryPoint: ref('Warehouse'),
+    },
+  },
+  TariffInfo: {
+    type: 'object',
+    description: 'Тариф из справочника CDEK',
+    properties: {
+      tariff_code: { type: 'integer' },
+      tariff_name: { type: 'string' },
+      tariff_description: { type: 'string' },
+      delivery_mode: { type: 'integer' },
+    },
+  },
+  DateRange: {
+    type: ['object', 'null'],
+    properties: { dateMin: { type: 'string', format: 'date' }, dateMax: { type: 'string', format: 'date' } },
+  },
+  AppliedRule: {
+    type: 'object',
+    description: 'Сработавшее правило цены',
+    properties: {
+      id: { type: 'string' },
+      type: { type: 'string', enum: ['markup', 'freeShipping', 'min', 'max', 'round'] },
+      change: { type: 'number', description: 'Изменение цены в рублях' },
+    },
+  },
+  TariffQuote: {
+    type: 'object',
+    description: 'Стоимость и сроки доставки по тарифу',
+    properties: {
+      code: { type: 'integer', description: 'Код тарифа' },
+      name: { type: 'string' },
+      description: { type: 'string' },
+      cost: { type: 'number', description: 'Стоимость доставки CDEK в рублях' },
+      carrierCost: { type: 'number', description: 'Стоимость CDEK, от которой считается цена' },
+      customerPrice: { type: 'number', description: 'Цена доставки для покупателя по правилам цены' },
+      appliedRules: list(ref('AppliedRule')),
+      periodMin: { type: 'integer', description: 'Минимальный срок в рабочих днях' },
+      periodMax: { type: 'integer' },
+      calendarMin: { type: 'integer', description: 'Минимальный срок в календарных днях' },
+      calendarMax: { type: 'integer' },
+      deliveryDateRange: ref('DateRange'),
+    },
+  },
+  DeliveryOption: {
+    type: 'object',
+    description: 'Вариант доставки при подборе тарифа',
+    properties: {
+      rank: { type: 'integer', description: 'Место в списке (1 - рекомендованный)' },
+      code: { type: 'integer', description: 'Код тарифа' },
+      name: { type: 'string' },
+      deliveryMode: { type: 'integer', description: 'Режим доставки CDEK' },
+      deliveryType: { type: 'string', enum: ['door', 'pickup'] },
+      carrierCost: { type: 'number' },
+      customerPrice: { type: 'number' },
+      appliedRules: list(ref('AppliedRule')),
+      periodMin: { type: 'integer' },
+      periodMax: { type: 'integer' },
+      score: { type: 'number', description: 'Балл сочетания цены и срока (0 - лучший)' },
+    },
+  },
+  BatchRowResult: {
+    type: 'object',
+    description: 'Результат строки пакетного расчета',
+    properties: {
+      row: { type: 'integer', description: 'Номер строки (с 1)' },
+      id: { type: 'string', description: 'id строки из запроса' },
+      fromCityCode: { type: 'integer' },
+      toCityCode: { type: 'integer' },
+      status: { type: 'string', enum: ['ok', 'error'] },
+      tariffs: list({
+        type: 'object',
+        properties: {
+          code: { type: 'integer' },
+          name: { type: 'string' },
+          carrierCost: { type: 'number' },
+          customerPrice: { type: 'number' },
+          appliedRules: list(ref('AppliedRule')),
+          periodMin: { type: 'integer' },
+          periodMax: { type: 'integer' },
+        },
+      }),
+      error: {
+        type: 'object',
+        description: 'Ошибка строки (status = error)',
+        properties: { code: { type: 'string' }, message: { type: 'string' }, details: list({ type: 'string' }) },
+      },
+    },
+  },
+  BatchJob: {
+    type: 'object',
+    description: 'Фоновое задание пакетного расчета',
+    properties: {
+      jobId: { type: 'string' },
+      status: { type: 'string', enum: ['running', 'done', 'failed'] },
+      total: { type: 'integer', description: 'Всего строк' },
+      done: { type: 'integer', description: 'Посчитано строк' },
+      failed: { type: 'integer', description: 'Строк с ошибкой' },
+      progress: { type: 'integer', description: 'Прогресс в процентах' },
+      createdAt: { type: 'string', format: 'date-time' },
+      finishedAt: { type: ['string', 'null'], format: 'date-time' },
+      error: { type: 'string', description: 'Причина сбоя задания (status = failed)' },
+      statusUrl: { type: 'string', description: 'Адрес для опроса прогресса и получения результатов' },
+    },
+  },
+  PackageSummary: {
+    type: 'object',
+    description: 'Посылка с объемным и расчетным весом (в граммах)',
+    properties: {
+      number: { type: 'string' },
+      weight: { type: 'integer' },
+      length: { type: 'integer' },
+      width: { type: 'integer' },
+      height: { type: 'integer' },
+      volumeWeight: { type: 'integer', description: 'Объемный вес (Д × Ш × В / 5000, в граммах)' },
+      chargeableWeight: { type: 'integer', description: 'Вес, по которому считается стоимость' },
+    },
+  },
+  PackedPackage: {
+    type: 'object',
+    description: 'Коробка с товарами (результат подбора)',
+    properties: {
+      number: { type: 'string' },
+      weight: { type: 'integer', description: 'Вес с коробкой в граммах' },
+      length: { type: 'integer' },
+      width: { type: 'integer' },
+      height: { type: 'integer' },
+      box: { type: ['string', 'null'], description: 'Коробка из каталога (null - товар в собственной упаковке)' },
+      items: list({ type: 'object', properties: { name: { type: 'string' }, weight: { type: 'number' }, amount: { type: 'integer' } } }),
+    },
+  },
+  CdekMessage: {
+    type: 'object',
+    properties: { code: { type: 'string' }, message: { type: 'string' } },
+  },
+  RequestState: {
+    type: 'object',
+    description: 'Состояние асинхронного запроса в CDEK',
+    properties: {
+      uuid: { type: 'string', format: 'uuid', description: 'UUID заказа, заявки или подписки' },
+      requestUuid: { type: 'string', format: 'uuid' },
+      type: { type: 'string', examples: ['CREATE', 'UPDATE', 'DELETE'] },
+      state: { type: 'string', enum: ['ACCEPTED', 'WAITING', 'SUCCESSFUL', 'INVALID'] },
+      dateTime: { type: 'string' },
+      errors: list(ref('CdekMessage')),
+      warnings: list(ref('CdekMessage')),
+    },
+  },
+  CdekEntityResponse: {
+    type: 'object',
+    description: 'Ответ CDEK на создание сущности (заказа, заявки, подписки)',
+    properties: {
+      entity: { type: 'object', properties: { uuid: { type: 'string', format: 'uuid' } } },
+      requests: list({ type: 'object' }),
+    },
+  },
+  Status: {
+    type: 'object',
+    properties: {
+      code: { type: 'string' },
+      name: { type: 'string' },
+      dateTime: { type: 'string' },
+      city: { type: 'string' },
+      reasonCode: { type: 'string' },
+    },
+  },
+  Order: {
+    type: 'object',
+    description: 'Заказ с историей статусов (от новых к старым)',
+    properties: {
+      uuid: { type: 'string', format: 'uuid' },
+      cdekNumber: { type: 'string' },
+      number: { type: 'string' },
+      type: { type: 'integer' },
+      tariffCode: { type: 'integer' },
+      shipmentPoint: { type: 'string' },
+      deliveryPoint: { type: 'string' },
+      fromLocation: { type: 'object' },
+      toLocation: { type: 'object' },
+      recipient: { type: 'object' },
+      packages: list({ type: 'object' }),
+      deliveryDetail: { type: 'object' },
+      status: { oneOf: [ref('Status'), { type: 'null' }] },
+      statuses: list(ref('Status')),
+      requests: list(ref('RequestState')),
+      errors: list(ref('CdekMessage')),
+      warnings: list(ref('CdekMessage')),
+    },
+  },
+  Intake: {
+    type: 'object',
+    description: 'Заявка на вызов курьера',
+    properties: {
+      uuid: { type: 'string', format: 'uuid' },
+      intakeNumber: { type: 'integer' },
+      orderUuid: { type: 'string', format: 'uuid' },
+      date: { type: 'string', format: 'date' },
+      timeFrom: { type: 'string' },
+      timeTo: { type: 'string' },
+      fromLocation: { type: 'object' },
+      sender: { type: 'object' },
+      weight: { type: 'integer' },
+      status: { oneOf: [ref('Status'), { type: 'null' }] },
+      statuses: list(ref('Status')),
+      requests: list(ref('RequestState')),
+    },
+  },
+  WebhookEvent: {
+    type: 'object',
+    description: 'Принятое событие вебхука CDEK',
+    properties: {
+      id: { type: 'string', format: 'uuid' },
+      type: { type: 'string' },
+      uuid: { type: 'string' },
+      dateTime: { type: 'string' },
+      receivedAt: { type: 'string', format: 'date-time' },
+      tenant: { type: 'string', description: 'Арендатор, для которого пришло событие' },
+      orderUuid: { type: 'string', description: 'Для ORDER_STATUS' },
+      number: { type: 'string' },
+      cdekNumber: { type: 'string' },
+      status: { type: 'object' },
+      url: { type: 'string', description: 'Для PRINT_FORM и DOWNLOAD_PHOTO' },
+    },
+  },
+  Webhook: {
+    type: 'object',
+    description: 'Подписка на вебхук в CDEK',
+    properties: {
+      uuid: { type: 'string', format: 'uuid' },
+      url: { type: 'string' },
+      type: { type: 'string' },
+    },
+  },
+  CircuitBreaker: {
+    type: 'object',
+    description: 'Состояние выключателя запросов к CDEK',
+    properties: {
+      state: { type: 'string', enum: ['CLOSED', 'OPEN', 'HALF_OPEN'] },
+      failures: { type: 'integer' },
+      failureThreshold: { type: 'integer' },
+      resetTimeout: { type: 'integer' },
+      openedAt: { type: ['string', 'null'] },
+      retryAfter: { type: 'integer' },
+      lastFailure: { type: ['object', 'null'] },
+      stats: {
+        type: 'object',
+        properties: { successes: { type: 'integer' }, failures: { type: 'integer' }, rejected: { type: 'integer' } },
+      },
+    },
+  },
+};
+
+// Типовые ответы с ошибками (components.responses)
+export const ERROR_RESPONSES = {
+  400: {
+    name: 'ValidationError',
+    description: 'Ошибка во входных данных',
+    example: {
+      code: 'VALIDATION_ERROR',
+      message: 'Ошибка валидации',
+      details: ['toCityCode обязателен'],
+      cdekErrors: [],
+      fields: [{ field: 'toCityCode', message: 'toCityCode обязателен' }],
+    },
+  },
+  401: {
+    name: 'Unauthorized',
+    description: 'Неизвестный API-ключ или арендатор, либо для роута нужен API-ключ',
+    example: { code: 'UNAUTHORIZED', message: 'Неизвестный API-ключ', details: [], cdekErrors: [] },
+  },
+  403: {
+    name: 'Forbidden',
+    description: 'У API-ключа нет нужного права, ключ не разрешен для источника запроса, '
+      + 'неверный токен администратора или секрет вебхука',
+    example: { code: 'FORBIDDEN', message: 'У API-ключа widget нет права orders', details: [], cdekErrors: [] },
+  },
+  404: {
+    name: 'NotFound',
+    description: 'Объект не найден в CDEK (или не найдены фоновое задание либо город по индексу или адресу)',
+    example: {
+      code: 'CDEK_NOT_FOUND',
+      message: 'CDEK API Error (404): Заказ не найден',
+      details: ['Заказ не найден'],
+      cdekErrors: [{ code: 'v2_entity_not_found', message: 'Заказ не найден' }],
+    },
+  },
+  409: {
+    name: 'Conflict',
+    description: 'Действие пока невозможно (например, фоновое задание еще не завершено)',
+    example: {
+      code: 'JOB_NOT_FINISHED',
+      message: 'Задание еще не завершено: 120 из 500',
+      details: [],
+      cdekErrors: [],
+    },
+  },
+  422: {
+    name: 'Rejected',
+    description: 'CDEK отклонил запрос, не смог сформировать печатную форму, для тарифа склад-склад не нашелся '
+      + 'подходящий склад или по почтовому индексу не найден город (CITY_NOT_FOUND)',
+    example: {
+      code: 'CDEK_REQUEST_REJECTED',
+      message: 'CDEK отклонил запрос',
+      details: ['Заказ уже передан в доставку'],
+      cdekErrors: [{ code: 'v2_order_forbidden_to_delete', message: 'Заказ уже передан в доставку' }],
+      requestId: REQUEST_UUID,
+    },
+  },
+  429: {
+    name: 'RateLimited',
+    description: 'Превышен лимит запросов API-ключа (заголовок Retry-After - через сколько секунд повторить)',
+    example: {
+      code: 'RATE_LIMITED',
+      message: 'Превышен лимит запросов',
+      details: ['Повторите через 2 с'],
+      cdekErrors: [],
+    },
+  },
+  502: {
+    name: 'CdekError',
+    description: 'Внутренняя ошибка CDEK или CDEK не принимает учетные данные сервиса',
+    example: { code: 'CDEK_ERROR', message: 'CDEK API Error (500): Internal Server Error', details: [], cdekErrors: [] },
+  },
+  503: {
+    name: 'CdekUnavailable',
+    description: 'CDEK недоступен или превышен лимит запросов (заголовок Retry-After - когда повторить)',
+    example: { code: 'CDEK_UNAVAILABLE', message: 'CDEK API недоступен: fetch failed', details: [], cdekErrors: [] },
+  },
+  504: {
+    name: 'CdekTimeout',
+    description: 'CDEK не ответил вовремя',
+    example: { code: 'CDEK_TIMEOUT', message: 'CDEK API не ответил за 15000 мс', details: [], cdekErrors: [] },
+  },
+};
+
+const pdf = { 200: { description: 'PDF-файл', contentType: 'application/pdf' } };
+
+// Ответ в CSV (alternatives)
+const csv = (example) => ({ 'text/csv': { schema: { type: 'string' }, example } });
+
+const requestState = (description) => ({
+  202: { description, schema: success(ref('RequestState')), example: { success: true, data: exampleRequestState } },
+});
+
+// Ответ расчета по всем тарифам (одинаковый для GET и POST)
+const calculateResponse = {
+  200: {
+    description: 'Стоимость и сроки по всем доступным тарифам',
+    schema: {
+      type: 'object',
+      properties: {
+        success: { type: 'boolean', const: true },
+        tariffs: list(ref('TariffQuote')),
+        packages: list(ref('PackageSummary')),
+        errors: list(ref('CdekMessage')),
+        warnings: list(ref('CdekMessage')),
+      },
+    },
+    example: {
+      success: true,
+      tariffs: [{
+        code: 136,
+        name: 'Посылка склад-склад',
+        cost: 540,
+        carrierCost: 540,
+        customerPrice: 600,
+        appliedRules: [
+          { id: 'markup', type: 'markup', change: 54 },
+          { id: 'round', type: 'round', change: 6 },
+        ],
+        periodMin: 3,
+        periodMax: 5,
+        calendarMin: 3,
+        calendarMax: 5,
+        deliveryDateRange: { dateMin: '2025-03-24', dateMax: '2025-03-26' },
+      }],
+      packages: [examplePackageSummary],
+      errors: [],
+      warnings: [],
+    },
+  },
+};
+export const OPERATIONS = {
+  'GET /cities': {
+    tags: ['Справочники'],
+    summary: 'Поиск городов по названию',
+    description: 'Поиск в локальном справочнике городов CDEK: по началу названия, по началу слова, по подстроке и с опечатками; '
+      + 'латиница и «е» вместо «ё» допускаются. Порядок: точность совпадения, регион из regionCode или из запроса '
+      + '«Город, Регион», число офисов CDEK. Пока справочник не загружен, поиск идет через CDEK (source = cdek).',
+    operationId: 'searchCities',
+    responses: {
+      200: {
+        description: 'Найденные города',
+        schema: success(list(ref('CitySuggestion')), {
+          count: { type: 'integer' },
+          source: { type: 'string', enum: ['index', 'cdek'], description: 'Где искали: справочник или CDEK' },
+        }),
+        example: {
+          success: true,
+          data: [{
+            code: 44,
+            city: 'Москва',
+            country_code: 'RU',
+            region: 'Москва',
+            region_code: 81,
+            label: 'Москва',
+            match: 'exact',
+            officeCount: 1450,
+          }],
+          count: 1,
+          source: 'index',
+        },
+      },
+    },
+  },
+  'GET /resolve': {
+    tags: ['Справочники'],
+    summary: 'Город CDEK по почтовому индексу или адресу',
+    description: 'По индексу город ищется в CDEK напрямую; в адресе сначала ищется индекс, затем название населенного '
+      + 'пункта (по подсказкам CDEK). Одноименные города различаются по региону из адреса. '
+      + 'confidence: 1 - город определен однозначно, 0.9 - совпало название, 0.6 - несколько одноименных городов, '
+      + '0.4 - название совпало частично; остальные подходящие города - в candidates.',
+    operationId: 'resolveCity',
+    errors: [404],
+    responses: {
+      200: {
+        description: 'Город',
+        schema: success(ref('ResolvedCity')),
+        example: {
+          success: true,
+          data: {
+            code: 270,
+            city: 'Новосибирск',
+            region: 'Новосибирская область',
+            regionCode: 23,
+            countryCode: 'RU',
+            postalCode: '630099',
+            confidence: 1,
+            method: 'postal_code',
+            candidates: [{ code: 270, city: 'Новосибирск', region: 'Новосибирская область', regionCode: 23, countryCode: 'RU' }],
+          },
+        },
+      },
+    },
+  },
+  'GET /calculate': {
+    tags: ['Расчет'],
+    summary: 'Расчет стоимости доставки (query-параметры)',
+    description: 'То же, что POST /calculate, для проверки из браузера. Массив packages передается JSON-строкой.',
+    operationId: 'calculateByQuery',
+    errors: [422],
+    responses: calculateResponse,
+  },
+  'POST /calculate': {
+    tags: ['Расчет'],
+    summary: 'Расчет стоимости доставки по всем тарифам',
+    description: 'Посылки передаются массивом packages, товарами корзины items (коробки подбираются автоматически) '
+      + 'или полями weight/length/width/height для одного места. Вместо кодов городов можно передать '
+      + 'почтовые индексы fromPostalCode и toPostalCode. Параметры калькулятора CDEK (date, type, currency, '
+      + 'lang, additionalOrderTypes, services) передаются в CDEK как есть; в режиме арендатора calculateMode=minimal '
+      + 'в CDEK уходят только коды городов и места, а пропущенные параметры перечисляются в warnings.',
+    operationId: 'calculate',
+    errors: [422],
+    requestExample: { ...exampleRoute, ...exampleParcel, type: 2, services: [{ code: 'INSURANCE', parameter: 5000 }] },
+    responses: calculateResponse,
+  },
+  'POST /calculate-by-tariff': {
+    tags: ['Расчет'],
+    summary: 'Расчет по конкретному тарифу',
+    description: 'Для тарифа 751 (склад-склад) без shipmentPoint и deliveryPoint склады подбираются автоматически: '
+      + 'ПВЗ должен принять каждое место по весу и габаритам, склады сборного груза предпочтительнее, '
+      + 'из них выбирается ближайший к адресу (по почтовому индексу в адресе). Выбор и причина - в warehouses.',
+    operationId: 'calculateByTariff',
+    errors: [422],
+    requestExample: { tariffCode: 136, ...exampleRoute, ...exampleParcel, services: [{ code: 'INSURANCE', parameter: '5000' }] },
+    responses: {
+      200: {
+        description: 'Стоимость и сроки по тарифу',
+        schema: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean', const: true },
+            tariffCode: { type: 'integer' },
+            deliveryCost: { type: 'number' },
+            totalCost: { type: 'number', description: 'Стоимость с услугами' },
+            carrierCost: { type: 'number', description: 'Стоимость CDEK с услугами, от которой считается цена' },
+            customerPrice: { type: 'number', description: 'Цена доставки для покупателя по правилам цены' },
+            appliedRules: list(ref('AppliedRule')),
+            periodMin: { type: 'integer' },
+            periodMax: { type: 'integer' },
+            calendarMin: { type: 'integer' },
+            calendarMax: { type: 'integer' },
+            weightCalc: { type: 'integer', description: 'Расчетный вес в граммах' },
+            currency: { type: 'string' },
+            services: list({ type: 'object', properties: { code: { type: 'string' }, sum: { type: 'number' } } }),
+            packages: list(ref('PackageSummary')),
+            warehouses: ref('Warehouses'),
+            deliveryDateRange: ref('DateRange'),
+          },
+        },
+        example: {
+          success: true,
+          tariffCode: 136,
+          deliveryCost: 540,
+          totalCost: 615,
+          carrierCost: 615,
+          customerPrice: 680,
+          appliedRules: [
+            { id: 'markup', type: 'markup', change: 61.5 },
+            { id: 'round', type: 'round', change: 3.5 },
+          ],
+          periodMin: 3,
+          periodMax: 5,
+          weightCalc: 2000,
+          currency: 'RUB',
+          services: [{ code: 'INSURANCE', sum: 75 }],
+          packages: [examplePackageSummary],
+          deliveryDateRange: { dateMin: '2025-03-24', dateMax: '2025-03-26' },
+        },
+      },
+    },
+  },
+  'POST /recommend': {
+    tags: ['Расчет'],
+    summary: 'Подбор лучшего тарифа',
+    description: 'Считает все тарифы (включая сборный груз 750/751, которого нет в списке CDEK), отбрасывает '
+      + 'не подходящие по типу доставки и сроку и упорядочивает по приоритету. Цены - с учетом правил цены.',
+    operationId: 'recommendTariff',
+    errors: [422],
+    requestExample: {
+      ...exampleRoute,
+      ...exampleParcel,
+      preferences: { priority: 'balanced', deliveryType: 'door', maxDays: 5 },
+    },
+    responses: {
+      200: {
+        description: 'Рекомендованный вариант и варианты по порядку',
+        schema: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean', const: true },
+            data: {
+              type: 'object',
+              properties: {
+                recommended: {
+                  oneOf: [
+                    { allOf: [ref('DeliveryOption'), { type: 'object', properties: { reason: { type: 'string' } } }] },
+                    { type: 'null' },
+                  ],
+                  description: 'null, если ни один тариф не подошел',
+                },
+                options: list(ref('DeliveryOption')),
+                excluded: list({
+                  type: 'object',
+                  properties: { code: { type: 'integer' }, name: { type: 'string' }, reason: { type: 'string' } },
+                }),
+                preferences: { type: 'object' },
+              },
+            },
+            packages: list(ref('PackageSummary')),
+            errors: list(ref('CdekMessage')),
+            warnings: list(ref('CdekMessage')),
+          },
+        },
+        example: {
+          success: true,
+          data: {
+            recommended: {
+              rank: 1,
+              code: 137,
+              name: 'Посылка склад-дверь',
+              deliveryMode: 3,
+              deliveryType: 'door',
+              carrierCost: 520,
+              customerPrice: 520,
+              appliedRules: [],
+              periodMin: 3,
+              periodMax: 5,
+              score: 0,
+              reason: 'Лучшее сочетание цены и срока из 3 подходящих: 520 ₽ за 3–5 раб. дн.',
+            },
+            options: [],
+            excluded: [{ code: 136, name: 'Посылка склад-склад', reason: 'Доставка до ПВЗ, а нужна до двери' }],
+            preferences: { priority: 'balanced', deliveryType: 'door', maxDays: 5 },
+          },
+          packages: [examplePackageSummary],
+          errors: [],
+          warnings: [],
+        },
+      },
+    },
+  },
+  'POST /calculate/batch': {
+    tags: ['Расчет'],
+    summary: 'Пакетный расчет по многим маршрутам',
+    description: 'Строки передаются в JSON (rows) или CSV (Content-Type: text/csv, разделитель , или ;). '
+      + 'Ошибка строки не прерывает расчет, а попадает в ее результат. До BATCH_SYNC_LIMIT строк результат '
+      + 'возвращается сразу (format=csv - файлом CSV), больше строк или async=true - фоновое задание (202).',
+    operationId: 'calculateBatch',
+    requestExample: {
+      rows: [
+        { id: 'NSK', fromCityCode: 44, toCityCode: 270, ...exampleParcel },
+        { id: 'SPB-751', fromCityCode: 44, toCityCode: 137, tariffCode: 751, ...exampleParcel },
+      ],
+      tariffCodes: [136, 137],
+    },
+    requestCsvExample: 'id;fromCityCode;toCityCode;weight;length;width;height\r\n'
+      + 'NSK;44;270;2000;10;20;30\r\n',
+    responses: {
+      200: {
+        description: 'Результаты строк',
+        schema: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean', const: true },
+            summary: {
+              type: 'object',
+              properties: { total: { type: 'integer' }, succeeded: { type: 'integer' }, failed: { type: 'integer' } },
+            },
+            results: list(ref('BatchRowResult')),
+          },
+        },
+        example: {
+          success: true,
+          summary: { total: 2, succeeded: 1, failed: 1 },
+          results: [
+            {
+              row: 1,
+              id: 'NSK',
+              fromCityCode: 44,
+              toCityCode: 270,
+              status: 'ok',
+              tariffs: [{ code: 136, name: 'Посылка склад-склад', carrierCost: 350, customerPrice: 350, appliedRules: [], periodMin: 3, periodMax: 5 }],
+            },
+            {
+              row: 2,
+              id: 'BAD',
+              fromCityCode: 44,
+              status: 'error',
+              error: { code: 'VALIDATION_ERROR', message: 'Ошибка валидации', details: ['toCityCode обязателен'] },
+            },
+          ],
+        },
+        alternatives: csv('row,id,fromCityCode,toCityCode,tariffCode,tariffName,carrierCost,customerPrice,periodMin,periodMax,error\r\n'
+          + '1,NSK,44,270,136,Посылка склад-склад,350,350,3,5,\r\n'),
+      },
+      202: {
+        description: 'Пакет считается в фоне; прогресс и результаты - по statusUrl',
+        schema: success(ref('BatchJob')),
+      },
+    },
+  },
+  'GET /calculate/batch/:jobId': {
+    tags: ['Расчет'],
+    summary: 'Прогресс и результаты фонового пакетного расчета',
+    description: 'Пока задание выполняется, возвращает прогресс (data); после завершения - еще summary и results '
+      + '(format=csv - файлом CSV). Задания хранятся BATCH_JOB_TTL мс и видны только своему арендатору.',
+    operationId: 'getBatchJob',
+    cdek: false,
+    errors: [404, 409],
+    responses: {
+      200: {
+        description: 'Задание и результаты, если оно завершено',
+        schema: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean', const: true },
+            data: ref('BatchJob'),
+            summary: { type: 'object' },
+            results: list(ref('BatchRowResult')),
+          },
+        },
+        alternatives: csv('row,id,fromCityCode,toCityCode,tariffCode,tariffName,carrierCost,customerPrice,periodMin,periodMax,error\r\n'),
+      },
+    },
+  },
+  'POST /pack': {
+    tags: ['Расчет'],
+    summary: 'Подбор коробок для товаров корзины',
+    description: 'Результат (data) можно передать как packages в /calculate, /calculate-by-tariff и /orders.',
+    operationId: 'pack',
+    cdek: false,
+    requestExample: {
+      items: [{ name: 'Кружка', ware_key: 'SKU-1', weight: 400, length: 12, width: 9, height: 10, quantity: 3 }],
+      tariffCode: 136,
+    },
+    responses: {
+      200: {
+        description: 'Коробки с товарами',
+        schema: success(list(ref('PackedPackage')), {
+          summary: {
+            type: 'object',
+            properties: {
+              packagesCount: { type: 'integer' },
+              totalWeight: { type: 'integer' },
+              totalVolumeWeight: { type: 'integer' },
+              totalChargeableWeight: { type: 'integer' },
+            },
+          },
+        }),
+        example: {
+          success: true,
+          data: [{
+            number: 'PACK-1',
+            weight: 1400,
+            length: 31,
+            width: 21,
+            height: 12,
+            box: 'S',
+            items: [{ name: 'Кружка', ware_key: 'SKU-1', weight: 400, amount: 3 }],
+          }],
+          summary: { packagesCount: 1, totalWeight: 1400, totalVolumeWeight: 1562, totalChargeableWeight: 1562 },
+        },
+      },
+    },
+  },
+  'GET /cache': {
+    tags: ['Служебные'],
+    summary: 'Статистика кэша',
+    operationId: 'getCacheStats',
+    admin: true,
+    cdek: false,
+    responses: {
+      200: {
+        description: 'Статистика кэша (enabled: false, если кэш отключен)',
+        schema: success({ type: 'object', properties: { enabled: { type: 'boolean' } } }),
+        example: { success: true, data: { enabled: true, store: 'MemoryStore', size: 12, hits: 40, misses: 12 } },
+      },
+    },
+  },
+  'DELETE /cache': {
+    tags: ['Служебные'],
+    summary: 'Очистка кэша',
+    description: 'Кэш общий для всех арендаторов, поэтому очистка доступна только оператору (X-Admin-Token).',
+    operationId: 'purgeCache',
+    admin: true,
+    cdek: false,
+    responses: {
+      200: {
+        description: 'Число удаленных записей (вместе со справочниками городов)',
+        schema: success({ type: 'object', properties: { removed: { type: 'integer' } } }),
+        example: { success: true, data: { removed: 12 } },
+      },
+    },
+  },
+  'GET /status': {
+    tags: ['Служебные'],
+    summary: 'Состояние подключения к CDEK',
+    description: 'status = degraded, пока выключатель не замкнут. Без права admin возвращаются только status и scopes.',
+    operationId: 'getStatus',
+    cdek: false,
+    responses: {
+      200: {
+        description: 'Выключатель, время ожидания и повторы',
+        schema: success({
+          type: 'object',
+          properties: {
+            status: { type: 'string', enum: ['ok', 'degraded'] },
+            tenant: { type: 'string', description: 'Арендатор запроса' },
+            apiUrl: { type: 'string', description: 'Адрес CDEK API арендатора' },
+            apiKey: { type: ['string', 'null'], description: 'Имя API-ключа запроса' },
+            scopes: { type: 'array', items: { type: 'string', enum: ['quote', 'orders', 'admin'] }, description: 'Права запроса' },
+            circuitBreaker: ref('CircuitBreaker'),
+            timeouts: { type: 'object' },
+            retry: { type: 'object' },
+            calculateMode: { type: 'string', enum: ['full', 'minimal'], description: 'Режим расчета по всем тарифам' },
+          },
+        }),
+        example: {
+          success: true,
+          data: {
+            status: 'ok',
+            tenant: 'default',
+            apiUrl: 'https://api.edu.cdek.ru/v2',
+            apiKey: 'widget',
+            scopes: ['quote'],
+            circuitBreaker: { state: 'CLOSED', failures: 0, failureThreshold: 5, resetTimeout: 30000, openedAt: null, retryAfter: 0 },
+            timeouts: { auth: 5000, read: 10000, calculate: 15000, write: 30000 },
+            retry: { retries: 2, baseDelay: 200, maxDelay: 2000 },
+            calculateMode: 'full',
+          },
+        },
+      },
+    },
+  },
+  'POST /status/circuit-breaker/reset': {
+    tags: ['Служебные'],
+    summary: 'Принудительное замыкание выключателя',
+    operationId: 'resetCircuitBreaker',
+    admin: true,
+    cdek: false,
+    responses: {
+      200: {
+        description: 'Состояние выключателя после сброса',
+        schema: success(ref('CircuitBreaker')),
+        example: { success: true, data: { state: 'CLOSED', failures: 0, retryAfter: 0 } },
+      },
+    },
+  },
+  'GET /offices': {
+    tags: ['Справочники'],
+    summary: 'Список офисов (ПВЗ) в городе',
+    description: 'Офисы города можно отобрать по видимой области карты (bbox), весу '
+      + '(weight_max, кг) и флагам CDEK. Список делится на страницы (page, pageSize). '
+      + 'С format=geojson возвращается FeatureCollection с точками офисов и сокращенным набором свойств.',
+    operationId: 'getOffices',
+    responses: {
+      200: {
+        description: 'Офисы (страница)',
+        schema: success(list(ref('Office')), { count: { type: 'integer' }, pagination: ref('Pagination') }),
+        example: {
+          success: true,
+          data: [{
+            code: 'MSK12',
+            name: 'На Тверской',
+            type: 'PVZ',
+            location: { city_code: 44, city: 'Москва', address: 'ул. Тверская, 12', latitude: 55.7601, longitude: 37.6088 },
+            work_time: 'Пн-Пт 09:00-21:00, Сб-Вс 10:00-18:00',
+            is_ltl: false,
+            weight_max: 30,
+          }],
+          count: 1,
+          pagination: { page: 1, pageSize: 100, total: 1, totalPages: 1 },
+        },
+        alternatives: {
+          'application/geo+json': {
+            schema: {
+              type: 'object',
+              properties: {
+                type: { type: 'string', const: 'FeatureCollection' },
+                features: list({
+                  type: 'object',
+                  properties: {
+                    type: { type: 'string', const: 'Feature' },
+                    id: { type: 'string', description: 'Код ПВЗ' },
+                    geometry: {
+                      type: 'object',
+                      properties: {
+                        type: { type: 'string', const: 'Point' },
+                        coordinates: { type: 'array', items: { type: 'number' }, description: '[долгота, широта]' },
+                      },
+                    },
+                    properties: { type: 'object' },
+                  },
+                }),
+                pagination: ref('Pagination'),
+              },
+            },
+            example: {
+              type: 'FeatureCollection',
+              features: [{
+                type: 'Feature',
+                id: 'MSK12',
+                geometry: { type: 'Point', coordinates: [37.6088, 55.7601] },
+                properties: {
+                  code: 'MSK12',
+                  name: 'На Тверской',
+                  type: 'PVZ',
+                  work_time: 'Пн-Пт 09:00-21:00, Сб-Вс 10:00-18:00',
+                  weight_max: 30,
+                  have_cashless: true,
+                  is_dressing_room: true,
+                  is_handout: true,
+                  is_reception: true,
+                  is_ltl: false,
+                  city_code: 44,
+                  address: 'ул. Тверская, 12',
+                },
+              }],
+              pagination: { page: 1, pageSize: 100, total: 1, totalPages: 1 },
+            },
+          },
+        },
+      },
+    },
+  },
+  'GET /offices/nearest': {
+    tags: ['Справочники'],
+    summary: 'Ближайшие к точке офисы (ПВЗ)',
+    description: 'Офисы в радиусе radius метров от точки lat/lon по возрастанию расстояния. Можно оставить только '
+      + 'офисы, которые примут посылку (вес и габариты), с оплатой картой, примерочной, сборным грузом '
+      + 'или открытые сейчас (по часовому поясу города офиса).',
+    operationId: 'findNearestOffices',
+    responses: {
+      200: {
+        description: 'Офисы по возрастанию расстояния',
+        schema: success(list({
+          allOf: [ref('Office'), {
+            type: 'object',
+            properties: {
+              distance: { type: 'integer', description: 'Расстояние до точки в метрах' },
+              workHours: ref('WorkHours'),
+            },
+          }],
+        }), { count: { type: 'integer' } }),
+        example: {
+          success: true,
+          data: [{
+            code: 'MSK12',
+            name: 'На Тверской',
+            type: 'PVZ',
+            location: { city_code: 44, city: 'Москва', address: 'ул. Тверская, 12', latitude: 55.7601, longitude: 37.6088 },
+            work_time: 'Пн-Пт 09:00-21:00, Сб-Вс 10:00-18:00',
+            have_cashless: true,
+            is_dressing_room: true,
+            weight_max: 30,
+            distance: 715,
+            workHours: {
+              text: 'Пн-Пт 09:00-21:00, Сб-Вс 10:00-18:00',
+              timeZone: 'Europe/Moscow',
+              schedule: [{ day: 1, name: 'Пн', open: '09:00', close: '21:00' }],
+              openNow: true,
+            },
+          }],
+          count: 1,
+        },
+      },
+    },
+  },
+  'GET /tariffs': {
+    tags: ['Справочники'],
+    summary: 'Список доступных тарифов',
+    operationId: 'getTariffs',
+    responses: {
+      200: {
+        description: 'Тарифы CDEK',
+        schema: success(list(ref('TariffInfo')), { count: { type: 'integer' } }),
+        example: {
+          success: true,
+          data: [{ tariff_code: 136, tariff_name: 'Посылка склад-склад', delivery_mode: 4 }],
+          count: 1,
+        },
+      },
+    },
+  },
+  'POST /orders': {
+    tags: ['Заказы'],
+    summary: 'Создание заказа',
+    description: 'Вместо packages можно передать товары корзины items, тогда посылки подбираются автоматически. '
+      + 'Без shipmentPoint склад отправления подбирается автоматически для сборного груза (750, 751) в городе '
+      + 'отправителя арендатора или для любого тарифа в городе fromCityCode; для 751 без deliveryPoint - '
+      + 'и склад доставки. Вместо fromCityCode и toLocation.code можно передать почтовые индексы fromPostalCode '
+      + 'и toPostalCode. Заказ создается асинхронно: состояние запроса видно в GET /orders/{uuid}.',
+    operationId: 'createOrder',
+    errors: [422],
+    requestExample: {
+      number: 'ORDER-12345',
+      tariffCode: 136,
+      shipmentPoint: 'MSK12',
+      deliveryPoint: 'NSK1',
+      recipient: { name: 'Иван Иванов', phones: ['+79991234567'] },
+      packages: [{
+        number: 'PACK-1',
+        ...exampleParcel,
+        items: [{ name: 'Товар', ware_key: 'SKU-123', cost: 1000, amount: 1, weight: 2000 }],
+      }],
+    },
+    responses: {
+      202: {
+        description: 'Заказ принят CDEK к обработке',
+        schema: success(ref('CdekEntityResponse'), { warehouses: ref('Warehouses') }),
+        example: { success: true, data: exampleCdekEntity },
+      },
+    },
+  },
+  'GET /orders': {
+    tags: ['Заказы'],
+    summary: 'Поиск заказа по номеру',
+    operationId: 'findOrder',
+    errors: [404],
+    responses: {
+      200: { description: 'Заказ', schema: success(ref('Order')) },
+    },
+  },
+  'GET /orders/:uuid': {
+    tags: ['Заказы'],
+    summary: 'Заказ, история его статусов и ошибки обработки',
+    operationId: 'getOrder',
+    errors: [404],
+    responses: {
+      200: {
+        description: 'Заказ',
+        schema: success(ref('Order')),
+        example: {
+          success: true,
+          data: {
+            uuid: ORDER_UUID,
+            cdekNumber: '1106207236',
+            number: 'ORDER-12345',
+            tariffCode: 136,
+            status: { code: 'CREATED', name: 'Создан', dateTime: '2025-03-20T10:15:00+0300' },
+            statuses: [{ code: 'CREATED', name: 'Создан', dateTime: '2025-03-20T10:15:00+0300' }],
+            requests: [exampleOrderRequest],
+            errors: [],
+            warnings: [],
+          },
+        },
+      },
+    },
+  },
+  'PATCH /orders/:uuid': {
+    tags: ['Заказы'],
+    summary: 'Изменение заказа',
+    description: 'Передаются только изменяемые поля: тариф, ПВЗ, адрес доставки, получатель или посылки.',
+    operationId: 'updateOrder',
+    errors: [404, 422],
+    requestExample: { deliveryPoint: 'NSK1', recipient: { name: 'Иван Иванов', phones: ['+79991234567'] } },
+    responses: requestState('Изменение принято CDEK к обработке'),
+  },
+  'DELETE /orders/:uuid': {
+    tags: ['Заказы'],
+    summary: 'Отмена заказа',
+    operationId: 'deleteOrder',
+    errors: [404, 422],
+    responses: requestState('Отмена принята CDEK к обработке'),
+  },
+  'GET /orders/:uuid/waybill.pdf': {
+    tags: ['Заказы'],
+    summary: 'Квитанция к заказу в PDF',
+    operationId: 'getWaybill',
+    errors: [422],
+    responses: pdf,
+  },
+  'GET /orders/:uuid/barcode.pdf': {
+    tags: ['Заказы'],
+    summary: 'ШК-места заказа в PDF',
+    operationId: 'getBarcode',
+    errors: [422],
+    responses: pdf,
+  },
+  'POST /print/waybills': {
+    tags: ['Заказы'],
+    summary: 'Квитанции к нескольким заказам одним PDF',
+    operationId: 'printWaybills',
+    errors: [422],
+    requestExample: { orderUuids: [ORDER_UUID], copies: 2 },
+    responses: pdf,
+  },
+  'POST /print/barcodes': {
+    tags: ['Заказы'],
+    summary: 'ШК-места нескольких заказов одним PDF',
+    operationId: 'printBarcodes',
+    errors: [422],
+    requestExample: { orderUuids: [ORDER_UUID], format: 'A6', copies: 1 },
+    responses: pdf,
+  },
+  'POST /intakes': {
+    tags: ['Вызов курьера'],
+    summary: 'Создание заявки на вызов курьера',
+    description: 'Без fromLocation и sender используется отправитель по умолчанию (CDEK_SENDER_*).',
+    operationId: 'createIntake',
+    requestExample: {
+      date: '2025-03-25',
+      timeFrom: '10:00',
+      timeTo: '15:00',
+      weight: 5000,
+      fromLocation: { code: 44, address: 'г. Москва, ул. Примерная, д. 1' },
+      sender: { company: 'ООО Ромашка', name: 'Петр Петров', phones: ['+79991234567'] },
+      comment: 'Вход со двора',
+    },
+    responses: {
+      202: {
+        description: 'Заявка принята CDEK к обработке',
+        schema: success(ref('CdekEntityResponse')),
+        example: { success: true, data: exampleCdekEntity },
+      },
+    },
+  },
+  'GET /intakes/available-days': {
+    tags: ['Вызов курьера'],
+    summary: 'Дни, доступные для вызова курьера',
+    operationId: 'getIntakeAvailableDays',
+    responses: {
+      200: {
+        description: 'Доступные даты',
+        schema: success({
+          type: 'object',
+          properties: {
+            cityCode: { type: 'integer' },
+            dates: list({ type: 'string', format: 'date' }),
+            allDays: { type: 'boolean' },
+          },
+        }, { errors: list(ref('CdekMessage')) }),
+        example: { success: true, data: { cityCode: 44, dates: ['2025-03-25', '2025-03-26'], allDays: false }, errors: [] },
+      },
+    },
+  },
+  'GET /intakes/:uuid': {
+    tags: ['Вызов курьера'],
+    summary: 'Заявка на вызов курьера и ее статусы',
+    operationId: 'getIntake',
+    errors: [404],
+    responses: {
+      200: { description: 'Заявка', schema: success(ref('Intake')) },
+    },
+  },
+  'DELETE /intakes/:uuid': {
+    tags: ['Вызов курьера'],
+    summary: 'Отмена заявки на вызов курьера',
+    operationId: 'deleteIntake',
+    errors: [404, 422],
+    responses: requestState('Отмена принята CDEK к обработке'),
+  },
+  'POST /webhooks/cdek': {
+    tags: ['Вебхуки'],
+    summary: 'Прием вебхуков CDEK',
+    description: 'URL для подписки в CDEK. Арендатор передается в параметре tenant (без него - арендатор по умолчанию), '
+      + 'его секрет вебхука (webhookSecret, для арендатора по умолчанию - CDEK_WEBHOOK_SECRET) - в параметре secret.',
+    operationId: 'receiveWebhook',
+    cdek: false,
+    tenant: false,
+    secret: true,
+    parameters: [{
+      name: 'tenant',
+      in: 'query',
+      required: false,
+      description: 'Арендатор, для которого пришло событие',
+      schema: { type: 'string' },
+    }, {
+      name: 'secret',
+      in: 'query',
+      required: false,
+      description: 'Секрет вебхука арендатора',
+      schema: { type: 'string' },
+    }],
+    requestExample: {
+      type: 'ORDER_STATUS',
+      uuid: ORDER_UUID,
+      date_time: '2025-03-21T12:00:00+0300',
+      attributes: { number: 'ORDER-12345', cdek_number: '1106207236', code: 'ACCEPTED', status_date_time: '2025-03-21T12:00:00+0300' },
+    },
+    responses: {
+      200: {
+        description: 'Событие сохранено',
+        schema: success({ type: 'object', properties: { id: { type: 'string', format: 'uuid' } } }),
+      },
+    },
+  },
+  'GET /webhooks/events': {
+    tags: ['Вебхуки'],
+    summary: 'Принятые события вебхуков',
+    description: 'Только события арендатора запроса.',
+    operationId: 'listWebhookEvents',
+    cdek: false,
+    responses: {
+      200: {
+        description: 'События от новых к старым',
+        schema: success(list(ref('WebhookEvent')), { count: { type: 'integer' } }),
+      },
+    },
+  },
+  'GET /webhooks': {
+    tags: ['Вебхуки'],
+    summary: 'Подписки на вебхуки в CDEK',
+    description: 'Подписки на приемник этого сервиса для других арендаторов не показываются.',
+    operationId: 'listWebhooks',
+    responses: {
+      200: {
+        description: 'Подписки',
+        schema: success(list(ref('Webhook')), { count: { type: 'integer' } }),
+      },
+    },
+  },
+  'POST /webhooks': {
+    tags: ['Вебхуки'],
+    summary: 'Подписка на вебхуки CDEK',
+    description: 'В URL приемника этого сервиса (/webhooks/cdek) добавляются арендатор запроса (tenant) и его секрет (secret).',
+    operationId: 'createWebhook',
+    requestExample: { url: 'https://example.com/api/delivery/webhooks/cdek', type: 'ORDER_STATUS' },
+    responses: {
+      200: {
+        description: 'Подписка создана',
+        schema: success(ref('CdekEntityResponse')),
+        example: { success: true, data: exampleCdekEntity },
+      },
+    },
+  },
+  'DELETE /webhooks/:uuid': {
+    tags: ['Вебхуки'],
+    summary: 'Удаление подписки на вебхук',
+    operationId: 'deleteWebhook',
+    errors: [404],
+    responses: {
+      200: { description: 'Подписка удалена', schema: success(ref('CdekEntityResponse')) },
+    },
+  },
+};
@@ -0,0 +1,232 @@
+/**
+ * Подбор коробок для товаров корзины
+ * Формирует массив packages для calculateDelivery/createOrder так,
+ * чтобы суммарный расчетный (с учетом объемного) вес был минимальным
+ */
+
+import { readFileSync } from 'fs';
+import { ValidationError } from '../errors.js';
+
+// Делитель объемного веса CDEK: длина × ширина × высота (см) / 5000 = кг
+export const VOLUME_WEIGHT_DIVIDER = 5000;
+
+// Каталог коробок по умолчанию (размеры в см, вес и максимальная загрузка в граммах)
+export const DEFAULT_BOXES = [
+  { name: 'XS', length: 17, width: 12, height: 9, weight: 50, maxWeight: 500 },
+  { name: 'S', length: 23, width: 19, height: 10, weight: 100, maxWeight: 2000 },
+  { name: 'M', length: 33, width: 25, height: 15, weight: 200, maxWeight: 5000 },
+  { name: 'L', length: 31, width: 25, height: 38, weight: 300, maxWeight: 12000 },
+  { name: 'XL', length: 60, width: 35, height: 30, weight: 500, maxWeight: 18000 },
+];
+
+// Наибольшее число единиц товара в одной упаковке (сумма quantity): каждая единица раскладывается отдельно
+export const MAX_PACKED_UNITS = 1000;
+
+// Ограничения на одно место по тарифам (вес в граммах, стороны в см)
+export const TARIFF_LIMITS = {
+  // Посылка склад-склад, склад-дверь, дверь-склад, дверь-дверь
+  136: { maxWeight: 30000, maxSide: 150 },
+  137: { maxWeight: 30000, maxSide: 150 },
+  138: { maxWeight: 30000, maxSide: 150 },
+  139: { maxWeight: 30000, maxSide: 150 },
+};
+
+/**
+ * Загрузка каталога коробок из JSON-файла
+ * @param {string} path - Путь к файлу с массивом коробок
+ * @returns {Array} Каталог коробок (DEFAULT_BOXES, если путь не указан)
+ */
+export const loadBoxCatalogue = (path) => {
+  if (!path) {
+    return DEFAULT_BOXES;
+  }
+  return JSON.parse(readFileSync(path, 'utf-8'));
+};
+
+const volumeOf = (dims) => dims.length * dims.width * dims.height;
+
+const volumeWeightOf = (dims) => Math.round(volumeOf(dims) / VOLUME_WEIGHT_DIVIDER * 1000);
+
+// Стороны по убыванию: товар помещается в коробку, если каждая его сторона
+// не больше соответствующей стороны коробки (с учетом поворота)
+const sortedSides = (dims) => [dims.length, dims.width, dims.height].sort((a, b) => b - a);
+
+const fitsInside = (item, box) => {
+  const itemSides = sortedSides(item);
+  const boxSides = sortedSides(box);
+  return itemSides.every((side, index) => side <= boxSides[index]);
+};
+
+class BoxPacker {
+  /**
+   * @param {Array} boxes - Каталог коробок [{name, length, width, height, weight, maxWeight}]
+   * @param {object} options - Параметры упаковки
+   * @param {number} options.fillFactor - Доля объема коробки, которую можно заполнить (по умолчанию 0.9)
+   * @param {object} options.tariffLimits - Ограничения на место по тарифам
+   * @param {number} options.maxUnits - Наибольшее число единиц товара (по умолчанию MAX_PACKED_UNITS)
+   */
+  constructor(boxes = DEFAULT_BOXES, options = {}) {
+    const { fillFactor = 0.9, tariffLimits = TARIFF_LIMITS, maxUnits = MAX_PACKED_UNITS } = options;
+
+    this.boxes = boxes;
+    this.fillFactor = fillFactor;
+    this.tariffLimits = tariffLimits;
+    this.maxUnits = maxUnits;
+  }
+
+  /**
+   * Проверка товаров корзины
+   * @param {Array} items - Товары [{name, weight, length, width, height, quantity, stackable}]
+   * @returns {Array<string>} Список ошибок валидации
+   */
+  validate(items) {
+    if (!Array.isArray(items) || items.length === 0) {
+      return ['items должен быть непустым массивом'];
+    }
+
+    const errors = [];
+    items.forEach((item, index) => {
+      if (!item || typeof item !== 'object') {
+        errors.push(`items[${index}] должен быть объектом`);
+        return;
+      }
+      for (const field of ['weight', 'length', 'width', 'height']) {
+        const value = Number(item[field]);
+        if (isNaN(value) || value <= 0) {
+          errors.push(`items[${index}].${field} должен быть положительным числом`);
+        }
+      }
+      const quantity = item.quantity === undefined ? 1 : Number(item.quantity);
+      if (!Number.isInteger(quantity) || quantity <= 0) {
+        errors.push(`items[${index}].quantity должен быть целым положительным числом`);
+      }
+    });
+
+    return errors;
+  }
+
+  /**
+   * Упаковка товаров по коробкам
+   * Эвристика: товары по убыванию объема раскладываются в самую большую
+   * допустимую коробку (first fit decreasing), затем каждая заполненная коробка
+   * заменяется наименьшей из каталога, в которую помещается ее содержимое.
+   * Нештабелируемые товары (stackable: false) упаковываются по одному,
+   * товары, которые не помещаются ни в одну коробку, отправляются в собственной упаковке.
+   * @param {Array} items - Товары корзины
+   * @param {object} options - Параметры
+   * @param {number} options.tariffCode - Код тарифа для ограничений на место (опционально)
+   * @returns {object} {packages, summary}
+   * @throws {ValidationError} Если единиц товара больше maxUnits
+   */
+  pack(items, options = {}) {
+    const errors = this.validate(items);
+    if (errors.length > 0) {
+      throw new Error(errors.join('; '));
+    }
+
+    const unitCount = items.reduce((sum, item) => sum + Number(item.quantity ?? 1), 0);
+    if (unitCount > this.maxUnits) {
+      const message = `items содержит ${unitCount} единиц товара, допускается не больше ${this.maxUnits}`;
+      throw new ValidationError([message], [{ field: 'items', message }]);
+    }
+
+    const limits = this.tariffLimits[options.tariffCode] || {};
+    const boxes = this.boxes
+      .filter(box => !limits.maxSide || sortedSides(box)[0] <= limits.maxSide)
+      .sort((a, b) => volumeOf(a) - volumeOf(b));
+
+    // Максимальная загрузка коробки с учетом ограничения тарифа
+    const capacityOf = (box) => Math.min(
+      box.maxWeight ?? Infinity,
+      limits.maxWeight ? limits.maxWeight - (box.weight || 0) : Infinity
+    );
+
+    // Разворачиваем товары по количеству, самые объемные - первыми
+    const units = items
+      .flatMap((item, index) => {
+        const unit = {
+          index,
+          weight: Number(item.weight),
+          length: Number(item.length),
+          width: Number(item.width),
+          height: Number(item.height),
+          stackable: item.stackable !== false,
+        };
+        return Array.from({ length: Number(item.quantity ?? 1) }, () => unit);
+      })
+      .sort((a, b) => volumeOf(b) - volumeOf(a));
+
+    const canHold = (box, contents, unit) => {
+      const weight = contents.reduce((sum, u) => sum + u.weight, 0) + unit.weight;
+      const volume = contents.reduce((sum, u) => sum + volumeOf(u), 0) + volumeOf(unit);
+      return fitsInside(unit, box)
+        && weight <= capacityOf(box)
+        && volume <= volumeOf(box) * this.fillFactor;
+    };
+
+    const bins = [];
+    for (const unit of units) {
+      const bin = unit.stackable
+        ? bins.find(b => b.box && b.stackable && canHold(b.box, b.units, unit))
+        : undefined;
+
+      if (bin) {
+        bin.units.push(unit);
+        continue;
+      }
+
+      // Самая большая коробка, в которую помещается товар
+      const box = [...boxes].reverse().find(candidate => canHold(candidate, [], unit));
+      if (!box) {
+        if (limits.maxWeight && unit.weight > limits.maxWeight) {
+          throw new Error(`Товар items[${unit.index}] тяжелее ограничения тарифа ${options.tariffCode} (${limits.maxWeight} г)`);
+        }
+        if (limits.maxSide && sortedSides(unit)[0] > limits.maxSide) {
+          throw new Error(`Товар items[${unit.index}] длиннее ограничения тарифа ${options.tariffCode} (${limits.maxSide} см)`);
+        }
+      }
+      bins.push({ box, stackable: unit.stackable, units: [unit] });
+    }
+
+    const packages = bins.map((bin, binIndex) => {
+      // Наименьшая коробка, в которую помещается все содержимое
+      const box = bin.box
+        ? boxes.find(candidate => bin.units.every((unit, i) => canHold(candidate, bin.units.slice(0, i), unit)))
+        : null;
+      const dims = box || bin.units[0];
+      const weight = bin.units.reduce((sum, unit) => sum + unit.weight, 0) + (box?.weight || 0);
+
+      const amounts = new Map();
+      bin.units.forEach(unit => amounts.set(unit.index, (amounts.get(unit.index) || 0) + 1));
+
+      return {
+        number: `PACK-${binIndex + 1}`,
+        weight: Math.round(weight),
+        length: Math.ceil(dims.length),
+        width: Math.ceil(dims.width),
+        height: Math.ceil(dims.height),
+        box: box ? box.name : null,
+        items: [...amounts.entries()].map(([index, amount]) => {
+          const { length, width, height, quantity, stackable, ...item } = items[index];
+          return {
+            ...item,
+            weight: Number(items[index].weight),
+            amount,
+          };
+        }),
+      };
+    });
+
+    const summary = packages.reduce((acc, pkg) => {
+      const volumeWeight = volumeWeightOf(pkg);
+      acc.totalWeight += pkg.weight;
+      acc.totalVolumeWeight += volumeWeight;
+      acc.totalChargeableWeight += Math.max(pkg.weight, volumeWeight);
+      return acc;
+    }, { packagesCount: packages.length, totalWeight: 0, totalVolumeWeight: 0, totalChargeableWeight: 0 });
+
+    return { packages, summary };
+  }
+}
+
+export default BoxPacker;
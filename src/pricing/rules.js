@@ -0,0 +1,172 @@
+/**
+ * Правила цены доставки для покупателя
+ * Стоимость CDEK (carrierCost) не показывается покупателю напрямую: к ней применяются
+ * наценки, бесплатная доставка от суммы корзины, ограничения и округление - по порядку
+ * правил в конфигурации. Результат - цена для покупателя (customerPrice) и сработавшие правила.
+ */
+
+import { readFileSync } from 'fs';
+
+// Типы правил
+export const RULE_TYPES = {
+  MARKUP: 'markup', // наценка: percent (% от текущей цены) и/или amount (рубли), отрицательная - скидка
+  FREE_SHIPPING: 'freeShipping', // бесплатная доставка от суммы корзины minCartCost; следующие правила не применяются
+  MIN: 'min', // цена не меньше amount
+  MAX: 'max', // цена не больше amount
+  ROUND: 'round', // округление до step рублей: mode = up (по умолчанию), down или nearest
+};
+
+const ROUND_MODES = { up: Math.ceil, down: Math.floor, nearest: Math.round };
+
+// Условия правила (when): значение из контекста расчета должно входить в список или диапазон
+const CONDITIONS = {
+  tariffCodes: (values, context) => values.includes(context.tariffCode),
+  fromCityCodes: (values, context) => values.includes(context.fromCityCode),
+  toCityCodes: (values, context) => values.includes(context.toCityCode),
+  toRegionCodes: (values, context) => values.includes(context.toRegionCode),
+  minCartCost: (value, context) => context.cartCost !== undefined && context.cartCost >= value,
+  maxCartCost: (value, context) => context.cartCost !== undefined && context.cartCost <= value,
+  minWeight: (value, context) => context.weight >= value,
+  maxWeight: (value, context) => context.weight <= value,
+};
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+// Рубли с копейками без ошибок округления дробей
+const toMoney = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Проверка правила из конфигурации
+ * @param {object} rule - Правило
+ * @param {number} index - Номер правила
+ * @returns {object} Правило с id (по умолчанию - тип и номер)
+ * @throws {Error} Если правило задано неверно
+ */
+const normalizeRule = (rule, index) => {
+  const id = rule.id || `${rule.type}-${index + 1}`;
+  const errors = [];
+
+  switch (rule.type) {
+    case RULE_TYPES.MARKUP:
+      if (!isNumber(rule.percent) && !isNumber(rule.amount)) errors.push('нужен percent или amount');
+      break;
+    case RULE_TYPES.FREE_SHIPPING:
+      if (!isNumber(rule.minCartCost)) errors.push('не задан minCartCost');
+      break;
+    case RULE_TYPES.MIN:
+    case RULE_TYPES.MAX:
+      if (!isNumber(rule.amount) || rule.amount < 0) errors.push('amount должен быть неотрицательным числом');
+      break;
+    case RULE_TYPES.ROUND:
+      if (!isNumber(rule.step) || rule.step <= 0) errors.push('step должен быть положительным числом');
+      if (rule.mode && !ROUND_MODES[rule.mode]) errors.push(`mode должен быть одним из: ${Object.keys(ROUND_MODES).join(', ')}`);
+      break;
+    default:
+      errors.push(`неизвестный тип ${rule.type} (допустимы ${Object.values(RULE_TYPES).join(', ')})`);
+  }
+
+  const unknownConditions = Object.keys(rule.when || {}).filter(name => !CONDITIONS[name]);
+  if (unknownConditions.length > 0) {
+    errors.push(`неизвестные условия ${unknownConditions.join(', ')}`);
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Правило цены ${id}: ${errors.join(', ')}`);
+  }
+  return { ...rule, id };
+};
+
+/**
+ * Загрузка правил цены из JSON-файла
+ * @param {string} path - Путь к файлу {rules: [...]} или массиву правил
+ * @returns {Array} Правила (пустой массив, если путь не указан - цена равна стоимости CDEK)
+ */
+export const loadPricingRules = (path) => {
+  if (!path) {
+    return [];
+  }
+  const config = JSON.parse(readFileSync(path, 'utf-8'));
+  return Array.isArray(config) ? config : config.rules || [];
+};
+
+class PricingEngine {
+  /**
+   * @param {Array} rules - Правила цены в порядке применения
+   */
+  constructor(rules = []) {
+    this.rules = rules.map(normalizeRule);
+  }
+
+  /**
+   * Нужен ли правилам регион получателя (его приходится запрашивать у CDEK по коду города)
+   * @returns {boolean}
+   */
+  get usesRegions() {
+    return this.rules.some(rule => rule.when?.toRegionCodes);
+  }
+
+  /**
+   * Подходит ли правило под расчет
+   * @param {object} rule - Правило
+   * @param {object} context - Контекст расчета
+   * @returns {boolean}
+   */
+  matches(rule, context) {
+    return Object.entries(rule.when || {}).every(([name, value]) => CONDITIONS[name](value, context));
+  }
+
+  /**
+   * Цена доставки для покупателя
+   * @param {number} carrierCost - Стоимость CDEK в рублях
+   * @param {object} context - Контекст расчета {tariffCode, fromCityCode, toCityCode, toRegionCode, cartCost, weight}
+   * @returns {object} {carrierCost, customerPrice, appliedRules: [{id, type, change}]}
+   */
+  apply(carrierCost, context = {}) {
+    if (!isNumber(carrierCost)) {
+      return { carrierCost, customerPrice: carrierCost, appliedRules: [] };
+    }
+
+    let price = carrierCost;
+    const appliedRules = [];
+
+    for (const rule of this.rules) {
+      if (!this.matches(rule, context)) {
+        continue;
+      }
+
+      const before = price;
+      let stop = false;
+      switch (rule.type) {
+        case RULE_TYPES.MARKUP:
+          price = toMoney(price + price * (rule.percent || 0) / 100 + (rule.amount || 0));
+          break;
+        case RULE_TYPES.FREE_SHIPPING:
+          if (context.cartCost !== undefined && context.cartCost >= rule.minCartCost) {
+            price = 0;
+            stop = true;
+          }
+          break;
+        case RULE_TYPES.MIN:
+          price = Math.max(price, rule.amount);
+          break;
+        case RULE_TYPES.MAX:
+          price = Math.min(price, rule.amount);
+          break;
+        case RULE_TYPES.ROUND:
+          price = toMoney(ROUND_MODES[rule.mode || 'up'](toMoney(price / rule.step)) * rule.step);
+          break;
+      }
+
+      if (price !== before) {
+        appliedRules.push({ id: rule.id, type: rule.type, change: toMoney(price - before) });
+      }
+      if (stop) {
+        break;
+      }
+    }
+
+    return { carrierCost, customerPrice: Math.max(0, price), appliedRules };
+  }
+}
+
+export default PricingEngine;
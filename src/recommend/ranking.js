@@ -0,0 +1,155 @@
+/**
+ * Выбор лучшего тарифа доставки
+ * Варианты (тарифы с ценой для покупателя и сроком) отбираются по предпочтениям покупателя -
+ * до двери или до ПВЗ, максимальный срок - и упорядочиваются: самый дешевый, самый быстрый
+ * или лучшее сочетание цены и срока.
+ */
+
+// Приоритеты выбора
+export const PRIORITIES = {
+  CHEAPEST: 'cheapest',
+  FASTEST: 'fastest',
+  BALANCED: 'balanced',
+};
+
+// Куда доставляется посылка
+export const DELIVERY_TYPES = {
+  DOOR: 'door',
+  PICKUP: 'pickup',
+  ANY: 'any',
+};
+
+// Режимы доставки CDEK с доставкой до двери получателя (остальные - до склада или постамата):
+// 1 - дверь-дверь, 3 - склад-дверь, 8 - постамат-дверь
+const DOOR_DELIVERY_MODES = [1, 3, 8];
+
+// Тарифы, которых нет в ответе calculator/tarifflist: считаются отдельно по calculator/tariff
+export const UNLISTED_TARIFFS = {
+  750: { name: 'Сборный груз склад-дверь', deliveryMode: 3 },
+  751: { name: 'Сборный груз склад-склад', deliveryMode: 4 },
+};
+
+const DELIVERY_TYPE_NAMES = {
+  [DELIVERY_TYPES.DOOR]: 'до двери',
+  [DELIVERY_TYPES.PICKUP]: 'до ПВЗ',
+};
+
+/**
+ * Куда доставляет тариф по режиму доставки CDEK
+ * @param {number} deliveryMode - Режим доставки (delivery_mode)
+ * @returns {string} door или pickup
+ */
+export const deliveryTypeOf = (deliveryMode) => (DOOR_DELIVERY_MODES.includes(deliveryMode)
+  ? DELIVERY_TYPES.DOOR
+  : DELIVERY_TYPES.PICKUP);
+
+// Срок варианта для сравнения - максимальный (худший) срок в рабочих днях
+const daysOf = (option) => option.periodMax ?? option.periodMin ?? Infinity;
+
+const formatDays = (option) => (option.periodMin === option.periodMax || option.periodMax === undefined
+  ? `${option.periodMin}`
+  : `${option.periodMin}–${option.periodMax}`);
+
+/**
+ * Нормирование значения в диапазон 0..1 (0 - лучшее из вариантов)
+ * @param {number} value - Значение
+ * @param {number} min - Минимум по вариантам
+ * @param {number} max - Максимум по вариантам
+ * @returns {number}
+ */
+const normalize = (value, min, max) => (max === min ? 0 : (value - min) / (max - min));
+
+/**
+ * Причина, по которой вариант не подходит
+ * @param {object} option - Вариант {deliveryType, periodMax, ...}
+ * @param {object} preferences - Предпочтения {deliveryType, maxDays}
+ * @returns {string|null} Причина или null, если вариант подходит
+ */
+const mismatchOf = (option, preferences) => {
+  const { deliveryType = DELIVERY_TYPES.ANY, maxDays } = preferences;
+
+  if (deliveryType !== DELIVERY_TYPES.ANY && option.deliveryType !== deliveryType) {
+    return `Доставка ${DELIVERY_TYPE_NAMES[option.deliveryType]}, а нужна ${DELIVERY_TYPE_NAMES[deliveryType]}`;
+  }
+  if (maxDays && daysOf(option) > maxDays) {
+    return `Срок до ${daysOf(option)} раб. дн. больше допустимого (${maxDays})`;
+  }
+  return null;
+};
+
+/**
+ * Объяснение выбора рекомендованного варианта
+ * @param {object} option - Рекомендованный вариант
+ * @param {string} priority - Приоритет выбора
+ * @param {Array} candidates - Все подходящие варианты
+ * @returns {string}
+ */
+const explain = (option, priority, candidates) => {
+  const price = `${option.customerPrice} ₽`;
+  const days = `${formatDays(option)} раб. дн.`;
+  const isCheapest = candidates.every(candidate => candidate.customerPrice >= option.customerPrice);
+  const isFastest = candidates.every(candidate => daysOf(candidate) >= daysOf(option));
+  const total = `из ${candidates.length} подходящих`;
+
+  if (isCheapest && isFastest) {
+    return `Самый дешевый и самый быстрый вариант ${total}: ${price}, ${days}`;
+  }
+  switch (priority) {
+    case PRIORITIES.CHEAPEST:
+      return `Самая низкая цена ${total}: ${price} (срок ${days})`;
+    case PRIORITIES.FASTEST:
+      return `Самый короткий срок ${total}: ${days} (${price})`;
+    default:
+      return `Лучшее сочетание цены и срока ${total}: ${price} за ${days}`;
+  }
+};
+
+/**
+ * Отбор и упорядочивание вариантов доставки
+ * @param {Array} options - Варианты [{code, name, deliveryType, customerPrice, periodMin, periodMax, ...}]
+ * @param {object} preferences - Предпочтения
+ * @param {string} preferences.priority - cheapest, fastest или balanced (по умолчанию)
+ * @param {string} preferences.deliveryType - door, pickup или any (по умолчанию)
+ * @param {number} preferences.maxDays - Максимальный срок в рабочих днях
+ * @returns {object} {recommended, options, excluded}: recommended - лучший вариант с причиной (reason)
+ * или null, options - подходящие варианты по порядку (rank, score), excluded - [{code, name, reason}]
+ */
+export const rankOptions = (options, preferences = {}) => {
+  const { priority = PRIORITIES.BALANCED } = preferences;
+  const candidates = [];
+  const excluded = [];
+
+  for (const option of options) {
+    const reason = mismatchOf(option, preferences);
+    if (reason) {
+      excluded.push({ code: option.code, name: option.name, reason });
+    } else {
+      candidates.push(option);
+    }
+  }
+
+  // Балл сбалансированного выбора: цена и срок с равным весом, 0 - лучший
+  const prices = candidates.map(option => option.customerPrice);
+  const days = candidates.map(daysOf);
+  const scoreOf = (option) => Math.round((
+    normalize(option.customerPrice, Math.min(...prices), Math.max(...prices))
+    + normalize(daysOf(option), Math.min(...days), Math.max(...days))
+  ) / 2 * 1000) / 1000;
+
+  const comparators = {
+    [PRIORITIES.CHEAPEST]: (a, b) => a.customerPrice - b.customerPrice || daysOf(a) - daysOf(b),
+    [PRIORITIES.FASTEST]: (a, b) => daysOf(a) - daysOf(b) || a.customerPrice - b.customerPrice,
+    [PRIORITIES.BALANCED]: (a, b) => a.score - b.score || a.customerPrice - b.customerPrice,
+  };
+
+  const ranked = candidates
+    .map(option => ({ ...option, score: scoreOf(option) }))
+    .sort(comparators[priority])
+    .map((option, index) => ({ rank: index + 1, ...option }));
+
+  return {
+    recommended: ranked.length > 0 ? { ...ranked[0], reason: explain(ranked[0], priority, ranked) } : null,
+    options: ranked,
+    excluded,
+  };
+};
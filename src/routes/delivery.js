@@ -5,46 +5,523 @@
 import express from 'express';
 import dotenv from 'dotenv';
 import CDEKApiClient from '../cdek/api.js';
+import CDEKWebhookStore from '../cdek/webhooks.js';
+import BoxPacker, { VOLUME_WEIGHT_DIVIDER, loadBoxCatalogue } from '../packing/packer.js';
+import { createCache, cacheContext } from '../cache/index.js';
+import CDEKApiError from '../cdek/errors.js';
+import CircuitBreaker, { BREAKER_STATES } from '../cdek/breaker.js';
+import { ApiError, ValidationError, toErrorResponse } from '../errors.js';
+import { validateRoute, BATCH_ROW_SCHEMA } from '../validation/schemas.js';
+import { validate } from '../validation/schema.js';
+import { createTenantRegistry, DEFAULT_TENANT_ID } from '../tenants/index.js';
+import { SCOPES, requireScope } from '../auth/index.js';
+import RateLimiter from '../auth/rateLimiter.js';
+import PricingEngine, { loadPricingRules } from '../pricing/rules.js';
+import { rankOptions, deliveryTypeOf, UNLISTED_TARIFFS, DELIVERY_TYPES } from '../recommend/ranking.js';
+import { parseCsv } from '../batch/csv.js';
+import { summarizeBatch, batchResultsToCsv } from '../batch/results.js';
+import BatchJobStore, { JOB_STATUSES, mapWithConcurrency } from '../batch/jobs.js';
+import {
+  findOfficesNearby,
+  describeWorkHours,
+  filterOffices,
+  parseBoundingBox,
+  paginate,
+  OFFICE_FLAGS,
+  DEFAULT_TIME_ZONE,
+} from '../offices/search.js';
+import { officesToFeatureCollection } from '../offices/geojson.js';
+import { findWarehouse, WAREHOUSE_ROLES, WAREHOUSE_SENDER_TARIFFS } from '../offices/warehouses.js';
+import { createCityDirectory } from '../cities/index.js';
+import { resolveCity, resolvePostalCode } from '../cities/resolve.js';
 
 // Загрузка переменных окружения (на случай, если они еще не загружены)
 dotenv.config();
 
 const router = express.Router();
 
-// Инициализация клиента CDEK API
-const cdekClient = new CDEKApiClient(
-  process.env.CDEK_API_URL,
-  process.env.CDEK_ACCOUNT,
-  process.env.CDEK_SECURE_PASSWORD
-);
+// Кэш городов, офисов, тарифов и расчетов (CACHE_STORE=none отключает кэширование)
+const cache = createCache();
+
+// Клиенты CDEK API по арендаторам (TENANTS_FILE и/или CDEK_ACCOUNT/CDEK_SECURE_PASSWORD).
+// У каждого арендатора свой токен, свой выключатель и свой раздел общего кэша
+export const tenants = createTenantRegistry(process.env, (tenant) => new CDEKApiClient(
+  tenant.apiUrl,
+  tenant.account,
+  tenant.securePassword,
+  {
+    cache,
+    cacheScope: tenant.id === DEFAULT_TENANT_ID ? undefined : tenant.id,
+    calculateMode: tenant.calculateMode,
+    // Повторы при 429, 5xx и сетевых ошибках (незаданные значения - по умолчанию)
+    retry: {
+      retries: parseInt(process.env.CDEK_RETRIES) >= 0 ? parseInt(process.env.CDEK_RETRIES) : undefined,
+      baseDelay: parseInt(process.env.CDEK_RETRY_BASE_DELAY) || undefined,
+      maxDelay: parseInt(process.env.CDEK_RETRY_MAX_DELAY) || undefined,
+    },
+    // Время ожидания ответа CDEK по видам операций, мс
+    timeouts: {
+      auth: parseInt(process.env.CDEK_TIMEOUT_AUTH) || undefined,
+      read: parseInt(process.env.CDEK_TIMEOUT_READ) || undefined,
+      calculate: parseInt(process.env.CDEK_TIMEOUT_CALCULATE) || undefined,
+      write: parseInt(process.env.CDEK_TIMEOUT_WRITE) || undefined,
+    },
+    // Выключатель: после CDEK_BREAKER_THRESHOLD сбоев подряд запросы к CDEK
+    // приостанавливаются на CDEK_BREAKER_RESET_TIMEOUT мс
+    breaker: new CircuitBreaker({
+      failureThreshold: parseInt(process.env.CDEK_BREAKER_THRESHOLD) || undefined,
+      resetTimeout: parseInt(process.env.CDEK_BREAKER_RESET_TIMEOUT) || undefined,
+    }),
+  }
+));
+
+// Заголовок X-Cache: HIT, если все данные ответа взяты из кэша, MISS - если хотя бы часть загружена из CDEK
+router.use((req, res, next) => {
+  const statuses = [];
+  const json = res.json.bind(res);
+
+  res.json = (body) => {
+    if (statuses.length > 0 && !res.headersSent) {
+      res.setHeader('X-Cache', statuses.every(entry => entry.status === 'HIT') ? 'HIT' : 'MISS');
+    }
+    return json(body);
+  };
+
+  cacheContext.run(statuses, next);
+});
+
+// Роуты, которые вызываются не клиентами API, а CDEK (арендатор не определяется)
+const TENANTLESS_ROUTES = ['/webhooks/cdek'];
+
+// Лимит частоты запросов на API-ключ (или IP-адрес для запросов без ключа);
+// у ключа может быть свой rateLimit в TENANTS_FILE. RATE_LIMIT_PER_MINUTE=0 отключает лимит
+const rateLimiter = new RateLimiter();
+const defaultRateLimit = {
+  perMinute: parseInt(process.env.RATE_LIMIT_PER_MINUTE) >= 0 ? parseInt(process.env.RATE_LIMIT_PER_MINUTE) : 300,
+  burst: parseInt(process.env.RATE_LIMIT_BURST) || undefined,
+};
+
+// Арендатор запроса и его клиент CDEK: req.tenant, req.cdek; API-ключ и его права: req.apiKey, req.scopes
+router.use((req, res, next) => {
+  if (TENANTLESS_ROUTES.includes(req.path)) {
+    return next();
+  }
+
+  try {
+    const { tenant, apiKey, scopes } = tenants.resolve(req);
+    req.tenant = tenant;
+    req.apiKey = apiKey;
+    req.scopes = scopes;
+
+    const limit = rateLimiter.take(
+      apiKey ? `key:${apiKey.key}` : `ip:${tenant.id}:${req.ip}`,
+      apiKey?.rateLimit || defaultRateLimit
+    );
+    if (limit.limit) {
+      res.setHeader('X-RateLimit-Limit', limit.limit);
+      res.setHeader('X-RateLimit-Remaining', limit.remaining);
+    }
+    if (!limit.allowed) {
+      res.setHeader('Retry-After', limit.retryAfter);
+      throw new ApiError(429, 'RATE_LIMITED', 'Превышен лимит запросов', [`Повторите через ${limit.retryAfter} с`]);
+    }
+
+    req.cdek = tenants.getClient(tenant);
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Справочник городов для подсказок: загружается из CDEK и хранится на диске (CITY_INDEX_DIR)
+const cityDirectory = createCityDirectory();
+
+// Хранилище входящих событий вебхуков CDEK
+const webhookStore = new CDEKWebhookStore();
+
+// Подбор коробок по каталогу из PACKING_BOXES_FILE (или каталогу по умолчанию)
+const boxPacker = new BoxPacker(loadBoxCatalogue(process.env.PACKING_BOXES_FILE));
+
+// Правила цены для покупателя из PRICING_RULES_FILE (у арендатора могут быть свои - pricingRules)
+const defaultPricing = new PricingEngine(loadPricingRules(process.env.PRICING_RULES_FILE));
 
 /**
- * GET /api/delivery/cities?q=Москва
- * Поиск городов по названию
+ * Расчет цены для покупателя по правилам арендатора запроса
+ * Регион получателя запрашивается у CDEK (из кэша), только если он нужен правилам
+ * @param {object} req - Запрос Express
+ * @param {object} params - Параметры расчета {fromCityCode, toCityCode, packages, cartCost}
+ * @returns {Promise<Function>} (carrierCost, tariffCode) => {carrierCost, customerPrice, appliedRules}
+ */
+const createPricer = async (req, { fromCityCode, toCityCode, packages, cartCost }) => {
+  const pricing = req.tenant.pricing || defaultPricing;
+  const context = {
+    fromCityCode,
+    toCityCode,
+    cartCost,
+    weight: packages.reduce((sum, pkg) => sum + (pkg.weight || 0), 0),
+  };
+
+  if (pricing.usesRegions) {
+    context.toRegionCode = (await req.cdek.getCity(toCityCode))?.region_code;
+  }
+
+  return (carrierCost, tariffCode) => pricing.apply(carrierCost, { ...context, tariffCode });
+};
+
+/**
+ * Коды городов по почтовым индексам: fromPostalCode → fromCityCode, toPostalCode → toCityCode
+ * Явно переданный код города важнее индекса; если индекс относится к нескольким городам, берется первый
+ * @param {CDEKApiClient} cdek - Клиент CDEK арендатора
+ * @param {object} params - Параметры запроса (коды записываются в них)
+ * @returns {Promise<object>} params
+ * @throws {ApiError} 422, если по индексу город не найден
+ */
+const applyPostalCodes = async (cdek, params) => {
+  await Promise.all(['from', 'to'].map(async (side) => {
+    const postalCode = params[`${side}PostalCode`];
+    if (params[`${side}CityCode`] || !postalCode) {
+      return;
+    }
+
+    const resolved = await resolvePostalCode(cdek, postalCode);
+    if (!resolved) {
+      throw new ApiError(422, 'CITY_NOT_FOUND', 'Город не найден по почтовому индексу', [
+        `${side}PostalCode: в CDEK нет города с индексом ${postalCode}`,
+      ]);
+    }
+    params[`${side}CityCode`] = resolved.code;
+  }));
+  return params;
+};
+
+// Middleware: коды городов по почтовым индексам из req.query или req.body
+const resolvePostalCodes = (source) => async (req, res, next) => {
+  try {
+    await applyPostalCodes(req.cdek, req[source]);
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Упаковка товаров корзины (items) в коробки
+ * Товары уже проверены схемой запроса, здесь возможны только ошибки ограничений тарифа
+ * @param {Array} items - Товары корзины
+ * @param {number} tariffCode - Код тарифа для ограничений на место (опционально)
+ * @returns {object} {packages, summary, errors}
  */
-router.get('/cities', async (req, res) => {
+const packItems = (items, tariffCode) => {
   try {
-    const { q, country_code = 'RU', size = 10 } = req.query;
+    return { ...boxPacker.pack(items, { tariffCode }), errors: [] };
+  } catch (error) {
+    return { packages: [], errors: [error.message] };
+  }
+};
 
-    if (!q) {
-      return res.status(400).json({
-        error: 'Параметр "q" (название города) обязателен',
-      });
+/**
+ * Посылки из проверенного запроса на расчет
+ * Принимает массив packages, товары корзины items (упаковываются в коробки через BoxPacker)
+ * или плоские поля weight/length/width/height для одной посылки.
+ * Если у посылки не указан вес, он считается по товарам (items: weight × amount)
+ * @param {object} source - req.body или req.query после validateRoute
+ * @param {number} tariffCode - Код тарифа для ограничений упаковки (опционально)
+ * @returns {object} {packages, errors}
+ */
+const parsePackages = (source, tariffCode) => {
+  if (source.packages === undefined && source.items !== undefined) {
+    return packItems(source.items, tariffCode);
+  }
+
+  const { weight, length, width, height } = source;
+  const packages = (source.packages || [{ weight, length, width, height }]).map(pkg => {
+    const parsed = {
+      weight: pkg.weight ?? Math.round(pkg.items.reduce((sum, item) => sum + item.weight * (item.amount ?? 1), 0)),
+      length: pkg.length,
+      width: pkg.width,
+      height: pkg.height,
+    };
+    if (pkg.number) {
+      parsed.number = String(pkg.number);
+    }
+    if (pkg.items) {
+      parsed.items = pkg.items;
+    }
+    return parsed;
+  });
+
+  return { packages, errors: [] };
+};
+
+/**
+ * Объемный и расчетный вес каждой посылки
+ * @param {Array} packages - Посылки после parsePackages
+ * @returns {Array} [{number, weight, volumeWeight, chargeableWeight}] (вес в граммах)
+ */
+const summarizePackages = (packages) => packages.map((pkg, index) => {
+  const volumeWeight = Math.round(pkg.length * pkg.width * pkg.height / VOLUME_WEIGHT_DIVIDER * 1000);
+
+  return {
+    number: pkg.number || `PACK-${index + 1}`,
+    weight: pkg.weight,
+    length: pkg.length,
+    width: pkg.width,
+    height: pkg.height,
+    volumeWeight,
+    chargeableWeight: Math.max(pkg.weight, volumeWeight),
+  };
+});
+
+/**
+ * Параметры калькулятора CDEK из запроса: дата, тип заказа, валюта, язык, доп. типы заказа и услуги
+ * @param {object} params - Проверенные параметры запроса (query или body)
+ * @returns {object} Параметры для calculateDelivery и calculateDeliveryByTariff
+ */
+const calculatorOptions = ({ date, type, currency, lang, additionalOrderTypes, services }) => ({
+  date,
+  type,
+  currency,
+  lang,
+  additional_order_types: additionalOrderTypes,
+  services,
+});
+
+/**
+ * Приведение запроса по заказу (создание, изменение, удаление) к единому формату
+ * @param {object} request - Запрос из ответа CDEK
+ * @returns {object} Состояние запроса
+ */
+const formatOrderRequest = (request) => ({
+  requestUuid: request.request_uuid,
+  type: request.type,
+  state: request.state,
+  dateTime: request.date_time,
+  errors: request.errors || [],
+  warnings: request.warnings || [],
+});
+
+/**
+ * Отправка состояния асинхронного запроса по заказу
+ * Если CDEK сразу отклонил запрос (state = INVALID), выбрасывает CDEKApiError (422)
+ * @param {object} res - Ответ Express
+ * @param {object} result - Ответ CDEK {entity, requests}
+ */
+const sendOrderRequestState = (res, result) => {
+  const request = formatOrderRequest((result.requests || [])[0] || {});
+  const data = {
+    uuid: result.entity?.uuid,
+    ...request,
+  };
+
+  if (request.state === 'INVALID') {
+    throw new CDEKApiError('CDEK отклонил запрос', {
+      status: 422,
+      cdekErrors: request.errors.map(err => ({ code: err.code, message: err.message })),
+      requestId: request.requestUuid,
+      data: result,
+    });
+  }
+
+  res.status(202).json({
+    success: true,
+    data,
+  });
+};
+
+/**
+ * Формирование печатной формы в CDEK и отправка PDF клиенту
+ * @param {object} req - Запрос Express (клиент CDEK арендатора - req.cdek)
+ * @param {object} res - Ответ Express
+ * @param {Function} next - Передача ошибки обработчику Express
+ * @param {string} kind - Вид формы: 'orders' (квитанция) или 'barcodes' (ШК-места)
+ * @param {object} params - Параметры {orderUuids, copies, format}
+ * @param {string} filename - Имя файла для Content-Disposition
+ */
+const sendPrintForm = async (req, res, next, kind, params, filename) => {
+  const { orderUuids, copies, format } = params;
+
+  try {
+    const pdf = await req.cdek.getPrintFormPdf(kind, orderUuids, {
+      copies,
+      format,
+      timeout: parseInt(process.env.CDEK_PRINT_TIMEOUT) || undefined,
+    });
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `inline; filename="${filename}"`);
+    pdf.on('error', (err) => {
+      console.error('Ошибка при передаче печатной формы:', err);
+      res.destroy(err);
+    });
+    pdf.pipe(res);
+  } catch (error) {
+    console.error('Ошибка при получении печатной формы:', error);
+    // 422 - CDEK не смог сформировать форму, 504 - форма не готова за отведенное время
+    next(error);
+  }
+};
+
+/**
+ * Отправитель по умолчанию арендатора (для арендатора по умолчанию - из CDEK_SENDER_*)
+ * Используется для заявок на вызов курьера, если отправитель не указан в запросе
+ * @param {object} tenant - Арендатор
+ * @returns {object} {fromLocation: {code, address}, sender: {company, name, phones}}
+ */
+const getDefaultSender = ({ sender }) => ({
+  fromLocation: sender.cityCode ? {
+    code: sender.cityCode,
+    address: sender.address,
+  } : undefined,
+  sender: sender.name ? {
+    company: sender.company,
+    name: sender.name,
+    phones: sender.phone ? [sender.phone] : [],
+  } : undefined,
+});
+
+/**
+ * Подстановка отправителя по умолчанию в запрос на вызов курьера
+ * Выполняется до проверки схемы, чтобы значения из окружения проверялись так же, как переданные
+ */
+const applyDefaultSender = (req, res, next) => {
+  const defaults = getDefaultSender(req.tenant);
+
+  if (req.method === 'GET') {
+    if (!req.query.cityCode && defaults.fromLocation) {
+      req.query.cityCode = String(defaults.fromLocation.code);
+      req.query.address = defaults.fromLocation.address;
     }
+  } else if (req.body && typeof req.body === 'object') {
+    req.body.fromLocation ??= defaults.fromLocation;
+    req.body.sender ??= defaults.sender;
+  }
+  next();
+};
+
+/**
+ * Приведение ответа CDEK по заявке на вызов курьера к единому формату
+ * @param {object} result - Ответ CDEK {entity, requests}
+ * @returns {object} Нормализованная заявка
+ */
+const formatIntake = (result) => {
+  const entity = result.entity || {};
+  const statuses = (entity.statuses || [])
+    .map(status => ({
+      code: status.code,
+      name: status.name,
+      dateTime: status.date_time,
+    }))
+    .sort((a, b) => new Date(b.dateTime) - new Date(a.dateTime));
+
+  return {
+    uuid: entity.uuid,
+    intakeNumber: entity.intake_number,
+    orderUuid: entity.order_uuid,
+    date: entity.intake_date,
+    timeFrom: entity.intake_time_from,
+    timeTo: entity.intake_time_to,
+    fromLocation: entity.from_location,
+    sender: entity.sender,
+    weight: entity.weight,
+    status: statuses[0] || null,
+    statuses,
+    requests: (result.requests || []).map(formatOrderRequest),
+  };
+};
 
-    const cities = await cdekClient.searchCities(q, country_code, parseInt(size));
+/**
+ * Приведение ответа CDEK по заказу к единому формату
+ * История статусов сортируется от новых к старым, ошибки и предупреждения
+ * всех запросов по заказу собираются в общие списки
+ * @param {object} result - Ответ CDEK {entity, requests, related_entities}
+ * @returns {object} Нормализованный заказ
+ */
+const formatOrder = (result) => {
+  const entity = result.entity || {};
+  const requests = (result.requests || []).map(formatOrderRequest);
+
+  const statuses = (entity.statuses || [])
+    .map(status => ({
+      code: status.code,
+      name: status.name,
+      dateTime: status.date_time,
+      city: status.city,
+      reasonCode: status.reason_code,
+    }))
+    .sort((a, b) => new Date(b.dateTime) - new Date(a.dateTime));
+
+  return {
+    uuid: entity.uuid,
+    cdekNumber: entity.cdek_number,
+    number: entity.number,
+    type: entity.type,
+    tariffCode: entity.tariff_code,
+    shipmentPoint: entity.shipment_point,
+    deliveryPoint: entity.delivery_point,
+    fromLocation: entity.from_location,
+    toLocation: entity.to_location,
+    recipient: entity.recipient,
+    packages: entity.packages || [],
+    deliveryDetail: entity.delivery_detail,
+    status: statuses[0] || null,
+    statuses,
+    requests,
+    errors: requests.flatMap(request => request.errors),
+    warnings: requests.flatMap(request => request.warnings),
+  };
+};
+
+/**
+ * GET /api/delivery/cities?q=Москва
+ * Поиск городов по названию в локальном справочнике: с опечатками, латиницей
+ * и уточнением региона («Березовский, Кемеровская»). Пока справочник загружается
+ * в фоне (или не удалось его загрузить), поиск идет через CDEK по точному названию (source = cdek)
+ */
+router.get('/cities', requireScope(SCOPES.QUOTE), validateRoute('GET /cities'), async (req, res, next) => {
+  try {
+    const { q, country_code, size, regionCode } = req.query;
+
+    let cities = await cityDirectory.search(req.cdek, q, { countryCode: country_code, size, regionCode });
+    let source = 'index';
+    if (!cities) {
+      cities = await req.cdek.searchCities(q, country_code, size);
+      source = 'cdek';
+    }
 
     res.json({
       success: true,
       data: cities,
       count: cities.length,
+      source,
     });
   } catch (error) {
     console.error('Ошибка при поиске городов:', error);
-    res.status(500).json({
-      error: 'Ошибка при поиске городов',
-      message: error.message,
+    next(error);
+  }
+});
+
+/**
+ * GET /api/delivery/resolve?postal_code=630099 или ?address=Березовский, Кемеровская обл.
+ * Код города CDEK по почтовому индексу или адресу, с регионом и уверенностью (confidence)
+ */
+router.get('/resolve', requireScope(SCOPES.QUOTE), validateRoute('GET /resolve'), async (req, res, next) => {
+  try {
+    const { postal_code, address, country_code } = req.query;
+
+    const resolved = await resolveCity(req.cdek, { postalCode: postal_code, address, countryCode: country_code });
+    if (!resolved) {
+      throw new ApiError(404, 'CITY_NOT_FOUND', 'Город не найден', [
+        postal_code ? `В CDEK нет города с индексом ${postal_code}` : `Не удалось определить город по адресу: ${address}`,
+      ]);
+    }
+
+    res.json({
+      success: true,
+      data: resolved,
     });
+  } catch (error) {
+    console.error('Ошибка при определении города:', error);
+    next(error);
   }
 });
 
@@ -53,51 +530,21 @@ router.get('/cities', async (req, res) => {
  * Расчет стоимости доставки через query параметры
  * 
  * Пример: /api/delivery/calculate?fromCityCode=44&fromAddress=Москва&toCityCode=270&toAddress=Новосибирск&weight=2000&length=10&width=20&height=30
+ * Несколько мест: ...&packages[0][weight]=2000&packages[0][length]=10&... или packages=<JSON-массив>
  */
-router.get('/calculate', async (req, res) => {
+router.get('/calculate', requireScope(SCOPES.QUOTE), validateRoute('GET /calculate'), resolvePostalCodes('query'), async (req, res, next) => {
   try {
     const {
       fromCityCode,
       fromAddress,
       toCityCode,
       toAddress,
-      weight,
-      length,
-      width,
-      height,
+      cartCost,
     } = req.query; // Используем query вместо body для GET
 
-    // Валидация обязательных полей
-    const errors = [];
-    if (!fromCityCode) errors.push('fromCityCode обязателен');
-    if (!toCityCode) errors.push('toCityCode обязателен');
-    if (!weight) errors.push('weight обязателен');
-    if (!length) errors.push('length обязателен');
-    if (!width) errors.push('width обязателен');
-    if (!height) errors.push('height обязателен');
-
+    const { packages, errors } = parsePackages(req.query);
     if (errors.length > 0) {
-      return res.status(400).json({
-        error: 'Ошибка валидации',
-        details: errors,
-      });
-    }
-
-    // Преобразование и валидация числовых значений
-    const fromCode = parseInt(fromCityCode);
-    const toCode = parseInt(toCityCode);
-    const pkgWeight = parseInt(weight);
-    const pkgLength = parseInt(length);
-    const pkgWidth = parseInt(width);
-    const pkgHeight = parseInt(height);
-
-    // Проверка на валидность чисел
-    if (isNaN(fromCode) || isNaN(toCode) || isNaN(pkgWeight) || 
-        isNaN(pkgLength) || isNaN(pkgWidth) || isNaN(pkgHeight)) {
-      return res.status(400).json({
-        error: 'Ошибка валидации',
-        details: ['Все числовые параметры должны быть валидными числами'],
-      });
+      return next(new ValidationError(errors));
     }
 
     // Подготовка данных для запроса
@@ -114,7 +561,7 @@ router.get('/calculate', async (req, res) => {
     };
 
     const fromLocation = {
-      code: fromCode,
+      code: fromCityCode,
     };
     const formattedFromAddress = formatAddress(fromAddress);
     if (formattedFromAddress) {
@@ -122,28 +569,23 @@ router.get('/calculate', async (req, res) => {
     }
 
     const toLocation = {
-      code: toCode,
+      code: toCityCode,
     };
     const formattedToAddress = formatAddress(toAddress);
     if (formattedToAddress) {
       toLocation.address = formattedToAddress;
     }
 
-    const packages = [
-      {
-        weight: pkgWeight,
-        length: pkgLength,
-        width: pkgWidth,
-        height: pkgHeight,
-      },
-    ];
-
-    // Выполнение расчета
-    const result = await cdekClient.calculateDelivery({
-      fromLocation,
-      toLocation,
-      packages,
-    });
+    // Выполнение расчета и правила цены для покупателя
+    const [result, price] = await Promise.all([
+      req.cdek.calculateDelivery({
+        fromLocation,
+        toLocation,
+        packages,
+        ...calculatorOptions(req.query),
+      }),
+      createPricer(req, { fromCityCode, toCityCode, packages, cartCost }),
+    ]);
 
     // Форматирование ответа
     const formattedResult = {
@@ -153,6 +595,7 @@ router.get('/calculate', async (req, res) => {
         name: tariff.tariff_name,
         description: tariff.tariff_description,
         cost: tariff.delivery_sum,
+        ...price(tariff.delivery_sum, tariff.tariff_code),
         periodMin: tariff.period_min,
         periodMax: tariff.period_max,
         calendarMin: tariff.calendar_min,
@@ -163,6 +606,7 @@ router.get('/calculate', async (req, res) => {
           dateMax: tariff.delivery_date_range.max,
         } : null,
       })) || [],
+      packages: summarizePackages(packages),
       errors: result.errors || [],
       warnings: result.warnings || [],
     };
@@ -170,10 +614,7 @@ router.get('/calculate', async (req, res) => {
     res.json(formattedResult);
   } catch (error) {
     console.error('Ошибка при расчете доставки:', error);
-    res.status(500).json({
-      error: 'Ошибка при расчете доставки',
-      message: error.message,
-    });
+    next(error);
   }
 });
 
@@ -192,64 +633,51 @@ router.get('/calculate', async (req, res) => {
  *   "width": 20,         // в см
  *   "height": 30         // в см
  * }
+ *
+ * Для нескольких мест вместо weight/length/width/height передается массив packages:
+ *   "packages": [
+ *     { "weight": 2000, "length": 10, "width": 20, "height": 30 },
+ *     { "length": 40, "width": 30, "height": 20, "items": [{ "weight": 500, "amount": 4 }] }
+ *   ] *
+ * Параметры калькулятора CDEK (опционально): date, type (2 - доставка), currency, lang,
+ * additionalOrderTypes и services, например страховка: [{ "code": "INSURANCE", "parameter": 5000 }]
  */
-router.post('/calculate', async (req, res) => {
+router.post('/calculate', requireScope(SCOPES.QUOTE), validateRoute('POST /calculate'), resolvePostalCodes('body'), async (req, res, next) => {
   try {
     const {
       fromCityCode,
       fromAddress,
       toCityCode,
       toAddress,
-      weight,
-      length,
-      width,
-      height,
+      cartCost,
     } = req.body;
 
-    // Валидация обязательных полей
-    const errors = [];
-    if (!fromCityCode) errors.push('fromCityCode обязателен');
-    if (!fromAddress) errors.push('fromAddress обязателен');
-    if (!toCityCode) errors.push('toCityCode обязателен');
-    if (!toAddress) errors.push('toAddress обязателен');
-    if (!weight) errors.push('weight обязателен');
-    if (!length) errors.push('length обязателен');
-    if (!width) errors.push('width обязателен');
-    if (!height) errors.push('height обязателен');
-
+    const { packages, errors } = parsePackages(req.body);
     if (errors.length > 0) {
-      return res.status(400).json({
-        error: 'Ошибка валидации',
-        details: errors,
-      });
+      return next(new ValidationError(errors));
     }
 
-    // Подготовка данных для запроса
+    // Подготовка данных для запроса (адреса опциональны, как и в GET /calculate)
     const fromLocation = {
-      code: parseInt(fromCityCode),
-      address: fromAddress,
+      code: fromCityCode,
+      address: fromAddress?.trim() || undefined,
     };
 
     const toLocation = {
-      code: parseInt(toCityCode),
-      address: toAddress,
+      code: toCityCode,
+      address: toAddress?.trim() || undefined,
     };
 
-    const packages = [
-      {
-        weight: parseInt(weight),
-        length: parseInt(length),
-        width: parseInt(width),
-        height: parseInt(height),
-      },
-    ];
-
-    // Выполнение расчета
-    const result = await cdekClient.calculateDelivery({
-      fromLocation,
-      toLocation,
-      packages,
-    });
+    // Выполнение расчета и правила цены для покупателя
+    const [result, price] = await Promise.all([
+      req.cdek.calculateDelivery({
+        fromLocation,
+        toLocation,
+        packages,
+        ...calculatorOptions(req.body),
+      }),
+      createPricer(req, { fromCityCode, toCityCode, packages, cartCost }),
+    ]);
 
     // Форматирование ответа
     const formattedResult = {
@@ -259,6 +687,7 @@ router.post('/calculate', async (req, res) => {
         name: tariff.tariff_name,
         description: tariff.tariff_description,
         cost: tariff.delivery_sum,
+        ...price(tariff.delivery_sum, tariff.tariff_code),
         periodMin: tariff.period_min,
         periodMax: tariff.period_max,
         calendarMin: tariff.calendar_min,
@@ -269,6 +698,7 @@ router.post('/calculate', async (req, res) => {
           dateMax: tariff.delivery_date_range.max,
         } : null,
       })) || [],
+      packages: summarizePackages(packages),
       errors: result.errors || [],
       warnings: result.warnings || [],
     };
@@ -276,13 +706,76 @@ router.post('/calculate', async (req, res) => {
     res.json(formattedResult);
   } catch (error) {
     console.error('Ошибка при расчете доставки:', error);
-    res.status(500).json({
-      error: 'Ошибка при расчете доставки',
-      message: error.message,
-    });
+    next(error);
   }
 });
 
+/**
+ * Подбор склада для тарифа склад-склад
+ * Ошибка CDEK при получении ПВЗ не прерывает расчет: склад не указывается, и CDEK сам сообщит,
+ * чего не хватает. Если ни один ПВЗ не подходит по весу и габаритам - ошибка 422.
+ * @param {CDEKApiClient} cdek - Клиент CDEK арендатора
+ * @param {object} params - {cityCode, role, packages, address} (см. findWarehouse)
+ * @returns {Promise<object>} Выбранный склад с причиной выбора
+ * @throws {ApiError} 422, если подходящего склада нет
+ */
+const pickWarehouse = async (cdek, params) => {
+  let warehouse;
+  try {
+    warehouse = await findWarehouse(cdek, params);
+  } catch (err) {
+    console.warn(`Не удалось получить ПВЗ для склада (${params.role}):`, err.message);
+    return { code: null, reason: `Не удалось получить ПВЗ города: ${err.message}` };
+  }
+
+  if (!warehouse.code) {
+    const label = params.role === WAREHOUSE_ROLES.SHIPMENT ? 'отправления' : 'доставки';
+    throw new ApiError(422, 'WAREHOUSE_NOT_FOUND', `Не найден склад ${label} в городе ${params.cityCode}`, [warehouse.reason]);
+  }
+  console.log(`Автоматически выбран склад (${params.role}): ${warehouse.code} - ${warehouse.reason}`);
+  return warehouse;
+};
+
+/**
+ * Склады отправления и доставки для тарифа 751 (склад-склад)
+ * Не указанные в запросе склады подбираются автоматически; для доставки по адресу
+ * (toAddress) склад доставки не нужен. Для остальных тарифов точки возвращаются как есть.
+ * @param {CDEKApiClient} cdek - Клиент CDEK арендатора
+ * @param {object} params - {tariffCode, packages, fromCityCode, fromAddress, toCityCode, toAddress, shipmentPoint, deliveryPoint}
+ * @returns {Promise<object>} {shipmentPoint, deliveryPoint, warehouses}; warehouses - подобранные склады с причиной выбора
+ */
+const resolveWarehousePoints = async (cdek, params) => {
+  const { tariffCode, packages, fromCityCode, fromAddress, toCityCode, toAddress } = params;
+  let { shipmentPoint, deliveryPoint } = params;
+  const warehouses = {};
+
+  if (tariffCode === 751) {
+    if (!shipmentPoint) {
+      warehouses.shipmentPoint = await pickWarehouse(cdek, {
+        cityCode: fromCityCode,
+        role: WAREHOUSE_ROLES.SHIPMENT,
+        packages,
+        address: fromAddress,
+      });
+      shipmentPoint = warehouses.shipmentPoint.code || undefined;
+    }
+    if (!deliveryPoint && !toAddress) {
+      warehouses.deliveryPoint = await pickWarehouse(cdek, {
+        cityCode: toCityCode,
+        role: WAREHOUSE_ROLES.DELIVERY,
+        packages,
+      });
+      deliveryPoint = warehouses.deliveryPoint.code || undefined;
+    }
+  }
+
+  return {
+    shipmentPoint,
+    deliveryPoint,
+    warehouses: Object.keys(warehouses).length > 0 ? warehouses : undefined,
+  };
+};
+
 /**
  * POST /api/delivery/calculate-by-tariff
  * Расчет стоимости доставки по конкретному тарифу
@@ -300,130 +793,66 @@ router.post('/calculate', async (req, res) => {
  *   "height": 30,
  *   "services": [{"code": "INSURANCE", "parameter": "5000"}]
  * }
+ *
+ * Вместо weight/length/width/height можно передать массив packages (как в POST /calculate)
  */
-router.post('/calculate-by-tariff', async (req, res) => {
+router.post('/calculate-by-tariff', requireScope(SCOPES.QUOTE), validateRoute('POST /calculate-by-tariff'), resolvePostalCodes('body'), async (req, res, next) => {
   try {
     const {
       tariffCode,
       fromCityCode,
       fromAddress,
       toCityCode,
-      toAddress,
-      weight,
-      length,
-      width,
-      height,
-      services = [],
+      toAddress, // опционален - для доставки на склад может не быть адреса
       shipmentPoint, // Код ПВЗ отправления (для тарифа 751)
       deliveryPoint, // Код ПВЗ доставки (для тарифа 751)
+      cartCost, // Стоимость корзины для правил бесплатной доставки
     } = req.body;
 
-    // Валидация
-    const errors = [];
-    if (!tariffCode) errors.push('tariffCode обязателен');
-    if (!fromCityCode) errors.push('fromCityCode обязателен');
-    if (!fromAddress) errors.push('fromAddress обязателен');
-    if (!toCityCode) errors.push('toCityCode обязателен');
-    // toAddress опционален - для доставки на склад может не быть адреса
-    if (!weight) errors.push('weight обязателен');
-    if (!length) errors.push('length обязателен');
-    if (!width) errors.push('width обязателен');
-    if (!height) errors.push('height обязателен');
-
+    const { packages, errors } = parsePackages(req.body, tariffCode);
     if (errors.length > 0) {
-      return res.status(400).json({
-        error: 'Ошибка валидации',
-        details: errors,
-      });
+      return next(new ValidationError(errors));
     }
 
-    // Для тарифа 751 (склад-склад) нужно указать склады
-    // Если не указаны, попробуем найти их автоматически
-    let finalShipmentPoint = shipmentPoint;
-    let finalDeliveryPoint = deliveryPoint;
-
-    if (parseInt(tariffCode) === 751) {
-      // Для тарифа 751 нужны склады
-      if (!finalShipmentPoint) {
-        // Пытаемся найти ПВЗ в городе отправления
-        try {
-          // Сначала пробуем найти ПВЗ со сборным грузом
-          let officesFrom = await cdekClient.getOffices(parseInt(fromCityCode), { 
-            type: 'PVZ', 
-            size: 10,
-          });
-          
-          // Фильтруем по is_ltl (работает со сборным грузом)
-          if (officesFrom && officesFrom.length > 0) {
-            const ltlOffices = officesFrom.filter(office => office.is_ltl === true);
-            if (ltlOffices.length > 0) {
-              finalShipmentPoint = ltlOffices[0].code;
-              console.log(`Автоматически найден ПВЗ отправления (LTL): ${finalShipmentPoint}`);
-            } else {
-              // Если нет LTL, берем первый доступный
-              finalShipmentPoint = officesFrom[0].code;
-              console.log(`Автоматически найден ПВЗ отправления: ${finalShipmentPoint}`);
-            }
-          }
-        } catch (err) {
-          console.warn('Не удалось найти ПВЗ отправления:', err.message);
-        }
-      }
-
-      if (!finalDeliveryPoint && !toAddress) {
-        // Для доставки до ПВЗ нужен delivery_point
-        try {
-          // Сначала пробуем найти ПВЗ со сборным грузом
-          let officesTo = await cdekClient.getOffices(parseInt(toCityCode), { 
-            type: 'PVZ', 
-            size: 10,
-          });
-          
-          // Фильтруем по is_ltl (работает со сборным грузом)
-          if (officesTo && officesTo.length > 0) {
-            const ltlOffices = officesTo.filter(office => office.is_ltl === true);
-            if (ltlOffices.length > 0) {
-              finalDeliveryPoint = ltlOffices[0].code;
-              console.log(`Автоматически найден ПВЗ доставки (LTL): ${finalDeliveryPoint}`);
-            } else {
-              // Если нет LTL, берем первый доступный
-              finalDeliveryPoint = officesTo[0].code;
-              console.log(`Автоматически найден ПВЗ доставки: ${finalDeliveryPoint}`);
-            }
-          }
-        } catch (err) {
-          console.warn('Не удалось найти ПВЗ доставки:', err.message);
-        }
-      }
-    }
+    // Для тарифа 751 (склад-склад) нужно указать склады; если не указаны, подбираем автоматически
+    const {
+      shipmentPoint: finalShipmentPoint,
+      deliveryPoint: finalDeliveryPoint,
+      warehouses,
+    } = await resolveWarehousePoints(req.cdek, {
+      tariffCode,
+      packages,
+      fromCityCode,
+      fromAddress,
+      toCityCode,
+      toAddress,
+      shipmentPoint,
+      deliveryPoint,
+    });
 
     // Формируем toLocation: address опционален (для доставки на склад может не быть)
     const toLocation = {
-      code: parseInt(toCityCode),
+      code: toCityCode,
     };
     if (toAddress && toAddress.trim()) {
       toLocation.address = toAddress.trim();
     }
 
-    const result = await cdekClient.calculateDeliveryByTariff({
-      tariffCode: parseInt(tariffCode),
-      fromLocation: {
-        code: parseInt(fromCityCode),
-        address: fromAddress,
-      },
-      toLocation: toLocation,
-      packages: [
-        {
-          weight: parseInt(weight),
-          length: parseInt(length),
-          width: parseInt(width),
-          height: parseInt(height),
+    const [result, price] = await Promise.all([
+      req.cdek.calculateDeliveryByTariff({
+        tariffCode,
+        fromLocation: {
+          code: fromCityCode,
+          address: fromAddress?.trim() || undefined,
         },
-      ],
-      services,
-      shipmentPoint: finalShipmentPoint,
-      deliveryPoint: finalDeliveryPoint,
-    });
+        toLocation: toLocation,
+        packages,
+        ...calculatorOptions(req.body),
+        shipmentPoint: finalShipmentPoint,
+        deliveryPoint: finalDeliveryPoint,
+      }),
+      createPricer(req, { fromCityCode, toCityCode, packages, cartCost }),
+    ]);
 
     // Логируем полный ответ от CDEK API для отладки
     console.log('CDEK API Full Response:', JSON.stringify(result, null, 2));
@@ -433,6 +862,8 @@ router.post('/calculate-by-tariff', async (req, res) => {
       tariffCode: result.tariff_code,
       deliveryCost: result.delivery_sum,
       totalCost: result.total_sum,
+      // Цена для покупателя считается от стоимости с услугами
+      ...price(result.total_sum ?? result.delivery_sum, result.tariff_code),
       periodMin: result.period_min,
       periodMax: result.period_max,
       calendarMin: result.calendar_min,
@@ -440,6 +871,9 @@ router.post('/calculate-by-tariff', async (req, res) => {
       weightCalc: result.weight_calc,
       currency: result.currency,
       services: result.services || [],
+      packages: summarizePackages(packages),
+      // Автоматически подобранные склады и причина выбора
+      warehouses,
       deliveryDateRange: result.delivery_date_range ? {
         dateMin: result.delivery_date_range.date_min || result.delivery_date_range.min,
         dateMax: result.delivery_date_range.date_max || result.delivery_date_range.max,
@@ -451,84 +885,590 @@ router.post('/calculate-by-tariff', async (req, res) => {
     res.json(formattedResult);
   } catch (error) {
     console.error('Ошибка при расчете доставки по тарифу:', error);
-    res.status(500).json({
-      error: 'Ошибка при расчете доставки',
-      message: error.message,
-    });
+    next(error);
   }
 });
 
 /**
- * GET /api/delivery/offices?cityCode=44
- * Получение списка офисов (ПВЗ) в городе
+ * POST /api/delivery/recommend
+ * Выбор лучшего тарифа по предпочтениям покупателя
+ * Тарифы берутся из calculateDelivery; тарифы сборного груза (750, 751), которых нет в списке CDEK,
+ * считаются отдельно через calculateDeliveryByTariff. Цена - по правилам цены (customerPrice).
+ *
+ * Body: маршрут и посылки как в POST /calculate, плюс
+ * {
+ *   "preferences": {
+ *     "priority": "balanced",  // cheapest, fastest, balanced
+ *     "deliveryType": "door",  // door, pickup, any
+ *     "maxDays": 5,            // рабочих дней, опционально
+ *     "tariffCodes": [136, 137, 751] // опционально
+ *   }
+ * }
  */
-router.get('/offices', async (req, res) => {
+router.post('/recommend', requireScope(SCOPES.QUOTE), validateRoute('POST /recommend'), resolvePostalCodes('body'), async (req, res, next) => {
   try {
-    const { cityCode, type = 'ALL' } = req.query;
+    const {
+      fromCityCode,
+      fromAddress,
+      toCityCode,
+      toAddress,
+      cartCost,
+      preferences,
+    } = req.body;
 
-    if (!cityCode) {
-      return res.status(400).json({
-        error: 'Параметр "cityCode" обязателен',
-      });
+    const { packages, errors } = parsePackages(req.body);
+    if (errors.length > 0) {
+      return next(new ValidationError(errors));
     }
 
-    const offices = await cdekClient.getOffices(parseInt(cityCode), {
-      type,
-    });
+    const fromLocation = { code: fromCityCode, address: fromAddress?.trim() || undefined };
+    const toLocation = { code: toCityCode, address: toAddress?.trim() || undefined };
+    const isWanted = (code) => !preferences.tariffCodes || preferences.tariffCodes.includes(code);
+
+    const [result, price] = await Promise.all([
+      req.cdek.calculateDelivery({ fromLocation, toLocation, packages, ...calculatorOptions(req.body) }),
+      createPricer(req, { fromCityCode, toCityCode, packages, cartCost }),
+    ]);
+
+    const options = (result.tariff_codes || [])
+      .filter(tariff => isWanted(tariff.tariff_code) && tariff.delivery_sum !== undefined)
+      .map(tariff => ({
+        code: tariff.tariff_code,
+        name: tariff.tariff_name,
+        deliveryMode: tariff.delivery_mode,
+        deliveryType: deliveryTypeOf(tariff.delivery_mode),
+        ...price(tariff.delivery_sum, tariff.tariff_code),
+        periodMin: tariff.period_min,
+        periodMax: tariff.period_max,
+      }));
+    const excluded = [];
+
+    // Тарифы, которых нет в списке CDEK, считаются по одному (только если подходят по типу доставки)
+    const unlisted = Object.entries(UNLISTED_TARIFFS)
+      .map(([code, tariff]) => ({ code: Number(code), ...tariff, deliveryType: deliveryTypeOf(tariff.deliveryMode) }))
+      .filter(tariff => isWanted(tariff.code) && !options.some(option => option.code === tariff.code))
+      .filter(tariff => preferences.deliveryType === DELIVERY_TYPES.ANY || tariff.deliveryType === preferences.deliveryType);
+
+    await Promise.all(unlisted.map(async (tariff) => {
+      try {
+        const { shipmentPoint, deliveryPoint } = await resolveWarehousePoints(req.cdek, {
+          tariffCode: tariff.code,
+          packages,
+          fromCityCode,
+          fromAddress: fromLocation.address,
+          toCityCode,
+          toAddress: tariff.deliveryType === DELIVERY_TYPES.DOOR ? toLocation.address : undefined,
+        });
+        const quote = await req.cdek.calculateDeliveryByTariff({
+          tariffCode: tariff.code,
+          fromLocation,
+          toLocation,
+          packages,
+          ...calculatorOptions(req.body),
+          shipmentPoint,
+          deliveryPoint,
+        });
+
+        options.push({
+          code: tariff.code,
+          name: tariff.name,
+          deliveryMode: tariff.deliveryMode,
+          deliveryType: tariff.deliveryType,
+          ...price(quote.delivery_sum, tariff.code),
+          periodMin: quote.period_min,
+          periodMax: quote.period_max,
+        });
+      } catch (error) {
+        // Тариф недоступен для маршрута или посылки - это не ошибка подбора
+        const reason = error.code === 'WAREHOUSE_NOT_FOUND'
+          ? `${error.message}: ${error.details[0]}`
+          : `CDEK не рассчитал тариф: ${error.message}`;
+        excluded.push({ code: tariff.code, name: tariff.name, reason });
+      }
+    }));
+
+    const ranking = rankOptions(options, preferences);
 
     res.json({
       success: true,
-      data: offices,
-      count: offices.length,
+      data: {
+        recommended: ranking.recommended,
+        options: ranking.options,
+        excluded: [...ranking.excluded, ...excluded],
+        preferences,
+      },
+      packages: summarizePackages(packages),
+      errors: result.errors || [],
+      warnings: result.warnings || [],
     });
   } catch (error) {
-    console.error('Ошибка при получении офисов:', error);
-    res.status(500).json({
-      error: 'Ошибка при получении офисов',
-      message: error.message,
-    });
+    console.error('Ошибка при подборе тарифа:', error);
+    next(error);
   }
 });
 
+// Пакетный расчет: сколько строк считать одновременно (BATCH_CONCURRENCY) и до скольких строк
+// отвечать сразу (BATCH_SYNC_LIMIT); большие пакеты считаются в фоне
+const batchConcurrency = parseInt(process.env.BATCH_CONCURRENCY) || 4;
+const batchSyncLimit = parseInt(process.env.BATCH_SYNC_LIMIT) || 50;
+const batchJobs = new BatchJobStore({ ttl: parseInt(process.env.BATCH_JOB_TTL) || undefined });
+
 /**
- * GET /api/delivery/tariffs?lang=rus
- * Получение списка доступных тарифов
- * 
- * Параметры:
- * - lang (опционально) - Язык ответа: 'rus', 'eng', 'zho' (по умолчанию 'rus')
+ * Расчет одной строки пакета
+ * @param {object} req - Запрос Express (арендатор, клиент CDEK)
+ * @param {object} row - Строка пакета
+ * @param {Array<number>} tariffCodes - Оставить только эти тарифы (опционально)
+ * @returns {Promise<Array>} Тарифы [{code, name, carrierCost, customerPrice, appliedRules, periodMin, periodMax}]
+ * @throws {ValidationError|CDEKApiError} Ошибка строки
  */
-router.get('/tariffs', async (req, res) => {
-  try {
-    const { lang = 'rus' } = req.query;
+const quoteBatchRow = async (req, row, tariffCodes) => {
+  const { value, errors: fieldErrors } = validate(BATCH_ROW_SCHEMA, row);
+  if (fieldErrors.length > 0) {
+    throw new ValidationError(fieldErrors.map(error => error.message), fieldErrors);
+  }
 
-    // Валидация языка
-    const validLangs = ['rus', 'eng', 'zho'];
-    if (!validLangs.includes(lang)) {
-      return res.status(400).json({
-        error: 'Ошибка валидации',
-        details: [`Недопустимый язык. Допустимые значения: ${validLangs.join(', ')}`],
-      });
-    }
+  const { fromCityCode, fromAddress, toCityCode, toAddress, cartCost, tariffCode } = await applyPostalCodes(req.cdek, value);
+  const { packages, errors } = parsePackages(value, tariffCode);
+  if (errors.length > 0) {
+    throw new ValidationError(errors);
+  }
 
-    const tariffs = await cdekClient.getTariffs(lang);
+  const fromLocation = { code: fromCityCode, address: fromAddress?.trim() || undefined };
+  const toLocation = { code: toCityCode, address: toAddress?.trim() || undefined };
+  const price = await createPricer(req, { fromCityCode, toCityCode, packages, cartCost });
 
-    res.json({
-      success: true,
-      data: tariffs,
-      count: Array.isArray(tariffs) ? tariffs.length : 0,
+  if (tariffCode) {
+    const { shipmentPoint, deliveryPoint } = await resolveWarehousePoints(req.cdek, {
+      tariffCode,
+      packages,
+      fromCityCode,
+      fromAddress: fromLocation.address,
+      toCityCode,
+      toAddress: toLocation.address,
     });
-  } catch (error) {
-    console.error('Ошибка при получении списка тарифов:', error);
-    res.status(500).json({
-      error: 'Ошибка при получении списка тарифов',
-      message: error.message,
+    const result = await req.cdek.calculateDeliveryByTariff({
+      tariffCode,
+      fromLocation,
+      toLocation,
+      packages,
+      ...calculatorOptions(value),
+      shipmentPoint,
+      deliveryPoint,
     });
+    return [{
+      code: tariffCode,
+      name: UNLISTED_TARIFFS[tariffCode]?.name,
+      ...price(result.total_sum ?? result.delivery_sum, tariffCode),
+      periodMin: result.period_min,
+      periodMax: result.period_max,
+    }];
+  }
+
+  const result = await req.cdek.calculateDelivery({ fromLocation, toLocation, packages, ...calculatorOptions(value) });
+  return (result.tariff_codes || [])
+    .filter(tariff => !tariffCodes || tariffCodes.includes(tariff.tariff_code))
+    .map(tariff => ({
+      code: tariff.tariff_code,
+      name: tariff.tariff_name,
+      ...price(tariff.delivery_sum, tariff.tariff_code),
+      periodMin: tariff.period_min,
+      periodMax: tariff.period_max,
+    }));
+};
+
+/**
+ * Расчет всех строк пакета, не более batchConcurrency запросов к CDEK одновременно
+ * Ошибка строки не прерывает пакет, а попадает в ее результат
+ * @param {object} req - Запрос Express
+ * @param {Array} rows - Строки
+ * @param {Array<number>} tariffCodes - Оставить только эти тарифы (опционально)
+ * @param {object} job - Фоновое задание для учета прогресса (опционально)
+ * @returns {Promise<Array>} Результаты строк
+ */
+const runBatch = (req, rows, tariffCodes, job) => mapWithConcurrency(rows, batchConcurrency, async (row, index) => {
+  const base = { row: index + 1, id: row.id, fromCityCode: row.fromCityCode, toCityCode: row.toCityCode };
+
+  try {
+    const tariffs = await quoteBatchRow(req, row, tariffCodes);
+    return { ...base, status: 'ok', tariffs };
+  } catch (error) {
+    const { code, message, details } = toErrorResponse(error).body;
+    if (job) job.failed++;
+    return { ...base, status: 'error', error: { code, message, details } };
+  } finally {
+    if (job) job.done++;
   }
 });
 
 /**
- * POST /api/delivery/orders
- * Создание заказа
+ * Отправка результатов пакета в JSON или CSV
+ * @param {object} res - Ответ Express
+ * @param {Array} results - Результаты строк
+ * @param {object} options - {format, delimiter} из query
+ * @param {object} extra - Дополнительные поля JSON-ответа
+ */
+const sendBatchResults = (res, results, { format, delimiter }, extra = {}) => {
+  if (format === 'csv') {
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', 'attachment; filename="quotes.csv"');
+    return res.send(batchResultsToCsv(results, delimiter));
+  }
+  res.json({ success: true, ...extra, summary: summarizeBatch(results), results });
+};
+
+/**
+ * Состояние фонового задания для ответа
+ * @param {object} req - Запрос Express
+ * @param {object} job - Задание
+ * @returns {object}
+ */
+const formatBatchJob = (req, job) => ({
+  jobId: job.id,
+  status: job.status,
+  total: job.total,
+  done: job.done,
+  failed: job.failed,
+  progress: job.total > 0 ? Math.round(job.done / job.total * 100) : 100,
+  createdAt: job.createdAt,
+  finishedAt: job.finishedAt,
+  error: job.error || undefined,
+  statusUrl: `${req.baseUrl}/calculate/batch/${job.id}`,
+});
+
+// CSV (Content-Type: text/csv) приводится к {rows} до проверки схемой
+const parseBatchCsv = (req, res, next) => {
+  if (typeof req.body === 'string') {
+    req.body = { rows: parseCsv(req.body) };
+  }
+  next();
+};
+
+/**
+ * POST /api/delivery/calculate/batch?format=json|csv&async=true
+ * Пакетный расчет по многим маршрутам (например, прайс-лист по городам)
+ *
+ * Body (JSON):
+ * {
+ *   "rows": [
+ *     { "id": "NSK", "fromCityCode": 44, "toCityCode": 270, "weight": 2000, "length": 10, "width": 20, "height": 30 },
+ *     { "id": "SPB-751", "fromCityCode": 44, "toCityCode": 137, "tariffCode": 751, "packages": [...] }
+ *   ],
+ *   "tariffCodes": [136, 137]   // опционально
+ * }
+ *
+ * Или CSV (Content-Type: text/csv) с колонками id,fromCityCode,toCityCode,weight,length,width,height,...
+ * До BATCH_SYNC_LIMIT строк результат возвращается сразу, больше (или с async=true) - 202 и id задания
+ */
+router.post('/calculate/batch', requireScope(SCOPES.QUOTE), parseBatchCsv, validateRoute('POST /calculate/batch'), async (req, res, next) => {
+  try {
+    const { rows, tariffCodes } = req.body;
+
+    if (req.query.async || rows.length > batchSyncLimit) {
+      const job = batchJobs.start(req.tenant.id, rows.length, current => runBatch(req, rows, tariffCodes, current));
+      return res.status(202).json({ success: true, data: formatBatchJob(req, job) });
+    }
+
+    const results = await runBatch(req, rows, tariffCodes);
+    sendBatchResults(res, results, req.query);
+  } catch (error) {
+    console.error('Ошибка пакетного расчета:', error);
+    next(error);
+  }
+});
+
+/**
+ * GET /api/delivery/calculate/batch/:jobId?format=json|csv
+ * Прогресс фонового задания; после завершения - результаты
+ */
+router.get('/calculate/batch/:jobId', requireScope(SCOPES.QUOTE), validateRoute('GET /calculate/batch/:jobId'), (req, res, next) => {
+  const job = batchJobs.get(req.tenant.id, req.params.jobId);
+  if (!job) {
+    return next(new ApiError(404, 'JOB_NOT_FOUND', 'Задание не найдено (возможно, истек срок хранения)'));
+  }
+
+  if (job.status !== JOB_STATUSES.DONE) {
+    if (req.query.format === 'csv') {
+      return next(new ApiError(409, 'JOB_NOT_FINISHED', `Задание еще не завершено: ${job.done} из ${job.total}`));
+    }
+    return res.json({ success: true, data: formatBatchJob(req, job) });
+  }
+
+  sendBatchResults(res, job.results, req.query, { data: formatBatchJob(req, job) });
+});
+
+/**
+ * POST /api/delivery/pack
+ * Подбор коробок для товаров корзины
+ * Результат (packages) можно передать в /calculate, /calculate-by-tariff и /orders
+ *
+ * Body:
+ * {
+ *   "items": [
+ *     {
+ *       "name": "Кружка",
+ *       "ware_key": "SKU-1",
+ *       "weight": 400,      // в граммах, за единицу
+ *       "length": 12,       // в см
+ *       "width": 9,
+ *       "height": 10,
+ *       "quantity": 3,
+ *       "stackable": true
+ *     }
+ *   ],
+ *   "tariffCode": 136,      // опционально, для ограничений тарифа на место
+ *   "boxes": [              // опционально, вместо каталога по умолчанию
+ *     { "name": "M", "length": 33, "width": 25, "height": 15, "weight": 200, "maxWeight": 5000 }
+ *   ]
+ * }
+ */
+router.post('/pack', requireScope(SCOPES.QUOTE), validateRoute('POST /pack'), (req, res, next) => {
+  const { items, tariffCode, boxes } = req.body;
+
+  try {
+    const packer = boxes ? new BoxPacker(boxes) : boxPacker;
+    const result = packer.pack(items, { tariffCode });
+
+    res.json({
+      success: true,
+      data: result.packages,
+      summary: result.summary,
+    });
+  } catch (error) {
+    next(error instanceof ValidationError ? error : new ApiError(400, 'PACKING_ERROR', 'Ошибка упаковки', [error.message]));
+  }
+});
+
+/**
+ * Проверка токена администратора (X-Admin-Token) для управления кэшем и выключателем
+ * Токен - общий для сервиса ключ оператора, а не арендатора: кэш у арендаторов общий.
+ * Если CACHE_ADMIN_TOKEN не задан, эндпоинты управления отключены
+ */
+const requireAdminToken = (req, res, next) => {
+  const token = process.env.CACHE_ADMIN_TOKEN;
+  if (!token) {
+    return next(new ApiError(403, 'FORBIDDEN', 'Управление отключено: не задан CACHE_ADMIN_TOKEN'));
+  }
+  if (req.get('X-Admin-Token') !== token) {
+    return next(new ApiError(403, 'FORBIDDEN', 'Неверный токен администратора'));
+  }
+  next();
+};
+
+/**
+ * GET /api/delivery/cache
+ * Статистика кэша
+ */
+router.get('/cache', requireScope(SCOPES.ADMIN), requireAdminToken, async (req, res, next) => {
+  try {
+    res.json({
+      success: true,
+      data: cache ? { enabled: true, ...(await cache.getStats()) } : { enabled: false },
+    });
+  } catch (error) {
+    console.error('Ошибка при получении статистики кэша:', error);
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/delivery/cache?resource=cities
+ * Очистка кэша: всего или одного типа ресурса (cities, offices, tariffs, calculate).
+ * Кэш общий для всех арендаторов, поэтому очистка доступна только оператору (CACHE_ADMIN_TOKEN).
+ * Вместе с городами удаляется справочник городов - следующий поиск загрузит его заново
+ */
+router.delete('/cache', requireScope(SCOPES.ADMIN), requireAdminToken, validateRoute('DELETE /cache'), async (req, res, next) => {
+  try {
+    const { resource } = req.query;
+
+    let removed = cache ? await cache.purge(resource) : 0;
+    if (!resource || resource === 'cities') {
+      removed += await cityDirectory.clear();
+    }
+
+    res.json({
+      success: true,
+      data: { removed },
+    });
+  } catch (error) {
+    console.error('Ошибка при очистке кэша:', error);
+    next(error);
+  }
+});
+
+/**
+ * GET /api/delivery/status
+ * Состояние подключения к CDEK арендатора запроса: выключатель, время ожидания и повторы
+ * status = degraded, пока выключатель не замкнут (для алертов).
+ * Без права admin возвращаются только status и права запроса: адрес API, арендатор
+ * и настройки подключения - сведения для оператора, а не для виджета на сайте
+ */
+router.get('/status', requireScope(SCOPES.QUOTE), (req, res) => {
+  const circuitBreaker = req.cdek.breaker.getState();
+  const status = circuitBreaker.state === BREAKER_STATES.CLOSED ? 'ok' : 'degraded';
+
+  if (!req.scopes.includes(SCOPES.ADMIN)) {
+    return res.json({
+      success: true,
+      data: { status, scopes: req.scopes },
+    });
+  }
+
+  res.json({
+    success: true,
+    data: {
+      status,
+      tenant: req.tenant.id,
+      apiUrl: req.cdek.apiUrl,
+      apiKey: req.apiKey?.name || null,
+      scopes: req.scopes,
+      circuitBreaker,
+      timeouts: req.cdek.timeouts,
+      retry: req.cdek.retry,
+      calculateMode: req.cdek.calculateMode,
+    },
+  });
+});
+
+/**
+ * POST /api/delivery/status/circuit-breaker/reset
+ * Принудительное замыкание выключателя арендатора запроса (например, после восстановления CDEK)
+ */
+router.post('/status/circuit-breaker/reset', requireScope(SCOPES.ADMIN), requireAdminToken, (req, res) => {
+  req.cdek.breaker.reset();
+
+  res.json({
+    success: true,
+    data: req.cdek.breaker.getState(),
+  });
+});
+
+/**
+ * Офисы города или, без города, всей России
+ * Условия поиска проверяются на стороне сервиса, а не в запросе к CDEK: один закэшированный
+ * список офисов подходит для любых фильтров
+ * @param {CDEKApiClient} cdek - Клиент CDEK арендатора
+ * @param {number} cityCode - Код города (опционально)
+ * @param {string} type - Тип офиса
+ * @returns {Promise<Array>} Офисы
+ */
+const loadOffices = (cdek, cityCode, type) => cdek.getOffices(cityCode, cityCode ? { type } : { type, country_code: 'RU' });
+
+/**
+ * GET /api/delivery/offices?cityCode=44&bbox=37.5,55.7,37.7,55.8&have_cashless=true&format=geojson&page=1
+ * Получение списка офисов (ПВЗ) в городе
+ * Фильтры: bbox, weight_max (кг), have_cashless, is_dressing_room, is_handout, is_reception;
+ * format=geojson - FeatureCollection для карты
+ */
+router.get('/offices', requireScope(SCOPES.QUOTE), validateRoute('GET /offices'), async (req, res, next) => {
+  try {
+    const { cityCode, type, bbox, weight_max: weightMax, format, page, pageSize } = req.query;
+
+    const offices = await loadOffices(req.cdek, cityCode, type);
+    const filtered = filterOffices(offices, {
+      bbox: bbox ? parseBoundingBox(bbox) : undefined,
+      weightMax,
+      flags: Object.fromEntries(OFFICE_FLAGS.map(flag => [flag, req.query[flag]])),
+    });
+    const { items, pagination } = paginate(filtered, page, pageSize);
+
+    if (format === 'geojson') {
+      return res.type('application/geo+json').json(officesToFeatureCollection(items, { pagination }));
+    }
+
+    res.json({
+      success: true,
+      data: items,
+      count: items.length,
+      pagination,
+    });
+  } catch (error) {
+    console.error('Ошибка при получении офисов:', error);
+    next(error);
+  }
+});
+
+/**
+ * Часовые пояса городов найденных офисов (для часов работы и openNow)
+ * @param {CDEKApiClient} cdek - Клиент CDEK арендатора
+ * @param {Array} offices - Офисы
+ * @returns {Promise<Map>} Код города → часовой пояс
+ */
+const officeTimeZones = async (cdek, offices) => {
+  const cityCodes = [...new Set(offices.map(office => office.location.city_code))];
+  const cities = await Promise.all(cityCodes.map(code => cdek.getCity(code)));
+
+  return new Map(cityCodes.map((code, index) => [code, cities[index]?.time_zone || DEFAULT_TIME_ZONE]));
+};
+
+/**
+ * GET /api/delivery/offices/nearest?lat=55.7558&lon=37.6173&radius=3000&cityCode=44
+ * Ближайшие к точке офисы с расстоянием и часами работы
+ * Фильтры: weight/length/width/height (посылка должна поместиться), cashless, dressingRoom, ltl, openNow
+ */
+router.get('/offices/nearest', requireScope(SCOPES.QUOTE), validateRoute('GET /offices/nearest'), async (req, res, next) => {
+  try {
+    const { lat, lon, radius, cityCode, type, weight, length, width, height, cashless, dressingRoom, ltl, openNow, at, limit } = req.query;
+
+    const offices = await loadOffices(req.cdek, cityCode, type);
+    const nearby = findOfficesNearby(offices, {
+      lat,
+      lon,
+      radius,
+      parcel: { weight, length, width, height },
+      cashless,
+      dressingRoom,
+      ltl,
+    });
+
+    const date = at ? new Date(at) : new Date();
+    const timeZones = await officeTimeZones(req.cdek, nearby.map(({ office }) => office));
+    const data = nearby
+      .map(({ office, distance }) => ({
+        ...office,
+        distance,
+        workHours: describeWorkHours(office, date, timeZones.get(office.location.city_code)),
+      }))
+      .filter(office => !openNow || office.workHours.openNow)
+      .slice(0, limit);
+
+    res.json({
+      success: true,
+      data,
+      count: data.length,
+    });
+  } catch (error) {
+    console.error('Ошибка при поиске ближайших офисов:', error);
+    next(error);
+  }
+});
+
+/**
+ * GET /api/delivery/tariffs?lang=rus
+ * Получение списка доступных тарифов
+ * 
+ * Параметры:
+ * - lang (опционально) - Язык ответа: 'rus', 'eng', 'zho' (по умолчанию 'rus')
+ */
+router.get('/tariffs', requireScope(SCOPES.QUOTE), validateRoute('GET /tariffs'), async (req, res, next) => {
+  try {
+    const { lang } = req.query;
+
+    const tariffs = await req.cdek.getTariffs(lang);
+
+    res.json({
+      success: true,
+      data: tariffs,
+      count: Array.isArray(tariffs) ? tariffs.length : 0,
+    });
+  } catch (error) {
+    console.error('Ошибка при получении списка тарифов:', error);
+    next(error);
+  }
+});
+
+/**
+ * POST /api/delivery/orders
+ * Создание заказа
  * 
  * Body:
  * {
@@ -563,43 +1503,83 @@ router.get('/tariffs', async (req, res) => {
  *     }
  *   ]
  * }
+ *
+ * Вместо packages можно передать товары корзины items (как в POST /pack),
+ * тогда посылки подбираются автоматически
+ *
+ * Без shipmentPoint для тарифов от склада (WAREHOUSE_SENDER_TARIFFS) склад отправления подбирается
+ * автоматически в городе fromCityCode или в городе отправителя арендатора; тарифам от двери
+ * вместо склада передается адрес отправления from_location (fromCityCode и fromAddress).
+ * Для тарифа 751 без deliveryPoint так же подбирается склад доставки в городе toLocation.
+ * Вместо fromCityCode и toLocation.code можно передать почтовые индексы fromPostalCode и toPostalCode.
  */
-router.post('/orders', async (req, res) => {
+router.post('/orders', requireScope(SCOPES.ORDERS), validateRoute('POST /orders'), async (req, res, next) => {
   try {
     const {
-      type = 1,
+      type,
       number,
       tariffCode,
-      shipmentPoint,
-      deliveryPoint,
-      toLocation,
+      fromPostalCode,
+      fromAddress,
+      toPostalCode,
       recipient,
-      packages,
+      items,
     } = req.body;
+    let { packages, shipmentPoint, deliveryPoint, toLocation } = req.body;
 
-    // Валидация обязательных полей
-    const errors = [];
-    if (!number) errors.push('number обязателен');
-    if (!tariffCode) errors.push('tariffCode обязателен');
-    if (!recipient || !recipient.name) errors.push('recipient.name обязателен');
-    if (!packages || packages.length === 0) errors.push('packages обязателен');
-    if (!shipmentPoint && !deliveryPoint && !toLocation) {
-      errors.push('Необходимо указать shipmentPoint и (deliveryPoint или toLocation)');
+    // Почтовые индексы вместо кодов городов
+    const { fromCityCode, toCityCode } = await applyPostalCodes(req.cdek, {
+      fromCityCode: req.body.fromCityCode,
+      fromPostalCode,
+      toCityCode: toLocation?.code,
+      toPostalCode,
+    });
+    if (toCityCode) {
+      toLocation = { ...toLocation, code: toCityCode };
     }
 
-    if (errors.length > 0) {
-      return res.status(400).json({
-        error: 'Ошибка валидации',
-        details: errors,
+    // Товары корзины без packages упаковываются в коробки автоматически
+    if (!packages && items) {
+      const packed = packItems(items, tariffCode);
+      if (packed.errors.length > 0) {
+        return next(new ValidationError(packed.errors));
+      }
+      packages = packed.packages;
+    }
+
+    const warehouses = {};
+    const shipmentCityCode = fromCityCode || req.tenant.sender.cityCode;
+    const shipmentAddress = fromCityCode ? fromAddress : fromAddress || req.tenant.sender.address;
+    let fromLocation;
+    if (!shipmentPoint && shipmentCityCode && WAREHOUSE_SENDER_TARIFFS.includes(tariffCode)) {
+      warehouses.shipmentPoint = await pickWarehouse(req.cdek, {
+        cityCode: shipmentCityCode,
+        role: WAREHOUSE_ROLES.SHIPMENT,
+        packages,
+        address: shipmentAddress,
+      });
+      shipmentPoint = warehouses.shipmentPoint.code || undefined;
+    } else if (!shipmentPoint && shipmentCityCode) {
+      // Тариф от двери: посылки забирают по адресу отправителя
+      fromLocation = { code: shipmentCityCode, address: shipmentAddress };
+    }
+    if (tariffCode === 751 && !deliveryPoint && toLocation) {
+      warehouses.deliveryPoint = await pickWarehouse(req.cdek, {
+        cityCode: toLocation.code,
+        role: WAREHOUSE_ROLES.DELIVERY,
+        packages,
+        address: toLocation.address,
       });
+      deliveryPoint = warehouses.deliveryPoint.code || undefined;
     }
 
     // Создание заказа
-    const result = await cdekClient.createOrder({
+    const result = await req.cdek.createOrder({
       type,
       number,
       tariffCode,
       shipmentPoint,
+      fromLocation,
       deliveryPoint,
       toLocation,
       recipient,
@@ -609,15 +1589,475 @@ router.post('/orders', async (req, res) => {
     res.status(202).json({
       success: true,
       data: result,
+      // Автоматически подобранные склады и причина выбора
+      warehouses: Object.keys(warehouses).length > 0 ? warehouses : undefined,
     });
   } catch (error) {
     console.error('Ошибка при создании заказа:', error);
-    res.status(500).json({
-      error: 'Ошибка при создании заказа',
-      message: error.message,
+    next(error);
+  }
+});
+
+/**
+ * GET /api/delivery/orders?im_number=ORDER-12345
+ * Поиск заказа по номеру в ИС клиента (im_number) или номеру СДЭК (cdek_number)
+ */
+router.get('/orders', requireScope(SCOPES.ORDERS), validateRoute('GET /orders'), async (req, res, next) => {
+  try {
+    const { im_number, cdek_number } = req.query;
+
+    const result = await req.cdek.getOrderByNumber({
+      imNumber: im_number,
+      cdekNumber: cdek_number,
     });
+
+    res.json({
+      success: true,
+      data: formatOrder(result),
+    });
+  } catch (error) {
+    console.error('Ошибка при поиске заказа:', error);
+    next(error);
   }
 });
 
-export default router;
+/**
+ * GET /api/delivery/orders/:uuid
+ * Получение заказа, истории его статусов и ошибок обработки в CDEK
+ */
+router.get('/orders/:uuid', requireScope(SCOPES.ORDERS), validateRoute('GET /orders/:uuid'), async (req, res, next) => {
+  try {
+    const result = await req.cdek.getOrder(req.params.uuid);
+
+    res.json({
+      success: true,
+      data: formatOrder(result),
+    });
+  } catch (error) {
+    console.error('Ошибка при получении заказа:', error);
+    next(error);
+  }
+});
 
+/**
+ * PATCH /api/delivery/orders/:uuid
+ * Изменение заказа: получатель, ПВЗ доставки, адрес или посылки
+ * Передаются только изменяемые поля (в том же формате, что и при создании)
+ *
+ * Body:
+ * {
+ *   "toLocation": {
+ *     "code": 270,
+ *     "address": "г. Новосибирск, ул. Ленина, д. 2"
+ *   },
+ *   "recipient": {
+ *     "name": "Иван Иванов",
+ *     "phones": ["+79991234567"]
+ *   }
+ * }
+ */
+router.patch('/orders/:uuid', requireScope(SCOPES.ORDERS), validateRoute('PATCH /orders/:uuid'), async (req, res, next) => {
+  try {
+    const {
+      tariffCode,
+      shipmentPoint,
+      deliveryPoint,
+      toLocation,
+      recipient,
+      packages,
+    } = req.body;
+
+    const result = await req.cdek.updateOrder(req.params.uuid, {
+      tariffCode,
+      shipmentPoint,
+      deliveryPoint,
+      toLocation,
+      recipient,
+      packages,
+    });
+
+    sendOrderRequestState(res, result);
+  } catch (error) {
+    console.error('Ошибка при изменении заказа:', error);
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/delivery/orders/:uuid
+ * Отмена (удаление) заказа
+ */
+router.delete('/orders/:uuid', requireScope(SCOPES.ORDERS), validateRoute('DELETE /orders/:uuid'), async (req, res, next) => {
+  try {
+    const result = await req.cdek.deleteOrder(req.params.uuid);
+
+    sendOrderRequestState(res, result);
+  } catch (error) {
+    console.error('Ошибка при отмене заказа:', error);
+    next(error);
+  }
+});
+
+/**
+ * GET /api/delivery/orders/:uuid/waybill.pdf?copies=2
+ * Квитанция к заказу в PDF
+ */
+router.get('/orders/:uuid/waybill.pdf', requireScope(SCOPES.ORDERS), validateRoute('GET /orders/:uuid/waybill.pdf'), async (req, res, next) => {
+  const { copies } = req.query;
+
+  await sendPrintForm(req, res, next, 'orders', {
+    orderUuids: [req.params.uuid],
+    copies,
+  }, `waybill-${req.params.uuid}.pdf`);
+});
+
+/**
+ * GET /api/delivery/orders/:uuid/barcode.pdf?format=A6&copies=1
+ * ШК-места заказа в PDF
+ */
+router.get('/orders/:uuid/barcode.pdf', requireScope(SCOPES.ORDERS), validateRoute('GET /orders/:uuid/barcode.pdf'), async (req, res, next) => {
+  const { format, copies } = req.query;
+
+  await sendPrintForm(req, res, next, 'barcodes', {
+    orderUuids: [req.params.uuid],
+    format,
+    copies,
+  }, `barcode-${req.params.uuid}.pdf`);
+});
+
+/**
+ * POST /api/delivery/print/waybills
+ * Квитанции к нескольким заказам одним PDF
+ *
+ * Body:
+ * {
+ *   "orderUuids": ["550e8400-e29b-41d4-a716-446655440000"],
+ *   "copies": 2
+ * }
+ */
+router.post('/print/waybills', requireScope(SCOPES.ORDERS), validateRoute('POST /print/waybills'), async (req, res, next) => {
+  const { orderUuids, copies } = req.body;
+
+  await sendPrintForm(req, res, next, 'orders', { orderUuids, copies }, 'waybills.pdf');
+});
+
+/**
+ * POST /api/delivery/print/barcodes
+ * ШК-места нескольких заказов одним PDF
+ *
+ * Body:
+ * {
+ *   "orderUuids": ["550e8400-e29b-41d4-a716-446655440000"],
+ *   "format": "A6",
+ *   "copies": 1
+ * }
+ */
+router.post('/print/barcodes', requireScope(SCOPES.ORDERS), validateRoute('POST /print/barcodes'), async (req, res, next) => {
+  const { orderUuids, format, copies } = req.body;
+
+  await sendPrintForm(req, res, next, 'barcodes', { orderUuids, format, copies }, 'barcodes.pdf');
+});
+
+/**
+ * POST /api/delivery/intakes
+ * Создание заявки на вызов курьера для забора груза
+ * Адрес и отправитель по умолчанию берутся из CDEK_SENDER_* переменных окружения
+ *
+ * Body:
+ * {
+ *   "date": "2025-03-25",
+ *   "timeFrom": "10:00",
+ *   "timeTo": "15:00",
+ *   "weight": 50000,
+ *   "fromLocation": {
+ *     "code": 44,
+ *     "address": "г. Москва, ул. Примерная, д. 1"
+ *   },
+ *   "sender": {
+ *     "company": "ООО Ромашка",
+ *     "name": "Петр Петров",
+ *     "phones": ["+79991234567"]
+ *   },
+ *   "orderUuid": "550e8400-e29b-41d4-a716-446655440000",
+ *   "comment": "Вход со двора"
+ * }
+ */
+router.post('/intakes', requireScope(SCOPES.ORDERS), applyDefaultSender, validateRoute('POST /intakes'), async (req, res, next) => {
+  try {
+    const {
+      date,
+      timeFrom,
+      timeTo,
+      weight,
+      fromLocation,
+      sender,
+      orderUuid,
+      name,
+      comment,
+      needCall,
+    } = req.body;
+
+    const result = await req.cdek.createIntake({
+      date,
+      timeFrom,
+      timeTo,
+      weight,
+      fromLocation,
+      sender,
+      orderUuid,
+      name,
+      comment,
+      needCall,
+    });
+
+    res.status(202).json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    console.error('Ошибка при создании заявки на вызов курьера:', error);
+    next(error);
+  }
+});
+
+/**
+ * GET /api/delivery/intakes/available-days?cityCode=44&address=...&date=2025-03-25
+ * Дни, доступные для вызова курьера
+ * Без cityCode используется адрес отправителя арендатора (CDEK_SENDER_* или sender из TENANTS_FILE)
+ */
+router.get('/intakes/available-days', requireScope(SCOPES.ORDERS), applyDefaultSender, validateRoute('GET /intakes/available-days'), async (req, res, next) => {
+  try {
+    const { cityCode, address, date } = req.query;
+    const fromLocation = { code: cityCode, address };
+
+    const result = await req.cdek.getIntakeAvailableDays({ fromLocation, date });
+
+    res.json({
+      success: true,
+      data: {
+        cityCode: fromLocation.code,
+        dates: result.date || [],
+        allDays: result.all_days,
+      },
+      errors: result.errors || [],
+    });
+  } catch (error) {
+    console.error('Ошибка при получении доступных дней забора:', error);
+    next(error);
+  }
+});
+
+/**
+ * GET /api/delivery/intakes/:uuid
+ * Получение заявки на вызов курьера и ее статусов
+ */
+router.get('/intakes/:uuid', requireScope(SCOPES.ORDERS), validateRoute('GET /intakes/:uuid'), async (req, res, next) => {
+  try {
+    const result = await req.cdek.getIntake(req.params.uuid);
+
+    res.json({
+      success: true,
+      data: formatIntake(result),
+    });
+  } catch (error) {
+    console.error('Ошибка при получении заявки на вызов курьера:', error);
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/delivery/intakes/:uuid
+ * Отмена заявки на вызов курьера
+ */
+router.delete('/intakes/:uuid', requireScope(SCOPES.ORDERS), validateRoute('DELETE /intakes/:uuid'), async (req, res, next) => {
+  try {
+    const result = await req.cdek.deleteIntake(req.params.uuid);
+
+    sendOrderRequestState(res, result);
+  } catch (error) {
+    console.error('Ошибка при отмене заявки на вызов курьера:', error);
+    next(error);
+  }
+});
+
+// Путь приемника вебхуков: подписки на него помечаются арендатором (?tenant=)
+const WEBHOOK_RECEIVER_PATH = '/webhooks/cdek';
+
+/**
+ * Арендатор подписки на приемник вебхуков
+ * @param {string} url - URL подписки
+ * @returns {string|null} id арендатора (без ?tenant= - арендатор по умолчанию) или null, если URL ведет не на приемник
+ */
+const webhookTenantOf = (url) => {
+  try {
+    const parsed = new URL(url);
+    return parsed.pathname.endsWith(WEBHOOK_RECEIVER_PATH)
+      ? parsed.searchParams.get('tenant') || DEFAULT_TENANT_ID
+      : null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Видна ли подписка арендатору: подписки на приемник - только своему арендатору, остальные - всем
+ * @param {object} webhook - Подписка CDEK {uuid, url, type}
+ * @param {object} tenant - Арендатор
+ * @returns {boolean}
+ */
+const isTenantWebhook = (webhook, tenant) => [null, tenant.id].includes(webhookTenantOf(webhook.url));
+
+/**
+ * URL подписки с арендатором и его секретом (для URL приемника вебхуков этого сервиса)
+ * @param {string} url - URL из запроса
+ * @param {object} tenant - Арендатор
+ * @returns {string} URL для CDEK
+ */
+const tagWebhookUrl = (url, tenant) => {
+  const parsed = new URL(url);
+  if (!parsed.pathname.endsWith(WEBHOOK_RECEIVER_PATH)) {
+    return url;
+  }
+  if (tenant.id !== DEFAULT_TENANT_ID) {
+    parsed.searchParams.set('tenant', tenant.id);
+  }
+  if (tenant.webhookSecret && !parsed.searchParams.has('secret')) {
+    parsed.searchParams.set('secret', tenant.webhookSecret);
+  }
+  return parsed.toString();
+};
+
+/**
+ * Арендатор вебхука (?tenant=, по умолчанию - арендатор по умолчанию) и проверка его секрета
+ * (до проверки тела, чтобы чужие запросы получали 403)
+ */
+const requireWebhookSecret = (req, res, next) => {
+  const tenant = tenants.get(req.query.tenant || DEFAULT_TENANT_ID);
+  if (!tenant) {
+    return next(new ApiError(403, 'FORBIDDEN', `Неизвестный арендатор вебхука: ${req.query.tenant || DEFAULT_TENANT_ID}`));
+  }
+  if (tenant.webhookSecret && req.query.secret !== tenant.webhookSecret) {
+    return next(new ApiError(403, 'FORBIDDEN', 'Неверный секрет вебхука'));
+  }
+  req.tenant = tenant;
+  next();
+};
+
+/**
+ * POST /api/delivery/webhooks/cdek
+ * Приемник вебхуков CDEK (ORDER_STATUS, PRINT_FORM, DOWNLOAD_PHOTO)
+ *
+ * Арендатор передается в query-параметре tenant (без него - арендатор по умолчанию),
+ * его секрет (webhookSecret, для арендатора по умолчанию - CDEK_WEBHOOK_SECRET) - в secret:
+ * /api/delivery/webhooks/cdek?tenant=shop-b&secret=...
+ */
+router.post('/webhooks/cdek', requireWebhookSecret, validateRoute('POST /webhooks/cdek'), (req, res, next) => {
+  try {
+    const event = webhookStore.add(req.body, req.tenant.id);
+    console.log(`Получен вебхук CDEK ${event.type} для ${event.uuid}`);
+
+    res.json({
+      success: true,
+      data: { id: event.id },
+    });
+  } catch (error) {
+    console.warn('Не удалось разобрать вебхук CDEK:', error.message);
+    next(new ValidationError([error.message]));
+  }
+});
+
+/**
+ * GET /api/delivery/webhooks/events?type=ORDER_STATUS&uuid=...
+ * Получение сохраненных событий вебхуков арендатора запроса (от новых к старым)
+ */
+router.get('/webhooks/events', requireScope(SCOPES.ORDERS), validateRoute('GET /webhooks/events'), (req, res) => {
+  const { type, uuid } = req.query;
+
+  const events = webhookStore.list({ tenant: req.tenant.id, type, uuid });
+
+  res.json({
+    success: true,
+    data: events,
+    count: events.length,
+  });
+});
+
+/**
+ * GET /api/delivery/webhooks
+ * Получение списка подписок на вебхуки в CDEK
+ * Подписки на приемник этого сервиса для других арендаторов (общий договор) не показываются
+ */
+router.get('/webhooks', requireScope(SCOPES.ORDERS), async (req, res, next) => {
+  try {
+    const subscriptions = await req.cdek.getWebhooks();
+    const webhooks = Array.isArray(subscriptions)
+      ? subscriptions.filter(webhook => isTenantWebhook(webhook, req.tenant))
+      : subscriptions;
+
+    res.json({
+      success: true,
+      data: webhooks,
+      count: Array.isArray(webhooks) ? webhooks.length : 0,
+    });
+  } catch (error) {
+    console.error('Ошибка при получении подписок на вебхуки:', error);
+    next(error);
+  }
+});
+
+/**
+ * POST /api/delivery/webhooks
+ * Подписка на вебхуки CDEK
+ *
+ * Body:
+ * {
+ *   "url": "https://example.com/api/delivery/webhooks/cdek",
+ *   "type": "ORDER_STATUS"
+ * }
+ *
+ * В URL приемника этого сервиса добавляются арендатор запроса (tenant) и его секрет (secret)
+ */
+router.post('/webhooks', requireScope(SCOPES.ORDERS), validateRoute('POST /webhooks'), async (req, res, next) => {
+  try {
+    const { url, type } = req.body;
+
+    const result = await req.cdek.createWebhook({ url: tagWebhookUrl(url, req.tenant), type });
+
+    res.json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    console.error('Ошибка при подписке на вебхук:', error);
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/delivery/webhooks/:uuid
+ * Удаление подписки на вебхук
+ * Подписку другого арендатора удалить нельзя: для него она не существует (404)
+ */
+router.delete('/webhooks/:uuid', requireScope(SCOPES.ORDERS), validateRoute('DELETE /webhooks/:uuid'), async (req, res, next) => {
+  try {
+    const subscriptions = await req.cdek.getWebhooks();
+    const webhook = Array.isArray(subscriptions)
+      ? subscriptions.find(subscription => subscription.uuid === req.params.uuid)
+      : undefined;
+    if (!webhook || !isTenantWebhook(webhook, req.tenant)) {
+      return next(new ApiError(404, 'WEBHOOK_NOT_FOUND', 'Подписка на вебхук не найдена', [req.params.uuid]));
+    }
+
+    const result = await req.cdek.deleteWebhook(req.params.uuid);
+
+    res.json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    console.error('Ошибка при удалении подписки на вебхук:', error);
+    next(error);
+  }
+});
+
+export default router;
@@ -2,29 +2,18 @@
  * Основной сервер для API расчета доставки CDEK
  */
 
-import express from 'express';
-import cors from 'cors';
 import dotenv from 'dotenv';
-import deliveryRoutes from './routes/delivery.js';
+import app from './app.js';
+import { tenants } from './routes/delivery.js';
+import { SCOPES } from './auth/index.js';
 
 // Загрузка переменных окружения
 dotenv.config();
 
-const app = express();
 const PORT = process.env.PORT || 3000;
 
-// Middleware
-app.use(cors());
-app.use(express.json());
-
-// Логирование запросов
-app.use((req, res, next) => {
-  console.log(`${new Date().toISOString()} - ${req.method} ${req.path}`);
-  next();
-});
-
-// Проверка конфигурации
-const requiredEnvVars = ['CDEK_API_URL', 'CDEK_ACCOUNT', 'CDEK_SECURE_PASSWORD'];
+// Проверка конфигурации (с TENANTS_FILE учетные данные задаются по арендаторам)
+const requiredEnvVars = process.env.TENANTS_FILE ? [] : ['CDEK_API_URL', 'CDEK_ACCOUNT', 'CDEK_SECURE_PASSWORD'];
 const missingVars = requiredEnvVars.filter(varName => !process.env[varName]);
 
 if (missingVars.length > 0) {
@@ -34,43 +23,26 @@ if (missingVars.length > 0) {
   process.exit(1);
 }
 
-// Роуты
-app.get('/', (req, res) => {
-  res.json({
-    message: 'CDEK Delivery API',
-    version: '1.0.0',
-    endpoints: {
-      'GET /api/delivery/cities': 'Поиск городов по названию',
-      'POST /api/delivery/calculate': 'Расчет стоимости доставки',
-      'POST /api/delivery/calculate-by-tariff': 'Расчет по конкретному тарифу',
-      'GET /api/delivery/offices': 'Получение списка офисов (ПВЗ)',
-    },
-    docs: 'https://github.com/cdek-it/api-docs',
-  });
-});
-
-app.use('/api/delivery', deliveryRoutes);
-
-// Обработка ошибок
-app.use((err, req, res, next) => {
-  console.error('Ошибка сервера:', err);
-  res.status(500).json({
-    error: 'Внутренняя ошибка сервера',
-    message: process.env.NODE_ENV === 'development' ? err.message : undefined,
-  });
-});
-
 // Запуск сервера
 const server = app.listen(PORT, () => {
   console.log('🚀 Сервер запущен!');
   console.log(`📍 URL: http://localhost:${PORT}`);
   console.log(`🌍 CDEK API: ${process.env.CDEK_API_URL}`);
+  if (process.env.TENANTS_FILE) {
+    console.log(`🏪 Арендаторы: ${process.env.TENANTS_FILE}`);
+  }
   console.log(`📝 Режим: ${process.env.NODE_ENV || 'development'}`);
-  console.log('\nДоступные эндпоинты:');
-  console.log(`  GET  http://localhost:${PORT}/api/delivery/cities?q=Москва`);
-  console.log(`  POST http://localhost:${PORT}/api/delivery/calculate`);
-  console.log(`  POST http://localhost:${PORT}/api/delivery/calculate-by-tariff`);
-  console.log(`  GET  http://localhost:${PORT}/api/delivery/offices?cityCode=44`);
+  // Права запросов без ключа - из настроек арендаторов (anonymousScopes)
+  for (const { id, anonymousScopes } of tenants.list()) {
+    if (anonymousScopes.some(scope => scope !== SCOPES.QUOTE)) {
+      console.warn(`⚠️  Арендатор ${id}: без API-ключа доступны права ${anonymousScopes.join(', ')}`);
+    } else if (anonymousScopes.length > 0) {
+      console.log(`🔓 Арендатор ${id}: расчет доставки доступен без API-ключа`);
+    }
+  }
+  console.log('\nДокументация API:');
+  console.log(`  http://localhost:${PORT}/api/docs`);
+  console.log(`  http://localhost:${PORT}/api/openapi.json (OpenAPI 3.1)`);
 });
 
 // Обработка ошибок при запуске сервера
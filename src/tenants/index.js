@@ -0,0 +1,291 @@
+/**
+ * Арендаторы (магазины) со своими договорами CDEK
+ * У каждого арендатора свои учетные данные, адрес API (тестовый или боевой)
+ * и отправитель по умолчанию. Арендатор определяется по API-ключу (X-Api-Key)
+ * или заголовку арендатора (X-Tenant-Id); без них используется арендатор по умолчанию
+ * из CDEK_ACCOUNT/CDEK_SECURE_PASSWORD.
+ * У каждого ключа свои права (quote, orders, admin) и лимит частоты запросов; запросы
+ * без ключа получают права anonymousScopes арендатора (по умолчанию - только quote,
+ * если у арендатора нет ключей, и никаких, если ключи есть). Права orders и admin
+ * без ключа выдаются, только если явно перечислены в anonymousScopes.
+ */
+
+import { readFileSync } from 'fs';
+import { ApiError } from '../errors.js';
+import { ALL_SCOPES, SCOPES, normalizeScopes, parseApiKeys } from '../auth/index.js';
+import PricingEngine from '../pricing/rules.js';
+import { CALCULATE_MODES } from '../cdek/api.js';
+
+export const DEFAULT_TENANT_ID = 'default';
+
+// Адреса CDEK API по окружениям
+export const CDEK_API_URLS = {
+  test: 'https://api.edu.cdek.ru/v2',
+  production: 'https://api.cdek.ru/v2',
+};
+
+/**
+ * Подстановка переменных окружения в строки конфигурации ("${SHOP_A_PASSWORD}"),
+ * чтобы секреты не хранились в файле арендаторов
+ * @param {*} value - Значение из файла
+ * @param {object} env - Переменные окружения
+ * @returns {*} Значение с подставленными переменными
+ */
+const expandEnv = (value, env) => {
+  if (typeof value === 'string') {
+    return value.replace(/\$\{(\w+)\}/g, (match, name) => env[name] ?? '');
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => expandEnv(item, env));
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, expandEnv(item, env)]));
+  }
+  return value;
+};
+
+/**
+ * Приведение настроек API-ключа к единому виду
+ * Ключ задается строкой (все права) или объектом {key, name, scopes, rateLimit, origins}
+ * @param {string|object} config - Настройки ключа
+ * @param {string} tenantId - Арендатор ключа
+ * @returns {object} {key, name, scopes, rateLimit, origins}
+ */
+const normalizeApiKey = (config, tenantId) => {
+  const { key, name, scopes = ALL_SCOPES, rateLimit, origins } = typeof config === 'string' ? { key: config } : config;
+  if (!key) {
+    throw new Error(`Арендатор ${tenantId}: у API-ключа не задан key`);
+  }
+
+  // Имя ключа попадает в логи и сообщения об ошибках вместо самого ключа
+  const keyName = name || `${key.slice(0, 4)}…`;
+  return {
+    key,
+    name: keyName,
+    scopes: normalizeScopes(scopes, `Арендатор ${tenantId}, ключ ${keyName}`),
+    rateLimit,
+    origins,
+  };
+};
+
+/**
+ * Приведение настроек арендатора к единому виду
+ * @param {object} config - Настройки из файла арендаторов или окружения
+ * @returns {object} {id, apiUrl, account, securePassword, calculateMode, webhookSecret, apiKeys, anonymousScopes, pricing, sender}
+ */
+const normalizeTenant = (config) => {
+  const id = config.id;
+  const apiUrl = config.apiUrl || CDEK_API_URLS[config.environment];
+
+  const errors = [];
+  if (!id) errors.push('не задан id');
+  if (!apiUrl) errors.push('не задан apiUrl или environment (test, production)');
+  if (!config.account) errors.push('не задан account');
+  if (!config.securePassword) errors.push('не задан securePassword');
+  if (config.calculateMode && !CALCULATE_MODES.includes(config.calculateMode)) {
+    errors.push(`calculateMode должен быть одним из: ${CALCULATE_MODES.join(', ')}`);
+  }
+  if (errors.length > 0) {
+    throw new Error(`Арендатор ${id || '(без id)'}: ${errors.join(', ')}`);
+  }
+
+  const sender = config.sender || {};
+  const apiKeys = (config.apiKeys || []).map(apiKey => normalizeApiKey(apiKey, id));
+  return {
+    id: String(id),
+    apiUrl,
+    account: config.account,
+    securePassword: config.securePassword,
+    // Режим расчета по всем тарифам: minimal - урезанный запрос по просьбе поддержки CDEK
+    calculateMode: config.calculateMode || 'full',
+    // Секрет приемника вебхуков арендатора (?secret= в URL подписки)
+    webhookSecret: config.webhookSecret || undefined,
+    apiKeys,
+    anonymousScopes: normalizeScopes(
+      config.anonymousScopes ?? (apiKeys.length > 0 ? [] : [SCOPES.QUOTE]),
+      `Арендатор ${id}, anonymousScopes`
+    ),
+    // Свои правила цены для покупателя (без них - правила из PRICING_RULES_FILE)
+    pricing: config.pricingRules ? new PricingEngine(config.pricingRules) : undefined,
+    sender: {
+      cityCode: sender.cityCode ? parseInt(sender.cityCode) : undefined,
+      address: sender.address,
+      company: sender.company,
+      name: sender.name,
+      phone: sender.phone,
+    },
+  };
+};
+
+class TenantRegistry {
+  /**
+   * @param {Array} tenants - Настройки арендаторов
+   * @param {object} options - Параметры
+   * @param {Function} options.createClient - Создание клиента CDEK для арендатора (tenant) => CDEKApiClient
+   * @param {string} options.header - Заголовок с id арендатора (по умолчанию X-Tenant-Id)
+   */
+  constructor(tenants = [], options = {}) {
+    this.createClient = options.createClient;
+    this.header = options.header || 'X-Tenant-Id';
+    this.tenants = new Map();
+    this.apiKeys = new Map();
+    this.clients = new Map();
+
+    tenants.forEach(tenant => this.add(tenant));
+  }
+
+  /**
+   * Добавление арендатора
+   * @param {object} config - Настройки арендатора
+   * @returns {object} Арендатор
+   */
+  add(config) {
+    const tenant = normalizeTenant(config);
+
+    if (this.tenants.has(tenant.id)) {
+      throw new Error(`Арендатор ${tenant.id} указан дважды`);
+    }
+    for (const apiKey of tenant.apiKeys) {
+      if (this.apiKeys.has(apiKey.key)) {
+        throw new Error(`Арендатор ${tenant.id}: API-ключ ${apiKey.name} уже используется арендатором ${this.apiKeys.get(apiKey.key).tenant.id}`);
+      }
+      this.apiKeys.set(apiKey.key, { tenant, apiKey });
+    }
+
+    this.tenants.set(tenant.id, tenant);
+    return tenant;
+  }
+
+  /**
+   * Арендатор по id
+   * @param {string} id - Идентификатор арендатора
+   * @returns {object|undefined}
+   */
+  get(id) {
+    return this.tenants.get(id);
+  }
+
+  /**
+   * Определение арендатора и API-ключа по запросу
+   * @param {object} req - Запрос Express
+   * @returns {object} {tenant, apiKey, scopes}; apiKey = null для запроса без ключа
+   * @throws {ApiError} 401, если ключ или арендатор неизвестны либо не указаны;
+   * 403, если ключ не разрешен для источника запроса (Origin)
+   */
+  resolve(req) {
+    const key = req.get('X-Api-Key');
+    if (key) {
+      const entry = this.apiKeys.get(key);
+      if (!entry) {
+        throw new ApiError(401, 'UNAUTHORIZED', 'Неизвестный API-ключ');
+      }
+
+      // Публичный ключ (например, виджета на сайте) можно ограничить сайтами магазина
+      const { tenant, apiKey } = entry;
+      const origin = req.get('Origin');
+      if (apiKey.origins && !apiKey.origins.includes(origin)) {
+        throw new ApiError(403, 'FORBIDDEN', `API-ключ ${apiKey.name} не разрешен для источника ${origin || '(не указан)'}`);
+      }
+      return { tenant, apiKey, scopes: apiKey.scopes };
+    }
+
+    const tenantId = req.get(this.header);
+    if (tenantId) {
+      const tenant = this.tenants.get(tenantId);
+      if (!tenant) {
+        throw new ApiError(401, 'UNAUTHORIZED', `Неизвестный арендатор: ${tenantId}`);
+      }
+      return { tenant, apiKey: null, scopes: tenant.anonymousScopes };
+    }
+
+    const tenant = this.tenants.get(DEFAULT_TENANT_ID);
+    if (!tenant) {
+      throw new ApiError(401, 'UNAUTHORIZED', `Не указан арендатор: передайте X-Api-Key или ${this.header}`);
+    }
+    return { tenant, apiKey: null, scopes: tenant.anonymousScopes };
+  }
+
+  /**
+   * Клиент CDEK арендатора (создается при первом обращении, со своим кэшем токена)
+   * @param {object} tenant - Арендатор
+   * @returns {CDEKApiClient}
+   */
+  getClient(tenant) {
+    if (!this.clients.has(tenant.id)) {
+      this.clients.set(tenant.id, this.createClient(tenant));
+    }
+    return this.clients.get(tenant.id);
+  }
+
+  /**
+   * Список арендаторов без секретов
+   * @returns {Array} [{id, apiUrl, account, apiKeys, anonymousScopes}] (у ключей - только имена и права)
+   */
+  list() {
+    return [...this.tenants.values()].map(({ id, apiUrl, account, apiKeys, anonymousScopes }) => ({
+      id,
+      apiUrl,
+      account,
+      apiKeys: apiKeys.map(({ name, scopes }) => ({ name, scopes })),
+      anonymousScopes,
+    }));
+  }
+}
+
+/**
+ * Загрузка арендаторов
+ * TENANTS_FILE - JSON-файл {tenants: [...]} или массив арендаторов;
+ * арендатор по умолчанию создается из CDEK_API_URL, CDEK_ACCOUNT, CDEK_SECURE_PASSWORD,
+ * CDEK_CALCULATE_MODE, CDEK_WEBHOOK_SECRET, CDEK_SENDER_*, API_KEYS и API_ANONYMOUS_SCOPES, если учетные данные заданы
+ * @param {object} env - Переменные окружения
+ * @returns {Array} Настройки арендаторов
+ */
+export const loadTenants = (env = process.env) => {
+  const tenants = [];
+
+  if (env.CDEK_ACCOUNT || env.CDEK_SECURE_PASSWORD) {
+    tenants.push({
+      id: DEFAULT_TENANT_ID,
+      apiUrl: env.CDEK_API_URL,
+      account: env.CDEK_ACCOUNT,
+      securePassword: env.CDEK_SECURE_PASSWORD,
+      calculateMode: env.CDEK_CALCULATE_MODE,
+      webhookSecret: env.CDEK_WEBHOOK_SECRET,
+      apiKeys: parseApiKeys(env.API_KEYS),
+      anonymousScopes: env.API_ANONYMOUS_SCOPES === undefined
+        ? undefined
+        : env.API_ANONYMOUS_SCOPES.split(',').map(scope => scope.trim()).filter(Boolean),
+      sender: {
+        cityCode: env.CDEK_SENDER_CITY_CODE,
+        address: env.CDEK_SENDER_ADDRESS,
+        company: env.CDEK_SENDER_COMPANY,
+        name: env.CDEK_SENDER_NAME,
+        phone: env.CDEK_SENDER_PHONE,
+      },
+    });
+  }
+
+  if (env.TENANTS_FILE) {
+    const config = JSON.parse(readFileSync(env.TENANTS_FILE, 'utf-8'));
+    tenants.push(...expandEnv(Array.isArray(config) ? config : config.tenants || [], env));
+  }
+
+  if (tenants.length === 0) {
+    throw new Error('Не заданы учетные данные CDEK: укажите CDEK_ACCOUNT и CDEK_SECURE_PASSWORD или TENANTS_FILE');
+  }
+  return tenants;
+};
+
+/**
+ * Создание реестра арендаторов по переменным окружения
+ * TENANT_HEADER - заголовок с id арендатора (по умолчанию X-Tenant-Id)
+ * @param {object} env - Переменные окружения
+ * @param {Function} createClient - Создание клиента CDEK для арендатора
+ * @returns {TenantRegistry}
+ */
+export const createTenantRegistry = (env = process.env, createClient) => new TenantRegistry(loadTenants(env), {
+  createClient,
+  header: env.TENANT_HEADER,
+});
+
+export default TenantRegistry;
@@ -0,0 +1,242 @@
+/**
+ * Декларативная валидация запросов
+ * Схемы описываются подмножеством JSON Schema (type, properties, required, enum,
+ * minimum/maximum, exclusiveMinimum, minItems/maxItems, minLength/maxLength, pattern, format, default),
+ * поэтому по ним же строится документация API.
+ * Дополнительно поддерживается refine(value, context) - функция для проверок, затрагивающих
+ * несколько полей (в документацию не попадает). Middleware передает в context сам запрос.
+ */
+
+import { ValidationError } from '../errors.js';
+
+const isDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(Date.parse(value));
+const isDateTime = (value) => /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})$/.test(value) && !isNaN(Date.parse(value));
+
+// Форматы строк: проверка и подсказка для сообщения об ошибке
+const FORMATS = {
+  date: { test: isDate, hint: 'YYYY-MM-DD' },
+  'date-time': { test: isDateTime, hint: 'YYYY-MM-DDTHH:MM:SS+03:00' },
+  // Дата или дата со временем (например, планируемая дата передачи заказа)
+  'date-or-date-time': { test: value => isDate(value) || isDateTime(value), hint: 'YYYY-MM-DD или YYYY-MM-DDTHH:MM:SS+03:00' },
+  time: { test: value => /^([01]\d|2[0-3]):[0-5]\d$/.test(value), hint: 'HH:MM' },
+  uuid: { test: value => /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(value), hint: 'UUID' },
+  uri: { test: value => /^https?:\/\/\S+$/.test(value), hint: 'http(s)://...' },
+};
+
+const TYPE_NAMES = {
+  string: 'строкой',
+  number: 'числом',
+  integer: 'целым числом',
+  boolean: 'логическим значением (true/false)',
+  array: 'массивом',
+  object: 'объектом',
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Приведение значения к типу схемы
+ * Строки из query (и из тела, если клиент прислал число строкой) превращаются в числа
+ * и логические значения, JSON-строки - в массивы и объекты
+ * @param {string} type - Тип из схемы
+ * @param {*} value - Исходное значение
+ * @returns {*} Приведенное значение (или исходное, если привести нельзя)
+ */
+const coerce = (type, value) => {
+  if (typeof value !== 'string') {
+    return value;
+  }
+
+  const trimmed = value.trim();
+  switch (type) {
+    case 'number':
+    case 'integer':
+      return trimmed !== '' && !isNaN(Number(trimmed)) ? Number(trimmed) : value;
+    case 'boolean':
+      if (['true', '1'].includes(trimmed)) return true;
+      if (['false', '0'].includes(trimmed)) return false;
+      return value;
+    case 'array':
+    case 'object':
+      try {
+        return JSON.parse(trimmed);
+      } catch {
+        return value;
+      }
+    default:
+      return value;
+  }
+};
+
+const matchesType = (type, value) => {
+  switch (type) {
+    case 'string':
+      return typeof value === 'string';
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    case 'integer':
+      return Number.isInteger(value);
+    case 'boolean':
+      return typeof value === 'boolean';
+    case 'array':
+      return Array.isArray(value);
+    case 'object':
+      return isPlainObject(value);
+    default:
+      return true;
+  }
+};
+
+// Пустая строка для обязательного поля равносильна его отсутствию
+const isMissing = (value) => value === undefined || value === null || value === '';
+
+const joinPath = (path, key) => {
+  if (typeof key === 'number') {
+    return `${path}[${key}]`;
+  }
+  return path ? `${path}.${key}` : key;
+};
+
+/**
+ * Проверка значения по схеме
+ * @param {object} schema - Схема
+ * @param {*} input - Проверяемое значение
+ * @param {string} path - Путь к полю (для сообщений об ошибках)
+ * @param {*} context - Контекст для refine (в middleware - запрос)
+ * @returns {object} {value, errors} - приведенное значение и ошибки [{field, message}]
+ */
+export const validate = (schema, input, path = '', context = undefined) => {
+  const errors = [];
+  const fail = (message, field = path) => errors.push({ field, message: `${field} ${message}`.trim() });
+
+  let value = input;
+  if (value === undefined && schema.default !== undefined) {
+    value = typeof schema.default === 'function' ? schema.default() : structuredClone(schema.default);
+  }
+  if (value === undefined) {
+    return { value, errors };
+  }
+
+  // Тип может быть один или несколько (например, ['string', 'number'])
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    const type = types.find(candidate => matchesType(candidate, coerce(candidate, value)));
+
+    if (!type) {
+      fail(types.length === 1
+        ? `должен быть ${TYPE_NAMES[types[0]]}`
+        : `должен быть ${types.map(candidate => TYPE_NAMES[candidate]).join(' или ')}`);
+      return { value, errors };
+    }
+    value = coerce(type, value);
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({
+      field: path,
+      message: `Недопустимый ${path}. Допустимые значения: ${schema.enum.join(', ')}`,
+    });
+    return { value, errors };
+  }
+
+  if (typeof value === 'number') {
+    if (schema.exclusiveMinimum === 0 && value <= 0) {
+      fail('должен быть положительным числом');
+    } else if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+      fail(`должен быть больше ${schema.exclusiveMinimum}`);
+    }
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      fail(`должен быть не меньше ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      fail(`должен быть не больше ${schema.maximum}`);
+    }
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      fail(schema.minLength === 1 ? 'не может быть пустым' : `должен содержать не меньше ${schema.minLength} символов`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      fail(`должен содержать не больше ${schema.maxLength} символов`);
+    }
+    if (schema.format && FORMATS[schema.format] && !FORMATS[schema.format].test(value)) {
+      fail(`должен быть в формате ${FORMATS[schema.format].hint}`);
+    } else if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      fail(`не соответствует формату ${schema.pattern}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      fail(schema.minItems === 1 ? 'должен быть непустым массивом' : `должен содержать не меньше ${schema.minItems} элементов`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push({ field: path, message: `${path}: не более ${schema.maxItems} элементов` });
+    }
+    if (schema.items) {
+      value = value.map((item, index) => {
+        const result = validate(schema.items, item, joinPath(path, index), context);
+        errors.push(...result.errors);
+        return result.value;
+      });
+    }
+  }
+
+  if (isPlainObject(value) && schema.properties) {
+    value = { ...value };
+    for (const field of schema.required || []) {
+      if (isMissing(value[field])) {
+        fail('обязателен', joinPath(path, field));
+      }
+    }
+    for (const [field, fieldSchema] of Object.entries(schema.properties)) {
+      if (isMissing(value[field]) && fieldSchema.default === undefined) {
+        continue;
+      }
+      const result = validate(fieldSchema, isMissing(value[field]) ? undefined : value[field], joinPath(path, field), context);
+      errors.push(...result.errors);
+      if (result.value !== undefined) {
+        value[field] = result.value;
+      }
+    }
+  }
+
+  // Проверки нескольких полей (функция должна учитывать, что сами поля могут быть некорректны)
+  if (schema.refine && isPlainObject(value)) {
+    for (const error of schema.refine(value, context) || []) {
+      const field = error.field ? joinPath(path, error.field) : path;
+      errors.push({ field, message: error.field ? `${field} ${error.message}` : error.message });
+    }
+  }
+
+  return { value, errors };
+};
+
+/**
+ * Express-middleware проверки запроса
+ * Приведенные значения (числа, логические значения, значения по умолчанию)
+ * записываются обратно в req.params, req.query и req.body
+ * @param {object} schemas - Схемы {params, query, body}
+ * @returns {Function} Middleware
+ */
+export const validateRequest = (schemas = {}) => (req, res, next) => {
+  const errors = [];
+
+  for (const source of ['params', 'query', 'body']) {
+    if (!schemas[source]) {
+      continue;
+    }
+    const result = validate(schemas[source], req[source] ?? {}, '', req);
+    errors.push(...result.errors);
+    req[source] = result.value;
+  }
+
+  if (errors.length > 0) {
+    return next(new ValidationError(
+      errors.map(error => error.message),
+      errors.map(error => ({ field: error.field || null, message: error.message }))
+    ));
+  }
+  next();
+};
@@ -0,0 +1,611 @@
+/**
+ * Схемы запросов к /api/delivery
+ * ROUTE_SCHEMAS используются роутами для проверки запросов и при построении документации
+ */
+
+import { BARCODE_FORMATS } from '../cdek/api.js';
+import { WEBHOOK_TYPES } from '../cdek/webhooks.js';
+import { DEFAULT_TTLS } from '../cache/index.js';
+import { PRIORITIES, DELIVERY_TYPES } from '../recommend/ranking.js';
+import { MAX_PACKED_UNITS } from '../packing/packer.js';
+import { validateRequest } from './schema.js';
+
+// Пределы для одного места (ограничения конкретных тарифов проверяет BoxPacker)
+export const MAX_PACKAGE_WEIGHT = 1000000; // граммы
+export const MAX_PACKAGE_SIDE = 1500; // см
+export const MAX_BATCH_ROWS = 5000;
+
+export const OFFICE_TYPES = ['PVZ', 'POSTAMAT', 'ALL'];
+export const TARIFF_LANGS = ['rus', 'eng', 'zho'];
+
+const cityCode = { type: 'integer', minimum: 1, description: 'Код города CDEK' };
+
+const address = { type: 'string', description: 'Адрес' };
+
+const postalCode = { type: 'string', pattern: '^\\d{6}$', description: 'Почтовый индекс' };
+
+const weight = {
+  type: 'integer',
+  exclusiveMinimum: 0,
+  maximum: MAX_PACKAGE_WEIGHT,
+  description: 'Вес в граммах',
+};
+
+const side = (description) => ({
+  type: 'integer',
+  exclusiveMinimum: 0,
+  maximum: MAX_PACKAGE_SIDE,
+  description: `${description} в см`,
+});
+
+const officeCode = { type: 'string', minLength: 1, description: 'Код ПВЗ CDEK' };
+
+const uuid = { type: 'string', format: 'uuid' };
+
+// Не задано или пустая строка
+const isBlank = (value) => value === undefined || value === null || value === '';
+
+// Товар внутри посылки (вес за единицу и количество)
+const packageItem = {
+  type: 'object',
+  properties: {
+    name: { type: 'string' },
+    ware_key: { type: 'string' },
+    cost: { type: 'number', minimum: 0 },
+    amount: { type: 'integer', minimum: 1, description: 'Количество' },
+    weight: { type: 'number', exclusiveMinimum: 0, description: 'Вес единицы в граммах' },
+  },
+};
+
+// Посылка (место); без weight вес считается по товарам items
+export const packageSchema = {
+  type: 'object',
+  description: 'Посылка (место)',
+  properties: {
+    number: { type: ['string', 'integer'], description: 'Номер места' },
+    weight,
+    length: side('Длина'),
+    width: side('Ширина'),
+    height: side('Высота'),
+    items: { type: 'array', items: packageItem },
+  },
+  required: ['length', 'width', 'height'],
+  refine: (pkg) => {
+    if (!isBlank(pkg.weight)) {
+      return [];
+    }
+    if (!(Array.isArray(pkg.items) && pkg.items.length > 0)) {
+      return [{ field: 'weight', message: 'обязателен' }];
+    }
+    // Вес посылки считается по товарам, поэтому вес нужен у каждого товара
+    return pkg.items
+      .map((item, index) => (item && typeof item === 'object' && isBlank(item.weight)
+        ? { field: `items[${index}].weight`, message: 'обязателен, если у посылки не указан weight' }
+        : null))
+      .filter(Boolean);
+  },
+};
+
+// Товар корзины для подбора коробок (размеры и вес за единицу)
+export const cartItemSchema = {
+  type: 'object',
+  description: 'Товар корзины',
+  properties: {
+    name: { type: 'string' },
+    ware_key: { type: 'string' },
+    weight: { type: 'number', exclusiveMinimum: 0, description: 'Вес единицы в граммах' },
+    length: { type: 'number', exclusiveMinimum: 0, description: 'Длина в см' },
+    width: { type: 'number', exclusiveMinimum: 0, description: 'Ширина в см' },
+    height: { type: 'number', exclusiveMinimum: 0, description: 'Высота в см' },
+    quantity: { type: 'integer', minimum: 1, maximum: MAX_PACKED_UNITS, description: 'Количество (по умолчанию 1)' },
+    stackable: { type: 'boolean', description: 'Можно ли класть в коробку с другими товарами' },
+  },
+  required: ['weight', 'length', 'width', 'height'],
+};
+
+const boxSchema = {
+  type: 'object',
+  properties: {
+    name: { type: 'string' },
+    length: { type: 'number', exclusiveMinimum: 0 },
+    width: { type: 'number', exclusiveMinimum: 0 },
+    height: { type: 'number', exclusiveMinimum: 0 },
+    weight: { type: 'number', minimum: 0, description: 'Вес коробки в граммах' },
+    maxWeight: { type: 'number', exclusiveMinimum: 0, description: 'Максимальная загрузка в граммах' },
+  },
+  required: ['name', 'length', 'width', 'height'],
+};
+
+// Посылки для расчета: массив packages, товары корзины items или одно место плоскими полями
+const parcelProperties = {
+  packages: { type: 'array', minItems: 1, items: packageSchema, description: 'Посылки (места)' },
+  items: { type: 'array', minItems: 1, items: cartItemSchema, description: 'Товары корзины (коробки подбираются автоматически)' },
+  weight,
+  length: side('Длина'),
+  width: side('Ширина'),
+  height: side('Высота'),
+};
+
+// Без packages и items обязательны плоские поля одного места
+const requireParcel = (value) => {
+  if (value.packages !== undefined || value.items !== undefined) {
+    return [];
+  }
+  return ['weight', 'length', 'width', 'height']
+    .filter(field => isBlank(value[field]))
+    .map(field => ({ field, message: 'обязателен' }));
+};
+
+// Город отправления и получения задается кодом CDEK или почтовым индексом
+const requireCities = (value) => ['from', 'to']
+  .filter(side => isBlank(value[`${side}CityCode`]) && isBlank(value[`${side}PostalCode`]))
+  .map(side => ({ field: `${side}CityCode`, message: 'обязателен' }));
+
+// Параметры калькулятора CDEK: без них CDEK считает интернет-магазин в валюте договора на сегодня
+const calculatorProperties = {
+  date: {
+    type: 'string',
+    format: 'date-or-date-time',
+    description: 'Планируемая дата передачи заказа в CDEK: дата или дата со временем (по умолчанию - сегодня)',
+  },
+  type: { type: 'integer', enum: [1, 2], description: 'Тип заказа: 1 - интернет-магазин, 2 - доставка (по умолчанию - по договору)' },
+  currency: { type: 'integer', minimum: 1, description: 'Код валюты расчета CDEK: 1 - RUB, 2 - KZT, 3 - USD, 4 - EUR, ... (по умолчанию - валюта договора)' },
+  lang: { type: 'string', enum: TARIFF_LANGS, description: 'Язык названий тарифов' },
+  additionalOrderTypes: { type: 'array', items: { type: 'integer', minimum: 1 }, description: 'Дополнительные типы заказа CDEK' },
+  services: {
+    type: 'array',
+    description: 'Дополнительные услуги (например, страховка объявленной стоимости)',
+    items: {
+      type: 'object',
+      properties: {
+        code: { type: 'string', description: 'Код услуги (например, INSURANCE)' },
+        parameter: { type: ['string', 'number'], description: 'Параметр услуги' },
+      },
+      required: ['code'],
+    },
+  },
+};
+
+const calculateSchema = {
+  type: 'object',
+  properties: {
+    fromCityCode: { ...cityCode, description: 'Код города отправления (обязателен, если не указан fromPostalCode)' },
+    fromPostalCode: { ...postalCode, description: 'Почтовый индекс отправления (вместо fromCityCode)' },
+    fromAddress: { ...address, description: 'Адрес отправления' },
+    toCityCode: { ...cityCode, description: 'Код города получения (обязателен, если не указан toPostalCode)' },
+    toPostalCode: { ...postalCode, description: 'Почтовый индекс получения (вместо toCityCode)' },
+    toAddress: { ...address, description: 'Адрес получения' },
+    ...parcelProperties,
+    cartCost: { type: 'number', minimum: 0, description: 'Стоимость товаров корзины в рублях (для правил бесплатной доставки)' },
+    ...calculatorProperties,
+  },
+  refine: (value) => [...requireCities(value), ...requireParcel(value)],
+};
+
+const calculateByTariffSchema = {
+  ...calculateSchema,
+  properties: {
+    tariffCode: { type: 'integer', minimum: 1, description: 'Код тарифа' },
+    ...calculateSchema.properties,
+    shipmentPoint: { ...officeCode, description: 'Код ПВЗ отправления' },
+    deliveryPoint: { ...officeCode, description: 'Код ПВЗ доставки' },
+  },
+  required: ['tariffCode'],
+};
+
+// Строка пакетного расчета: маршрут и посылки как в /calculate, плюс id строки и тариф
+// Строки проверяются по одной, чтобы ошибка в строке не отменяла весь пакет
+export const BATCH_ROW_SCHEMA = {
+  ...calculateSchema,
+  properties: {
+    id: { type: ['string', 'integer'], description: 'Идентификатор строки (возвращается в результате)' },
+    ...calculateSchema.properties,
+    tariffCode: { type: 'integer', minimum: 1, description: 'Тариф (без него - все тарифы)' },
+  },
+};
+
+// Формат результатов пакетного расчета
+const batchOutput = {
+  format: { type: 'string', enum: ['json', 'csv'], default: 'json', description: 'Формат результатов' },
+  delimiter: { type: 'string', enum: [',', ';'], default: ',', description: 'Разделитель CSV' },
+};
+
+// Расчет с выбором лучшего тарифа: маршрут и посылки как в /calculate плюс предпочтения покупателя
+const recommendSchema = {
+  ...calculateSchema,
+  properties: {
+    ...calculateSchema.properties,
+    preferences: {
+      type: 'object',
+      default: {},
+      description: 'Предпочтения покупателя',
+      properties: {
+        priority: {
+          type: 'string',
+          enum: Object.values(PRIORITIES),
+          default: PRIORITIES.BALANCED,
+          description: 'cheapest - дешевле, fastest - быстрее, balanced - лучшее сочетание цены и срока',
+        },
+        deliveryType: {
+          type: 'string',
+          enum: Object.values(DELIVERY_TYPES),
+          default: DELIVERY_TYPES.ANY,
+          description: 'door - до двери, pickup - до ПВЗ или постамата, any - любой',
+        },
+        maxDays: { type: 'integer', minimum: 1, description: 'Максимальный срок доставки в рабочих днях' },
+        tariffCodes: { type: 'array', minItems: 1, items: { type: 'integer', minimum: 1 }, description: 'Рассматривать только эти тарифы' },
+      },
+    },
+  },
+};
+
+const orderProperties = {
+  type: { type: 'integer', enum: [1, 2], default: 1, description: 'Тип заказа: 1 - интернет-магазин, 2 - доставка' },
+  number: { type: ['string', 'integer'], description: 'Номер заказа в ИС клиента' },
+  tariffCode: { type: 'integer', minimum: 1, description: 'Код тарифа' },
+  shipmentPoint: { ...officeCode, description: 'Код ПВЗ отправления' },
+  deliveryPoint: { ...officeCode, description: 'Код ПВЗ доставки' },
+  fromCityCode: { ...cityCode, description: 'Город, в котором подобрать склад отправления, если shipmentPoint не указан' },
+  fromPostalCode: { ...postalCode, description: 'Почтовый индекс отправителя (вместо fromCityCode)' },
+  fromAddress: { ...address, description: 'Адрес отправителя: склад отправления выбирается ближе к нему' },
+  toLocation: {
+    type: 'object',
+    description: 'Адрес доставки (вместо deliveryPoint)',
+    properties: { code: { ...cityCode, description: 'Код города (обязателен, если не указан toPostalCode)' }, address },
+  },
+  toPostalCode: { ...postalCode, description: 'Почтовый индекс доставки (вместо toLocation.code)' },
+  recipient: {
+    type: 'object',
+    description: 'Получатель',
+    properties: {
+      name: { type: 'string', minLength: 1 },
+      phones: { type: ['array', 'string'], minItems: 1, items: { type: ['string', 'object'] } },
+    },
+    required: ['name'],
+  },
+  packages: { type: 'array', minItems: 1, items: packageSchema, description: 'Посылки (места)' },
+  items: { type: 'array', minItems: 1, items: cartItemSchema, description: 'Товары корзины (вместо packages)' },
+};
+
+const orderCreateSchema = {
+  type: 'object',
+  properties: orderProperties,
+  required: ['number', 'tariffCode', 'recipient'],
+  refine: (order, req) => {
+    const errors = [];
+    if (order.packages === undefined && order.items === undefined) {
+      errors.push({ field: 'packages', message: 'обязателен' });
+    }
+    // Отправитель: склад shipmentPoint или город отправления (из запроса или отправителя арендатора)
+    if (!order.shipmentPoint && isBlank(order.fromCityCode) && isBlank(order.fromPostalCode) && !req?.tenant?.sender?.cityCode) {
+      errors.push({ message: 'Необходимо указать shipmentPoint или город отправления (fromCityCode или fromPostalCode)' });
+    }
+    // Получатель: склад deliveryPoint или адрес toLocation
+    if (!order.deliveryPoint && !order.toLocation && isBlank(order.toPostalCode)) {
+      errors.push({ message: 'Необходимо указать deliveryPoint или toLocation (toPostalCode)' });
+    }
+    if (order.toLocation && isBlank(order.toLocation.code) && isBlank(order.toPostalCode)) {
+      errors.push({ field: 'toLocation.code', message: 'обязателен' });
+    }
+    return errors;
+  },
+};
+
+const orderUpdateSchema = {
+  type: 'object',
+  properties: {
+    tariffCode: orderProperties.tariffCode,
+    shipmentPoint: orderProperties.shipmentPoint,
+    deliveryPoint: orderProperties.deliveryPoint,
+    toLocation: { ...orderProperties.toLocation, required: ['code'] },
+    recipient: orderProperties.recipient,
+    packages: orderProperties.packages,
+  },
+  refine: (order) => {
+    const fields = ['tariffCode', 'shipmentPoint', 'deliveryPoint', 'toLocation', 'recipient', 'packages'];
+    if (fields.every(field => isBlank(order[field]))) {
+      return [{ message: 'Не указаны поля для изменения заказа' }];
+    }
+    if (order.deliveryPoint && order.toLocation) {
+      return [{ message: 'Необходимо указать либо deliveryPoint, либо toLocation' }];
+    }
+    return [];
+  },
+};
+
+const printOptions = {
+  copies: { type: 'integer', minimum: 1, description: 'Число копий' },
+  format: { type: 'string', enum: BARCODE_FORMATS, description: 'Формат ШК-места' },
+};
+
+const printSchema = {
+  type: 'object',
+  properties: {
+    orderUuids: { type: 'array', minItems: 1, maxItems: 100, items: uuid, description: 'UUID заказов' },
+    ...printOptions,
+  },
+  required: ['orderUuids'],
+};
+
+const isTime = (value) => typeof value === 'string' && /^\d{2}:\d{2}$/.test(value);
+
+const intakeSchema = {
+  type: 'object',
+  properties: {
+    date: { type: 'string', format: 'date', description: 'Дата ожидания курьера' },
+    timeFrom: { type: 'string', format: 'time', description: 'Время ожидания курьера: с' },
+    timeTo: { type: 'string', format: 'time', description: 'Время ожидания курьера: по' },
+    weight,
+    fromLocation: {
+      type: 'object',
+      description: 'Адрес забора груза (по умолчанию CDEK_SENDER_CITY_CODE, CDEK_SENDER_ADDRESS)',
+      properties: { code: cityCode, address },
+      required: ['code', 'address'],
+    },
+    sender: {
+      type: 'object',
+      description: 'Отправитель (по умолчанию CDEK_SENDER_*)',
+      properties: {
+        company: { type: 'string' },
+        name: { type: 'string', minLength: 1 },
+        phones: { type: 'array', minItems: 1, items: { type: ['string', 'object'] } },
+      },
+      required: ['name', 'phones'],
+    },
+    orderUuid: { ...uuid, description: 'UUID заказа (тогда адрес, отправитель и вес берутся из заказа)' },
+    name: { type: 'string', description: 'Описание груза' },
+    comment: { type: 'string' },
+    needCall: { type: 'boolean', description: 'Нужен ли звонок отправителю' },
+  },
+  required: ['date', 'timeFrom', 'timeTo'],
+  refine: (intake) => {
+    const errors = [];
+    if (isTime(intake.timeFrom) && isTime(intake.timeTo) && intake.timeFrom >= intake.timeTo) {
+      errors.push({ field: 'timeFrom', message: 'должен быть раньше timeTo' });
+    }
+    if (!intake.orderUuid) {
+      for (const field of ['weight', 'fromLocation', 'sender']) {
+        if (isBlank(intake[field])) {
+          errors.push({ field, message: 'обязателен' });
+        }
+      }
+    }
+    return errors;
+  },
+};
+
+// Схемы запросов по роутам ('МЕТОД /путь' относительно /api/delivery)
+export const ROUTE_SCHEMAS = {
+  'GET /cities': {
+    query: {
+      type: 'object',
+      properties: {
+        q: { type: 'string', description: 'Название города (можно с регионом через запятую: «Березовский, Кемеровская»)' },
+        country_code: { type: 'string', pattern: '^[A-Z]{2}$', default: 'RU', description: 'Код страны' },
+        size: { type: 'integer', minimum: 1, maximum: 1000, default: 10, description: 'Число результатов' },
+        regionCode: { type: 'integer', description: 'Код региона CDEK, города которого показываются первыми' },
+      },
+      required: ['q'],
+    },
+  },
+  'GET /calculate': { query: calculateSchema },
+  'POST /calculate': { body: calculateSchema },
+  'POST /calculate-by-tariff': { body: calculateByTariffSchema },
+  'POST /recommend': { body: recommendSchema },
+  'POST /calculate/batch': {
+    query: {
+      type: 'object',
+      properties: {
+        ...batchOutput,
+        async: { type: 'boolean', default: false, description: 'Считать в фоне (большие пакеты считаются в фоне всегда)' },
+      },
+    },
+    body: {
+      type: 'object',
+      properties: {
+        rows: {
+          type: 'array',
+          minItems: 1,
+          maxItems: MAX_BATCH_ROWS,
+          items: {
+            type: 'object',
+            description: 'Строка: fromCityCode, toCityCode, адреса, посылки (packages, items или weight/length/width/height), '
+              + 'cartCost, tariffCode и id - как в POST /calculate',
+          },
+          description: 'Строки расчета (или CSV с такими же колонками в теле text/csv)',
+        },
+        tariffCodes: { type: 'array', minItems: 1, items: { type: 'integer', minimum: 1 }, description: 'Оставить в результатах только эти тарифы' },
+      },
+      required: ['rows'],
+    },
+  },
+  'GET /calculate/batch/:jobId': {
+    params: {
+      type: 'object',
+      properties: { jobId: { ...uuid, description: 'Идентификатор задания' } },
+      required: ['jobId'],
+    },
+    query: { type: 'object', properties: batchOutput },
+  },
+  'POST /pack': {
+    body: {
+      type: 'object',
+      properties: {
+        items: { type: 'array', minItems: 1, items: cartItemSchema },
+        tariffCode: { type: 'integer', minimum: 1, description: 'Тариф для ограничений на место' },
+        boxes: { type: 'array', minItems: 1, items: boxSchema, description: 'Каталог коробок вместо каталога по умолчанию' },
+      },
+      required: ['items'],
+    },
+  },
+  'DELETE /cache': {
+    query: {
+      type: 'object',
+      properties: {
+        resource: { type: 'string', enum: Object.keys(DEFAULT_TTLS), description: 'Тип ресурса (без него очищается весь кэш)' },
+      },
+    },
+  },
+  'GET /offices': {
+    query: {
+      type: 'object',
+      properties: {
+        cityCode,
+        type: { type: 'string', enum: OFFICE_TYPES, default: 'ALL', description: 'Тип офиса' },
+        bbox: {
+          type: 'string',
+          pattern: '^-?\\d+(\\.\\d+)?(,-?\\d+(\\.\\d+)?){3}$',
+          description: 'Область карты: minLon,minLat,maxLon,maxLat',
+        },
+        weight_max: { type: 'number', exclusiveMinimum: 0, description: 'Вес в кг, который офис должен принять' },
+        have_cashless: { type: 'boolean', description: 'Есть оплата картой' },
+        is_dressing_room: { type: 'boolean', description: 'Есть примерочная' },
+        is_handout: { type: 'boolean', description: 'Выдает заказы' },
+        is_reception: { type: 'boolean', description: 'Принимает отправления' },
+        format: { type: 'string', enum: ['json', 'geojson'], default: 'json', description: 'Формат ответа' },
+        page: { type: 'integer', minimum: 1, default: 1, description: 'Номер страницы' },
+        pageSize: { type: 'integer', minimum: 1, maximum: 1000, default: 100, description: 'Офисов на странице' },
+      },
+      required: ['cityCode'],
+      refine: (query) => {
+        const [minLon, minLat, maxLon, maxLat] = (query.bbox || '').split(',').map(Number);
+        return query.bbox && (minLon > maxLon || minLat > maxLat)
+          ? [{ field: 'bbox', message: 'bbox: minLon и minLat должны быть не больше maxLon и maxLat' }]
+          : [];
+      },
+    },
+  },
+  'GET /resolve': {
+    query: {
+      type: 'object',
+      properties: {
+        postal_code: { ...postalCode, description: 'Почтовый индекс' },
+        address: { type: 'string', description: 'Адрес в свободной форме («Березовский, Кемеровская обл., ул. Ленина, 5»)' },
+        country_code: { type: 'string', pattern: '^[A-Z]{2}$', default: 'RU', description: 'Код страны' },
+      },
+      refine: (query) => (isBlank(query.postal_code) && isBlank(query.address)
+        ? [{ message: 'Необходимо указать postal_code или address' }]
+        : []),
+    },
+  },
+  'GET /offices/nearest': {
+    query: {
+      type: 'object',
+      properties: {
+        lat: { type: 'number', minimum: -90, maximum: 90, description: 'Широта точки' },
+        lon: { type: 'number', minimum: -180, maximum: 180, description: 'Долгота точки' },
+        radius: { type: 'integer', minimum: 1, maximum: 100000, default: 5000, description: 'Радиус поиска в метрах' },
+        cityCode: { ...cityCode, description: 'Код города CDEK (без него ищется среди всех офисов России - медленнее)' },
+        type: { type: 'string', enum: OFFICE_TYPES, default: 'ALL', description: 'Тип офиса' },
+        weight: { ...weight, description: 'Вес посылки в граммах (офис должен его принять)' },
+        length: side('Длина посылки'),
+        width: side('Ширина посылки'),
+        height: side('Высота посылки'),
+        cashless: { type: 'boolean', description: 'Только с оплатой картой' },
+        dressingRoom: { type: 'boolean', description: 'Только с примерочной' },
+        ltl: { type: 'boolean', description: 'Только принимающие сборный груз' },
+        openNow: { type: 'boolean', description: 'Только открытые сейчас (или в момент at)' },
+        at: { type: 'string', format: 'date-time', description: 'Момент для openNow (по умолчанию - текущий)' },
+        limit: { type: 'integer', minimum: 1, maximum: 100, default: 20, description: 'Сколько офисов вернуть' },
+      },
+      required: ['lat', 'lon'],
+    },
+  },
+  'GET /tariffs': {
+    query: {
+      type: 'object',
+      properties: {
+        lang: { type: 'string', enum: TARIFF_LANGS, default: 'rus', description: 'Язык названий тарифов' },
+      },
+    },
+  },
+  'POST /orders': { body: orderCreateSchema },
+  'GET /orders': {
+    query: {
+      type: 'object',
+      properties: {
+        im_number: { type: 'string', description: 'Номер заказа в ИС клиента' },
+        cdek_number: { type: 'string', description: 'Номер заказа СДЭК' },
+      },
+      refine: (query) => (!query.im_number && !query.cdek_number
+        ? [{ message: 'Необходимо указать im_number или cdek_number' }]
+        : []),
+    },
+  },
+  'GET /orders/:uuid': { params: { type: 'object', properties: { uuid }, required: ['uuid'] } },
+  'PATCH /orders/:uuid': {
+    params: { type: 'object', properties: { uuid }, required: ['uuid'] },
+    body: orderUpdateSchema,
+  },
+  'DELETE /orders/:uuid': { params: { type: 'object', properties: { uuid }, required: ['uuid'] } },
+  'GET /orders/:uuid/waybill.pdf': {
+    params: { type: 'object', properties: { uuid }, required: ['uuid'] },
+    query: { type: 'object', properties: { copies: printOptions.copies } },
+  },
+  'GET /orders/:uuid/barcode.pdf': {
+    params: { type: 'object', properties: { uuid }, required: ['uuid'] },
+    query: { type: 'object', properties: printOptions },
+  },
+  'POST /print/waybills': {
+    body: { ...printSchema, properties: { orderUuids: printSchema.properties.orderUuids, copies: printOptions.copies } },
+  },
+  'POST /print/barcodes': { body: printSchema },
+  'POST /intakes': { body: intakeSchema },
+  'GET /intakes/available-days': {
+    query: {
+      type: 'object',
+      properties: {
+        cityCode: { ...cityCode, description: 'Код города забора (по умолчанию CDEK_SENDER_CITY_CODE)' },
+        address,
+        date: { type: 'string', format: 'date', description: 'Дата, с которой искать доступные дни' },
+      },
+      required: ['cityCode'],
+    },
+  },
+  'GET /intakes/:uuid': { params: { type: 'object', properties: { uuid }, required: ['uuid'] } },
+  'DELETE /intakes/:uuid': { params: { type: 'object', properties: { uuid }, required: ['uuid'] } },
+  'POST /webhooks/cdek': {
+    body: {
+      type: 'object',
+      properties: {
+        type: { type: 'string', enum: WEBHOOK_TYPES },
+        uuid: { type: 'string' },
+        date_time: { type: 'string' },
+        attributes: { type: 'object' },
+      },
+      required: ['type', 'uuid'],
+    },
+  },
+  'GET /webhooks/events': {
+    query: {
+      type: 'object',
+      properties: {
+        type: { type: 'string', enum: WEBHOOK_TYPES },
+        uuid: { type: 'string', description: 'UUID заказа или печатной формы' },
+      },
+    },
+  },
+  'POST /webhooks': {
+    body: {
+      type: 'object',
+      properties: {
+        url: { type: 'string', format: 'uri', description: 'URL приемника вебхуков' },
+        type: { type: 'string', enum: WEBHOOK_TYPES },
+      },
+      required: ['url', 'type'],
+    },
+  },
+  'DELETE /webhooks/:uuid': { params: { type: 'object', properties: { uuid }, required: ['uuid'] } },
+};
+
+/**
+ * Middleware проверки запроса по схеме роута
+ * @param {string} route - Роут в формате 'МЕТОД /путь' (ключ ROUTE_SCHEMAS)
+ * @returns {Function} Middleware
+ */
+export const validateRoute = (route) => {
+  if (!ROUTE_SCHEMAS[route]) {
+    throw new Error(`Нет схемы для роута ${route}`);
+  }
+  return validateRequest(ROUTE_SCHEMAS[route]);
+};
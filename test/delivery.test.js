@@ -0,0 +1,1679 @@
+/**
+ * Сквозные тесты роутов /api/delivery против локального mock CDEK API
+ * Запуск: npm test
+ */
+
+import { describe, test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync, writeFileSync, mkdtempSync, rmSync, readdirSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import MockCDEKServer from './mock-cdek/server.js';
+
+const mock = new MockCDEKServer();
+let server;
+let baseUrl;
+let tmpDir;
+
+/**
+ * Запрос к тестируемому приложению
+ * @param {string} method - HTTP-метод
+ * @param {string} path - Путь относительно /api/delivery
+ * @param {object} body - Тело запроса (JSON)
+ * @param {object} headers - Дополнительные заголовки
+ * @returns {Promise<object>} {status, headers, body}
+ */
+const api = async (method, path, body, headers = {}) => {
+  const response = await fetch(`${baseUrl}/api/delivery${path}`, {
+    method,
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: body === undefined ? undefined : JSON.stringify(body),
+  });
+  const isJson = (response.headers.get('content-type') || '').includes('application/json');
+
+  return {
+    status: response.status,
+    headers: response.headers,
+    body: isJson ? await response.json() : await response.text(),
+  };
+};
+
+// Токен оператора для управления кэшем и выключателем
+const adminHeaders = { 'X-Admin-Token': 'test-admin-token' };
+
+// Последний запрос, который дошел до mock CDEK по указанному пути
+const lastCdekRequest = (path) => mock.requests.filter(request => request.path === path).at(-1);
+
+const route = {
+  fromCityCode: 44,
+  fromAddress: 'г. Москва, ул. Тверская, д. 1',
+  toCityCode: 270,
+  toAddress: 'г. Новосибирск, ул. Ленина, д. 1',
+};
+
+const parcel = { weight: 2000, length: 10, width: 20, height: 30 };
+
+const createOrder = async (number = 'ORDER-1') => {
+  const { body } = await api('POST', '/orders', {
+    number,
+    tariffCode: 136,
+    shipmentPoint: 'MSK12',
+    deliveryPoint: 'NSK20',
+    recipient: { name: 'Иван Иванов', phones: ['+79991234567'] },
+    packages: [{ ...parcel, items: [{ name: 'Товар', ware_key: 'SKU-1', cost: 1000, amount: 1, weight: 2000, payment: { value: 0 } }] }],
+  });
+  return body.data.entity.uuid;
+};
+
+before(async () => {
+  process.env.CDEK_API_URL = await mock.start();
+  process.env.CDEK_ACCOUNT = 'test-account';
+  process.env.CDEK_SECURE_PASSWORD = 'test-password';
+  process.env.CACHE_STORE = 'memory';
+  process.env.CDEK_RETRY_BASE_DELAY = '1';
+  process.env.CDEK_TIMEOUT_READ = '500';
+  process.env.CDEK_BREAKER_RESET_TIMEOUT = '200';
+  process.env.NODE_ENV = 'test';
+  process.env.RATE_LIMIT_PER_MINUTE = '0';
+  process.env.CORS_ORIGINS = 'https://shop-b.example';
+  // Арендатор по умолчанию без ключей: тестам нужны все права без ключа (явное разрешение)
+  process.env.API_ANONYMOUS_SCOPES = 'quote,orders,admin';
+  process.env.CACHE_ADMIN_TOKEN = adminHeaders['X-Admin-Token'];
+
+  // Второй магазин со своим договором; пароль подставляется из окружения
+  tmpDir = mkdtempSync(join(tmpdir(), 'cdek-test-'));
+  process.env.TENANTS_FILE = join(tmpDir, 'tenants.json');
+  process.env.SHOP_B_PASSWORD = 'shop-b-password';
+  process.env.CITY_INDEX_DIR = join(tmpDir, 'city-index');
+  writeFileSync(process.env.TENANTS_FILE, JSON.stringify({
+    tenants: [{
+      id: 'shop-b',
+      apiUrl: process.env.CDEK_API_URL,
+      account: 'shop-b-account',
+      securePassword: '${SHOP_B_PASSWORD}',
+      apiKeys: [
+        'key-b',
+        { key: 'widget-b', name: 'widget', scopes: ['quote'], rateLimit: { perMinute: 60, burst: 2 } },
+        { key: 'site-b', name: 'site', scopes: ['quote'], origins: ['https://shop-b.example'] },
+      ],
+      anonymousScopes: ['quote'],
+      webhookSecret: 'shop-b-hook',
+      pricingRules: [
+        { id: 'markup', type: 'markup', percent: 10 },
+        { id: 'siberia', type: 'markup', amount: 50, when: { toRegionCodes: [23] } },
+        { id: 'free-parcel', type: 'freeShipping', minCartCost: 5000, when: { tariffCodes: [136] } },
+        { id: 'min', type: 'min', amount: 400 },
+        { id: 'max', type: 'max', amount: 1000 },
+        { id: 'round', type: 'round', step: 10 },
+      ],
+      sender: { cityCode: 270, address: 'г. Новосибирск, ул. Ленина, д. 1', name: 'Магазин Б', phone: '+79997654321' },
+    }, {
+      // Магазин, которому поддержка CDEK посоветовала урезанный запрос расчета
+      id: 'shop-c',
+      apiUrl: process.env.CDEK_API_URL,
+      account: 'shop-c-account',
+      securePassword: 'shop-c-password',
+      calculateMode: 'minimal',
+    }],
+  }));
+
+  // Логи сервера мешают читать вывод тестов (DEBUG_TESTS=1 - оставить)
+  if (!process.env.DEBUG_TESTS) {
+    for (const method of ['log', 'warn', 'error']) {
+      console[method] = () => {};
+    }
+  }
+
+  const { default: app } = await import('../src/app.js');
+  await new Promise((resolve) => {
+    server = app.listen(0, '127.0.0.1', resolve);
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  await new Promise(resolve => server.close(resolve));
+  await mock.stop();
+  rmSync(tmpDir, { recursive: true, force: true });
+});
+
+beforeEach(async () => {
+  mock.reset();
+  await api('DELETE', '/cache', undefined, adminHeaders);
+  await api('POST', '/status/circuit-breaker/reset', undefined, adminHeaders);
+});
+
+describe('GET /', () => {
+  test('описывает API', async () => {
+    const response = await fetch(`${baseUrl}/`);
+    const body = await response.json();
+
+    assert.equal(response.status, 200);
+    assert.equal(body.message, 'CDEK Delivery API');
+    assert.equal(body.endpoints['GET /api/delivery/tariffs'], 'Список доступных тарифов');
+    assert.equal(body.endpoints['POST /api/delivery/orders'], 'Создание заказа');
+    assert.equal(body.openapi, '/api/openapi.json');
+  });
+});
+
+describe('Документация API', () => {
+  test('описывает все роуты в OpenAPI', async () => {
+    const { default: router } = await import('../src/routes/delivery.js');
+    const { listRoutes } = await import('../src/openapi/index.js');
+    const spec = await (await fetch(`${baseUrl}/api/openapi.json`)).json();
+
+    assert.equal(spec.openapi, '3.1.0');
+    for (const route of listRoutes(router)) {
+      const [method, path] = route.split(' ');
+      const operation = spec.paths[`/api/delivery${path.replace(/:(\w+)/g, '{$1}')}`]?.[method.toLowerCase()];
+      assert.ok(operation?.summary, `Нет описания для ${route}`);
+      assert.ok(Object.keys(operation.responses).some(status => status < 300), `Нет успешного ответа для ${route}`);
+    }
+  });
+
+  test('берет параметры и тела запросов из схем валидации', async () => {
+    const spec = await (await fetch(`${baseUrl}/api/openapi.json`)).json();
+
+    const offices = spec.paths['/api/delivery/offices'].get;
+    const cityCode = offices.parameters.find(parameter => parameter.name === 'cityCode');
+    assert.equal(cityCode.required, true);
+    assert.equal(cityCode.schema.type, 'integer');
+    assert.deepEqual(offices.responses['400'], { $ref: '#/components/responses/ValidationError' });
+
+    const calculate = spec.paths['/api/delivery/calculate'].post.requestBody.content['application/json'];
+    // Город задается кодом или почтовым индексом, поэтому обязательность проверяет refine
+    assert.equal(calculate.schema.required, undefined);
+    assert.equal(calculate.schema.properties.toPostalCode.pattern, '^\\d{6}$');
+    assert.equal(calculate.schema.refine, undefined);
+    assert.equal(calculate.example.toCityCode, 270);
+
+    const order = spec.paths['/api/delivery/orders/{uuid}'].get;
+    assert.equal(order.parameters[0].in, 'path');
+    assert.equal(order.parameters[0].schema.format, 'uuid');
+  });
+
+  test('отдает страницу документации', async () => {
+    const response = await fetch(`${baseUrl}/api/docs`);
+
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get('Content-Type'), /text\/html/);
+    assert.match(await response.text(), /\/api\/openapi\.json/);
+  });
+});
+
+describe('GET /cities', () => {
+  // Справочник загружается в фоне: до этого поиск идет через CDEK
+  const waitForCityIndex = async () => {
+    for (let attempt = 0; attempt < 50; attempt++) {
+      if ((await api('GET', '/cities?q=Москва')).body.source === 'index') {
+        return;
+      }
+      await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    assert.fail('справочник городов не загрузился');
+  };
+
+  test('ищет города по названию', async () => {
+    await waitForCityIndex();
+
+    const { status, body } = await api('GET', `/cities?q=${encodeURIComponent('Новосиб')}`);
+
+    assert.equal(status, 200);
+    assert.equal(body.count, 1);
+    assert.equal(body.data[0].code, 270);
+    assert.equal(body.data[0].match, 'prefix');
+    assert.equal(body.source, 'index');
+    assert.ok(mock.requests.some(request => request.path === '/location/cities'
+      && request.query.page === '0' && request.query.name === undefined));
+  });
+
+  test('находит город с опечаткой, латиницей и «е» вместо «ё»', async () => {
+    await waitForCityIndex();
+    const search = async (q) => (await api('GET', `/cities?q=${encodeURIComponent(q)}`)).body.data[0];
+
+    assert.deepEqual(await search('Новосибрск'), { ...(await search('Новосибирск')), match: 'fuzzy' });
+    assert.equal((await search('Novosibirsk')).code, 270);
+    assert.equal((await search('sankt-peterburg')).code, 137);
+    assert.equal((await search('Королев')).city, 'Королёв');
+  });
+
+  test('ставит выше город с большим числом офисов', async () => {
+    await waitForCityIndex();
+
+    const { body } = await api('GET', `/cities?q=${encodeURIComponent('моск')}`);
+
+    assert.deepEqual(body.data.map(city => city.code), [44, 1554]);
+    assert.equal(body.data[0].officeCount, 3);
+  });
+
+  test('различает одноименные города по региону', async () => {
+    await waitForCityIndex();
+    const search = async (query) => (await api('GET', `/cities?${new URLSearchParams(query)}`)).body.data;
+
+    const cities = await search({ q: 'Березовский' });
+    assert.deepEqual(cities.map(city => city.label).sort(), [
+      'Березовский, Кемеровская область',
+      'Березовский, Свердловская область',
+    ]);
+    assert.equal((await search({ q: 'Березовский, Кемеровская' }))[0].code, 2096);
+    assert.equal((await search({ q: 'Березовский', regionCode: 65 }))[0].code, 1673);
+    assert.equal((await search({ q: 'Новосибирск' }))[0].label, 'Новосибирск');
+  });
+
+  test('хранит справочник на диске и не загружает его повторно', async () => {
+    await waitForCityIndex();
+    const loads = mock.requests.filter(request => request.path === '/location/cities').length;
+
+    const { body } = await api('GET', `/cities?q=${encodeURIComponent('Санкт')}`);
+
+    assert.equal(body.data[0].code, 137);
+    assert.equal(mock.requests.filter(request => request.path === '/location/cities').length, loads);
+    assert.equal(readdirSync(process.env.CITY_INDEX_DIR).length, 1);
+  });
+
+  test('при очистке удаляет только файлы справочника', async () => {
+    await waitForCityIndex();
+    writeFileSync(join(process.env.CITY_INDEX_DIR, 'other.txt'), 'не справочник');
+
+    const { status } = await api('DELETE', '/cache?resource=cities', undefined, adminHeaders);
+
+    assert.equal(status, 200);
+    assert.deepEqual(readdirSync(process.env.CITY_INDEX_DIR), ['other.txt']);
+    rmSync(join(process.env.CITY_INDEX_DIR, 'other.txt'));
+  });
+
+  test('ищет через CDEK, пока справочник загружается', async () => {
+    const { status, body } = await api('GET', `/cities?q=${encodeURIComponent('Новосибирск')}`);
+
+    assert.equal(status, 200);
+    assert.equal(body.source, 'cdek');
+    assert.equal(body.data[0].code, 270);
+    assert.ok(mock.requests.some(request => request.path === '/location/cities' && request.query.name === 'Новосибирск'));
+    await waitForCityIndex();
+  });
+
+  test('не повторяет неудачную загрузку справочника сразу', async () => {
+    // Ошибку получает загрузка справочника: она запрашивает CDEK раньше поиска
+    mock.injectError('/location/cities', { status: 400, body: { errors: [{ code: 'v2_bad_request', message: 'Bad request' }] } });
+    const syncs = () => mock.requests.filter(request => request.path === '/location/cities' && request.query.page !== undefined).length;
+
+    const first = await api('GET', `/cities?q=${encodeURIComponent('Новосибирск')}`);
+    await new Promise(resolve => setTimeout(resolve, 50));
+    const second = await api('GET', `/cities?q=${encodeURIComponent('Новосибирск')}`);
+
+    assert.equal(first.status, 200);
+    assert.equal(second.body.source, 'cdek');
+    assert.equal(second.body.data[0].code, 270);
+    assert.equal(syncs(), 1);
+  });
+
+  test('требует q', async () => {
+    const { status } = await api('GET', '/cities');
+    assert.equal(status, 400);
+  });
+});
+
+describe('GET /resolve', () => {
+  test('определяет город по почтовому индексу', async () => {
+    const { status, body } = await api('GET', '/resolve?postal_code=630099');
+
+    assert.equal(status, 200);
+    assert.deepEqual(
+      { code: body.data.code, region: body.data.region, regionCode: body.data.regionCode, confidence: body.data.confidence },
+      { code: 270, region: 'Новосибирская область', regionCode: 23, confidence: 1 }
+    );
+    assert.equal(lastCdekRequest('/location/cities').query.postal_code, '630099');
+  });
+
+  test('снижает уверенность, если индекс относится к нескольким городам', async () => {
+    const { body } = await api('GET', '/resolve?postal_code=108811');
+
+    assert.equal(body.data.code, 44);
+    assert.equal(body.data.confidence, 0.5);
+    assert.deepEqual(body.data.candidates.map(city => city.code), [44, 1554]);
+  });
+
+  test('определяет город по адресу', async () => {
+    const resolve = async (address) => (await api('GET', `/resolve?${new URLSearchParams({ address })}`)).body.data;
+
+    const byName = await resolve('г. Новосибирск, ул. Ленина, д. 1');
+    assert.deepEqual([byName.code, byName.method, byName.confidence], [270, 'address', 0.9]);
+
+    const byPostalCode = await resolve('108811, г. Московский, ул. Хабарова, 2');
+    assert.deepEqual([byPostalCode.code, byPostalCode.method, byPostalCode.confidence], [1554, 'postal_code', 1]);
+
+    const namesake = await resolve('Березовский, ул. Ленина, 5');
+    assert.equal(namesake.confidence, 0.6);
+    assert.equal(namesake.candidates.length, 2);
+
+    const inRegion = await resolve('Кемеровская обл., г. Березовский, ул. Ленина, 5');
+    assert.deepEqual([inRegion.code, inRegion.regionCode, inRegion.confidence], [2096, 39, 0.9]);
+  });
+
+  test('возвращает 404, если город не найден', async () => {
+    const { status, body } = await api('GET', '/resolve?postal_code=999999');
+
+    assert.equal(status, 404);
+    assert.equal(body.code, 'CITY_NOT_FOUND');
+  });
+
+  test('требует postal_code или address', async () => {
+    const missing = await api('GET', '/resolve');
+    const invalid = await api('GET', '/resolve?postal_code=6300');
+
+    assert.equal(missing.status, 400);
+    assert.deepEqual(missing.body.details, ['Необходимо указать postal_code или address']);
+    assert.equal(invalid.status, 400);
+  });
+});
+
+describe('GET /calculate', () => {
+  test('считает по query-параметрам', async () => {
+    const query = new URLSearchParams({ fromCityCode: 44, toCityCode: 270, ...parcel });
+    const { status, body } = await api('GET', `/calculate?${query}`);
+
+    assert.equal(status, 200);
+    assert.ok(body.tariffs.some(tariff => tariff.code === 136));
+    assert.equal(body.packages[0].volumeWeight, 1200);
+  });
+
+  test('передает валюту и услуги из query-параметров', async () => {
+    const query = new URLSearchParams({
+      fromCityCode: 44,
+      toCityCode: 270,
+      ...parcel,
+      currency: 3,
+      services: JSON.stringify([{ code: 'INSURANCE', parameter: 5000 }]),
+    });
+    const { status } = await api('GET', `/calculate?${query}`);
+    const { body } = lastCdekRequest('/calculator/tarifflist');
+
+    assert.equal(status, 200);
+    assert.equal(body.currency, 3);
+    assert.deepEqual(body.services, [{ code: 'INSURANCE', parameter: 5000 }]);
+  });
+
+  test('проверяет обязательные поля', async () => {
+    const { status, body } = await api('GET', '/calculate?fromCityCode=44');
+
+    assert.equal(status, 400);
+    assert.ok(body.details.includes('toCityCode обязателен'));
+  });
+});
+
+describe('POST /calculate', () => {
+  test('считает по всем тарифам', async () => {
+    const { status, body } = await api('POST', '/calculate', { ...route, ...parcel });
+
+    assert.equal(status, 200);
+    assert.equal(body.success, true);
+    assert.deepEqual(body.tariffs.map(tariff => tariff.code), [136, 137, 139, 482]);
+    assert.deepEqual(lastCdekRequest('/calculator/tarifflist').body.from_location, { code: '44', address: route.fromAddress });
+  });
+
+  test('требует вес товаров посылки без weight', async () => {
+    const { status, body } = await api('POST', '/calculate', {
+      ...route,
+      packages: [{ length: 10, width: 20, height: 30, items: [{ name: 'x' }, { name: 'y', weight: 300 }] }],
+    });
+
+    assert.equal(status, 400);
+    assert.equal(body.code, 'VALIDATION_ERROR');
+    assert.deepEqual(body.fields.map(field => field.field), ['packages[0].items[0].weight']);
+    assert.equal(mock.requests.length, 0);
+  });
+
+  test('передает в CDEK все параметры калькулятора', async () => {
+    const { status } = await api('POST', '/calculate', {
+      ...route,
+      ...parcel,
+      date: '2026-03-20T10:00:00.000+03:00',
+      type: 2,
+      currency: 3,
+      lang: 'eng',
+      additionalOrderTypes: [4],
+      services: [{ code: 'INSURANCE', parameter: 5000 }],
+    });
+    const { body } = lastCdekRequest('/calculator/tarifflist');
+
+    assert.equal(status, 200);
+    assert.equal(body.date, '2026-03-20T10:00:00+0300');
+    assert.equal(body.type, 2);
+    assert.equal(body.currency, 3);
+    assert.equal(body.lang, 'eng');
+    assert.deepEqual(body.additional_order_types, [4]);
+    assert.deepEqual(body.services, [{ code: 'INSURANCE', parameter: 5000 }]);
+    assert.deepEqual(body.to_location, { code: '270', address: route.toAddress });
+  });
+
+  test('в режиме minimal передает только коды городов и места', async () => {
+    const { status, body } = await api('POST', '/calculate', {
+      ...route,
+      ...parcel,
+      currency: 3,
+      services: [{ code: 'INSURANCE', parameter: 5000 }],
+    }, { 'X-Tenant-Id': 'shop-c' });
+    const request = lastCdekRequest('/calculator/tarifflist');
+
+    assert.equal(status, 200);
+    assert.deepEqual(Object.keys(request.body), ['from_location', 'to_location', 'packages']);
+    assert.deepEqual(request.body.from_location, { code: '44' });
+    assert.deepEqual(body.warnings.map(warning => warning.code), ['minimal_request']);
+    assert.match(body.warnings[0].message, /currency, services, address/);
+  });
+
+  test('проверяет параметры калькулятора', async () => {
+    const { status, body } = await api('POST', '/calculate', { ...route, ...parcel, type: 3, date: '20.03.2026' });
+
+    assert.equal(status, 400);
+    assert.deepEqual(body.fields.map(field => field.field), ['date', 'type']);
+    assert.match(body.fields[0].message, /YYYY-MM-DD или YYYY-MM-DDTHH:MM:SS/);
+  });
+
+  test('принимает дату передачи без времени', async () => {
+    const { status } = await api('POST', '/calculate', { ...route, ...parcel, date: '2026-03-20' });
+
+    assert.equal(status, 200);
+    assert.equal(lastCdekRequest('/calculator/tarifflist').body.date, '2026-03-20T00:00:00+0300');
+  });
+
+  test('принимает несколько мест', async () => {
+    const { status, body } = await api('POST', '/calculate', {
+      ...route,
+      packages: [parcel, { ...parcel, weight: 500 }],
+    });
+
+    assert.equal(status, 200);
+    assert.equal(body.packages.length, 2);
+    assert.equal(body.packages[1].chargeableWeight, 1200);
+    assert.equal(lastCdekRequest('/calculator/tarifflist').body.packages.length, 2);
+  });
+
+  test('подбирает коробки для items', async () => {
+    const { status, body } = await api('POST', '/calculate', {
+      ...route,
+      items: [{ name: 'Кружка', weight: 400, length: 12, width: 9, height: 10, quantity: 3 }],
+    });
+
+    assert.equal(status, 200);
+    assert.equal(body.packages.length, 1);
+  });
+
+  test('принимает почтовые индексы вместо кодов городов', async () => {
+    const { status } = await api('POST', '/calculate', { fromPostalCode: '125009', toPostalCode: '630099', ...parcel });
+
+    assert.equal(status, 200);
+    assert.deepEqual(lastCdekRequest('/calculator/tarifflist').body.from_location, { code: '44' });
+    assert.deepEqual(lastCdekRequest('/calculator/tarifflist').body.to_location, { code: '270' });
+  });
+
+  test('сообщает о неизвестном почтовом индексе', async () => {
+    const { status, body } = await api('POST', '/calculate', { fromCityCode: 44, toPostalCode: '999999', ...parcel });
+
+    assert.equal(status, 422);
+    assert.equal(body.code, 'CITY_NOT_FOUND');
+    assert.deepEqual(body.details, ['toPostalCode: в CDEK нет города с индексом 999999']);
+    assert.equal(mock.requests.filter(request => request.path === '/calculator/tarifflist').length, 0);
+  });
+
+  test('проверяет обязательные поля', async () => {
+    const { status, body } = await api('POST', '/calculate', { fromCityCode: 44 });
+
+    assert.equal(status, 400);
+    assert.ok(body.details.includes('toCityCode обязателен'));
+    assert.ok(body.details.includes('weight обязателен'));
+  });
+
+  test('возвращает ошибку, если CDEK недоступен', async () => {
+    mock.injectError('/calculator/tarifflist', { status: 503, times: Infinity });
+
+    const { status, body } = await api('POST', '/calculate', { ...route, ...parcel });
+
+    assert.equal(status, 503);
+    assert.equal(body.code, 'CDEK_UNAVAILABLE');
+  });
+
+  test('отвечает из кэша на одинаковые запросы', async () => {
+    const first = await api('POST', '/calculate', { ...route, ...parcel });
+    const second = await api('POST', '/calculate', { ...route, ...parcel });
+
+    assert.equal(first.headers.get('x-cache'), 'MISS');
+    assert.equal(second.headers.get('x-cache'), 'HIT');
+    assert.equal(mock.requests.filter(request => request.path === '/calculator/tarifflist').length, 1);
+  });
+});
+
+describe('POST /calculate-by-tariff', () => {
+  test('считает по тарифу с услугами', async () => {
+    const { status, body } = await api('POST', '/calculate-by-tariff', {
+      ...route,
+      ...parcel,
+      tariffCode: 137,
+      services: [{ code: 'INSURANCE', parameter: '5000' }],
+    });
+
+    assert.equal(status, 200);
+    assert.equal(body.deliveryCost, 520);
+    assert.equal(body.services[0].code, 'INSURANCE');
+  });
+
+  test('передает тип заказа и язык', async () => {
+    const { status } = await api('POST', '/calculate-by-tariff', { ...route, ...parcel, tariffCode: 137, type: 2, lang: 'eng' });
+    const { body } = lastCdekRequest('/calculator/tariff');
+
+    assert.equal(status, 200);
+    assert.equal(body.type, 2);
+    assert.equal(body.lang, 'eng');
+    assert.equal(body.currency, 1);
+  });
+
+  test('для тарифа 751 выбирает склады со сборным грузом', async () => {
+    const { status, body } = await api('POST', '/calculate-by-tariff', {
+      tariffCode: 751,
+      fromCityCode: 44,
+      fromAddress: 'Москва',
+      toCityCode: 270,
+      weight: 50000,
+      length: 50,
+      width: 50,
+      height: 50,
+    });
+
+    assert.equal(status, 200);
+    assert.equal(body.deliveryCost, 1850);
+
+    const request = lastCdekRequest('/calculator/tariff').body;
+    assert.equal(request.shipment_point, 'MOS4');
+    assert.equal(request.delivery_point, 'NSK1');
+    assert.equal(body.warehouses.shipmentPoint.code, 'MOS4');
+    assert.match(body.warehouses.shipmentPoint.reason, /^Склад сборного груза/);
+  });
+
+  test('для тарифа 751 не выбирает склады, которые не примут места', async () => {
+    const { status, body } = await api('POST', '/calculate-by-tariff', {
+      tariffCode: 751,
+      fromCityCode: 44,
+      toCityCode: 270,
+      packages: [{ weight: 500000, length: 100, width: 100, height: 100 }],
+    });
+
+    assert.equal(status, 200);
+    assert.equal(body.warehouses.deliveryPoint.code, 'NSK1');
+    assert.match(body.warehouses.deliveryPoint.reason, /подходят 1 из 3 ПВЗ города, 2 не принимают/);
+  });
+
+  test('не ищет склады, если они указаны', async () => {
+    const { status } = await api('POST', '/calculate-by-tariff', {
+      ...route,
+      ...parcel,
+      tariffCode: 751,
+      toAddress: undefined,
+      shipmentPoint: 'MSK12',
+      deliveryPoint: 'NSK20',
+    });
+
+    assert.equal(status, 200);
+    assert.equal(lastCdekRequest('/deliverypoints'), undefined);
+    assert.equal(lastCdekRequest('/calculator/tariff').body.shipment_point, 'MSK12');
+  });
+
+  test('проверяет обязательные поля', async () => {
+    const { status, body } = await api('POST', '/calculate-by-tariff', { ...route, ...parcel });
+
+    assert.equal(status, 400);
+    assert.ok(body.details.includes('tariffCode обязателен'));
+  });
+
+  test('принимает почтовые индексы вместо кодов городов', async () => {
+    const { status } = await api('POST', '/calculate-by-tariff', { tariffCode: 136, fromCityCode: 44, toPostalCode: '630005', ...parcel });
+
+    assert.equal(status, 200);
+    assert.equal(lastCdekRequest('/calculator/tariff').body.to_location.code, '270');
+  });
+});
+
+describe('GET /offices', () => {
+  test('возвращает ПВЗ города', async () => {
+    const { status, body } = await api('GET', '/offices?cityCode=44&type=PVZ');
+
+    assert.equal(status, 200);
+    assert.deepEqual(body.data.map(office => office.code), ['MSK12', 'MOS4']);
+  });
+
+  test('отбирает офисы по флагам и весу и делит на страницы', async () => {
+    const { body } = await api('GET', '/offices?cityCode=44&is_reception=true&weight_max=25&pageSize=1&page=2');
+
+    assert.deepEqual(body.data.map(office => office.code), ['MOS4']);
+    assert.deepEqual(body.pagination, { page: 2, pageSize: 1, total: 2, totalPages: 2 });
+  });
+
+  test('отдает офисы в области карты в GeoJSON', async () => {
+    const { status, headers, body } = await api('GET', '/offices?cityCode=44&bbox=37.59,55.70,37.62,55.77&format=geojson');
+    const collection = JSON.parse(body);
+
+    assert.equal(status, 200);
+    assert.match(headers.get('content-type'), /application\/geo\+json/);
+    assert.equal(collection.type, 'FeatureCollection');
+    assert.deepEqual(collection.features.map(feature => feature.id), ['MSK12', 'MSK50']);
+    assert.deepEqual(collection.features[0].geometry, { type: 'Point', coordinates: [37.6088, 55.7601] });
+    assert.equal(collection.features[0].properties.address, 'ул. Тверская, 12');
+    assert.equal(collection.features[0].properties.dimensions, undefined);
+  });
+
+  test('требует cityCode', async () => {
+    const { status } = await api('GET', '/offices');
+    assert.equal(status, 400);
+  });
+
+  test('проверяет bbox', async () => {
+    const { status, body } = await api('GET', '/offices?cityCode=44&bbox=38,55,37,56');
+
+    assert.equal(status, 400);
+    assert.equal(body.fields[0].field, 'bbox');
+  });
+});
+
+describe('GET /offices/nearest', () => {
+  const nearest = (query) => api('GET', `/offices/nearest?lat=55.7558&lon=37.6173&${query}`);
+
+  test('находит офисы в радиусе по возрастанию расстояния', async () => {
+    const { status, body } = await nearest('cityCode=44');
+
+    assert.equal(status, 200);
+    assert.deepEqual(body.data.map(office => office.code), ['MSK12', 'MSK50']);
+    assert.deepEqual(body.data.map(office => office.distance), [715, 1782]);
+    assert.equal(body.data[0].workHours.timeZone, 'Europe/Moscow');
+    assert.deepEqual(body.data[0].workHours.schedule[5], { day: 6, name: 'Сб', open: '10:00', close: '18:00' });
+  });
+
+  test('отбирает офисы по посылке и возможностям', async () => {
+    const heavy = await nearest('cityCode=44&radius=10000&weight=25000');
+    const bulky = await nearest('cityCode=44&radius=10000&length=62&width=30&height=30');
+    const ltl = await nearest('cityCode=44&radius=10000&ltl=true');
+    const dressingRoom = await nearest('cityCode=44&radius=10000&dressingRoom=true&cashless=true');
+
+    assert.deepEqual(heavy.body.data.map(office => office.code), ['MSK12', 'MOS4']);
+    assert.deepEqual(bulky.body.data.map(office => office.code), ['MSK50', 'MOS4']);
+    assert.deepEqual(ltl.body.data.map(office => office.code), ['MOS4']);
+    assert.deepEqual(dressingRoom.body.data.map(office => office.code), ['MSK12']);
+  });
+
+  test('оставляет открытые в указанный момент по часовому поясу города', async () => {
+    const at = encodeURIComponent('2026-10-18T20:00:00+03:00'); // воскресенье, 20:00 по Москве
+    const { body } = await nearest(`cityCode=44&radius=10000&openNow=true&at=${at}`);
+
+    assert.deepEqual(body.data.map(office => office.code), ['MSK50']);
+    assert.equal(body.data[0].workHours.openNow, true);
+  });
+
+  test('без cityCode ищет среди офисов страны', async () => {
+    const { body } = await api('GET', '/offices/nearest?lat=55.0302&lon=82.9207&radius=1000');
+
+    assert.deepEqual(body.data.map(office => office.code), ['NSK20']);
+    assert.equal(body.data[0].workHours.timeZone, 'Asia/Novosibirsk');
+    assert.equal(lastCdekRequest('/deliverypoints').query.country_code, 'RU');
+  });
+
+  test('требует координаты', async () => {
+    const { status, body } = await api('GET', '/offices/nearest?lat=95');
+
+    assert.equal(status, 400);
+    assert.deepEqual(body.fields.map(field => field.field).sort(), ['lat', 'lon']);
+  });
+});
+
+describe('GET /tariffs', () => {
+  test('получает тарифы через расчет, если справочник недоступен', async () => {
+    const { status, body } = await api('GET', '/tariffs');
+
+    assert.equal(status, 200);
+    assert.ok(body.data.some(tariff => tariff.tariff_code === 136));
+  });
+
+  test('проверяет язык', async () => {
+    const { status } = await api('GET', '/tariffs?lang=deu');
+    assert.equal(status, 400);
+  });
+});
+
+describe('POST /recommend', () => {
+  const recommend = (preferences) => api('POST', '/recommend', { ...route, packages: [parcel], preferences });
+  const tariffRequests = () => mock.requests.filter(request => request.path === '/calculator/tariff');
+
+  test('выбирает лучшее сочетание цены и срока с учетом сборного груза', async () => {
+    const { status, body } = await recommend();
+
+    assert.equal(status, 200);
+    assert.equal(body.data.recommended.code, 482);
+    assert.match(body.data.recommended.reason, /сочетание цены и срока/);
+    assert.deepEqual(body.data.options.map(option => option.code).sort(), [136, 137, 139, 482, 750, 751]);
+    assert.deepEqual(tariffRequests().map(request => request.body.tariff_code).sort(), [750, 751]);
+  });
+
+  test('отбрасывает тарифы с другим типом доставки', async () => {
+    const { body } = await recommend({ priority: 'cheapest', deliveryType: 'pickup' });
+
+    assert.equal(body.data.recommended.code, 136);
+    assert.deepEqual(body.data.options.map(option => option.code), [136, 751]);
+    assert.ok(body.data.excluded.some(option => option.code === 137 && option.reason.includes('до двери')));
+    assert.deepEqual(tariffRequests().map(request => request.body.tariff_code), [751]);
+  });
+
+  test('учитывает максимальный срок', async () => {
+    const { body } = await recommend({ priority: 'fastest', maxDays: 3 });
+
+    assert.deepEqual(body.data.options.map(option => option.code), [482]);
+    assert.match(body.data.recommended.reason, /Самый/);
+    assert.equal(body.data.excluded.length, 5);
+  });
+
+  test('не падает, если CDEK не рассчитал тариф сборного груза', async () => {
+    mock.injectError('/calculator/tariff', { status: 400, times: 2 });
+    const { status, body } = await recommend({ deliveryType: 'door' });
+
+    assert.equal(status, 200);
+    assert.ok(body.data.excluded.some(option => option.code === 750 && option.reason.startsWith('CDEK не рассчитал')));
+    assert.ok(body.data.options.every(option => option.deliveryType === 'door'));
+  });
+
+  test('проверяет предпочтения', async () => {
+    const { status, body } = await recommend({ priority: 'cheap' });
+
+    assert.equal(status, 400);
+    assert.equal(body.fields[0].field, 'preferences.priority');
+  });
+});
+
+describe('POST /calculate/batch', () => {
+  const postCsv = (csv, query = '') => fetch(`${baseUrl}/api/delivery/calculate/batch${query}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'text/csv' },
+    body: csv,
+  });
+
+  test('считает строки и возвращает ошибки отдельных строк', async () => {
+    const { status, body } = await api('POST', '/calculate/batch', {
+      rows: [
+        { id: 'NSK', fromCityCode: 44, toCityCode: 270, ...parcel },
+        { id: 'BAD', fromCityCode: 44, ...parcel },
+        { id: 'LTL', fromCityCode: 44, toCityCode: 270, tariffCode: 751, packages: [parcel] },
+      ],
+      tariffCodes: [136, 137],
+    });
+
+    assert.equal(status, 200);
+    assert.deepEqual(body.summary, { total: 3, succeeded: 2, failed: 1 });
+    assert.deepEqual(body.results[0].tariffs.map(tariff => tariff.code), [136, 137]);
+    assert.equal(body.results[1].status, 'error');
+    assert.equal(body.results[1].error.code, 'VALIDATION_ERROR');
+    assert.equal(body.results[2].tariffs[0].code, 751);
+    assert.equal(lastCdekRequest('/calculator/tariff').body.tariff_code, 751);
+  });
+
+  test('принимает и отдает CSV', async () => {
+    const response = await postCsv(
+      '\ufeffid;fromCityCode;toCityCode;weight;length;width;height\nNSK;44;270;2000;10;20;30\nBAD;44;;2000;10;20;30\n',
+      '?format=csv&delimiter=;'
+    );
+    const lines = (await response.text()).replace(/^\ufeff/, '').trim().split('\r\n');
+
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get('content-type'), /text\/csv/);
+    assert.equal(lines[0], 'row;id;fromCityCode;toCityCode;tariffCode;tariffName;carrierCost;customerPrice;periodMin;periodMax;error');
+    assert.match(lines[1], /^1;NSK;44;270;136;/);
+    assert.match(lines.at(-1), /^2;BAD;44;;.*toCityCode обязателен/);
+  });
+
+  test('экранирует в CSV значения, похожие на формулы', async () => {
+    const response = await postCsv(
+      'id,fromCityCode,toCityCode,weight,length,width,height\n"=HYPERLINK(""http://evil.example"")",44,270,2000,10,20,30\n@SUM(A1),44,270,2000,10,20,30\n',
+      '?format=csv'
+    );
+    const lines = (await response.text()).replace(/^\ufeff/, '').trim().split('\r\n');
+
+    assert.equal(response.status, 200);
+    assert.match(lines[1], /^1,"'=HYPERLINK\(""http:\/\/evil\.example""\)",44,270,/);
+    assert.ok(lines.some(line => line.startsWith("2,'@SUM(A1),44,270,")));
+  });
+
+  test('считает большой пакет в фоне', async () => {
+    const rows = Array.from({ length: 3 }, (_, index) => ({ id: index + 1, ...route, ...parcel }));
+    const { status, body } = await api('POST', '/calculate/batch?async=true', { rows });
+
+    assert.equal(status, 202);
+    assert.equal(body.data.total, 3);
+
+    let job = body;
+    for (let attempt = 0; attempt < 50 && job.data.status === 'running'; attempt++) {
+      await new Promise(resolve => setTimeout(resolve, 20));
+      job = (await api('GET', `/calculate/batch/${body.data.jobId}`)).body;
+    }
+
+    assert.equal(job.data.status, 'done');
+    assert.equal(job.data.progress, 100);
+    assert.deepEqual(job.summary, { total: 3, succeeded: 3, failed: 0 });
+    assert.deepEqual(job.results.map(result => result.id), [1, 2, 3]);
+  });
+
+  test('не принимает задания сверх maxJobs выполняющихся', async () => {
+    const { default: BatchJobStore } = await import('../src/batch/jobs.js');
+    const store = new BatchJobStore({ maxJobs: 1 });
+    let finish;
+    store.start('default', 1, () => new Promise((resolve) => {
+      finish = resolve;
+    }));
+
+    assert.throws(() => store.start('default', 1, async () => []), { httpStatus: 503, code: 'BATCH_JOBS_BUSY' });
+
+    finish([]);
+    await new Promise(resolve => setImmediate(resolve));
+    assert.equal(store.start('default', 1, async () => []).status, 'running');
+  });
+
+  test('не показывает задания другого арендатора', async () => {
+    const { body } = await api('POST', '/calculate/batch?async=true', { rows: [{ ...route, ...parcel }] });
+    const { status } = await api('GET', `/calculate/batch/${body.data.jobId}`, undefined, { 'X-Api-Key': 'key-b' });
+
+    assert.equal(status, 404);
+  });
+
+  test('проверяет пакет', async () => {
+    const { status, body } = await api('POST', '/calculate/batch', { rows: [] });
+
+    assert.equal(status, 400);
+    assert.equal(body.fields[0].field, 'rows');
+  });
+});
+
+describe('POST /pack', () => {
+  test('раскладывает товары по коробкам', async () => {
+    const { status, body } = await api('POST', '/pack', {
+      items: [
+        { name: 'Кружка', weight: 400, length: 12, width: 9, height: 10, quantity: 3 },
+        { name: 'Лампа', weight: 2000, length: 50, width: 20, height: 20, stackable: false },
+      ],
+    });
+
+    assert.equal(status, 200);
+    assert.equal(body.summary.packagesCount, 2);
+  });
+
+  test('проверяет товары', async () => {
+    const { status } = await api('POST', '/pack', { items: [] });
+    assert.equal(status, 400);
+  });
+
+  test('ограничивает общее количество единиц товара', async () => {
+    const item = { weight: 100, length: 5, width: 5, height: 5 };
+
+    const single = await api('POST', '/pack', { items: [{ ...item, quantity: 1000000 }] });
+    const total = await api('POST', '/pack', { items: [{ ...item, quantity: 600 }, { ...item, quantity: 600 }] });
+
+    assert.equal(single.status, 400);
+    assert.equal(single.body.fields[0].field, 'items[0].quantity');
+    assert.equal(total.status, 400);
+    assert.equal(total.body.code, 'VALIDATION_ERROR');
+    assert.equal(total.body.fields[0].field, 'items');
+  });
+});
+
+describe('Заказы', () => {
+  test('создает заказ и находит его по UUID и номеру', async () => {
+    const uuid = await createOrder('ORDER-42');
+
+    const byUuid = await api('GET', `/orders/${uuid}`);
+    assert.equal(byUuid.status, 200);
+    assert.equal(byUuid.body.data.number, 'ORDER-42');
+    assert.equal(byUuid.body.data.status.code, 'CREATED');
+
+    const byNumber = await api('GET', '/orders?im_number=ORDER-42');
+    assert.equal(byNumber.body.data.uuid, uuid);
+  });
+
+  test('подбирает склады сборного груза ближе к адресу', async () => {
+    const { status, body } = await api('POST', '/orders', {
+      number: 'ORDER-751',
+      tariffCode: 751,
+      fromCityCode: 44,
+      toLocation: { code: 270, address: '630099, Новосибирск, Красный проспект, 1' },
+      recipient: { name: 'Иван Иванов', phones: ['+79991234567'] },
+      packages: [{ weight: 50000, length: 50, width: 50, height: 50 }],
+    });
+
+    assert.equal(status, 202);
+    assert.equal(lastCdekRequest('/orders').body.shipment_point, 'MOS4');
+    assert.equal(lastCdekRequest('/orders').body.delivery_point, 'NSK3');
+    assert.equal(body.warehouses.deliveryPoint.distance, 1361);
+    assert.match(body.warehouses.deliveryPoint.reason, /ближайший к адресу \(1,4 км\)/);
+  });
+
+  test('принимает почтовый индекс получателя вместо кода города', async () => {
+    const { status } = await api('POST', '/orders', {
+      number: 'ORDER-POSTAL',
+      tariffCode: 137,
+      shipmentPoint: 'MSK12',
+      toPostalCode: '630099',
+      toLocation: { address: 'ул. Ленина, д. 1' },
+      recipient: { name: 'Иван Иванов', phones: ['+79991234567'] },
+      packages: [parcel],
+    });
+
+    assert.equal(status, 202);
+    assert.equal(Number(lastCdekRequest('/orders').body.to_location.code), 270);
+    assert.equal(lastCdekRequest('/orders').body.to_location.address, 'ул. Ленина, д. 1');
+  });
+
+  test('не подбирает склад отправления для тарифа от двери', async () => {
+    const { status, body } = await api('POST', '/orders', {
+      number: 'ORDER-DOOR',
+      tariffCode: 139,
+      fromCityCode: 44,
+      fromAddress: 'ул. Тверская, д. 1',
+      toLocation: { code: 270, address: 'ул. Ленина, д. 1' },
+      recipient: { name: 'Иван Иванов', phones: ['+79991234567'] },
+      packages: [parcel],
+    });
+
+    assert.equal(status, 202);
+    assert.equal(body.warehouses, undefined);
+    assert.equal(lastCdekRequest('/orders').body.shipment_point, undefined);
+    assert.deepEqual(lastCdekRequest('/orders').body.from_location, { code: '44', address: 'ул. Тверская, д. 1' });
+    assert.equal(mock.requests.filter(request => request.path === '/deliverypoints').length, 0);
+  });
+
+  test('проверяет поля при создании', async () => {
+    const { status, body } = await api('POST', '/orders', { number: 'ORDER-1' });
+
+    assert.equal(status, 400);
+    assert.ok(body.details.includes('tariffCode обязателен'));
+  });
+
+  test('требует получателя при заказе только со складом отправления', async () => {
+    const { status, body } = await api('POST', '/orders', {
+      number: 'ORDER-1',
+      tariffCode: 136,
+      shipmentPoint: 'MSK12',
+      recipient: { name: 'Иван Иванов', phones: ['+79991234567'] },
+      packages: [parcel],
+    });
+
+    assert.equal(status, 400);
+    assert.ok(body.details.includes('Необходимо указать deliveryPoint или toLocation (toPostalCode)'));
+    assert.equal(lastCdekRequest('/orders'), undefined);
+  });
+
+  test('требует склад или город отправления', async () => {
+    const { status, body } = await api('POST', '/orders', {
+      number: 'ORDER-1',
+      tariffCode: 136,
+      deliveryPoint: 'NSK20',
+      recipient: { name: 'Иван Иванов', phones: ['+79991234567'] },
+      packages: [parcel],
+    });
+
+    assert.equal(status, 400);
+    assert.ok(body.details.includes('Необходимо указать shipmentPoint или город отправления (fromCityCode или fromPostalCode)'));
+  });
+
+  test('изменяет заказ', async () => {
+    const uuid = await createOrder();
+
+    const { status, body } = await api('PATCH', `/orders/${uuid}`, { deliveryPoint: 'NSK1' });
+
+    assert.equal(status, 202);
+    assert.equal(body.data.type, 'UPDATE');
+    assert.equal(lastCdekRequest('/orders').body.delivery_point, 'NSK1');
+  });
+
+  test('отменяет заказ и сообщает об отказе CDEK', async () => {
+    const uuid = await createOrder();
+
+    const cancelled = await api('DELETE', `/orders/${uuid}`);
+    assert.equal(cancelled.status, 202);
+
+    const refused = await api('DELETE', `/orders/${uuid}`);
+    assert.equal(refused.status, 422);
+    assert.equal(refused.body.code, 'CDEK_REQUEST_REJECTED');
+    assert.deepEqual(refused.body.details, ['Заказ не найден']);
+  });
+
+  test('отдает квитанцию и ШК-места в PDF', async () => {
+    const uuid = await createOrder();
+
+    const waybill = await api('GET', `/orders/${uuid}/waybill.pdf?copies=2`);
+    assert.equal(waybill.status, 200);
+    assert.equal(waybill.headers.get('content-type'), 'application/pdf');
+    assert.ok(waybill.body.startsWith('%PDF'));
+    assert.equal(lastCdekRequest('/print/orders').body.copy_count, 2);
+
+    const barcodes = await api('POST', '/print/barcodes', { orderUuids: [uuid], format: 'A6' });
+    assert.equal(barcodes.status, 200);
+    assert.equal(lastCdekRequest('/print/barcodes').body.format, 'A6');
+  });
+
+  test('проверяет формат ШК-места', async () => {
+    const { status } = await api('GET', '/orders/some-uuid/barcode.pdf?format=A9');
+    assert.equal(status, 400);
+  });
+});
+
+describe('Вызов курьера', () => {
+  test('показывает доступные дни', async () => {
+    const { status, body } = await api('GET', '/intakes/available-days?cityCode=44&address=ул. Тверская, 1');
+
+    assert.equal(status, 200);
+    assert.equal(body.data.dates.length, 3);
+  });
+
+  test('создает, показывает и отменяет заявку', async () => {
+    const created = await api('POST', '/intakes', {
+      date: '2025-03-25',
+      timeFrom: '10:00',
+      timeTo: '15:00',
+      weight: 5000,
+      fromLocation: { code: 44, address: 'ул. Тверская, 1' },
+      sender: { name: 'Петр Петров', phones: ['+79991234567'] },
+    });
+    assert.equal(created.status, 202);
+
+    const uuid = created.body.data.entity.uuid;
+    const intake = await api('GET', `/intakes/${uuid}`);
+    assert.equal(intake.body.data.status.code, 'ACCEPTED');
+
+    const cancelled = await api('DELETE', `/intakes/${uuid}`);
+    assert.equal(cancelled.status, 202);
+  });
+
+  test('проверяет интервал', async () => {
+    const { status, body } = await api('POST', '/intakes', {
+      date: '2025-03-25',
+      timeFrom: '15:00',
+      timeTo: '10:00',
+      orderUuid: 'some-uuid',
+    });
+
+    assert.equal(status, 400);
+    assert.ok(body.details.includes('timeFrom должен быть раньше timeTo'));
+  });
+});
+
+describe('Арендаторы', () => {
+  const oauthRequests = () => mock.requests.filter(request => request.path === '/oauth/token');
+
+  test('по API-ключу ходит в CDEK с учетными данными арендатора', async () => {
+    const { status } = await api('GET', '/tariffs', undefined, { 'X-Api-Key': 'key-b' });
+
+    assert.equal(status, 200);
+    assert.equal(oauthRequests().at(-1).body.client_id, 'shop-b-account');
+    assert.equal(oauthRequests().at(-1).body.client_secret, 'shop-b-password');
+  });
+
+  test('хранит токен каждого арендатора отдельно', async () => {
+    await api('GET', '/cities?q=Москва', undefined, { 'X-Api-Key': 'key-b' });
+    await api('GET', '/cities?q=Москва');
+    const issued = oauthRequests().length;
+
+    await api('GET', '/cities?q=Новосибирск', undefined, { 'X-Api-Key': 'key-b' });
+    await api('GET', '/cities?q=Новосибирск');
+
+    assert.equal(oauthRequests().length, issued);
+  });
+
+  test('подбирает склад отправления в городе отправителя арендатора', async () => {
+    await api('POST', '/orders', {
+      number: 'ORDER-751',
+      tariffCode: 751,
+      deliveryPoint: 'MOS4',
+      recipient: { name: 'Иван Иванов', phones: ['+79991234567'] },
+      packages: [parcel],
+    }, { 'X-Api-Key': 'key-b' });
+
+    assert.equal(lastCdekRequest('/orders').body.shipment_point, 'NSK1');
+  });
+
+  test('определяет арендатора по X-Tenant-Id', async () => {
+    const { status, body } = await api('POST', '/calculate', { ...route, ...parcel }, { 'X-Tenant-Id': 'shop-b' });
+
+    assert.equal(status, 200);
+    assert.equal(body.tariffs.find(tariff => tariff.code === 136).appliedRules[0].id, 'markup');
+  });
+
+  test('без заголовков использует арендатора по умолчанию', async () => {
+    const { body } = await api('GET', '/status');
+    assert.equal(body.data.tenant, 'default');
+  });
+
+  test('отклоняет неизвестный ключ и арендатора', async () => {
+    const byKey = await api('GET', '/tariffs', undefined, { 'X-Api-Key': 'unknown' });
+    const byTenant = await api('GET', '/tariffs', undefined, { 'X-Tenant-Id': 'unknown' });
+
+    assert.equal(byKey.status, 401);
+    assert.equal(byKey.body.code, 'UNAUTHORIZED');
+    assert.equal(byTenant.status, 401);
+    assert.equal(mock.requests.length, 0);
+  });
+
+  test('берет город отправителя из настроек арендатора', async () => {
+    const { status } = await api('GET', '/intakes/available-days', undefined, { 'X-Api-Key': 'key-b' });
+
+    assert.equal(status, 200);
+    assert.equal(lastCdekRequest('/intakes/availableDays').body.from_location.code, '270');
+  });
+});
+
+describe('Авторизация', () => {
+  test('ключ только для расчета не создает заказы', async () => {
+    const headers = { 'X-Api-Key': 'site-b', Origin: 'https://shop-b.example' };
+    const quote = await api('POST', '/calculate', { ...route, packages: [parcel] }, headers);
+    const order = await api('POST', '/orders', { number: 'ORDER-1' }, headers);
+
+    assert.equal(quote.status, 200);
+    assert.equal(order.status, 403);
+    assert.equal(order.body.code, 'FORBIDDEN');
+    assert.equal(lastCdekRequest('/orders'), undefined);
+  });
+
+  test('без ключа дает только права арендатора для запросов без ключа', async () => {
+    const status = await api('GET', '/status', undefined, { 'X-Tenant-Id': 'shop-b' });
+    const orders = await api('GET', '/orders?cdekNumber=1', undefined, { 'X-Tenant-Id': 'shop-b' });
+
+    assert.deepEqual(status.body.data.scopes, ['quote']);
+    assert.equal(orders.status, 401);
+    assert.equal(orders.body.code, 'UNAUTHORIZED');
+  });
+
+  test('показывает настройки подключения в /status только с правом admin', async () => {
+    const quote = await api('GET', '/status', undefined, { 'X-Api-Key': 'site-b', Origin: 'https://shop-b.example' });
+    const admin = await api('GET', '/status', undefined, { 'X-Api-Key': 'key-b' });
+
+    assert.deepEqual(quote.body.data, { status: 'ok', scopes: ['quote'] });
+    assert.equal(admin.body.data.tenant, 'shop-b');
+    assert.equal(admin.body.data.apiUrl, process.env.CDEK_API_URL);
+    assert.ok(admin.body.data.circuitBreaker);
+  });
+
+  test('арендатор без ключей и anonymousScopes дает без ключа только quote', async () => {
+    const headers = { 'X-Tenant-Id': 'shop-c' };
+    const status = await api('GET', '/status', undefined, headers);
+    const purge = await api('DELETE', '/cache', undefined, headers);
+
+    assert.deepEqual(status.body.data.scopes, ['quote']);
+    assert.equal(purge.status, 401);
+    assert.equal(purge.body.code, 'UNAUTHORIZED');
+  });
+
+  test('проверяет источник запроса для ключа с origins', async () => {
+    const { status, body } = await api('GET', '/status', undefined, { 'X-Api-Key': 'site-b', Origin: 'https://evil.example' });
+
+    assert.equal(status, 403);
+    assert.match(body.message, /evil\.example/);
+  });
+
+  test('ограничивает частоту запросов ключа', async () => {
+    const headers = { 'X-Api-Key': 'widget-b' };
+    const first = await api('GET', '/status', undefined, headers);
+    await api('GET', '/status', undefined, headers);
+    const limited = await api('GET', '/status', undefined, headers);
+
+    assert.equal(first.status, 200);
+    assert.equal(first.headers.get('x-ratelimit-limit'), '2');
+    assert.equal(first.headers.get('x-ratelimit-remaining'), '1');
+    assert.equal(limited.status, 429);
+    assert.equal(limited.body.code, 'RATE_LIMITED');
+    assert.equal(limited.headers.get('retry-after'), '1');
+  });
+
+  test('разрешает CORS только для сайтов из CORS_ORIGINS', async () => {
+    const preflight = (origin) => fetch(`${baseUrl}/api/delivery/calculate`, {
+      method: 'OPTIONS',
+      headers: { Origin: origin, 'Access-Control-Request-Method': 'POST', 'Access-Control-Request-Headers': 'x-api-key' },
+    });
+
+    assert.equal((await preflight('https://shop-b.example')).headers.get('access-control-allow-origin'), 'https://shop-b.example');
+    assert.equal((await preflight('https://evil.example')).headers.get('access-control-allow-origin'), null);
+  });
+
+  test('указывает права ключа в OpenAPI', async () => {
+    const spec = await (await fetch(`${baseUrl}/api/openapi.json`)).json();
+
+    assert.ok(spec.paths['/api/delivery/orders'].post.security.some(requirement => requirement.ApiKey?.includes('orders')));
+    assert.ok(spec.paths['/api/delivery/calculate'].post.security.some(requirement => requirement.ApiKey?.includes('quote')));
+  });
+});
+
+describe('Цена для покупателя', () => {
+  const shopB = { 'X-Api-Key': 'key-b' };
+  const quoteOf = (body, code) => body.tariffs.find(tariff => tariff.code === code);
+
+  test('без правил равна стоимости CDEK', async () => {
+    const { body } = await api('POST', '/calculate', { ...route, ...parcel });
+    const tariff = quoteOf(body, 136);
+
+    assert.equal(tariff.carrierCost, 350);
+    assert.equal(tariff.customerPrice, 350);
+    assert.deepEqual(tariff.appliedRules, []);
+  });
+
+  test('применяет наценки, региональные правила, ограничения и округление', async () => {
+    const { body } = await api('POST', '/calculate', { ...route, ...parcel }, shopB);
+
+    assert.deepEqual(quoteOf(body, 136).appliedRules, [
+      { id: 'markup', type: 'markup', change: 35 },
+      { id: 'siberia', type: 'markup', change: 50 },
+      { id: 'round', type: 'round', change: 5 },
+    ]);
+    assert.equal(quoteOf(body, 136).carrierCost, 350);
+    assert.equal(quoteOf(body, 136).customerPrice, 440);
+    assert.equal(quoteOf(body, 482).customerPrice, 1000);
+    assert.equal(lastCdekRequest('/location/cities').query.code, '270');
+  });
+
+  test('делает доставку бесплатной от суммы корзины', async () => {
+    const { body } = await api('GET', `/calculate?fromCityCode=44&toCityCode=270&weight=2000&length=10&width=20&height=30&cartCost=6000`, undefined, shopB);
+
+    assert.equal(quoteOf(body, 136).customerPrice, 0);
+    assert.equal(quoteOf(body, 136).appliedRules.at(-1).id, 'free-parcel');
+    assert.equal(quoteOf(body, 137).customerPrice, 630);
+  });
+
+  test('считает цену по тарифу от стоимости с услугами', async () => {
+    const { body } = await api('POST', '/calculate-by-tariff', {
+      tariffCode: 136,
+      ...route,
+      ...parcel,
+      services: [{ code: 'INSURANCE', parameter: '5000' }],
+    }, shopB);
+
+    assert.equal(body.carrierCost, 387.5);
+    assert.equal(body.customerPrice, 480);
+  });
+
+  test('отклоняет неверные правила', async () => {
+    const { default: PricingEngine } = await import('../src/pricing/rules.js');
+
+    assert.throws(() => new PricingEngine([{ id: 'bad', type: 'discount' }]), /bad: неизвестный тип discount/);
+    assert.throws(() => new PricingEngine([{ type: 'round', step: 0 }]), /round-1: step/);
+  });
+});
+
+describe('Вебхуки', () => {
+  test('принимает записанное событие ORDER_STATUS', async () => {
+    const payload = JSON.parse(readFileSync(new URL('./mock-cdek/fixtures/webhook-order-status.json', import.meta.url), 'utf-8'));
+
+    const received = await api('POST', '/webhooks/cdek', payload);
+    assert.equal(received.status, 200);
+
+    const { body } = await api('GET', `/webhooks/events?uuid=${payload.uuid}`);
+    assert.equal(body.data[0].status.code, 'DELIVERED');
+  });
+
+  test('отклоняет неизвестные события', async () => {
+    const { status } = await api('POST', '/webhooks/cdek', { type: 'UNKNOWN', uuid: 'x' });
+    assert.equal(status, 400);
+  });
+
+  test('выдает события только арендатору, для которого они пришли', async () => {
+    const payload = { type: 'ORDER_STATUS', uuid: '0b7d3e2a-1111-4a5b-9c8d-7e6f5a4b3c2d', attributes: { number: 'SECRET-ORDER', code: 'ACCEPTED' } };
+    await api('POST', '/webhooks/cdek', payload);
+    await api('POST', '/webhooks/cdek?tenant=shop-b&secret=shop-b-hook', { ...payload, attributes: { number: 'SHOP-B-ORDER' } });
+
+    const own = await api('GET', `/webhooks/events?uuid=${payload.uuid}`);
+    const other = await api('GET', `/webhooks/events?uuid=${payload.uuid}`, undefined, { 'X-Api-Key': 'key-b' });
+
+    assert.deepEqual(own.body.data.map(event => event.number), ['SECRET-ORDER']);
+    assert.deepEqual(other.body.data.map(event => event.number), ['SHOP-B-ORDER']);
+  });
+
+  test('проверяет арендатора и его секрет', async () => {
+    const payload = { type: 'ORDER_STATUS', uuid: 'x' };
+    const withoutSecret = await api('POST', '/webhooks/cdek?tenant=shop-b', payload);
+    const unknown = await api('POST', '/webhooks/cdek?tenant=unknown', payload);
+
+    assert.equal(withoutSecret.status, 403);
+    assert.equal(unknown.status, 403);
+  });
+
+  test('помечает подписку арендатором и не показывает ее другим', async () => {
+    const created = await api('POST', '/webhooks', {
+      url: 'https://shop-b.example/api/delivery/webhooks/cdek',
+      type: 'ORDER_STATUS',
+    }, { 'X-Api-Key': 'key-b' });
+    const subscription = lastCdekRequest('/webhooks');
+    const own = await api('GET', '/webhooks', undefined, { 'X-Api-Key': 'key-b' });
+    const other = await api('GET', '/webhooks');
+
+    assert.equal(created.status, 200);
+    assert.equal(subscription.body.url, 'https://shop-b.example/api/delivery/webhooks/cdek?tenant=shop-b&secret=shop-b-hook');
+    assert.equal(own.body.count, 1);
+    assert.equal(other.body.count, 0);
+  });
+
+  test('не удаляет подписку другого арендатора', async () => {
+    const created = await api('POST', '/webhooks', {
+      url: 'https://shop-b.example/api/delivery/webhooks/cdek',
+      type: 'ORDER_STATUS',
+    }, { 'X-Api-Key': 'key-b' });
+    const uuid = created.body.data.entity.uuid;
+
+    const other = await api('DELETE', `/webhooks/${uuid}`);
+    const own = await api('GET', '/webhooks', undefined, { 'X-Api-Key': 'key-b' });
+
+    assert.equal(other.status, 404);
+    assert.equal(other.body.code, 'WEBHOOK_NOT_FOUND');
+    assert.equal(mock.requests.filter(request => request.method === 'DELETE' && request.path === `/webhooks/${uuid}`).length, 0);
+    assert.equal(own.body.count, 1);
+  });
+
+  test('управляет подписками', async () => {
+    const created = await api('POST', '/webhooks', { url: 'https://example.com/hook', type: 'ORDER_STATUS' });
+    assert.equal(created.status, 200);
+
+    const list = await api('GET', '/webhooks');
+    assert.equal(list.body.count, 1);
+
+    const deleted = await api('DELETE', `/webhooks/${created.body.data.entity.uuid}`);
+    assert.equal(deleted.status, 200);
+  });
+});
+
+describe('Формат ошибок', () => {
+  test('ошибки валидации', async () => {
+    const { status, body } = await api('GET', '/offices');
+
+    assert.equal(status, 400);
+    assert.deepEqual(body, {
+      code: 'VALIDATION_ERROR',
+      message: 'Ошибка валидации',
+      details: ['cityCode обязателен'],
+      cdekErrors: [],
+      fields: [{ field: 'cityCode', message: 'cityCode обязателен' }],
+    });
+  });
+
+  test('некорректный JSON', async () => {
+    const response = await fetch(`${baseUrl}/api/delivery/calculate`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: '{"weight":',
+    });
+    const body = await response.json();
+
+    assert.equal(response.status, 400);
+    assert.equal(body.code, 'INVALID_JSON');
+  });
+
+  test('CDEK отклонил входные данные', async () => {
+    mock.injectError('/calculator/tarifflist', {
+      status: 400,
+      body: { errors: [{ code: 'v2_bad_location', message: 'Город не найден' }] },
+    });
+
+    const { status, body } = await api('POST', '/calculate', { ...route, ...parcel });
+
+    assert.equal(status, 400);
+    assert.equal(body.code, 'CDEK_BAD_REQUEST');
+    assert.deepEqual(body.cdekErrors, [{ code: 'v2_bad_location', message: 'Город не найден' }]);
+    assert.deepEqual(body.details, ['Город не найден']);
+  });
+
+  test('объект не найден в CDEK', async () => {
+    const { status, body } = await api('GET', '/orders/00000000-0000-0000-0000-000000000000');
+
+    assert.equal(status, 404);
+    assert.equal(body.code, 'CDEK_NOT_FOUND');
+    assert.equal(body.cdekErrors[0].code, 'v2_entity_not_found');
+  });
+
+  test('CDEK не принимает учетные данные сервиса', async () => {
+    mock.injectError('/deliverypoints', { status: 401, times: Infinity });
+
+    const { status, body } = await api('GET', '/offices?cityCode=44');
+
+    assert.equal(status, 502);
+    assert.equal(body.code, 'CDEK_AUTH_ERROR');
+  });
+
+  test('CDEK недоступен', async () => {
+    mock.injectError('/deliverypoints', { networkError: true, times: Infinity });
+
+    const { status, body } = await api('GET', '/offices?cityCode=44');
+
+    assert.equal(status, 503);
+    assert.equal(body.code, 'CDEK_UNAVAILABLE');
+  });
+});
+
+describe('Валидация запросов', () => {
+  test('одинаково проверяет GET и POST /calculate', async () => {
+    const invalid = { fromCityCode: 44, toCityCode: 'Москва', weight: 2.5, length: 10, width: 0, height: 30 };
+    const query = new URLSearchParams(invalid).toString();
+
+    const fromQuery = await api('GET', `/calculate?${query}`);
+    const fromBody = await api('POST', '/calculate', invalid);
+
+    assert.equal(fromQuery.status, 400);
+    assert.deepEqual(fromQuery.body.fields, fromBody.body.fields);
+    assert.deepEqual(fromBody.body.fields.map(error => error.field), ['toCityCode', 'weight', 'width']);
+    assert.ok(fromBody.body.details.includes('weight должен быть целым числом'));
+    assert.ok(fromBody.body.details.includes('width должен быть положительным числом'));
+  });
+
+  test('приводит query-параметры к числам', async () => {
+    const { status } = await api('GET', '/calculate?fromCityCode=44&toCityCode=270&weight=2000&length=10&width=20&height=30');
+
+    assert.equal(status, 200);
+    assert.deepEqual(lastCdekRequest('/calculator/tarifflist').body.packages, [parcel]);
+  });
+
+  test('указывает путь к вложенному полю', async () => {
+    const { status, body } = await api('POST', '/calculate', {
+      fromCityCode: 44,
+      toCityCode: 270,
+      packages: [{ weight: 1000, length: 10, width: 10, height: 10 }, { weight: 1000, length: 10, width: 10 }],
+    });
+
+    assert.equal(status, 400);
+    assert.deepEqual(body.fields, [{ field: 'packages[1].height', message: 'packages[1].height обязателен' }]);
+  });
+
+  test('проверяет допустимые значения', async () => {
+    const { status, body } = await api('GET', '/offices?cityCode=44&type=SHOP');
+
+    assert.equal(status, 400);
+    assert.equal(body.fields[0].field, 'type');
+    assert.match(body.details[0], /Допустимые значения: PVZ, POSTAMAT, ALL/);
+  });
+});
+
+describe('Повторы запросов к CDEK', () => {
+  test('сбрасывает токен и повторяет запрос при 401', async () => {
+    mock.injectError('/deliverypoints', { status: 401 });
+
+    const { status } = await api('GET', '/offices?cityCode=270');
+
+    assert.equal(status, 200);
+    assert.equal(mock.requests.filter(request => request.path === '/deliverypoints').length, 2);
+    // Токен запрошен заново после отказа
+    assert.equal(mock.requests.findIndex(request => request.path === '/oauth/token'), 1);
+  });
+
+  test('повторяет GET при 503 и сетевой ошибке', async () => {
+    mock.injectError('/deliverypoints', { status: 503 });
+    mock.injectError('/deliverypoints', { networkError: true });
+
+    const { status } = await api('GET', '/offices?cityCode=44');
+
+    assert.equal(status, 200);
+    assert.equal(mock.requests.filter(request => request.path === '/deliverypoints').length, 3);
+  });
+
+  test('учитывает Retry-After при 429', async () => {
+    mock.injectError('/location/cities', { status: 429, headers: { 'Retry-After': '0' } });
+
+    const { status } = await api('GET', '/cities?q=Москва');
+
+    assert.equal(status, 200);
+  });
+
+  test('повторяет расчет, помеченный безопасным', async () => {
+    mock.injectError('/calculator/tarifflist', { status: 502 });
+
+    const { status } = await api('POST', '/calculate', { ...route, ...parcel });
+
+    assert.equal(status, 200);
+  });
+
+  test('не повторяет создание заказа', async () => {
+    mock.injectError('/orders', { method: 'POST', status: 503 });
+
+    const { status } = await api('POST', '/orders', {
+      number: 'ORDER-1',
+      tariffCode: 136,
+      shipmentPoint: 'MSK12',
+      deliveryPoint: 'NSK20',
+      recipient: { name: 'Иван Иванов', phones: ['+79991234567'] },
+      packages: [parcel],
+    });
+
+    assert.equal(status, 503);
+    assert.equal(mock.requests.filter(request => request.path === '/orders').length, 1);
+  });
+
+  test('прекращает повторы после исчерпания попыток', async () => {
+    mock.injectError('/deliverypoints', { status: 500, times: Infinity });
+
+    const { status } = await api('GET', '/offices?cityCode=44');
+
+    assert.equal(status, 502);
+    assert.equal(mock.requests.filter(request => request.path === '/deliverypoints').length, 3);
+  });
+});
+
+describe('Время ожидания и выключатель', () => {
+  const countOfficeRequests = () => mock.requests.filter(request => request.path === '/deliverypoints').length;
+
+  test('учитывает сбой выдачи токена, но не отказ в учетных данных', async () => {
+    const breakerFailures = async () => (await api('GET', '/status')).body.data.circuitBreaker.stats.failures;
+    const failuresBefore = await breakerFailures();
+
+    // 401 сбрасывает токен, и он запрашивается заново
+    mock.injectError('/deliverypoints', { status: 401 });
+    mock.injectError('/oauth/token', { status: 503 });
+    const outage = await api('GET', '/offices?cityCode=44');
+    const failuresAfterOutage = await breakerFailures();
+
+    mock.injectError('/deliverypoints', { status: 401 });
+    mock.injectError('/oauth/token', { status: 401, body: { error: 'invalid_client' } });
+    const rejected = await api('GET', '/offices?cityCode=44');
+
+    assert.equal(outage.status, 503);
+    assert.equal(outage.body.code, 'CDEK_UNAVAILABLE');
+    assert.equal(failuresAfterOutage, failuresBefore + 1);
+    assert.equal(rejected.status, 502);
+    assert.equal(rejected.body.code, 'CDEK_AUTH_ERROR');
+    assert.equal(await breakerFailures(), failuresBefore + 1);
+  });
+
+  test('прерывает запрос, если CDEK не ответил вовремя', async () => {
+    mock.injectError('/deliverypoints', { delay: 1000, status: 200, times: Infinity });
+
+    const { status, body } = await api('GET', '/offices?cityCode=44');
+
+    assert.equal(status, 504);
+    assert.equal(body.code, 'CDEK_TIMEOUT');
+  });
+
+  test('повторяет запрос после истечения времени ожидания', async () => {
+    mock.injectError('/deliverypoints', { delay: 1000, status: 200 });
+
+    const { status } = await api('GET', '/offices?cityCode=44');
+
+    assert.equal(status, 200);
+    assert.equal(countOfficeRequests(), 2);
+  });
+
+  test('размыкается после серии сбоев и замыкается после успешного пробного запроса', async () => {
+    mock.injectError('/deliverypoints', { status: 500, times: Infinity });
+
+    for (let i = 0; i < 5; i++) {
+      assert.equal((await api('GET', '/offices?cityCode=44')).status, 502);
+    }
+    const requestsBeforeOpen = countOfficeRequests();
+
+    const rejected = await api('GET', '/offices?cityCode=44');
+    assert.equal(rejected.status, 503);
+    assert.equal(rejected.body.code, 'CDEK_UNAVAILABLE');
+    assert.ok(Number(rejected.headers.get('retry-after')) >= 1);
+    assert.equal(countOfficeRequests(), requestsBeforeOpen);
+
+    const degraded = await api('GET', '/status');
+    assert.equal(degraded.body.data.status, 'degraded');
+    assert.equal(degraded.body.data.circuitBreaker.state, 'OPEN');
+
+    // Через resetTimeout пропускается пробный запрос
+    await new Promise(resolve => setTimeout(resolve, 250));
+    mock.reset();
+
+    assert.equal((await api('GET', '/offices?cityCode=44')).status, 200);
+    assert.equal((await api('GET', '/status')).body.data.circuitBreaker.state, 'CLOSED');
+  });
+
+  test('не учитывает ошибки во входных данных', async () => {
+    mock.injectError('/deliverypoints', { status: 400, times: Infinity });
+
+    for (let i = 0; i < 6; i++) {
+      assert.equal((await api('GET', '/offices?cityCode=44')).status, 400);
+    }
+
+    const { body } = await api('GET', '/status');
+    assert.equal(body.data.status, 'ok');
+  });
+});
+
+describe('Кэш', () => {
+  test('помечает ответы заголовком X-Cache и очищается', async () => {
+    const first = await api('GET', '/offices?cityCode=270');
+    const second = await api('GET', '/offices?cityCode=270');
+    assert.equal(first.headers.get('x-cache'), 'MISS');
+    assert.equal(second.headers.get('x-cache'), 'HIT');
+
+    const stats = await api('GET', '/cache', undefined, adminHeaders);
+    assert.equal(stats.body.data.size, 1);
+
+    const purged = await api('DELETE', '/cache?resource=offices', undefined, adminHeaders);
+    assert.equal(purged.body.data.removed, 1);
+  });
+
+  test('требует токен оператора и отключает управление без CACHE_ADMIN_TOKEN', async () => {
+    const withoutHeader = await api('DELETE', '/cache');
+    assert.equal(withoutHeader.status, 403);
+
+    const token = process.env.CACHE_ADMIN_TOKEN;
+    delete process.env.CACHE_ADMIN_TOKEN;
+    try {
+      const disabled = await api('DELETE', '/cache', undefined, adminHeaders);
+      assert.equal(disabled.status, 403);
+      assert.match(disabled.body.message, /CACHE_ADMIN_TOKEN/);
+    } finally {
+      process.env.CACHE_ADMIN_TOKEN = token;
+    }
+  });
+
+  test('файловый кэш удаляет давно записанные файлы сверх maxEntries', async () => {
+    const { default: FileCache } = await import('../src/cache/file.js');
+    const dir = mkdtempSync(join(tmpdir(), 'file-cache-'));
+    try {
+      const store = new FileCache(dir, 2);
+      for (const key of ['a', 'b', 'c']) {
+        await store.set(key, key, 60000);
+        await new Promise(resolve => setTimeout(resolve, 10));
+      }
+
+      assert.equal(await store.size(), 2);
+      assert.equal(await store.get('a'), undefined);
+      assert.equal(await store.get('c'), 'c');
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,520 @@
+/**
+ * Локальная замена CDEK API для тестов и работы без сети
+ * Отвечает данными из fixtures/, позволяет подменять ответы ошибками
+ *
+ * Запуск отдельно: npm run mock:cdek (порт MOCK_CDEK_PORT, по умолчанию 3100),
+ * затем CDEK_API_URL=http://localhost:3100/v2 npm start
+ */
+
+import express from 'express';
+import { randomUUID } from 'crypto';
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+
+const loadFixture = (name) => JSON.parse(
+  readFileSync(new URL(`./fixtures/${name}.json`, import.meta.url), 'utf-8')
+);
+
+/**
+ * Ответ CDEK с ошибкой валидации
+ * @param {object} res - Ответ Express
+ * @param {string} code - Код ошибки CDEK
+ * @param {string} message - Сообщение
+ * @param {number} status - HTTP-статус
+ */
+const sendCdekError = (res, code, message, status = 400) => {
+  res.status(status).json({
+    errors: [{ code, message }],
+  });
+};
+
+const requestState = (type, state = 'ACCEPTED', errors = []) => ({
+  request_uuid: randomUUID(),
+  type,
+  state,
+  date_time: new Date().toISOString().replace(/\.\d{3}Z$/, '+0000'),
+  errors,
+  warnings: [],
+});
+
+class MockCDEKServer {
+  /**
+   * @param {object} fixtures - Данные ответов {cities, offices, tariffs}
+   */
+  constructor(fixtures = {}) {
+    this.fixtures = {
+      cities: fixtures.cities || loadFixture('cities'),
+      offices: fixtures.offices || loadFixture('offices'),
+      tariffs: fixtures.tariffs || loadFixture('tariffs'),
+    };
+    this.server = null;
+    this.reset();
+    this.app = this.createApp();
+  }
+
+  /**
+   * Сброс состояния: журнал запросов, заказы, подписки и подмены ответов
+   */
+  reset() {
+    this.requests = [];
+    this.errors = [];
+    this.orders = new Map();
+    this.intakes = new Map();
+    this.webhooks = new Map();
+    this.printForms = new Map();
+    this.tokensIssued = 0;
+  }
+
+  /**
+   * Подмена ответов эндпоинта ошибкой
+   * @param {string} path - Путь без /v2 (например, '/calculator/tarifflist')
+   * @param {object} options - Параметры подмены
+   * @param {string} options.method - HTTP-метод (по умолчанию любой)
+   * @param {number} options.status - HTTP-статус (по умолчанию 500)
+   * @param {object} options.body - Тело ответа
+   * @param {object} options.headers - Заголовки ответа
+   * @param {number} options.times - Сколько запросов подменить (по умолчанию 1, Infinity - все)
+   * @param {number} options.delay - Задержка ответа в мс
+   * @param {boolean} options.networkError - Разорвать соединение без ответа
+   */
+  injectError(path, options = {}) {
+    this.errors.push({
+      path,
+      method: options.method,
+      status: options.status || 500,
+      body: options.body || { errors: [{ code: 'mock_error', message: 'Ошибка, подставленная mock-сервером' }] },
+      headers: options.headers || {},
+      times: options.times ?? 1,
+      delay: options.delay || 0,
+      networkError: Boolean(options.networkError),
+    });
+  }
+
+  createApp() {
+    const app = express();
+    const api = express.Router();
+
+    app.use(express.json());
+    app.use(express.urlencoded({ extended: false }));
+
+    // Управление подменами по HTTP (для запуска отдельно от тестов)
+    app.post('/__mock/errors', (req, res) => {
+      const { path, ...options } = req.body;
+      this.injectError(path, options);
+      res.json({ success: true });
+    });
+    app.delete('/__mock/errors', (req, res) => {
+      this.errors = [];
+      res.json({ success: true });
+    });
+    app.get('/__mock/requests', (req, res) => {
+      res.json(this.requests);
+    });
+
+    // Журнал запросов и подмена ответов ошибками
+    api.use(async (req, res, next) => {
+      this.requests.push({
+        method: req.method,
+        path: req.path,
+        query: req.query,
+        body: req.body,
+        headers: req.headers,
+      });
+
+      const rule = this.errors.find(candidate => candidate.times > 0
+        && candidate.path === req.path
+        && (!candidate.method || candidate.method === req.method));
+
+      if (!rule) {
+        return next();
+      }
+
+      rule.times--;
+      if (rule.delay) {
+        await new Promise(resolve => setTimeout(resolve, rule.delay));
+      }
+      if (rule.networkError) {
+        return req.socket.destroy();
+      }
+      res.set(rule.headers).status(rule.status).json(rule.body);
+    });
+
+    api.post('/oauth/token', (req, res) => {
+      if (req.body.grant_type !== 'client_credentials' || !req.body.client_id || !req.body.client_secret) {
+        return res.status(401).json({ error: 'invalid_client' });
+      }
+      this.tokensIssued++;
+      res.json({
+        access_token: `mock-token-${this.tokensIssued}`,
+        token_type: 'bearer',
+        expires_in: 3600,
+      });
+    });
+
+    // Все остальные запросы требуют токен
+    api.use((req, res, next) => {
+      if (!/^Bearer mock-token-\d+$/.test(req.get('Authorization') || '')) {
+        return res.status(401).json({ errors: [{ code: 'v2_token_expired', message: 'Токен недействителен' }] });
+      }
+      next();
+    });
+
+    api.get('/location/cities', (req, res) => {
+      const { name = '', country_code, code, postal_code, size, page = 0 } = req.query;
+      const needle = name.toLowerCase();
+      const offset = size ? parseInt(page) * parseInt(size) : 0;
+
+      const cities = this.fixtures.cities
+        .filter(city => city.city.toLowerCase().includes(needle))
+        .filter(city => !country_code || city.country_code === country_code)
+        .filter(city => !code || String(city.code) === String(code))
+        .filter(city => !postal_code || (city.postal_codes || []).includes(postal_code))
+        .slice(offset, size ? offset + parseInt(size) : undefined);
+
+      res.json(cities);
+    });
+
+    api.get('/location/suggest/cities', (req, res) => {
+      const { name = '', country_code } = req.query;
+      const needle = name.toLowerCase();
+
+      res.json(this.fixtures.cities
+        .filter(city => city.city.toLowerCase().includes(needle))
+        .filter(city => !country_code || city.country_code === country_code)
+        .map(city => ({
+          city_uuid: city.city_uuid,
+          code: city.code,
+          full_name: `${city.city}, ${city.region}, ${city.country}`,
+        })));
+    });
+
+    api.get('/deliverypoints', (req, res) => {
+      const { city_code, type = 'ALL', size } = req.query;
+
+      const offices = this.fixtures.offices
+        .filter(office => !city_code || String(office.location.city_code) === String(city_code))
+        .filter(office => type === 'ALL' || office.type === type)
+        .slice(0, size ? parseInt(size) : undefined);
+
+      res.json(offices);
+    });
+
+    // Как и тестовый API CDEK, список тарифов напрямую не отдаем
+    api.get('/calculator/tariffs', (req, res) => {
+      res.status(404).json({ errors: [{ code: 'not_found', message: 'Not found' }] });
+    });
+
+    api.post('/calculator/tarifflist', (req, res) => {
+      const { from_location, to_location, packages } = req.body;
+
+      if (!from_location?.code || !to_location?.code) {
+        return sendCdekError(res, 'v2_field_is_empty', 'Не указан код города');
+      }
+      if (!Array.isArray(packages) || packages.length === 0) {
+        return sendCdekError(res, 'v2_field_is_empty', 'Не указаны места');
+      }
+
+      res.json({
+        tariff_codes: this.fixtures.tariffs
+          .filter(tariff => !tariff.hidden_in_tarifflist)
+          .map(({ hidden_in_tarifflist, ...tariff }) => ({
+            ...tariff,
+            delivery_sum: tariff.delivery_sum * packages.length,
+          })),
+      });
+    });
+
+    api.post('/calculator/tariff', (req, res) => {
+      const { tariff_code, from_location, to_location, packages, services = [] } = req.body;
+      const tariff = this.fixtures.tariffs.find(candidate => candidate.tariff_code === tariff_code);
+
+      if (!tariff) {
+        return sendCdekError(res, 'v2_tariff_not_found', `Тариф ${tariff_code} не найден`);
+      }
+      if (!from_location?.code || !to_location?.code) {
+        return sendCdekError(res, 'v2_field_is_empty', 'Не указан код города');
+      }
+      if (!Array.isArray(packages) || packages.length === 0) {
+        return sendCdekError(res, 'v2_field_is_empty', 'Не указаны места');
+      }
+      // Склад-склад требует пункты отправления и доставки
+      if (tariff.delivery_mode === 4 && tariff_code >= 750 && (!req.body.shipment_point || !req.body.delivery_point)) {
+        return sendCdekError(res, 'v2_shipment_point_empty', 'Для тарифа склад-склад необходимо указать shipment_point и delivery_point');
+      }
+
+      const deliverySum = tariff.delivery_sum * packages.length;
+      const weightCalc = packages.reduce((sum, pkg) => sum + Math.max(pkg.weight, Math.round(pkg.length * pkg.width * pkg.height / 5)), 0);
+      const calculatedServices = services.map(service => ({
+        code: service.code,
+        sum: service.code === 'INSURANCE' ? Math.round(Number(service.parameter) * 0.0075 * 100) / 100 : 0,
+      }));
+
+      res.json({
+        delivery_sum: deliverySum,
+        period_min: tariff.period_min,
+        period_max: tariff.period_max,
+        calendar_min: tariff.calendar_min,
+        calendar_max: tariff.calendar_max,
+        weight_calc: weightCalc,
+        services: calculatedServices,
+        total_sum: deliverySum + calculatedServices.reduce((sum, service) => sum + service.sum, 0),
+        currency: 'RUB',
+      });
+    });
+
+    api.post('/orders', (req, res) => {
+      const { number, tariff_code, recipient, packages } = req.body;
+
+      if (!number || !tariff_code || !recipient?.name || !Array.isArray(packages) || packages.length === 0) {
+        return res.status(400).json({
+          requests: [requestState('CREATE', 'INVALID', [{ code: 'v2_field_is_empty', message: 'Не заполнены обязательные поля заказа' }])],
+        });
+      }
+
+      const uuid = randomUUID();
+      const createdAt = new Date().toISOString().replace(/\.\d{3}Z$/, '+0000');
+      this.orders.set(uuid, {
+        entity: {
+          uuid,
+          cdek_number: String(1100000000 + this.orders.size),
+          ...req.body,
+          statuses: [{ code: 'CREATED', name: 'Создан', date_time: createdAt, city: 'Москва' }],
+        },
+        requests: [requestState('CREATE', 'SUCCESSFUL')],
+      });
+
+      res.status(202).json({
+        entity: { uuid },
+        requests: [requestState('CREATE')],
+      });
+    });
+
+    api.get('/orders', (req, res) => {
+      const { im_number, cdek_number } = req.query;
+      const order = [...this.orders.values()].find(candidate =>
+        (im_number && candidate.entity.number === im_number)
+        || (cdek_number && candidate.entity.cdek_number === cdek_number));
+
+      if (!order) {
+        return sendCdekError(res, 'v2_entity_not_found', 'Заказ не найден', 404);
+      }
+      res.json(order);
+    });
+
+    api.get('/orders/:uuid', (req, res) => {
+      const order = this.orders.get(req.params.uuid);
+      if (!order) {
+        return sendCdekError(res, 'v2_entity_not_found', 'Заказ не найден', 404);
+      }
+      res.json(order);
+    });
+
+    api.patch('/orders', (req, res) => {
+      const { uuid, ...changes } = req.body;
+      const order = this.orders.get(uuid);
+
+      if (!order) {
+        return res.status(400).json({
+          requests: [requestState('UPDATE', 'INVALID', [{ code: 'v2_entity_not_found', message: 'Заказ не найден' }])],
+        });
+      }
+
+      Object.assign(order.entity, changes);
+      res.status(202).json({
+        entity: { uuid },
+        requests: [requestState('UPDATE')],
+      });
+    });
+
+    api.delete('/orders/:uuid', (req, res) => {
+      const { uuid } = req.params;
+
+      if (!this.orders.delete(uuid)) {
+        return res.status(400).json({
+          requests: [requestState('DELETE', 'INVALID', [{ code: 'v2_entity_not_found', message: 'Заказ не найден' }])],
+        });
+      }
+
+      res.status(202).json({
+        entity: { uuid },
+        requests: [requestState('DELETE')],
+      });
+    });
+
+    api.post('/print/:kind', (req, res) => {
+      const { kind } = req.params;
+      const { orders } = req.body;
+
+      if (!['orders', 'barcodes'].includes(kind) || !Array.isArray(orders) || orders.length === 0) {
+        return sendCdekError(res, 'v2_field_is_empty', 'Не указаны заказы');
+      }
+
+      const uuid = randomUUID();
+      this.printForms.set(uuid, { kind, ...req.body });
+      res.status(202).json({
+        entity: { uuid },
+        requests: [requestState('CREATE')],
+      });
+    });
+
+    api.get('/print/:kind/:file', (req, res) => {
+      const { file } = req.params;
+      const uuid = file.replace(/\.pdf$/, '');
+
+      if (!this.printForms.has(uuid)) {
+        return sendCdekError(res, 'v2_entity_not_found', 'Печатная форма не найдена', 404);
+      }
+
+      if (file.endsWith('.pdf')) {
+        return res.type('application/pdf').send(Buffer.from(`%PDF-1.4\n% mock ${uuid}\n%%EOF\n`));
+      }
+
+      res.json({
+        entity: {
+          uuid,
+          ...this.printForms.get(uuid),
+          url: `${req.protocol}://${req.get('host')}${req.baseUrl}${req.path}.pdf`,
+          statuses: [
+            { code: 'ACCEPTED', name: 'Принят', date_time: new Date().toISOString() },
+            { code: 'READY', name: 'Сформирован', date_time: new Date().toISOString() },
+          ],
+        },
+      });
+    });
+
+    api.post('/intakes/availableDays', (req, res) => {
+      if (!req.body.from_location?.code) {
+        return sendCdekError(res, 'v2_field_is_empty', 'Не указан код города');
+      }
+
+      const start = req.body.date ? new Date(req.body.date) : new Date();
+      const dates = [1, 2, 3].map(offset => {
+        const date = new Date(start);
+        date.setDate(date.getDate() + offset);
+        return date.toISOString().slice(0, 10);
+      });
+
+      res.json({ date: dates, all_days: false });
+    });
+
+    api.post('/intakes', (req, res) => {
+      const { intake_date, intake_time_from, intake_time_to } = req.body;
+
+      if (!intake_date || !intake_time_from || !intake_time_to) {
+        return sendCdekError(res, 'v2_field_is_empty', 'Не указаны дата и время забора');
+      }
+
+      const uuid = randomUUID();
+      this.intakes.set(uuid, {
+        entity: {
+          uuid,
+          intake_number: 10000 + this.intakes.size,
+          ...req.body,
+          statuses: [{ code: 'ACCEPTED', name: 'Принят', date_time: new Date().toISOString() }],
+        },
+        requests: [requestState('CREATE', 'SUCCESSFUL')],
+      });
+
+      res.status(202).json({
+        entity: { uuid },
+        requests: [requestState('CREATE')],
+      });
+    });
+
+    api.get('/intakes/:uuid', (req, res) => {
+      const intake = this.intakes.get(req.params.uuid);
+      if (!intake) {
+        return sendCdekError(res, 'v2_entity_not_found', 'Заявка не найдена', 404);
+      }
+      res.json(intake);
+    });
+
+    api.delete('/intakes/:uuid', (req, res) => {
+      const { uuid } = req.params;
+
+      if (!this.intakes.delete(uuid)) {
+        return res.status(400).json({
+          requests: [requestState('DELETE', 'INVALID', [{ code: 'v2_entity_not_found', message: 'Заявка не найдена' }])],
+        });
+      }
+
+      res.status(202).json({
+        entity: { uuid },
+        requests: [requestState('DELETE')],
+      });
+    });
+
+    api.get('/webhooks', (req, res) => {
+      res.json([...this.webhooks.values()]);
+    });
+
+    api.post('/webhooks', (req, res) => {
+      const { url, type } = req.body;
+
+      if (!url || !type) {
+        return sendCdekError(res, 'v2_field_is_empty', 'Не указаны url или type');
+      }
+
+      const uuid = randomUUID();
+      this.webhooks.set(uuid, { uuid, url, type });
+      res.json({
+        entity: { uuid },
+        requests: [requestState('CREATE', 'SUCCESSFUL')],
+      });
+    });
+
+    api.delete('/webhooks/:uuid', (req, res) => {
+      const { uuid } = req.params;
+
+      if (!this.webhooks.delete(uuid)) {
+        return sendCdekError(res, 'v2_entity_not_found', 'Подписка не найдена', 404);
+      }
+
+      res.json({
+        entity: { uuid },
+        requests: [requestState('DELETE', 'SUCCESSFUL')],
+      });
+    });
+
+    app.use('/v2', api);
+
+    return app;
+  }
+
+  /**
+   * Запуск сервера
+   * @param {number} port - Порт (0 - любой свободный)
+   * @returns {Promise<string>} Базовый URL API (для CDEK_API_URL)
+   */
+  start(port = 0) {
+    return new Promise((resolve, reject) => {
+      this.server = this.app.listen(port, '127.0.0.1', () => {
+        resolve(`http://127.0.0.1:${this.server.address().port}/v2`);
+      });
+      this.server.on('error', reject);
+    });
+  }
+
+  /**
+   * Остановка сервера
+   * @returns {Promise<void>}
+   */
+  stop() {
+    return new Promise((resolve) => {
+      if (!this.server) {
+        return resolve();
+      }
+      this.server.closeAllConnections();
+      this.server.close(() => resolve());
+    });
+  }
+}
+
+// Запуск отдельно: node test/mock-cdek/server.js
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const mock = new MockCDEKServer();
+  const url = await mock.start(parseInt(process.env.MOCK_CDEK_PORT) || 3100);
+  console.log(`Mock CDEK API запущен: ${url}`);
+}
+
+export default MockCDEKServer;